@@ -1,5 +1,7 @@
 // AIBehaviors.js - Different AI behavior patterns for bots
 import { Utils } from '../utils/Utils.js';
+import { simulation } from '../core/Simulation.js';
+import { PotentialField } from './PotentialField.js';
 
 export class AIBehaviors {
     static createBehavior(type) {
@@ -27,6 +29,37 @@ class BaseBehavior {
         throw new Error('Execute method must be implemented');
     }
 
+    // Utility of running this behavior right now, 0 (useless) to 1 (urgent).
+    // `targets` is what the bot perceives: nearby food and rival players.
+    score(bot, targets) {
+        return 0;
+    }
+
+    isFood(entity) {
+        return entity.isFood === true || entity.type === 'food';
+    }
+
+    // Where to steer to catch a target. Bots lead moving targets using their
+    // AI's motion tracking, anything else is aimed at directly.
+    aimAt(bot, target) {
+        return bot.ai ? bot.ai.getAimPoint(target) : { x: target.x, y: target.y };
+    }
+
+    // Where an entity is expected to be in `time` ms
+    predictPosition(bot, entity, time) {
+        return bot.ai ? bot.ai.predictPosition(entity, time) : { x: entity.x, y: entity.y };
+    }
+
+    // Empty potential field over the bot's world, for behaviors that steer by field
+    createField(bot) {
+        return new PotentialField({ bounds: bot.ai ? bot.ai.worldBounds : null });
+    }
+
+    // Closeness within a range, 1 when touching and 0 at the edge
+    proximity(bot, entity, range) {
+        return Math.max(0, 1 - Utils.distance(bot.x, bot.y, entity.x, entity.y) / range);
+    }
+
     canExecute(bot) {
         return this.cooldown <= 0;
     }
@@ -52,35 +85,45 @@ export class HuntBehavior extends BaseBehavior {
         if (!prey) return { action: 'wander', target: null };
 
         const distance = Utils.distance(bot.x, bot.y, prey.x, prey.y);
+        const aim = this.aimAt(bot, prey);
         
         if (distance < this.attackRange && bot.totalMass > prey.totalMass * 1.2) {
-            // Close enough to attack and we're bigger
+            // Close enough to attack and we're bigger - split where it's going, not where it was
             return {
                 action: 'attack',
                 target: prey,
-                moveX: prey.x,
-                moveY: prey.y,
+                moveX: aim.x,
+                moveY: aim.y,
                 shouldSplit: this.shouldSplitAttack(bot, prey, distance)
             };
         } else if (distance < this.huntRange) {
-            // Chase the prey
+            // Chase the prey, cutting it off
             return {
                 action: 'chase',
                 target: prey,
-                moveX: prey.x,
-                moveY: prey.y
+                moveX: aim.x,
+                moveY: aim.y
             };
         }
 
         return { action: 'wander', target: null };
     }
 
+    // Worth chasing when there is prey close by, more so the bigger it is
+    score(bot, targets) {
+        const prey = this.findBestPrey(bot, targets);
+        if (!prey) return 0;
+
+        const massValue = Math.min(1, (prey.totalMass / bot.totalMass) * 2);
+        return 0.8 * this.proximity(bot, prey, this.huntRange) * (0.5 + massValue * 0.5);
+    }
+
     findBestPrey(bot, targets) {
         let bestPrey = null;
         let bestScore = -1;
 
         for (const target of targets) {
-            if (target === bot || !this.canHunt(bot, target)) continue;
+            if (target === bot || this.isFood(target) || !this.canHunt(bot, target)) continue;
 
             const distance = Utils.distance(bot.x, bot.y, target.x, target.y);
             if (distance > this.huntRange) continue;
@@ -118,6 +161,11 @@ export class FleeBehavior extends BaseBehavior {
         this.priority = 5; // High priority
         this.fleeRange = 200;
         this.panicRange = 100;
+        
+        // Escape planning: how far ahead (ms) threats are predicted and how
+        // far we get in that time
+        this.escapeHorizon = 500;
+        this.escapeDistance = 100;
     }
 
     execute(bot, targets, deltaTime) {
@@ -138,11 +186,24 @@ export class FleeBehavior extends BaseBehavior {
         };
     }
 
+    // Rises with how close and how much bigger the worst threat is
+    score(bot, targets) {
+        const threats = this.findThreats(bot, targets);
+        if (threats.length === 0) return 0;
+
+        return Math.max(...threats.map(threat => {
+            if (threat.distance < this.panicRange) return 1;
+
+            const danger = Math.min(1, threat.threatLevel - 1);
+            return (1 - threat.distance / this.fleeRange) * (0.5 + danger * 0.5);
+        }));
+    }
+
     findThreats(bot, targets) {
         const threats = [];
         
         for (const target of targets) {
-            if (target === bot) continue;
+            if (target === bot || this.isFood(target)) continue;
             
             const distance = Utils.distance(bot.x, bot.y, target.x, target.y);
             if (distance > this.fleeRange) continue;
@@ -160,30 +221,24 @@ export class FleeBehavior extends BaseBehavior {
         return threats.sort((a, b) => b.threatLevel - a.threatLevel);
     }
 
+    // Threats push from where they are and from where they're heading, walls
+    // push back, and the lowest point of the field around us is the way out
     calculateFleeDirection(bot, threats) {
-        let fleeX = 0;
-        let fleeY = 0;
+        const field = this.createField(bot);
 
         for (const threat of threats) {
-            const dx = bot.x - threat.entity.x;
-            const dy = bot.y - threat.entity.y;
-            const distance = threat.distance;
-            
-            if (distance > 0) {
-                // Weight by inverse distance and threat level
-                const weight = (threat.threatLevel / distance) * 100;
-                fleeX += (dx / distance) * weight;
-                fleeY += (dy / distance) * weight;
-            }
-        }
+            const strength = Math.min(3, threat.threatLevel);
+            const radius = threat.entity.radius || 0;
+            const predicted = this.predictPosition(bot, threat.entity, this.escapeHorizon);
 
-        // Normalize
-        const magnitude = Math.sqrt(fleeX * fleeX + fleeY * fleeY);
-        if (magnitude > 0) {
-            return { x: fleeX / magnitude, y: fleeY / magnitude };
+            field.repel(threat.entity.x, threat.entity.y, strength, this.fleeRange, radius);
+            field.repel(predicted.x, predicted.y, strength, this.fleeRange, radius);
         }
 
-        return { x: Math.random() - 0.5, y: Math.random() - 0.5 };
+        const direction = field.bestDirection(bot.x, bot.y, this.escapeDistance);
+        if (direction) return direction;
+
+        return { x: simulation.random() - 0.5, y: simulation.random() - 0.5 };
     }
 
     shouldSplitFlee(bot, threats) {
@@ -210,7 +265,7 @@ export class WanderBehavior extends BaseBehavior {
         
         if (this.directionChangeTime <= 0) {
             this.currentDirection = this.generateRandomDirection();
-            this.directionChangeTime = Utils.randomFloat(2000, 5000); // 2-5 seconds
+            this.directionChangeTime = Utils.random(2000, 5000); // 2-5 seconds
         }
 
         // Look for food while wandering
@@ -231,8 +286,13 @@ export class WanderBehavior extends BaseBehavior {
         };
     }
 
+    // Fallback when nothing else is worth doing
+    score(bot, targets) {
+        return 0.1;
+    }
+
     generateRandomDirection() {
-        const angle = Math.random() * Math.PI * 2;
+        const angle = simulation.random() * Math.PI * 2;
         return {
             x: Math.cos(angle),
             y: Math.sin(angle)
@@ -244,7 +304,7 @@ export class WanderBehavior extends BaseBehavior {
         let closestDistance = 150; // Search radius
 
         for (const target of targets) {
-            if (target.type !== 'food') continue;
+            if (!this.isFood(target)) continue;
             
             const distance = Utils.distance(bot.x, bot.y, target.x, target.y);
             if (distance < closestDistance) {
@@ -277,12 +337,13 @@ export class SplitBehavior extends BaseBehavior {
         const distance = Utils.distance(bot.x, bot.y, target.x, target.y);
         
         if (distance < 120 && bot.totalMass > target.totalMass * 1.3) {
+            const aim = this.aimAt(bot, target);
             this.cooldown = this.splitCooldown;
             return {
                 action: 'split_attack',
                 target: target,
-                moveX: target.x,
-                moveY: target.y,
+                moveX: aim.x,
+                moveY: aim.y,
                 shouldSplit: true
             };
         }
@@ -290,13 +351,24 @@ export class SplitBehavior extends BaseBehavior {
         return { action: 'wander', target: null };
     }
 
+    // Only when a split would land on prey worth the risk
+    score(bot, targets) {
+        if (!this.canSplit(bot)) return 0;
+
+        const target = this.findSplitTarget(bot, targets);
+        if (!target || bot.totalMass < target.totalMass * 1.3) return 0;
+
+        const worth = Math.min(1, (target.totalMass / bot.totalMass) * 3);
+        return 0.9 * this.proximity(bot, target, 150) * worth;
+    }
+
     canSplit(bot) {
         return bot.cells.length < 4 && bot.totalMass > 70 && this.cooldown <= 0;
     }
 
     findSplitTarget(bot, targets) {
         for (const target of targets) {
-            if (target === bot || target.type === 'food') continue;
+            if (target === bot || this.isFood(target)) continue;
             
             const distance = Utils.distance(bot.x, bot.y, target.x, target.y);
             if (distance < 150 && bot.totalMass > target.totalMass * 1.2) {
@@ -319,22 +391,31 @@ export class AggressiveBehavior extends BaseBehavior {
         if (!target) return { action: 'wander', target: null };
 
         const distance = Utils.distance(bot.x, bot.y, target.x, target.y);
+        const aim = this.aimAt(bot, target);
         
         return {
             action: 'aggressive_chase',
             target: target,
-            moveX: target.x,
-            moveY: target.y,
+            moveX: aim.x,
+            moveY: aim.y,
             shouldSplit: distance < 100 && bot.totalMass > target.totalMass * 1.4
         };
     }
 
+    // Like hunting but from further away and against closer-sized targets
+    score(bot, targets) {
+        const target = this.findAggressiveTarget(bot, targets);
+        if (!target) return 0;
+
+        return 0.7 * this.proximity(bot, target, this.aggressionRange);
+    }
+
     findAggressiveTarget(bot, targets) {
         let bestTarget = null;
         let bestScore = 0;
 
         for (const target of targets) {
-            if (target === bot || target.type === 'food') continue;
+            if (target === bot || this.isFood(target)) continue;
             
             const distance = Utils.distance(bot.x, bot.y, target.x, target.y);
             if (distance > this.aggressionRange) continue;
@@ -388,40 +469,35 @@ export class DefensiveBehavior extends BaseBehavior {
         return { action: 'wander', target: null };
     }
 
+    // Keeps its distance before a threat is close enough to need fleeing
+    score(bot, targets) {
+        const threats = this.findNearbyThreats(bot, targets);
+        if (threats.length === 0) return 0;
+
+        return 0.6 * Math.max(...threats.map(threat => this.proximity(bot, threat, this.safeDistance)));
+    }
+
     findNearbyThreats(bot, targets) {
         return targets.filter(target => {
-            if (target === bot || target.type === 'food') return false;
+            if (target === bot || this.isFood(target)) return false;
             const distance = Utils.distance(bot.x, bot.y, target.x, target.y);
             return distance < this.safeDistance && target.totalMass > bot.totalMass * 1.1;
         });
     }
 
+    // Lowest point of a field pushed up around each threat and along the walls
     calculateAvoidanceDirection(bot, threats) {
-        let avoidX = 0;
-        let avoidY = 0;
+        const field = this.createField(bot);
 
         for (const threat of threats) {
-            const dx = bot.x - threat.x;
-            const dy = bot.y - threat.y;
-            const distance = Utils.distance(bot.x, bot.y, threat.x, threat.y);
-            
-            if (distance > 0) {
-                const weight = 1 / distance;
-                avoidX += (dx / distance) * weight;
-                avoidY += (dy / distance) * weight;
-            }
+            field.repel(threat.x, threat.y, 1, this.safeDistance, threat.radius || 0);
         }
 
-        const magnitude = Math.sqrt(avoidX * avoidX + avoidY * avoidY);
-        if (magnitude > 0) {
-            return { x: avoidX / magnitude, y: avoidY / magnitude };
-        }
-
-        return { x: 0, y: 0 };
+        return field.bestDirection(bot.x, bot.y, this.safeDistance * 0.5) || { x: 0, y: 0 };
     }
 
     findSafeFood(bot, targets) {
-        const food = targets.filter(t => t.type === 'food');
+        const food = targets.filter(t => this.isFood(t));
         const threats = this.findNearbyThreats(bot, targets);
 
         for (const f of food) {
@@ -477,8 +553,18 @@ export class CollectorBehavior extends BaseBehavior {
         };
     }
 
+    // Steady, low utility that grows with how much food is around
+    score(bot, targets) {
+        const food = this.findOptimalFood(bot, targets);
+        if (!food) return 0;
+
+        const foodCount = targets.filter(t => this.isFood(t)).length;
+        const danger = this.findThreatsNearTarget(bot, targets, food).length > 0 ? 0.5 : 1;
+        return (0.25 + Math.min(1, foodCount / 20) * 0.2) * danger;
+    }
+
     findOptimalFood(bot, targets) {
-        const food = targets.filter(t => t.type === 'food');
+        const food = targets.filter(t => this.isFood(t));
         let bestFood = null;
         let bestScore = 0;
 
@@ -502,14 +588,14 @@ export class CollectorBehavior extends BaseBehavior {
 
     findThreatsNearTarget(bot, targets, target) {
         return targets.filter(t => {
-            if (t === bot || t.type === 'food') return false;
+            if (t === bot || this.isFood(t)) return false;
             const distanceToTarget = Utils.distance(t.x, t.y, target.x, target.y);
             return distanceToTarget < 100 && t.totalMass > bot.totalMass * 1.1;
         });
     }
 
     findAlternativeFood(bot, targets, threats) {
-        const food = targets.filter(t => t.type === 'food');
+        const food = targets.filter(t => this.isFood(t));
         
         for (const f of food) {
             const distance = Utils.distance(bot.x, bot.y, f.x, f.y);
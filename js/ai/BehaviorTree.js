@@ -0,0 +1,166 @@
+// js/ai/BehaviorTree.js
+// Behavior trees built from plain JSON, so bot archetypes can be written as
+// data. A tree is evaluated at each bot decision and picks one action; the
+// action keeps running every frame until the next decision.
+//
+// Node shapes:
+//   { "type": "selector", "children": [...] }   first child that succeeds
+//   { "type": "sequence", "children": [...] }   succeeds if every child does
+//   { "type": "condition", "name": "threatNear", "params": { "range": 120 }, "not": false }
+//   { "type": "action", "name": "flee", "params": {} }
+import { simulation } from '../core/Simulation.js';
+import { Utils } from '../utils/Utils.js';
+import { UTILITY_BEHAVIORS } from './UtilityArbiter.js';
+
+export const SUCCESS = 'success';
+export const FAILURE = 'failure';
+
+// Actions a tree can end in: the AIBehaviors, 'utility' (let the arbiter pick
+// one) and the moves BotAI handles itself ('pack_hunt' follows the bot's BotPack)
+export const BT_ACTIONS = [...UTILITY_BEHAVIORS, 'utility', 'regroup', 'return_to_zone', 'hold', 'pack_hunt'];
+
+const within = (bot, entity, range) => Utils.distance(bot.x, bot.y, entity.x, entity.y) <= range;
+
+// Condition name -> test against the decision context built by BotAI:
+// { ai, bot, threats, prey, food, teammates }. Ranges default to the bot's scan radius.
+export const BT_CONDITIONS = {
+    threatNear: ({ ai, bot, threats }, { range = ai.scanRadius } = {}) =>
+        threats.some(threat => within(bot, threat, range)),
+
+    preyNear: ({ ai, bot, prey }, { range = ai.scanRadius, maxMassRatio = Infinity } = {}) =>
+        prey.some(target => within(bot, target, range) && target.totalMass <= bot.totalMass * maxMassRatio),
+
+    foodNear: ({ ai, bot, food }, { range = ai.scanRadius, minCount = 1 } = {}) =>
+        food.filter(item => within(bot, item, range)).length >= minCount,
+
+    hasTeammates: ({ teammates }, { min = 1 } = {}) =>
+        teammates.length >= min,
+
+    teammateNear: ({ bot, teammates }, { range = 120 } = {}) =>
+        teammates.some(teammate => within(bot, teammate, range)),
+
+    // A teammate close by that could eat the nearest threat
+    protectorNear: ({ ai, threats }) =>
+        threats.length > 0 && ai.findProtector(ai.selectFleeTarget(threats)) !== null,
+
+    leavingSafeZone: ({ ai }) =>
+        ai.isLeavingSafeZone(),
+
+    awayFromAnchor: ({ ai, bot }, { radius = 200 } = {}) =>
+        !!ai.anchor && !within(bot, ai.anchor, radius),
+
+    massAbove: ({ bot }, { mass = 0 } = {}) =>
+        bot.totalMass > mass,
+
+    massBelow: ({ bot }, { mass = Infinity } = {}) =>
+        bot.totalMass < mass,
+
+    canSplit: ({ ai, bot }) =>
+        ai.arbiter.behaviors.get('split').canSplit(bot),
+
+    // Raw utility of one of the AIBehaviors, before personality weighting
+    scoreAbove: ({ ai, bot }, { behavior, value = 0 } = {}) => {
+        const candidate = ai.arbiter.behaviors.get(behavior);
+        return !!candidate && candidate.score(bot, ai.perceived) > value;
+    },
+
+    chance: (context, { probability = 0.5 } = {}) =>
+        simulation.random() < probability
+};
+
+class SelectorNode {
+    constructor(children) {
+        this.children = children;
+    }
+
+    tick(context) {
+        for (const child of this.children) {
+            if (child.tick(context) === SUCCESS) return SUCCESS;
+        }
+        return FAILURE;
+    }
+}
+
+class SequenceNode {
+    constructor(children) {
+        this.children = children;
+    }
+
+    tick(context) {
+        for (const child of this.children) {
+            if (child.tick(context) === FAILURE) return FAILURE;
+        }
+        return SUCCESS;
+    }
+}
+
+class ConditionNode {
+    constructor(name, params, negate) {
+        this.name = name;
+        this.params = params;
+        this.negate = negate;
+    }
+
+    tick(context) {
+        const passed = !!BT_CONDITIONS[this.name](context, this.params);
+        return passed !== this.negate ? SUCCESS : FAILURE;
+    }
+}
+
+// Asks BotAI to start the action; fails when it can't (no prey to hunt, no teammate to regroup with)
+class ActionNode {
+    constructor(name, params) {
+        this.name = name;
+        this.params = params;
+    }
+
+    tick(context) {
+        return context.ai.startAction(this.name, this.params, context) ? SUCCESS : FAILURE;
+    }
+}
+
+export class BehaviorTree {
+    constructor(root) {
+        this.root = root;
+    }
+
+    // Build a tree from its JSON definition, throwing on anything unknown
+    static fromJSON(definition) {
+        return new BehaviorTree(BehaviorTree.buildNode(definition, 'tree'));
+    }
+
+    static buildNode(node, path) {
+        if (!node || typeof node !== 'object') {
+            throw new Error(`${path}: expected a node object`);
+        }
+
+        switch (node.type) {
+            case 'selector':
+            case 'sequence': {
+                if (!Array.isArray(node.children) || node.children.length === 0) {
+                    throw new Error(`${path}: ${node.type} needs at least one child`);
+                }
+                const children = node.children.map((child, i) =>
+                    BehaviorTree.buildNode(child, `${path}.children[${i}]`));
+                return node.type === 'selector' ? new SelectorNode(children) : new SequenceNode(children);
+            }
+            case 'condition':
+                if (!Object.prototype.hasOwnProperty.call(BT_CONDITIONS, node.name)) {
+                    throw new Error(`${path}: unknown condition "${node.name}"`);
+                }
+                return new ConditionNode(node.name, node.params || {}, node.not === true);
+            case 'action':
+                if (!BT_ACTIONS.includes(node.name)) {
+                    throw new Error(`${path}: unknown action "${node.name}"`);
+                }
+                return new ActionNode(node.name, node.params || {});
+            default:
+                throw new Error(`${path}: unknown node type "${node.type}"`);
+        }
+    }
+
+    // Run the tree; true if it reached an action
+    tick(context) {
+        return this.root.tick(context) === SUCCESS;
+    }
+}
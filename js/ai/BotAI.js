@@ -1,4 +1,12 @@
 // BotAI.js - AI behavior system for bots
+import { simulation } from '../core/Simulation.js';
+import { CONFIG } from '../core/Config.js';
+import { Utils } from '../utils/Utils.js';
+import { UtilityArbiter } from './UtilityArbiter.js';
+import { BotArchetypes, DEFAULT_ARCHETYPE } from './BotArchetypes.js';
+import { MotionTracker } from './MotionTracker.js';
+import { PotentialField } from './PotentialField.js';
+
 class BotAI {
     constructor(bot, difficulty = 'medium') {
         this.bot = bot;
@@ -16,6 +24,35 @@ class BotAI {
         this.memoryDuration = 3000; // 3 seconds
         this.threatMemory = new Map();
         this.opportunityMemory = new Map();
+        
+        // Recent movement of the bot and the rivals around it, for leading targets
+        this.motion = new MotionTracker();
+        this.leadTime = this.calculateLeadTime();
+        
+        // Steering - the move target pulls, threats, walls and viruses push back.
+        // BotManager fills in the world bounds and the viruses to avoid.
+        this.field = new PotentialField();
+        this.worldBounds = null;
+        this.obstacles = null;
+        
+        // Scores the AIBehaviors each decision and keeps the winner running
+        this.arbiter = new UtilityArbiter();
+        this.perceived = [];
+        
+        // Behavior tree and tuning; BotManager picks one per bot
+        this.archetype = BotArchetypes.get(DEFAULT_ARCHETYPE);
+        
+        // Where the bot made its first decision - campers hold around it
+        this.anchor = null;
+        
+        // Team mode - nearby teammates, refreshed every decision
+        this.teammates = [];
+        
+        // Pack hunting - the BotPack this bot runs with, set by BotManager
+        this.pack = null;
+        
+        // Battle royale - the live safe zone circle, set by BotManager
+        this.safeZone = null;
     }
 
     // Calculate scan radius based on difficulty
@@ -54,13 +91,29 @@ class BotAI {
         return baseAggression * (multipliers[this.difficulty] || 0.5);
     }
 
+    // Calculate how far ahead (ms) the bot looks when leading a moving target
+    calculateLeadTime() {
+        const baseLead = 1000;
+        const multipliers = {
+            easy: 0.25,
+            medium: 0.5,
+            hard: 0.75,
+            expert: 1.0
+        };
+        return baseLead * (multipliers[this.difficulty] || 0.5);
+    }
+
     // Main AI update function
     update(deltaTime, nearbyEntities, gameTime) {
+        nearbyEntities = this.normalizeEntities(nearbyEntities);
+        this.motion.record([this.bot, ...nearbyEntities.filter(entity => entity !== this.bot && this.isRival(entity))], gameTime);
+        
         // Update memories
         this.updateMemories(gameTime);
         
         // Check if stuck and handle it
-        this.checkIfStuck();
+        this.checkIfStuck(gameTime);
+        this.arbiter.update(deltaTime);
         
         // Make decision if cooldown has passed
         if (gameTime - this.lastDecisionTime >= this.decisionCooldown) {
@@ -75,39 +128,131 @@ class BotAI {
         this.lastPosition = { x: this.bot.x, y: this.bot.y };
     }
 
+    // Flatten nearby entities - BotManager groups them by kind, GameLoop wraps them as { entity, distance }
+    normalizeEntities(nearbyEntities) {
+        if (!nearbyEntities) return [];
+        
+        const list = Array.isArray(nearbyEntities) ? nearbyEntities : [
+            ...(nearbyEntities.players || []),
+            ...(nearbyEntities.bots || []),
+            ...(nearbyEntities.food || [])
+        ];
+        
+        return list.map(item => item.entity || item);
+    }
+
     // Main decision-making logic
     makeDecision(nearbyEntities, gameTime) {
         const threats = this.findThreats(nearbyEntities);
         const prey = this.findPrey(nearbyEntities);
         const food = this.findFood(nearbyEntities);
+        this.teammates = this.findTeammates(nearbyEntities);
         
         // Store important entities in memory
         this.updateThreatMemory(threats, gameTime);
         this.updateOpportunityMemory(prey, food, gameTime);
         
-        // Decision priority system
-        if (threats.length > 0) {
-            this.currentBehavior = 'flee';
-            this.target = this.selectFleeTarget(threats);
-        } else if (this.shouldSplit(prey)) {
-            this.currentBehavior = 'split_attack';
-            this.target = this.selectBestPrey(prey);
-        } else if (prey.length > 0 && Math.random() < this.aggressionLevel) {
-            this.currentBehavior = 'hunt';
-            this.target = this.selectBestPrey(prey);
-        } else if (food.length > 0) {
-            this.currentBehavior = 'collect';
-            this.target = this.selectBestFood(food);
-        } else {
-            this.currentBehavior = 'wander';
-            this.target = this.generateWanderTarget();
+        // Pack mates pool what they've seen and warn each other of threats
+        if (this.pack) {
+            this.pack.share(this.bot, threats, prey, gameTime);
+            for (const threat of this.pack.getKnownThreats(this.bot, this.scanRadius * 1.5)) {
+                if (!threats.includes(threat)) threats.push(threat);
+            }
+        }
+        
+        // Rivals and food the behaviors get to see
+        this.perceived = [...threats, ...prey, ...food];
+        
+        if (!this.anchor) {
+            this.anchor = { x: this.bot.x, y: this.bot.y };
+        }
+        
+        const context = { ai: this, bot: this.bot, threats, prey, food, teammates: this.teammates, gameTime };
+        if (!this.archetype.tree.tick(context)) {
+            this.startAction('wander', {}, context);
         }
     }
 
+    // Start a behavior tree action. Returns false when it has nothing to act on.
+    startAction(name, params, context) {
+        switch (name) {
+            case 'return_to_zone':
+                if (!this.safeZone) return false;
+                this.target = this.safeZone;
+                break;
+                
+            case 'regroup': {
+                // Prefer a teammate that can cover us, otherwise stick to the nearest one
+                const protector = context.threats.length > 0
+                    ? this.findProtector(this.selectFleeTarget(context.threats))
+                    : null;
+                const teammate = protector || (this.teammates.length > 0 ? this.selectFleeTarget(this.teammates) : null);
+                if (!teammate) return false;
+                this.target = teammate;
+                break;
+            }
+                
+            case 'hold':
+                this.target = this.anchor;
+                break;
+                
+            case 'pack_hunt':
+                // Only once the pack has picked prey this bot can help take
+                if (!this.pack || !this.pack.isAttacker(this.bot)) return false;
+                this.target = this.pack.target;
+                break;
+                
+            case 'utility':
+                name = this.arbiter.select(
+                    this.bot, this.perceived, this.getTraits(), context.gameTime,
+                    { hunt: this.scoreTeamHunt(context.prey) });
+                this.target = null;
+                break;
+                
+            default: {
+                // One of the AIBehaviors - only worth starting if it scores at all
+                const behavior = this.arbiter.behaviors.get(name);
+                if (!behavior.canExecute(this.bot) || behavior.score(this.bot, this.perceived) <= 0) return false;
+                if (this.arbiter.currentType !== name) {
+                    this.arbiter.commit(name, context.gameTime);
+                }
+                this.target = null;
+            }
+        }
+        
+        this.currentBehavior = name;
+        return true;
+    }
+
+    // Switch archetype, applying its personality and tuning on top of the difficulty
+    setArchetype(id) {
+        this.archetype = BotArchetypes.get(id);
+        this.bot.personalityTraits = { ...this.bot.personalityTraits, ...this.archetype.traits };
+        this.applyArchetypeTuning();
+    }
+
+    applyArchetypeTuning() {
+        const tuning = this.archetype.tuning;
+        this.scanRadius *= tuning.scanRadius || 1;
+        this.decisionCooldown *= tuning.decisionCooldown || 1;
+        this.aggressionLevel = Math.min(1, this.aggressionLevel * (tuning.aggression || 1));
+    }
+
+    // Personality traits the arbiter weighs scores by, with aggression tied to difficulty
+    getTraits() {
+        const traits = this.bot.personalityTraits || {};
+        const aggression = traits.aggression !== undefined
+            ? (traits.aggression + this.aggressionLevel) / 2
+            : this.aggressionLevel;
+        
+        return { ...traits, aggression };
+    }
+
     // Find threatening entities
     findThreats(entities) {
         return entities.filter(entity => {
-            if (entity === this.bot || entity.type !== 'cell') return false;
+            if (entity === this.bot || !this.isRival(entity)) return false;
+            if (Utils.isFriendly(this.bot, entity) || this.isPackMate(entity)) return false;
             
             const distance = this.calculateDistance(entity);
             if (distance > this.scanRadius) return false;
@@ -119,7 +264,8 @@ class BotAI {
     // Find prey entities
     findPrey(entities) {
         return entities.filter(entity => {
-            if (entity === this.bot || entity.type !== 'cell') return false;
+            if (entity === this.bot || !this.isRival(entity)) return false;
+            if (Utils.isFriendly(this.bot, entity) || this.isPackMate(entity)) return false;
             
             const distance = this.calculateDistance(entity);
             if (distance > this.scanRadius) return false;
@@ -128,16 +274,54 @@ class BotAI {
         });
     }
 
+    isPackMate(entity) {
+        return !!this.pack && this.pack.has(entity);
+    }
+
+    // Players and bots - anything with cells that isn't food
+    isRival(entity) {
+        return !entity.isFood && Array.isArray(entity.cells) && entity.isAlive !== false;
+    }
+
     // Find food entities
     findFood(entities) {
         return entities.filter(entity => {
-            if (entity.type !== 'food') return false;
+            if (!entity.isFood) return false;
             
             const distance = this.calculateDistance(entity);
             return distance <= this.scanRadius;
         });
     }
 
+    // Near the edge of (or outside) the battle royale zone
+    isLeavingSafeZone() {
+        if (!this.safeZone) return false;
+        
+        const distance = Utils.distance(this.bot.x, this.bot.y, this.safeZone.x, this.safeZone.y);
+        return distance > this.safeZone.radius * 0.85;
+    }
+    
+    // Find teammates in scan range (team mode only)
+    findTeammates(entities) {
+        if (this.bot.teamId === null || this.bot.teamId === undefined) return [];
+        
+        return entities.filter(entity => {
+            if (entity === this.bot || !Utils.isSameTeam(this.bot, entity)) return false;
+            if (entity.isFood || entity.isAlive === false) return false;
+            
+            return this.calculateDistance(entity) <= this.scanRadius;
+        });
+    }
+    
+    // Nearest teammate that could eat the threat
+    findProtector(threat) {
+        const protectors = this.teammates.filter(teammate => this.canEntityAbsorb(teammate, threat));
+        if (protectors.length === 0) return null;
+        
+        return protectors.reduce((closest, teammate) =>
+            this.calculateDistance(teammate) < this.calculateDistance(closest) ? teammate : closest);
+    }
+    
     // Check if one entity can absorb another
     canEntityAbsorb(absorber, target) {
         const totalMass = absorber.cells ? 
@@ -150,15 +334,6 @@ class BotAI {
         return totalMass > targetMass * 1.1; // 10% mass advantage needed
     }
 
-    // Check if bot should attempt splitting
-    shouldSplit(prey) {
-        if (this.bot.cells.length >= 4) return false; // Too many cells already
-        if (this.bot.totalMass < 70) return false; // Not enough mass to split effectively
-        
-        const largePrey = prey.filter(p => p.mass > this.bot.totalMass * 0.3);
-        return largePrey.length > 0 && Math.random() < 0.3;
-    }
-
     // Select best flee target (run away from)
     selectFleeTarget(threats) {
         return threats.reduce((closest, threat) => {
@@ -168,38 +343,24 @@ class BotAI {
         });
     }
 
-    // Select best prey target
-    selectBestPrey(prey) {
-        return prey.reduce((best, target) => {
-            const targetScore = this.scorePrey(target);
-            const bestScore = this.scorePrey(best);
-            return targetScore > bestScore ? target : best;
-        });
-    }
-
-    // Score prey based on mass and distance
-    scorePrey(prey) {
-        const distance = this.calculateDistance(prey);
-        const massRatio = prey.mass / this.bot.totalMass;
-        const distanceScore = Math.max(0, 1 - distance / this.scanRadius);
-        const massScore = Math.min(1, massRatio * 2); // Prefer bigger prey up to a point
+    // Extra hunt utility for ganging up on prey that teammates are already close to
+    scoreTeamHunt(prey) {
+        if (this.teammates.length === 0) return 0;
         
-        return (distanceScore * 0.6 + massScore * 0.4) * 100;
-    }
-
-    // Select best food target
-    selectBestFood(food) {
-        return food.reduce((closest, foodItem) => {
-            const distance = this.calculateDistance(foodItem);
-            const closestDistance = this.calculateDistance(closest);
-            return distance < closestDistance ? foodItem : closest;
-        });
+        let best = 0;
+        for (const target of prey) {
+            const teammatesNearby = this.teammates.filter(teammate =>
+                Utils.distance(teammate.x, teammate.y, target.x, target.y) <= this.scanRadius).length;
+            best = Math.max(best, Math.min(1, teammatesNearby * 0.5));
+        }
+        
+        return best * 0.2;
     }
 
     // Generate random wander target
     generateWanderTarget() {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 100 + Math.random() * 200;
+        const angle = simulation.random() * Math.PI * 2;
+        const distance = 100 + simulation.random() * 200;
         
         return {
             x: this.bot.x + Math.cos(angle) * distance,
@@ -211,50 +372,40 @@ class BotAI {
     // Execute current behavior
     executeBehavior(deltaTime, nearbyEntities) {
         switch (this.currentBehavior) {
-            case 'flee':
-                this.executeFlee();
-                break;
-            case 'hunt':
-                this.executeHunt();
-                break;
-            case 'split_attack':
-                this.executeSplitAttack();
-                break;
-            case 'collect':
-                this.executeCollect();
-                break;
-            case 'wander':
-                this.executeWander();
-                break;
+            case 'regroup':
+                this.executeRegroup();
+                return;
+            case 'return_to_zone':
+                this.moveTowards(this.safeZone);
+                return;
+            case 'hold':
+                this.moveTowards(this.anchor);
+                return;
+            case 'pack_hunt':
+                this.executePackHunt();
+                return;
         }
-    }
-
-    // Flee behavior - run away from threats
-    executeFlee() {
-        if (!this.target) return;
         
-        const fleeDirection = {
-            x: this.bot.x - this.target.x,
-            y: this.bot.y - this.target.y
-        };
+        const behavior = this.arbiter.current;
+        const result = behavior ? behavior.execute(this.bot, this.perceived, deltaTime) : {};
         
-        const length = Math.sqrt(fleeDirection.x ** 2 + fleeDirection.y ** 2);
-        if (length > 0) {
-            fleeDirection.x /= length;
-            fleeDirection.y /= length;
+        // Nothing left to act on - drift until the next decision
+        if (result.moveX === undefined) {
+            this.executeWander();
+            return;
         }
         
-        const fleeTarget = {
-            x: this.bot.x + fleeDirection.x * 200,
-            y: this.bot.y + fleeDirection.y * 200
-        };
+        this.target = result.target || null;
+        this.moveTowards({ x: result.moveX, y: result.moveY });
         
-        this.moveTowards(fleeTarget);
+        if (result.shouldSplit) {
+            this.bot.split(result.moveX, result.moveY);
+        }
     }
 
-    // Hunt behavior - chase prey
-    executeHunt() {
-        if (!this.target || this.calculateDistance(this.target) > this.scanRadius * 1.5) {
+    // Regroup behavior - move to a teammate that can cover us
+    executeRegroup() {
+        if (!this.target || this.target.isAlive === false) {
             this.currentBehavior = 'wander';
             return;
         }
@@ -262,27 +413,23 @@ class BotAI {
         this.moveTowards(this.target);
     }
 
-    // Split attack behavior
-    executeSplitAttack() {
-        if (!this.target) return;
+    // Pack hunt - take our flank around the pack's prey and split when the pack does
+    executePackHunt() {
+        const point = this.pack ? this.pack.getFlankPoint(this.bot) : null;
+        if (!point) {
+            this.currentBehavior = 'wander';
+            return;
+        }
         
-        const distance = this.calculateDistance(this.target);
+        this.target = this.pack.target;
+        this.moveTowards(point);
         
-        if (distance < 100 && this.bot.cells.length < 4) {
-            // Attempt to split towards target
-            this.bot.split(this.target.x, this.target.y);
-        } else {
-            this.moveTowards(this.target);
+        if (this.pack.takeVolley(this.bot)) {
+            const aim = this.getAimPoint(this.target);
+            this.bot.split(aim.x, aim.y);
         }
     }
 
-    // Collect behavior - gather food
-    executeCollect() {
-        if (!this.target) return;
-        
-        this.moveTowards(this.target);
-    }
-
     // Wander behavior - random movement
     executeWander() {
         if (!this.target || this.calculateDistance(this.target) < 50) {
@@ -296,27 +443,76 @@ class BotAI {
     moveTowards(target) {
         if (!target) return;
         
-        const direction = {
-            x: target.x - this.bot.x,
-            y: target.y - this.bot.y
-        };
-        
-        const length = Math.sqrt(direction.x ** 2 + direction.y ** 2);
-        if (length > 0) {
-            direction.x /= length;
-            direction.y /= length;
+        // Lead players and bots we've been tracking rather than trail behind them
+        if (this.motion.has(target)) {
+            target = this.getAimPoint(target);
         }
         
+        const direction = this.steer(target);
+        
         // Apply movement with some randomness for more natural behavior
         const randomOffset = 0.1;
-        direction.x += (Math.random() - 0.5) * randomOffset;
-        direction.y += (Math.random() - 0.5) * randomOffset;
+        direction.x += (simulation.random() - 0.5) * randomOffset;
+        direction.y += (simulation.random() - 0.5) * randomOffset;
         
         // Set bot's target position for movement system
         this.bot.targetX = this.bot.x + direction.x * 1000;
         this.bot.targetY = this.bot.y + direction.y * 1000;
     }
 
+    // Heading towards a point through the potential field, bending around
+    // threats, walls and viruses on the way
+    steer(target) {
+        const probe = CONFIG.BOTS.STEERING.PROBE_DISTANCE;
+        const distance = this.calculateDistance(target);
+        
+        // Scaling the pull with its range keeps it equally strong near and far
+        const field = this.field.clear().setBounds(this.worldBounds);
+        field.attract(target.x, target.y, distance / probe + 1, distance + probe);
+        this.addHazards(field);
+        
+        const heading = field.bestDirection(this.bot.x, this.bot.y, probe);
+        if (heading) return heading;
+        
+        // Flat field - straight at the target
+        return distance > 0
+            ? { x: (target.x - this.bot.x) / distance, y: (target.y - this.bot.y) / distance }
+            : { x: 0, y: 0 };
+    }
+
+    // Push the field away from rivals that could eat us and viruses we're big enough to pop on
+    addHazards(field) {
+        const settings = CONFIG.BOTS.STEERING;
+        
+        for (const entity of this.perceived) {
+            if (!this.isRival(entity) || !this.canEntityAbsorb(entity, this.bot)) continue;
+            
+            const advantage = Math.min(3, (entity.totalMass || entity.mass) / this.bot.totalMass);
+            field.repel(entity.x, entity.y, settings.THREAT_STRENGTH * advantage, this.scanRadius, entity.radius || 0);
+        }
+        
+        if (!this.obstacles) return;
+        
+        const biggestCell = Math.max(...this.bot.cells.map(cell => cell.mass));
+        for (const virus of this.obstacles) {
+            if (biggestCell <= virus.mass * CONFIG.PHYSICS.ABSORPTION_THRESHOLD) continue;
+            if (this.calculateDistance(virus) > this.scanRadius) continue;
+            
+            field.repel(virus.x, virus.y, settings.OBSTACLE_STRENGTH, settings.OBSTACLE_RANGE, virus.radius + this.bot.radius);
+        }
+    }
+
+    // Where to steer to catch a target - the earliest point on its predicted
+    // path we can reach, or the target itself if we haven't seen it move
+    getAimPoint(target) {
+        return this.motion.intercept(this.bot, target, this.leadTime);
+    }
+
+    // Where an entity is expected to be in `time` ms
+    predictPosition(entity, time) {
+        return this.motion.predictPosition(entity, time);
+    }
+
     // Calculate distance to entity
     calculateDistance(entity) {
         if (!entity) return Infinity;
@@ -327,7 +523,7 @@ class BotAI {
     }
 
     // Check if bot is stuck
-    checkIfStuck() {
+    checkIfStuck(gameTime) {
         const distance = this.calculateDistance(this.lastPosition);
         
         if (distance < 5) {
@@ -337,14 +533,15 @@ class BotAI {
         }
         
         if (this.stuckCounter > this.stuckThreshold) {
-            this.handleStuckState();
+            this.handleStuckState(gameTime);
         }
     }
 
     // Handle when bot is stuck
-    handleStuckState() {
+    handleStuckState(gameTime) {
         this.target = this.generateWanderTarget();
         this.currentBehavior = 'wander';
+        this.arbiter.commit('wander', gameTime);
         this.stuckCounter = 0;
     }
 
@@ -398,7 +595,7 @@ class BotAI {
 
     // Calculate value of an opportunity
     calculateOpportunityValue(opportunity) {
-        if (opportunity.type === 'food') {
+        if (opportunity.isFood) {
             const distance = this.calculateDistance(opportunity);
             return Math.max(0, 1 - distance / this.scanRadius) * 10;
         } else {
@@ -415,11 +612,14 @@ class BotAI {
     getBehaviorState() {
         return {
             behavior: this.currentBehavior,
+            archetype: this.archetype.id,
+            pack: this.pack ? this.pack.id : null,
             target: this.target ? {
                 type: this.target.type,
                 distance: this.calculateDistance(this.target)
             } : null,
             aggressionLevel: this.aggressionLevel,
+            scores: { ...this.arbiter.lastScores },
             threatCount: this.threatMemory.size,
             opportunityCount: this.opportunityMemory.size,
             isStuck: this.stuckCounter > this.stuckThreshold * 0.5
@@ -432,6 +632,8 @@ class BotAI {
         this.scanRadius = this.calculateScanRadius();
         this.decisionCooldown = this.calculateDecisionCooldown();
         this.aggressionLevel = this.calculateAggression();
+        this.leadTime = this.calculateLeadTime();
+        this.applyArchetypeTuning();
     }
 
     // Reset AI state
@@ -442,6 +644,10 @@ class BotAI {
         this.stuckCounter = 0;
         this.threatMemory.clear();
         this.opportunityMemory.clear();
+        this.motion.clear();
+        this.arbiter.reset();
+        this.perceived = [];
+        this.anchor = null;
         this.lastDecisionTime = 0;
     }
 }
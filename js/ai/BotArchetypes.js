@@ -0,0 +1,161 @@
+// js/ai/BotArchetypes.js
+// Registry of bot archetypes - a behavior tree plus personality and tuning,
+// written as JSON. 'standard' is built in; the rest are loaded at runtime from
+// data/bots/ (see manifest.json there), so new kinds of bot need no code.
+//
+// {
+//   "id": "camper",
+//   "name": "Camper",
+//   "description": "...",
+//   "traits": { "caution": 0.9 },                 personality overrides, 0..1
+//   "tuning": { "scanRadius": 1.2 },              multipliers on the difficulty values
+//   "tree": { "type": "selector", "children": [...] }
+// }
+import { BehaviorTree } from './BehaviorTree.js';
+
+export const DEFAULT_ARCHETYPE = 'standard';
+
+// Multipliers an archetype may apply on top of its bot's difficulty
+export const ARCHETYPE_TUNING = ['scanRadius', 'decisionCooldown', 'aggression'];
+
+const TRAITS = ['aggression', 'caution', 'persistence', 'teamwork', 'riskTaking'];
+
+// Stay in the battle royale zone, hide behind teammates, hunt with the pack
+// when nothing threatens, otherwise let the utility arbiter choose
+const STANDARD_ARCHETYPE = {
+    id: DEFAULT_ARCHETYPE,
+    name: 'Standard',
+    description: 'Weighs every behavior by its personality and picks the best',
+    tree: {
+        type: 'selector',
+        children: [
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'condition', name: 'leavingSafeZone' },
+                    { type: 'action', name: 'return_to_zone' }
+                ]
+            },
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'condition', name: 'protectorNear' },
+                    { type: 'action', name: 'regroup' }
+                ]
+            },
+            {
+                type: 'sequence',
+                children: [
+                    { type: 'condition', name: 'threatNear', not: true },
+                    { type: 'action', name: 'pack_hunt' }
+                ]
+            },
+            { type: 'action', name: 'utility' }
+        ]
+    }
+};
+
+const archetypes = new Map();
+
+export class BotArchetypes {
+    // Validate a definition and compile its tree. Throws with the offending path.
+    static compile(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Archetype must be an object');
+        }
+        if (typeof definition.id !== 'string' || definition.id === '') {
+            throw new Error('Archetype needs an id');
+        }
+
+        const traits = {};
+        for (const [trait, value] of Object.entries(definition.traits || {})) {
+            if (!TRAITS.includes(trait) || typeof value !== 'number' || value < 0 || value > 1) {
+                throw new Error(`${definition.id}: trait "${trait}" must be one of ${TRAITS.join(', ')} between 0 and 1`);
+            }
+            traits[trait] = value;
+        }
+
+        const tuning = {};
+        for (const [key, value] of Object.entries(definition.tuning || {})) {
+            if (!ARCHETYPE_TUNING.includes(key) || typeof value !== 'number' || value <= 0) {
+                throw new Error(`${definition.id}: tuning "${key}" must be one of ${ARCHETYPE_TUNING.join(', ')} and positive`);
+            }
+            tuning[key] = value;
+        }
+
+        let tree;
+        try {
+            tree = BehaviorTree.fromJSON(definition.tree);
+        } catch (error) {
+            throw new Error(`${definition.id}: ${error.message}`);
+        }
+
+        return {
+            id: definition.id,
+            name: definition.name || definition.id,
+            description: definition.description || '',
+            traits,
+            tuning,
+            tree
+        };
+    }
+
+    // Add or replace an archetype
+    static register(definition) {
+        const archetype = BotArchetypes.compile(definition);
+        archetypes.set(archetype.id, archetype);
+        return archetype;
+    }
+
+    // Register the archetype in a JSON string
+    static registerJSON(json) {
+        return BotArchetypes.register(JSON.parse(json));
+    }
+
+    // Unknown ids fall back to the standard archetype
+    static get(id) {
+        return archetypes.get(id) || archetypes.get(DEFAULT_ARCHETYPE);
+    }
+
+    static has(id) {
+        return archetypes.has(id);
+    }
+
+    static list() {
+        return Array.from(archetypes.values(), ({ id, name, description }) => ({ id, name, description }));
+    }
+
+    // Fetch and register one archetype file
+    static async loadFromUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load archetype ${url}: ${response.status}`);
+        }
+        return BotArchetypes.register(await response.json());
+    }
+
+    // Load every file listed in a manifest ({ "archetypes": ["camper.json", ...] }).
+    // A broken file is reported and skipped so the others still load.
+    static async loadManifest(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load archetype manifest ${url}: ${response.status}`);
+        }
+
+        const manifest = await response.json();
+        const baseUrl = new URL(url, globalThis.location ? globalThis.location.href : undefined);
+        const loaded = [];
+
+        for (const file of manifest.archetypes || []) {
+            try {
+                loaded.push(await BotArchetypes.loadFromUrl(new URL(file, baseUrl).href));
+            } catch (error) {
+                console.warn(`Skipping bot archetype ${file}:`, error);
+            }
+        }
+
+        return loaded;
+    }
+}
+
+BotArchetypes.register(STANDARD_ARCHETYPE);
@@ -3,12 +3,18 @@ import Bot from '../entities/Bot.js';
 import { Food } from '../entities/Food.js';
 import { Utils } from '../utils/Utils.js';
 import { CONFIG } from '../core/Config.js';
+import { simulation } from '../core/Simulation.js';
+import { BotArchetypes, DEFAULT_ARCHETYPE } from './BotArchetypes.js';
+import CompanionAI from './CompanionAI.js';
+import { BotPack } from './BotPack.js';
+import { BroadphaseFactory } from '../physics/broadphase/BroadphaseFactory.js';
 
 export class BotManager {
     constructor(game) {
         this.game = game;
         this.bots = [];
         this.maxBots = CONFIG.BOTS.COUNT;
+        this.respawnEnabled = true; // Off in battle royale, dead bots stay dead
         this.spawnDelay = CONFIG.BOTS.DECISION_INTERVAL;
         this.lastSpawn = 0;
         this.worldBounds = null;
@@ -18,6 +24,28 @@ export class BotManager {
             hard: 0.2
         };
         
+        // Share of bots per archetype id (see BotArchetypes)
+        this.archetypeDistribution = {
+            [DEFAULT_ARCHETYPE]: 1
+        };
+        
+        // Where new bots may spawn. They keep minDistance from everyone; the
+        // difficulty director can also name a focus player that bots keep
+        // focusDistance from, with focusShare of them spawning around it
+        this.spawnRules = {
+            minDistance: 150,
+            focus: null,
+            focusDistance: 150,
+            focusShare: 0,
+            focusRadius: 1000
+        };
+        
+        // Packs of bots hunting together, and which difficulties form them
+        this.packs = [];
+        this.packDifficulties = { ...CONFIG.BOTS.PACKS.DIFFICULTIES };
+        this.nextPackId = 1;
+        this.lastPackUpdate = 0;
+        
         // Bot name pools
         this.botNames = [
             'Alpha', 'Beta', 'Gamma', 'Delta', 'Epsilon', 'Zeta',
@@ -30,6 +58,10 @@ export class BotManager {
         this.usedNames = new Set();
         this.botUpdateInterval = 16;
         this.lastBotUpdate = 0;
+        
+        // Players, bots and food, indexed once per AI update for every bot to look around in
+        this.perception = BroadphaseFactory.create();
+        this.perceivedBots = new Set();
     }
     
     initialize(worldBounds) {
@@ -52,6 +84,8 @@ export class BotManager {
             this.lastBotUpdate = currentTime;
         }
         
+        this.updatePacks(simulation.now());
+        
         // Spawn new bots if needed
         this.maintainBotPopulation(currentTime);
         
@@ -68,7 +102,9 @@ export class BotManager {
     }
     
     maintainBotPopulation(currentTime) {
-        if (this.bots.length < this.maxBots && 
+        if (!this.respawnEnabled) return;
+        
+        if (this.bots.filter(bot => !bot.isCompanion).length < this.maxBots && 
             currentTime - this.lastSpawn >= this.spawnDelay) {
             
             this.spawnBot();
@@ -76,12 +112,16 @@ export class BotManager {
         }
     }
     
-    spawnBot(difficulty = null) {
+    spawnBot(difficulty = null, archetype = null) {
         // Determine bot difficulty
         if (!difficulty) {
             difficulty = this.selectRandomDifficulty();
         }
         
+        if (!archetype) {
+            archetype = this.selectRandomArchetype();
+        }
+        
         // Find safe spawn position
         const spawnPos = this.findSafeSpawnPosition();
         if (!spawnPos) return null;
@@ -95,6 +135,12 @@ export class BotManager {
         
         // Set bot properties based on difficulty
         this.configureBotByDifficulty(bot, difficulty);
+        bot.ai.setArchetype(archetype);
+        
+        // Team mode - bots fill up the smallest team
+        if (this.game.teamSystem) {
+            this.game.teamSystem.assignPlayer(bot);
+        }
         
         // Add to bot list
         this.bots.push(bot);
@@ -103,7 +149,7 @@ export class BotManager {
     }
     
     selectRandomDifficulty() {
-        const rand = Math.random();
+        const rand = simulation.random();
         let cumulative = 0;
         
         for (const [difficulty, probability] of Object.entries(this.difficultyDistribution)) {
@@ -116,9 +162,26 @@ export class BotManager {
         return 'medium';
     }
     
+    selectRandomArchetype() {
+        const entries = Object.entries(this.archetypeDistribution);
+        if (entries.length === 1) return entries[0][0];
+        
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let rand = simulation.random() * total;
+        
+        for (const [archetype, weight] of entries) {
+            rand -= weight;
+            if (rand <= 0) {
+                return archetype;
+            }
+        }
+        
+        return DEFAULT_ARCHETYPE;
+    }
+    
     findSafeSpawnPosition() {
         const maxAttempts = 50;
-        const minDistanceFromPlayers = 150;
+        const { minDistance, focus, focusDistance, focusShare, focusRadius } = this.spawnRules;
         
         // Use stored worldBounds instead of this.game.worldBounds
         const worldBounds = this.worldBounds || {
@@ -128,36 +191,50 @@ export class BotManager {
             bottom: CONFIG.WORLD_HEIGHT
         };
         
+        // Try to get players from different possible sources
+        let players = [];
+        if (this.game.getAllPlayers && typeof this.game.getAllPlayers === 'function') {
+            players = this.game.getAllPlayers();
+        } else if (this.game.players && Array.isArray(this.game.players)) {
+            players = this.game.players;
+        } else if (this.game.player) {
+            players = [this.game.player];
+        }
+        
+        const hasFocus = !!focus && focus.isAlive !== false;
+        const nearFocus = hasFocus && focusShare > 0 && simulation.random() < focusShare;
+        
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            const x = Utils.random(
-                worldBounds.left + 100, 
-                worldBounds.right - 100
-            );
-            const y = Utils.random(
-                worldBounds.top + 100, 
-                worldBounds.bottom - 100
-            );
-            
-            // Check distance from all players - Fixed to handle missing method
-            let tooClose = false;
+            let x;
+            let y;
             
-            // Try to get players from different possible sources
-            let players = [];
-            if (this.game.getAllPlayers && typeof this.game.getAllPlayers === 'function') {
-                players = this.game.getAllPlayers();
-            } else if (this.game.players && Array.isArray(this.game.players)) {
-                players = this.game.players;
-            } else if (this.game.player) {
-                players = [this.game.player];
+            if (nearFocus) {
+                // Somewhere around the focus player, outside its safe distance
+                const angle = simulation.random() * Math.PI * 2;
+                const distance = Utils.random(focusDistance, Math.max(focusDistance, focusRadius));
+                x = Utils.clamp(focus.x + Math.cos(angle) * distance, worldBounds.left + 100, worldBounds.right - 100);
+                y = Utils.clamp(focus.y + Math.sin(angle) * distance, worldBounds.top + 100, worldBounds.bottom - 100);
+            } else {
+                x = Utils.random(
+                    worldBounds.left + 100, 
+                    worldBounds.right - 100
+                );
+                y = Utils.random(
+                    worldBounds.top + 100, 
+                    worldBounds.bottom - 100
+                );
             }
             
+            // Check distance from all players
+            let tooClose = hasFocus && Utils.distance(x, y, focus.x, focus.y) < focusDistance;
+            
             for (const player of players) {
+                if (tooClose) break;
                 if (!player || typeof player.x !== 'number' || typeof player.y !== 'number') continue;
                 
                 const distance = Utils.distance(x, y, player.x, player.y);
-                if (distance < minDistanceFromPlayers) {
+                if (distance < minDistance) {
                     tooClose = true;
-                    break;
                 }
             }
             
@@ -175,12 +252,12 @@ export class BotManager {
         
         do {
             if (attempts > 100) {
-                const baseName = this.botNames[Math.floor(Math.random() * this.botNames.length)];
+                const baseName = this.botNames[Math.floor(simulation.random() * this.botNames.length)];
                 name = `${baseName}_${Utils.randomInt(1000, 9999)}`;
                 break;
             }
             
-            name = this.botNames[Math.floor(Math.random() * this.botNames.length)];
+            name = this.botNames[Math.floor(simulation.random() * this.botNames.length)];
             attempts++;
         } while (this.usedNames.has(name));
         
@@ -228,8 +305,18 @@ export class BotManager {
         }
     }
     
+    // Move a live bot to another difficulty, keeping its archetype
+    changeBotDifficulty(bot, difficulty) {
+        if (bot.difficulty === difficulty) return;
+        
+        this.configureBotByDifficulty(bot, difficulty);
+        bot.setDifficulty(difficulty);
+    }
+    
     updateBots(deltaTime) {
-        const gameTime = Date.now();
+        const gameTime = simulation.now();
+        
+        this.buildPerception();
         
         for (const bot of this.bots) {
             if (!bot.isAlive) continue;
@@ -237,11 +324,116 @@ export class BotManager {
             // Get nearby entities for bot AI
             const nearbyEntities = this.getNearbyEntities(bot);
             
+            // Battle royale - bots steer back into the shrinking zone
+            if (this.game.battleRoyale && bot.ai) {
+                bot.ai.safeZone = this.game.battleRoyale.zone;
+            }
+            
+            // Steering keeps clear of the world edge and of viruses
+            if (bot.ai) {
+                bot.ai.worldBounds = this.worldBounds;
+                bot.ai.obstacles = this.game.virusSystem ? this.game.virusSystem.viruses : null;
+            }
+            
             // Update bot AI
             bot.update(deltaTime, nearbyEntities, gameTime);
         }
     }
     
+    // Regroup bots into packs and let each pack plan its hunt
+    updatePacks(gameTime) {
+        if (gameTime - this.lastPackUpdate < CONFIG.BOTS.PACKS.UPDATE_INTERVAL) return;
+        this.lastPackUpdate = gameTime;
+        
+        // Drop members that died, strayed or may no longer run in packs
+        for (const pack of this.packs) {
+            const center = pack.center;
+            for (const bot of [...pack.members]) {
+                if (!this.canJoinPack(bot) ||
+                    Utils.distance(bot.x, bot.y, center.x, center.y) > CONFIG.BOTS.PACKS.LEASH_RADIUS) {
+                    pack.remove(bot);
+                }
+            }
+        }
+        
+        this.packs = this.packs.filter(pack => {
+            if (pack.size >= 2) return true;
+            pack.disband();
+            return false;
+        });
+        
+        this.formPacks();
+        
+        for (const pack of this.packs) {
+            pack.update(gameTime);
+        }
+    }
+    
+    // Loners join a pack close by with room, or team up with another loner
+    formPacks() {
+        const { MAX_SIZE, FORM_RADIUS } = CONFIG.BOTS.PACKS;
+        const loners = this.bots.filter(bot => !bot.ai.pack && this.canJoinPack(bot));
+        
+        for (const bot of loners) {
+            if (bot.ai.pack) continue;
+            
+            const pack = this.packs.find(candidate => {
+                const center = candidate.center;
+                return candidate.size < MAX_SIZE &&
+                    this.canPackWith(bot, candidate.members[0]) &&
+                    Utils.distance(bot.x, bot.y, center.x, center.y) <= FORM_RADIUS;
+            });
+            if (pack) {
+                pack.add(bot);
+                continue;
+            }
+            
+            const partner = loners.find(other => other !== bot && !other.ai.pack &&
+                this.canPackWith(bot, other) &&
+                Utils.distance(bot.x, bot.y, other.x, other.y) <= FORM_RADIUS);
+            if (partner) {
+                const newPack = new BotPack(`pack-${this.nextPackId++}`);
+                newPack.add(bot);
+                newPack.add(partner);
+                this.packs.push(newPack);
+            }
+        }
+    }
+    
+    canJoinPack(bot) {
+        return bot.isAlive && !bot.isCompanion && !!bot.ai && this.packDifficulties[bot.difficulty] === true;
+    }
+    
+    // Only bots on the same team (or both teamless) hunt together
+    canPackWith(bot, other) {
+        const team = bot.teamId === undefined ? null : bot.teamId;
+        const otherTeam = other.teamId === undefined ? null : other.teamId;
+        return team === otherTeam;
+    }
+    
+    leavePack(bot) {
+        if (bot.ai && bot.ai.pack) {
+            bot.ai.pack.remove(bot);
+        }
+    }
+    
+    // settings: { difficulty: true/false }, e.g. { medium: true }. Takes effect at the next pack update.
+    setPackDifficulties(settings) {
+        this.packDifficulties = { ...this.packDifficulties, ...settings };
+    }
+    
+    getPacks() {
+        return this.packs.map(pack => pack.getState());
+    }
+    
+    buildPerception() {
+        // getAllPlayers() lists bots too, they only go in once
+        this.perceivedBots = new Set(this.bots.filter(bot => bot.isAlive));
+        const players = this.game.getAllPlayers().filter(player => !this.perceivedBots.has(player));
+        
+        this.perception.build([...players, ...this.perceivedBots, ...(this.game.food || [])]);
+    }
+    
     getNearbyEntities(bot) {
         const searchRadius = Math.max(
             bot.ai?.huntRadius || 100, 
@@ -254,67 +446,27 @@ export class BotManager {
             food: []
         };
         
-        // Find nearby players - Fixed to handle missing method
-        let allPlayers = [];
-        if (this.game.getAllPlayers && typeof this.game.getAllPlayers === 'function') {
-            allPlayers = this.game.getAllPlayers();
-        } else if (this.game.players && Array.isArray(this.game.players)) {
-            allPlayers = this.game.players;
-        } else if (this.game.player) {
-            allPlayers = [this.game.player];
-        }
+        const botMass = bot.totalMass || bot.mass || 20;
         
-        for (const player of allPlayers) {
-            if (player === bot || !player || typeof player.x !== 'number' || typeof player.y !== 'number') continue;
+        for (const entity of this.perception.queryRadius(bot.x, bot.y, searchRadius)) {
+            if (entity === bot) continue;
             
-            const distance = Utils.distance(bot.x, bot.y, player.x, player.y);
-            if (distance <= searchRadius) {
-                nearbyEntities.players.push({
-                    entity: player,
-                    distance: distance,
-                    threat: (player.totalMass || player.mass || 20) > (bot.totalMass || bot.mass || 20) * 1.1,
-                    prey: (bot.totalMass || bot.mass || 20) > (player.totalMass || player.mass || 20) * 1.1
-                });
-            }
-        }
-        
-        // Find nearby bots
-        for (const otherBot of this.bots) {
-            if (otherBot === bot || !otherBot.isAlive) continue;
+            const distance = Utils.distance(bot.x, bot.y, entity.x, entity.y);
+            if (distance > searchRadius) continue;
             
-            const distance = Utils.distance(bot.x, bot.y, otherBot.x, otherBot.y);
-            if (distance <= searchRadius) {
-                nearbyEntities.bots.push({
-                    entity: otherBot,
-                    distance: distance,
-                    threat: (otherBot.totalMass || otherBot.mass || 20) > (bot.totalMass || bot.mass || 20) * 1.1,
-                    prey: (bot.totalMass || bot.mass || 20) > (otherBot.totalMass || otherBot.mass || 20) * 1.1
-                });
-            }
-        }
-        
-        // Find nearby food (with safety check for quadTree)
-        if (this.game.quadTree && typeof this.game.quadTree.queryRange === 'function') {
-            try {
-                const nearbyFood = this.game.quadTree.queryRange(
-                    bot.x - searchRadius,
-                    bot.y - searchRadius,
-                    bot.x + searchRadius,
-                    bot.y + searchRadius
-                );
-                
-                for (const item of nearbyFood) {
-                    if (item instanceof Food) {
-                        nearbyEntities.food.push({
-                            entity: item,
-                            distance: Utils.distance(bot.x, bot.y, item.x, item.y)
-                        });
-                    }
-                }
-            } catch (error) {
-                // Silently handle quadTree errors
-                console.warn('QuadTree query failed:', error);
+            if (entity instanceof Food) {
+                nearbyEntities.food.push({ entity, distance });
+                continue;
             }
+            
+            const mass = entity.totalMass || entity.mass || 20;
+            const kind = this.perceivedBots.has(entity) ? nearbyEntities.bots : nearbyEntities.players;
+            kind.push({
+                entity,
+                distance,
+                threat: mass > botMass * 1.1,
+                prey: botMass > mass * 1.1
+            });
         }
         
         return nearbyEntities;
@@ -328,6 +480,8 @@ export class BotManager {
                 aliveBots.push(bot);
             } else {
                 this.usedNames.delete(bot.name);
+                this.leaveTeam(bot);
+                this.leavePack(bot);
             }
         }
         
@@ -339,6 +493,14 @@ export class BotManager {
         if (index !== -1) {
             this.bots.splice(index, 1);
             this.usedNames.delete(bot.name);
+            this.leaveTeam(bot);
+            this.leavePack(bot);
+        }
+    }
+    
+    leaveTeam(bot) {
+        if (this.game.teamSystem) {
+            this.game.teamSystem.removePlayer(bot, true);
         }
     }
     
@@ -360,23 +522,59 @@ export class BotManager {
         };
     }
     
+    // weights: { archetypeId: share }, e.g. { standard: 3, camper: 1 }. Unknown ids are dropped.
+    setArchetypeDistribution(weights) {
+        const distribution = {};
+        for (const [archetype, weight] of Object.entries(weights)) {
+            if (weight > 0 && BotArchetypes.has(archetype)) {
+                distribution[archetype] = weight;
+            }
+        }
+        
+        this.archetypeDistribution = Object.keys(distribution).length > 0
+            ? distribution
+            : { [DEFAULT_ARCHETYPE]: 1 };
+    }
+    
     spawnCompanionBot(player, botType) {
-        const spawnPos = this.findSafeSpawnPosition();
-        if (!spawnPos) return null;
+        // Appear right next to the owner
+        const angle = simulation.random() * Math.PI * 2;
+        const distance = (player.radius || 0) + 60;
         
-        const bot = new Bot(spawnPos.x, spawnPos.y, 'medium', { 
+        const bot = new Bot(player.x + Math.cos(angle) * distance, player.y + Math.sin(angle) * distance, 'medium', { 
             name: `${player.name}'s ${botType}` 
         });
+        bot.id = Utils.generateId();
         bot.isCompanion = true;
-        bot.owner = player;
+        bot.companionOwner = player;
+        bot.companionOf = player.id; // Never absorbs or is absorbed by its owner (Utils.isFriendly)
         bot.companionType = botType;
+        bot.ai = new CompanionAI(bot, player);
         
         this.configureCompanionBot(bot, botType);
         
+        // Team mode - fight for the owner's team
+        if (player.teamId !== null && player.teamId !== undefined) {
+            bot.setTeam(player.teamId);
+        }
+        
         this.bots.push(bot);
         return bot;
     }
     
+    getCompanions(player) {
+        return this.bots.filter(bot => bot.isCompanion && bot.companionOwner === player && bot.isAlive);
+    }
+    
+    // Give every companion of a player the same order (see CompanionAI.setCommand)
+    commandCompanions(player, command, options = {}) {
+        const companions = this.getCompanions(player);
+        for (const companion of companions) {
+            companion.ai.setCommand(command, options);
+        }
+        return companions.length;
+    }
+    
     configureCompanionBot(bot, botType) {
         switch (botType) {
             case 'Defender':
@@ -0,0 +1,257 @@
+// js/ai/BotPack.js
+// A squad of nearby bots that hunt together. Members pool what they see into
+// shared threat and opportunity memory, the pack picks one prey for all of
+// them, fans the attackers out around it so it can't slip away and has them
+// split onto it at the same moment. BotManager forms and disbands packs; the
+// 'pack_hunt' action in BotAI carries out the pack's plan.
+import { CONFIG } from '../core/Config.js';
+import { Utils } from '../utils/Utils.js';
+
+// Arc the attackers spread over, centered on the side of the prey facing the pack
+const FLANK_ARC = Math.PI * 4 / 3;
+
+// How long a volley stays open for the attackers to split
+const VOLLEY_WINDOW = 500;
+
+export class BotPack {
+    constructor(id) {
+        this.id = id;
+        this.members = [];
+        this.threatMemory = new Map();
+        this.opportunityMemory = new Map();
+
+        // The pack's prey and the members big enough to go for it
+        this.target = null;
+        this.attackers = [];
+        this.targetSince = 0;
+        this.approachAngle = 0;
+        this.closingIn = false;
+
+        // Set when the attackers should split together; each splits once per volley
+        this.volleyAt = null;
+        this.volleyTaken = new Set();
+    }
+
+    get size() {
+        return this.members.length;
+    }
+
+    get center() {
+        const sum = this.members.reduce((total, bot) => ({ x: total.x + bot.x, y: total.y + bot.y }), { x: 0, y: 0 });
+        return { x: sum.x / (this.members.length || 1), y: sum.y / (this.members.length || 1) };
+    }
+
+    has(entity) {
+        return this.members.includes(entity);
+    }
+
+    add(bot) {
+        if (this.has(bot)) return;
+
+        this.members.push(bot);
+        bot.ai.pack = this;
+    }
+
+    remove(bot) {
+        const index = this.members.indexOf(bot);
+        if (index === -1) return;
+
+        this.members.splice(index, 1);
+        this.attackers = this.attackers.filter(attacker => attacker !== bot);
+        if (bot.ai && bot.ai.pack === this) {
+            bot.ai.pack = null;
+        }
+    }
+
+    disband() {
+        for (const bot of [...this.members]) {
+            this.remove(bot);
+        }
+        this.target = null;
+    }
+
+    // A member reports what it saw this decision
+    share(bot, threats, prey, gameTime) {
+        for (const threat of threats) {
+            this.threatMemory.set(threat.id, { entity: threat, timestamp: gameTime, seenBy: bot.id });
+        }
+        for (const target of prey) {
+            this.opportunityMemory.set(target.id, { entity: target, timestamp: gameTime, seenBy: bot.id });
+        }
+    }
+
+    // Threats pack mates have seen within `range` of the bot that could eat it
+    getKnownThreats(bot, range) {
+        const threats = [];
+        for (const { entity } of this.threatMemory.values()) {
+            if (!this.isAlive(entity) || this.has(entity)) continue;
+            if (Utils.distance(bot.x, bot.y, entity.x, entity.y) > range) continue;
+
+            if (bot.ai.canEntityAbsorb(entity, bot)) {
+                threats.push(entity);
+            }
+        }
+        return threats;
+    }
+
+    isAttacker(bot) {
+        return !!this.target && this.attackers.includes(bot);
+    }
+
+    update(gameTime) {
+        this.forget(gameTime);
+        this.selectTarget(gameTime);
+        this.planVolley(gameTime);
+    }
+
+    // Drop old sightings and anything that has died since
+    forget(gameTime) {
+        for (const memory of [this.threatMemory, this.opportunityMemory]) {
+            for (const [id, sighting] of memory) {
+                if (gameTime - sighting.timestamp > CONFIG.BOTS.PACKS.MEMORY_TIME || !this.isAlive(sighting.entity)) {
+                    memory.delete(id);
+                }
+            }
+        }
+    }
+
+    // Prey worth the most to the most members, near the pack. It takes at least
+    // two attackers - prey only one member can eat is left to that bot.
+    selectTarget(gameTime) {
+        const center = this.center;
+        let best = null;
+        let bestScore = 0;
+        let bestAttackers = [];
+
+        for (const { entity } of this.opportunityMemory.values()) {
+            if (this.has(entity) || this.members.some(bot => Utils.isFriendly(bot, entity))) continue;
+
+            const attackers = this.members.filter(bot => bot.ai.canEntityAbsorb(bot, entity));
+            if (attackers.length < 2) continue;
+
+            const distance = Utils.distance(center.x, center.y, entity.x, entity.y);
+            const mass = entity.totalMass || entity.mass;
+
+            // Stick with the current prey unless something is clearly better
+            const stickiness = entity === this.target ? 1.5 : 1;
+            const score = attackers.length * mass / (distance + 100) * stickiness;
+
+            if (score > bestScore) {
+                best = entity;
+                bestScore = score;
+                bestAttackers = attackers;
+            }
+        }
+
+        if (best !== this.target) {
+            this.target = best;
+            this.targetSince = gameTime;
+            this.closingIn = false;
+            this.volleyAt = null;
+
+            // Fan out on the pack's side of the prey
+            if (best) {
+                this.approachAngle = Math.atan2(center.y - best.y, center.x - best.x);
+            }
+        }
+
+        this.attackers = bestAttackers;
+    }
+
+    // Close in once every attacker has reached its flank (or taken too long),
+    // and call a volley when the attackers can split onto the prey together
+    planVolley(gameTime) {
+        if (!this.target) return;
+
+        const { FLANK_TIME, SPLIT_RANGE } = CONFIG.BOTS.PACKS;
+        const hunting = this.attackers.filter(bot => bot.ai.currentBehavior === 'pack_hunt');
+        if (hunting.length === 0) return;
+
+        if (!this.closingIn) {
+            const inPosition = hunting.every(bot =>
+                Utils.distance(bot.x, bot.y, this.target.x, this.target.y) <= this.getFlankRadius() * 1.25);
+            this.closingIn = inPosition || gameTime - this.targetSince >= FLANK_TIME;
+        }
+
+        if (this.volleyAt !== null && gameTime - this.volleyAt > VOLLEY_WINDOW) {
+            this.volleyAt = null;
+        }
+        if (this.volleyAt !== null || !this.closingIn) return;
+
+        // Everyone in range, or one of them has the perfect shot - go together
+        const ready = hunting.filter(bot => this.canSplitOnto(bot, SPLIT_RANGE));
+        const perfectShot = ready.some(bot => {
+            const distance = Utils.distance(bot.x, bot.y, this.target.x, this.target.y);
+            return bot.ai.arbiter.behaviors.get('hunt').shouldSplitAttack(bot, this.target, distance);
+        });
+
+        if (ready.length >= 2 && (ready.length === hunting.length || perfectShot)) {
+            this.volleyAt = gameTime;
+            this.volleyTaken.clear();
+        }
+    }
+
+    canSplitOnto(bot, range) {
+        const target = this.target;
+        const distance = Utils.distance(bot.x, bot.y, target.x, target.y);
+
+        return distance <= range &&
+            bot.ai.arbiter.behaviors.get('split').canSplit(bot) &&
+            bot.totalMass > (target.totalMass || target.mass) * 1.5;
+    }
+
+    // True once per volley for each attacker that can still split onto the prey
+    takeVolley(bot) {
+        if (this.volleyAt === null || this.volleyTaken.has(bot.id)) return false;
+        if (!this.isAttacker(bot) || !this.canSplitOnto(bot, CONFIG.BOTS.PACKS.SPLIT_RANGE)) return false;
+
+        this.volleyTaken.add(bot.id);
+
+        const split = bot.ai.arbiter.behaviors.get('split');
+        split.cooldown = split.splitCooldown;
+        return true;
+    }
+
+    getFlankRadius() {
+        return (this.target.radius || 0) + CONFIG.BOTS.PACKS.FLANK_DISTANCE;
+    }
+
+    // Where the bot should head: its slot on the arc around the prey - the
+    // middle attacker straight in, the others cutting off the escape - and
+    // the prey itself once the pack closes in
+    getFlankPoint(bot) {
+        const index = this.attackers.indexOf(bot);
+        if (!this.target || index === -1) return null;
+
+        const target = this.target;
+        if (this.closingIn) {
+            return { x: target.x, y: target.y };
+        }
+
+        const count = this.attackers.length;
+        const angle = this.approachAngle + (count > 1 ? (index / (count - 1) - 0.5) * FLANK_ARC : 0);
+        const radius = this.getFlankRadius();
+
+        return {
+            x: target.x + Math.cos(angle) * radius,
+            y: target.y + Math.sin(angle) * radius
+        };
+    }
+
+    isAlive(entity) {
+        return !!entity && entity.isAlive !== false && !entity.shouldRemove &&
+            !(entity.cells && entity.cells.length === 0);
+    }
+
+    getState() {
+        return {
+            id: this.id,
+            members: this.members.map(bot => bot.name),
+            target: this.target ? this.target.name || this.target.id : null,
+            attackers: this.attackers.map(bot => bot.name),
+            closingIn: this.closingIn,
+            threats: this.threatMemory.size,
+            opportunities: this.opportunityMemory.size
+        };
+    }
+}
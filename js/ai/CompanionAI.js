@@ -0,0 +1,354 @@
+// CompanionAI.js - AI for companion bots bought in the shop
+// Companions stay with their owner and play a role: defenders guard the
+// owner's cells, hunters go after whatever the owner is aiming at and
+// collectors gather food and feed the mass to the owner. The owner can
+// override the role with commands (follow, hold, attack, regroup).
+import BotAI from './BotAI.js';
+import { CONFIG } from '../core/Config.js';
+import { simulation } from '../core/Simulation.js';
+import { Utils } from '../utils/Utils.js';
+
+export const COMPANION_COMMANDS = ['follow', 'hold', 'attack', 'regroup'];
+
+// What the HUD shows for each behavior
+const STATUS_LABELS = {
+    follow: 'Following',
+    hold: 'Holding',
+    attack: 'Attacking',
+    regroup: 'Regrouping',
+    guard: 'Guarding',
+    intercept: 'Intercepting',
+    hunt_target: 'Hunting',
+    collect: 'Collecting',
+    feed: 'Feeding',
+    flee: 'Fleeing',
+    wander: 'Idle'
+};
+
+class CompanionAI extends BotAI {
+    constructor(bot, owner, difficulty = 'medium') {
+        super(bot, difficulty);
+        this.owner = owner;
+        this.behaviorType = 'defender'; // 'defender' | 'hunter' | 'collector', set by BotManager
+        this.command = 'follow';
+        this.currentBehavior = 'follow';
+        this.holdPoint = null;
+        this.attackTarget = null;
+        this.lastFeedTime = 0;
+
+        // Mass the bot started with - collectors only hand over what they gathered
+        this.baseMass = bot.totalMass;
+
+        // Each companion trails at its own angle so several don't stack up
+        this.followAngle = simulation.random() * Math.PI * 2;
+    }
+
+    // Companions stand still on purpose (holding, waiting at the owner's side)
+    handleStuckState() {
+        this.stuckCounter = 0;
+    }
+
+    // Owner's order. `target` is the rival to attack, `point` where to hold.
+    setCommand(command, options = {}) {
+        if (!COMPANION_COMMANDS.includes(command)) return false;
+        if (command === 'attack' && !this.isValidTarget(options.target)) return false;
+
+        this.command = command;
+        this.holdPoint = command === 'hold' ? (options.point || { x: this.bot.x, y: this.bot.y }) : null;
+        this.attackTarget = command === 'attack' ? options.target : null;
+
+        // Act on it right away instead of at the next decision
+        this.lastDecisionTime = -Infinity;
+        return true;
+    }
+
+    makeDecision(nearbyEntities, gameTime) {
+        const threats = this.findThreats(nearbyEntities);
+        const prey = this.findPrey(nearbyEntities);
+        const food = this.findFood(nearbyEntities);
+        this.perceived = [...threats, ...prey, ...food];
+        this.target = null;
+
+        if (!this.isOwnerAlive()) {
+            this.currentBehavior = threats.length > 0 ? 'flee' : 'wander';
+            return;
+        }
+
+        switch (this.command) {
+            case 'regroup':
+                // Ignore everything until we're back at the owner
+                if (this.distanceToOwner() <= CONFIG.COMPANIONS.FOLLOW_DISTANCE) {
+                    this.command = 'follow';
+                    this.decideRole(threats, prey, food);
+                } else {
+                    this.currentBehavior = 'regroup';
+                }
+                return;
+
+            case 'attack':
+                if (this.isValidTarget(this.attackTarget)) {
+                    this.currentBehavior = 'attack';
+                    this.target = this.attackTarget;
+                    return;
+                }
+
+                // Target eaten or out of reach
+                this.command = 'follow';
+                this.attackTarget = null;
+                break;
+
+            case 'hold':
+                this.currentBehavior = threats.length > 0 ? 'flee' : 'hold';
+                this.target = this.holdPoint;
+                return;
+        }
+
+        this.decideRole(threats, prey, food);
+    }
+
+    // Follow mode - do the companion's job near the owner
+    decideRole(threats, prey, food) {
+        const { GUARD_RADIUS, TARGET_RADIUS, COLLECT_RADIUS, FEED_THRESHOLD } = CONFIG.COMPANIONS;
+
+        switch (this.behaviorType) {
+            case 'defender': {
+                // Rivals close to the owner that could eat it
+                const dangers = this.perceived.filter(entity => !entity.isFood &&
+                    this.canEntityAbsorb(entity, this.owner) &&
+                    this.distanceFromOwner(entity) <= GUARD_RADIUS);
+
+                if (dangers.length > 0) {
+                    const danger = this.closestTo(this.owner, dangers);
+                    this.target = danger;
+                    this.currentBehavior = this.canEntityAbsorb(this.bot, danger) ? 'intercept' : 'guard';
+                    return;
+                }
+                break;
+            }
+
+            case 'hunter': {
+                const aim = { x: this.owner.mouseX, y: this.owner.mouseY };
+                const candidates = prey.filter(target =>
+                    Utils.distance(aim.x, aim.y, target.x, target.y) <= TARGET_RADIUS);
+
+                if (candidates.length > 0) {
+                    this.target = this.closestTo(aim, candidates);
+                    this.currentBehavior = 'hunt_target';
+                    return;
+                }
+                break;
+            }
+
+            case 'collector': {
+                if (this.bot.totalMass - this.baseMass >= FEED_THRESHOLD) {
+                    this.currentBehavior = 'feed';
+                    return;
+                }
+
+                const nearOwner = food.filter(item => this.distanceFromOwner(item) <= COLLECT_RADIUS);
+                if (nearOwner.length > 0 && threats.length === 0) {
+                    this.target = this.closestTo(this.bot, nearOwner);
+                    this.currentBehavior = 'collect';
+                    return;
+                }
+                break;
+            }
+        }
+
+        // Nothing to do for the owner - stay out of danger and tag along.
+        // When the owner can eat the threat, run to the owner instead of away.
+        if (threats.length > 0) {
+            const threat = this.selectFleeTarget(threats);
+            this.currentBehavior = this.canEntityAbsorb(this.owner, threat) ? 'regroup' : 'flee';
+            return;
+        }
+
+        this.currentBehavior = 'follow';
+    }
+
+    executeBehavior(deltaTime, nearbyEntities) {
+        switch (this.currentBehavior) {
+            case 'follow':
+                if (this.distanceToOwner() > CONFIG.COMPANIONS.FOLLOW_DISTANCE * 0.6) {
+                    this.moveTowards(this.getFollowPoint());
+                } else {
+                    this.stop();
+                }
+                break;
+
+            case 'regroup':
+                this.moveTowards(this.owner);
+                break;
+
+            case 'hold':
+                if (this.calculateDistance(this.holdPoint) > 20) {
+                    this.moveTowards(this.holdPoint);
+                } else {
+                    this.stop();
+                }
+                break;
+
+            case 'guard':
+                // Put ourselves between the owner and the threat
+                this.moveTowards(this.getGuardPoint(this.target));
+                break;
+
+            case 'attack':
+            case 'intercept':
+            case 'hunt_target':
+                this.executeChase();
+                break;
+
+            case 'collect':
+                if (!this.target || this.target.shouldRemove) {
+                    this.target = null;
+                    this.currentBehavior = 'follow';
+                    break;
+                }
+                this.moveTowards(this.target);
+                break;
+
+            case 'feed':
+                this.executeFeed();
+                break;
+
+            case 'flee': {
+                const result = this.arbiter.behaviors.get('flee').execute(this.bot, this.perceived, deltaTime);
+                if (result.moveX !== undefined) {
+                    this.moveTowards({ x: result.moveX, y: result.moveY });
+                }
+                break;
+            }
+
+            default:
+                this.executeWander();
+        }
+    }
+
+    stop() {
+        this.bot.targetX = this.bot.x;
+        this.bot.targetY = this.bot.y;
+    }
+
+    // Chase the target, splitting onto it when it's close and clearly smaller
+    executeChase() {
+        if (!this.isValidTarget(this.target)) {
+            this.target = null;
+            this.currentBehavior = 'follow';
+            return;
+        }
+
+        this.moveTowards(this.target);
+
+        const distance = this.calculateDistance(this.target);
+        if (distance < 100 && this.bot.cells.length < 4 &&
+            this.bot.totalMass > (this.target.totalMass || this.target.mass) * 2.6) {
+            const aim = this.getAimPoint(this.target);
+            this.bot.split(aim.x, aim.y);
+        }
+    }
+
+    // Carry gathered mass to the owner and hand it over on contact
+    executeFeed() {
+        const ownerCell = this.closestTo(this.bot, this.owner.cells);
+        this.moveTowards(ownerCell);
+
+        const now = simulation.now();
+        const touching = this.calculateDistance(ownerCell) <= ownerCell.radius + this.bot.radius + 10;
+        if (!touching || now - this.lastFeedTime < CONFIG.COMPANIONS.FEED_INTERVAL) return;
+
+        const donor = this.bot.getLargestCell();
+        const amount = Math.min(CONFIG.COMPANIONS.FEED_AMOUNT, this.bot.totalMass - this.baseMass);
+        if (amount <= 0) {
+            this.currentBehavior = 'follow';
+            return;
+        }
+
+        donor.mass -= amount;
+        donor.updateRadius();
+        ownerCell.mass += amount;
+        ownerCell.updateRadius();
+        this.bot.updateTotalMass();
+        this.owner.updateTotalMass();
+        this.lastFeedTime = now;
+    }
+
+    isOwnerAlive() {
+        return !!this.owner && this.owner.isAlive !== false && this.owner.cells && this.owner.cells.length > 0;
+    }
+
+    // A rival still alive and within reach
+    isValidTarget(target) {
+        if (!target || target === this.bot || target === this.owner) return false;
+        if (target.isAlive === false || (target.cells && target.cells.length === 0)) return false;
+        if (Utils.isFriendly(this.bot, target)) return false;
+
+        return this.calculateDistance(target) <= this.scanRadius * 3;
+    }
+
+    distanceToOwner() {
+        return this.calculateDistance(this.owner);
+    }
+
+    distanceFromOwner(entity) {
+        return Utils.distance(this.owner.x, this.owner.y, entity.x, entity.y);
+    }
+
+    closestTo(point, entities) {
+        return entities.reduce((closest, entity) =>
+            Utils.distance(point.x, point.y, entity.x, entity.y) < Utils.distance(point.x, point.y, closest.x, closest.y)
+                ? entity
+                : closest);
+    }
+
+    // Our slot in the owner's wake
+    getFollowPoint() {
+        const distance = CONFIG.COMPANIONS.FOLLOW_DISTANCE * 0.5 + (this.owner.radius || 0);
+        return {
+            x: this.owner.x + Math.cos(this.followAngle) * distance,
+            y: this.owner.y + Math.sin(this.followAngle) * distance
+        };
+    }
+
+    // Just outside the owner, on the threat's side
+    getGuardPoint(threat) {
+        const dx = threat.x - this.owner.x;
+        const dy = threat.y - this.owner.y;
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+        const offset = (this.owner.radius || 0) + this.bot.radius + 20;
+
+        return {
+            x: this.owner.x + (dx / length) * offset,
+            y: this.owner.y + (dy / length) * offset
+        };
+    }
+
+    getStatus() {
+        return {
+            name: this.bot.name,
+            role: this.behaviorType,
+            command: this.command,
+            behavior: this.currentBehavior,
+            label: STATUS_LABELS[this.currentBehavior] || this.currentBehavior,
+            mass: this.bot.totalMass,
+            target: this.target && this.target.name ? this.target.name : null
+        };
+    }
+
+    getBehaviorState() {
+        return {
+            ...super.getBehaviorState(),
+            companion: this.getStatus()
+        };
+    }
+
+    reset() {
+        super.reset();
+        this.command = 'follow';
+        this.currentBehavior = 'follow';
+        this.holdPoint = null;
+        this.attackTarget = null;
+    }
+}
+
+export default CompanionAI;
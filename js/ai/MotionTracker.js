@@ -0,0 +1,125 @@
+// js/ai/MotionTracker.js
+// Remembers where nearby entities have been so a bot can tell where they are
+// heading. Velocities come from the position history and are run forward with
+// Movement.predictMovement, so the predictions carry the same friction as the
+// physics - a target that stops steering drifts to a halt.
+import { Movement } from '../physics/Movement.js';
+import { Utils } from '../utils/Utils.js';
+
+// Step size used when running a velocity forward
+const PREDICTION_STEP = 1000 / 60;
+
+// Shared by every tracker, predictMovement only reads its friction setting
+const movement = new Movement(null);
+
+export class MotionTracker {
+    constructor(options = {}) {
+        // Velocity is measured across this much history (ms)
+        this.window = options.window || 300;
+
+        // Entities not seen for this long are forgotten (ms)
+        this.forgetAfter = options.forgetAfter || 1000;
+
+        this.history = new Map();
+    }
+
+    // Sample the current positions of the given entities
+    record(entities, time) {
+        for (const entity of entities) {
+            let samples = this.history.get(entity);
+            if (!samples) {
+                samples = [];
+                this.history.set(entity, samples);
+            }
+
+            const newest = samples[samples.length - 1];
+            if (newest && newest.time === time) continue;
+
+            samples.push({ x: entity.x, y: entity.y, time });
+            while (samples.length > 2 && time - samples[1].time >= this.window) {
+                samples.shift();
+            }
+        }
+
+        for (const [entity, samples] of this.history) {
+            if (time - samples[samples.length - 1].time > this.forgetAfter || entity.isAlive === false) {
+                this.history.delete(entity);
+            }
+        }
+    }
+
+    has(entity) {
+        return this.history.has(entity);
+    }
+
+    // Average velocity over the window, in units per ms
+    getVelocity(entity) {
+        const samples = this.history.get(entity);
+        if (!samples || samples.length < 2) return { x: 0, y: 0 };
+
+        const oldest = samples[0];
+        const newest = samples[samples.length - 1];
+        const elapsed = newest.time - oldest.time;
+        if (elapsed <= 0) return { x: 0, y: 0 };
+
+        return {
+            x: (newest.x - oldest.x) / elapsed,
+            y: (newest.y - oldest.y) / elapsed
+        };
+    }
+
+    getSpeed(entity) {
+        const velocity = this.getVelocity(entity);
+        return Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+    }
+
+    // Predicted path of an entity over the next `duration` ms
+    predictPath(entity, duration) {
+        const steps = Math.max(1, Math.round(duration / PREDICTION_STEP));
+        return movement.predictMovement({
+            x: entity.x,
+            y: entity.y,
+            velocity: this.getVelocity(entity)
+        }, steps, duration / steps);
+    }
+
+    // Where an entity will be in `duration` ms
+    predictPosition(entity, duration) {
+        if (duration <= 0 || !this.has(entity)) {
+            return { x: entity.x, y: entity.y };
+        }
+
+        const path = this.predictPath(entity, duration);
+        const last = path[path.length - 1];
+        return { x: last.x, y: last.y };
+    }
+
+    // Earliest point on the target's predicted path the pursuer can reach at its
+    // current pace, looking at most `maxLead` ms ahead. Falls back to the end of
+    // the path when the target is out-running us, and to the target itself when
+    // there's nothing to go on.
+    intercept(pursuer, target, maxLead) {
+        const speed = this.getSpeed(pursuer);
+        if (maxLead <= 0 || speed <= 0 || !this.has(target)) {
+            return { x: target.x, y: target.y, time: 0 };
+        }
+
+        const path = this.predictPath(target, maxLead);
+        const step = maxLead / path.length;
+
+        for (let i = 0; i < path.length; i++) {
+            const point = path[i];
+            const time = (i + 1) * step;
+            if (Utils.distance(pursuer.x, pursuer.y, point.x, point.y) <= speed * time) {
+                return { x: point.x, y: point.y, time };
+            }
+        }
+
+        const last = path[path.length - 1];
+        return { x: last.x, y: last.y, time: maxLead };
+    }
+
+    clear() {
+        this.history.clear();
+    }
+}
@@ -0,0 +1,139 @@
+// js/ai/PotentialField.js
+// Steering by potential fields. Things a bot wants (food, prey, its owner) pull
+// the potential down around them; things it has to stay clear of (threats,
+// walls, viruses) push it up. Averaging direction vectors lets pushes cancel
+// out and herds bots into corners. Instead, the field is sampled on a ring of
+// headings around the bot and the lowest sample wins. The last ring is kept so
+// the debug overlay can draw it.
+import { CONFIG } from '../core/Config.js';
+import { Utils } from '../utils/Utils.js';
+
+export class PotentialField {
+    constructor(options = {}) {
+        const settings = CONFIG.BOTS.STEERING;
+
+        this.bounds = options.bounds || null;
+        this.headings = options.headings || settings.HEADINGS;
+        this.wallRange = options.wallRange || settings.WALL_RANGE;
+        this.wallStrength = options.wallStrength || settings.WALL_STRENGTH;
+
+        this.sources = [];
+
+        // Last sampled ring, for debugging
+        this.origin = null;
+        this.samples = [];
+        this.best = null;
+    }
+
+    clear() {
+        this.sources.length = 0;
+        return this;
+    }
+
+    // Defaults to the whole world
+    setBounds(bounds) {
+        this.bounds = bounds;
+        return this;
+    }
+
+    getBounds() {
+        return this.bounds || { left: 0, top: 0, right: CONFIG.WORLD_WIDTH, bottom: CONFIG.WORLD_HEIGHT };
+    }
+
+    // Pull towards (x, y). The potential falls evenly towards the point, so the
+    // pull is the same anywhere within `range` and gone beyond it.
+    attract(x, y, strength = 1, range = 500) {
+        this.sources.push({ type: 'attract', x, y, strength, range, radius: 0 });
+        return this;
+    }
+
+    // Push away from (x, y). Full strength within `radius`, fading out over `range` past it.
+    repel(x, y, strength = 1, range = 200, radius = 0) {
+        this.sources.push({ type: 'repel', x, y, strength, range, radius });
+        return this;
+    }
+
+    // Potential at a point - lower is better
+    potentialAt(x, y) {
+        let potential = this.wallPotential(x, y);
+
+        for (const source of this.sources) {
+            const distance = Utils.distance(x, y, source.x, source.y);
+
+            if (source.type === 'attract') {
+                potential -= source.strength * Math.max(0, 1 - distance / source.range);
+            } else {
+                const falloff = Math.max(0, 1 - Math.max(0, distance - source.radius) / source.range);
+                potential += source.strength * falloff * falloff;
+            }
+        }
+
+        return potential;
+    }
+
+    // Each wall pushes back within wallRange, and keeps climbing past the edge
+    wallPotential(x, y) {
+        const { left, top, right, bottom } = this.getBounds();
+        let potential = 0;
+
+        for (const gap of [x - left, right - x, y - top, bottom - y]) {
+            if (gap < this.wallRange) {
+                const falloff = 1 - gap / this.wallRange;
+                potential += this.wallStrength * falloff * falloff;
+            }
+        }
+
+        return potential;
+    }
+
+    // Sample the field on a ring of headings `distance` away from (x, y)
+    sample(x, y, distance) {
+        this.origin = { x, y, distance };
+        this.samples = [];
+
+        for (let i = 0; i < this.headings; i++) {
+            const angle = (i / this.headings) * Math.PI * 2;
+            const sampleX = x + Math.cos(angle) * distance;
+            const sampleY = y + Math.sin(angle) * distance;
+
+            this.samples.push({
+                angle,
+                x: sampleX,
+                y: sampleY,
+                value: this.potentialAt(sampleX, sampleY)
+            });
+        }
+
+        return this.samples;
+    }
+
+    // Unit heading towards the lowest sample, or null if the field is flat around (x, y)
+    bestDirection(x, y, distance) {
+        const samples = this.sample(x, y, distance);
+        let best = samples[0];
+        let worst = samples[0];
+
+        for (const sample of samples) {
+            if (sample.value < best.value) best = sample;
+            if (sample.value > worst.value) worst = sample;
+        }
+
+        if (worst.value - best.value < 1e-9) {
+            this.best = null;
+            return null;
+        }
+
+        this.best = best;
+        return { x: Math.cos(best.angle), y: Math.sin(best.angle) };
+    }
+
+    // Sources and the last sampled ring, for the debug overlay
+    getDebugState() {
+        return {
+            origin: this.origin,
+            sources: this.sources.map(source => ({ ...source })),
+            samples: this.samples.map(sample => ({ ...sample })),
+            best: this.best ? { ...this.best } : null
+        };
+    }
+}
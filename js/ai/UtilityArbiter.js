@@ -0,0 +1,125 @@
+// js/ai/UtilityArbiter.js
+// Picks which AIBehaviors behavior a bot runs. Every behavior scores itself
+// against what the bot perceives, the scores are weighted by the bot's
+// personality, and the best one wins - unless it only just beats the running
+// behavior, which keeps bots from flip-flopping between two choices.
+import { AIBehaviors } from './AIBehaviors.js';
+
+export const UTILITY_BEHAVIORS = ['flee', 'defensive', 'hunt', 'aggressive', 'split', 'collector', 'wander'];
+
+// Trait -> influence on a behavior's score. Traits run 0..1 and are centered
+// on 0.5, so an average bot scores every behavior unchanged.
+export const PERSONALITY_WEIGHTS = {
+    flee: { caution: 1.0, riskTaking: -0.6 },
+    defensive: { caution: 1.2, aggression: -0.6 },
+    hunt: { aggression: 1.0, persistence: 0.4 },
+    aggressive: { aggression: 1.6, riskTaking: 0.6, caution: -0.6 },
+    split: { riskTaking: 1.4, aggression: 0.6, caution: -1.0 },
+    collector: { caution: 0.4, aggression: -0.8 },
+    wander: {}
+};
+
+export class UtilityArbiter {
+    // options: { behaviors, hysteresis, minCommitTime }
+    constructor(options = {}) {
+        this.behaviors = new Map();
+        for (const type of options.behaviors || UTILITY_BEHAVIORS) {
+            this.behaviors.set(type, AIBehaviors.createBehavior(type));
+        }
+
+        // A challenger must beat the running behavior by this fraction to take over
+        this.hysteresis = options.hysteresis !== undefined ? options.hysteresis : 0.2;
+
+        // Milliseconds a behavior runs before anything but an urgent one may replace it
+        this.minCommitTime = options.minCommitTime !== undefined ? options.minCommitTime : 400;
+        this.urgentScore = 0.9;
+
+        this.currentType = null;
+        this.committedAt = 0;
+        this.lastScores = {};
+    }
+
+    get current() {
+        return this.currentType ? this.behaviors.get(this.currentType) : null;
+    }
+
+    // Multiplier for a behavior's score from the bot's traits
+    getPersonalityWeight(type, traits = {}) {
+        let weight = 1;
+        for (const [trait, influence] of Object.entries(PERSONALITY_WEIGHTS[type] || {})) {
+            const value = traits[trait] !== undefined ? traits[trait] : 0.5;
+            weight += (value - 0.5) * influence;
+        }
+        return Math.max(0.1, weight);
+    }
+
+    // Weighted score of every behavior that can currently run. `bonuses` adds
+    // utility the behaviors can't see themselves, e.g. teammates nearby.
+    scoreAll(bot, targets, traits, bonuses = {}) {
+        const scores = {};
+        for (const [type, behavior] of this.behaviors) {
+            if (!behavior.canExecute(bot)) {
+                scores[type] = 0;
+                continue;
+            }
+            const utility = Math.min(1, behavior.score(bot, targets) + (bonuses[type] || 0));
+            scores[type] = utility * this.getPersonalityWeight(type, traits);
+        }
+        return scores;
+    }
+
+    // Choose the behavior to run. Returns its type.
+    select(bot, targets, traits, gameTime, bonuses = {}) {
+        const scores = this.scoreAll(bot, targets, traits, bonuses);
+        this.lastScores = scores;
+
+        let bestType = null;
+        for (const type of this.behaviors.keys()) {
+            if (bestType === null || scores[type] > scores[bestType]) {
+                bestType = type;
+            }
+        }
+
+        const currentType = this.currentType;
+        if (currentType && currentType !== bestType && this.behaviors.has(currentType)) {
+            // Persistent bots stick with what they're doing for longer
+            const persistence = traits.persistence !== undefined ? traits.persistence : 0.5;
+            const margin = 1 + this.hysteresis * (0.5 + persistence);
+            const isUrgent = scores[bestType] >= this.urgentScore;
+            const isCommitted = gameTime - this.committedAt < this.minCommitTime;
+
+            if (!isUrgent && (isCommitted || scores[bestType] <= scores[currentType] * margin)) {
+                return currentType;
+            }
+        }
+
+        if (bestType !== currentType) {
+            this.commit(bestType, gameTime);
+        }
+        return bestType;
+    }
+
+    // Switch to a behavior without scoring (e.g. a bot that got stuck wanders off)
+    commit(type, gameTime) {
+        this.currentType = type;
+        this.committedAt = gameTime;
+
+        const behavior = this.behaviors.get(type);
+        if (behavior) {
+            behavior.duration = 0;
+        }
+    }
+
+    // Tick behavior cooldowns
+    update(deltaTime) {
+        for (const behavior of this.behaviors.values()) {
+            behavior.update(deltaTime);
+        }
+    }
+
+    reset() {
+        this.currentType = null;
+        this.committedAt = 0;
+        this.lastScores = {};
+    }
+}
@@ -29,7 +29,25 @@ export const CONFIG = {
         MAX_VELOCITY: 20,
         BASE_SPEED: 200,
         MIN_SPEED: 50,
-        MAX_CELL_MASS: 10000
+        MAX_CELL_MASS: 10000,
+        MIN_CELL_MASS: 10, // Cell.removeMass never goes below this
+        ACCELERATION: 0.5,
+
+        // Large cells slowly lose the mass they carry above the threshold
+        MASS_DECAY: {
+            CURVE: 'exponential', // 'linear', 'exponential' or 'none'
+            THRESHOLD: 500, // Per cell - smaller cells never decay
+            LINEAR_RATE: 5, // Linear curve: mass per second per cell
+            EXPONENTIAL_RATE: 0.005 // Exponential curve: share of the mass above the threshold lost per second
+        }
+    },
+    
+    // Spatial index behind collisions, bot perception and culling
+    BROADPHASE: {
+        TYPE: 'spatialHash', // 'spatialHash', 'quadTree' or 'sweepAndPrune'
+        CELL_SIZE: 128, // Spatial hash cell, about the diameter of a mid-sized cell
+        MAX_OBJECTS: 10, // Quadtree node capacity before it splits
+        MAX_LEVELS: 8
     },
     
     // Player settings
@@ -38,7 +56,17 @@ export const CONFIG = {
         MIN_MASS: 10,
         MAX_MASS: 10000,
         SPLIT_COOLDOWN: 1000,
-        NAME_MAX_LENGTH: 12
+        NAME_MAX_LENGTH: 12,
+        MIN_EJECT_MASS: 32,
+        EJECT_MASS: 12
+    },
+    
+    // Mass shot out of a cell - flies toward the mouse and slows to a stop
+    EJECTED_MASS: {
+        SPEED: 900, // Launch speed, units per second
+        FRICTION: 0.05, // Share of its speed a pellet still has after a second
+        STOP_SPEED: 10, // Pellets slower than this come to rest
+        OWNER_PICKUP_DELAY: 1000 // ms before the player who ejected a pellet can eat it back
     },
     
     // Food settings
@@ -47,7 +75,8 @@ export const CONFIG = {
         MASS: 1,
         RESPAWN_RATE: 0.02,
         MIN_RADIUS: 3,
-        MAX_RADIUS: 6
+        MAX_RADIUS: 6,
+        TYPE_WEIGHTS: null // { type: weight } mix for spawned food, null = normal only
     },
     
     // Bot settings
@@ -59,9 +88,133 @@ export const CONFIG = {
             passive: 0.2,
             normal: 0.5,
             aggressive: 0.8
+        },
+
+        // Packs - nearby bots group up, share what they see and gang up on prey
+        PACKS: {
+            DIFFICULTIES: { easy: false, medium: false, hard: true, expert: true }, // Which bots join packs
+            MAX_SIZE: 4,
+            FORM_RADIUS: 400, // Bots this close to each other group up
+            LEASH_RADIUS: 800, // Members farther than this from the pack drop out
+            MEMORY_TIME: 3000, // ms the pack remembers a sighting
+            FLANK_DISTANCE: 90, // How far outside the target members spread before closing in
+            FLANK_TIME: 3000, // Longest the pack spends getting into position before closing in
+            SPLIT_RANGE: 160, // Members split together once every attacker is this close
+            UPDATE_INTERVAL: 250
+        },
+
+        // Potential field steering (see PotentialField)
+        STEERING: {
+            HEADINGS: 16, // Directions sampled around the bot
+            PROBE_DISTANCE: 60, // How far out the samples are taken
+            WALL_RANGE: 120, // Walls start pushing back this far from the edge
+            WALL_STRENGTH: 2,
+            THREAT_STRENGTH: 3, // Per unit of mass advantage the threat has, capped at 3x
+            OBSTACLE_RANGE: 60, // Viruses push back this far beyond their edge
+            OBSTACLE_STRENGTH: 3
         }
     },
     
+    // Companion bots bought in the shop
+    COMPANIONS: {
+        FOLLOW_DISTANCE: 120, // How far behind the owner a companion trails
+        GUARD_RADIUS: 250, // Defenders react to threats this close to the owner
+        TARGET_RADIUS: 200, // Hunters go after the rival nearest the owner's cursor, within this
+        COLLECT_RADIUS: 220, // Collectors gather food this close to the owner
+        FEED_THRESHOLD: 30, // Mass a collector gathers before delivering it
+        FEED_AMOUNT: 10, // Mass passed to the owner per feed
+        FEED_INTERVAL: 200 // ms between feeds
+    },
+    
+    // Difficulty director - watches how the player is doing and tunes the bot
+    // mix, bot spawns, food and powerups to keep the match in a target band
+    DIRECTOR: {
+        ENABLED: true,
+        SAMPLE_INTERVAL: 1000, // ms between player metric samples
+        EVALUATE_INTERVAL: 5000, // ms between adjustments
+        GROWTH_WINDOW: 30000, // Mass growth is measured over this much time
+        TARGET_GROWTH: 120, // Mass per minute that counts as doing well
+        TARGET_SURVIVAL: 180000, // Survival time (ms) that counts as doing well
+        WEIGHTS: { growth: 0.4, rank: 0.4, survival: 0.2 }, // How much each metric counts
+        TARGET_BAND: { min: 0.4, max: 0.6 }, // Performance the director aims for, 0..1
+        START_CHALLENGE: 0.5,
+        STEP: 0.1, // Challenge change per adjustment
+        DEATH_STEP: 0.2, // Challenge drop when the player dies
+        RETUNE_BOTS: 2, // Bots moved one difficulty level per adjustment
+        HISTORY: 20, // Decisions kept for the debug panel
+        NEAR_SPAWN_RADIUS: 1000, // Bots spawned near the player land within this
+        // Settings at challenge 0 and 1, interpolated in between
+        EASY: {
+            difficulty: { easy: 60, medium: 35, hard: 5, expert: 0 },
+            spawnDistance: 900, // Closest a new bot may spawn to the player
+            spawnNearPlayer: 0, // Share of new bots spawned around the player
+            foodDensity: 1.4, // Multiplier on FOOD.COUNT
+            powerupRate: 2 // Multiplier on POWERUPS.SPAWN_RATE
+        },
+        HARD: {
+            difficulty: { easy: 0, medium: 25, hard: 45, expert: 30 },
+            spawnDistance: 300,
+            spawnNearPlayer: 0.5,
+            foodDensity: 0.7,
+            powerupRate: 0.5
+        }
+    },
+    
+    // Team mode
+    TEAMS: {
+        MIN_TEAMS: 2,
+        MAX_TEAMS: 4,
+        DEFAULT_TEAMS: 2,
+        NAMES: ['Red', 'Blue', 'Green', 'Yellow'],
+        COLORS: ['#e74c3c', '#3498db', '#2ecc71', '#f1c40f'],
+        STANDINGS_INTERVAL: 1000 // How often team standings are published
+    },
+    
+    // Viruses - experimental mode only
+    VIRUS: {
+        COUNT: 20,
+        MASS: 100,
+        MAX_MASS: 180, // Fed past this, a virus shoots out a new one
+        POP_PIECES: 8, // Most pieces a popped cell bursts into
+        SHOOT_SPEED: 20,
+        COLOR: '#33ff33',
+        SPIKES: 24
+    },
+    
+    // Battle royale - the safe zone shrinks in phases, cells outside it lose mass
+    BATTLE_ROYALE: {
+        // Each phase waits, then shrinks the zone over `shrink` ms to `radius`
+        // (a fraction of the starting zone, which covers the whole world)
+        PHASES: [
+            { wait: 60000, shrink: 30000, radius: 0.65 },
+            { wait: 45000, shrink: 25000, radius: 0.4 },
+            { wait: 30000, shrink: 20000, radius: 0.2 },
+            { wait: 20000, shrink: 15000, radius: 0.08 },
+            { wait: 15000, shrink: 15000, radius: 0 }
+        ],
+        ZONE_DAMAGE: 0.04, // Fraction of a cell's mass lost per second outside the zone
+        MIN_ZONE_DAMAGE: 2, // Mass per second, so small cells can't wait it out
+        FOOD_CUTOFF_PHASE: 2 // Food stops respawning once this phase starts
+    },
+    
+    // Multiplayer server settings
+    SERVER: {
+        PORT: 8080,
+        MAX_PLAYERS: 30, // Human slots not taken are filled with bots
+        SNAPSHOT_INTERVAL: 50, // Broadcast world state every 50ms (20Hz)
+        VIEW_DISTANCE: 1200, // Entities further than this from a client are not sent
+        MAX_MESSAGES_PER_SECOND: 120,
+        MAX_QUEUED_INPUTS: 8,
+        FOOD_SPAWN_PER_TICK: 20
+    },
+    
+    // Single player world simulated in a Web Worker (?worker), the page only draws it
+    WORKER: {
+        MAX_PLAYERS: 60, // The player plus bots, ?worker=<count> overrides
+        SNAPSHOT_INTERVAL: 15, // Every tick of the worker's 60Hz loop
+        MAX_MESSAGES_PER_SECOND: 300 // Inputs and snapshot acks both arrive at 60Hz
+    },
+    
     // Currency and progression
     ECONOMY: {
         COINS_PER_MASS: 0.1,
@@ -87,7 +240,8 @@ export const CONFIG = {
         MAX_SAVE_SLOTS: 5,
         COMPRESSION_ENABLED: true,
         BACKUP_ENABLED: true,
-        SAVE_VERSION: '1.0.0'
+        SAVE_VERSION: '1.1.0',
+        SIGNING_KEY: 'agar-clone-save-signature' // HMAC key for save signatures - ships with the client, detects corruption and casual edits only
     },
     
     // Particle system settings - ADDED MISSING SECTION
@@ -124,6 +278,9 @@ export const CONFIG = {
     
     // Powerup settings
     POWERUPS: {
+        DISABLED: [], // Powerup ids that can't be used this game (custom games)
+        MAX_COUNT: 10, // Pickups lying around at once
+        SPAWN_RATE: 0.005, // Chance per frame of a new pickup below MAX_COUNT
         RECOMBINE: {
             cooldown: 30000,
             mergeSpeed: 8.0,
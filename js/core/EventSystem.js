@@ -27,7 +27,8 @@ export class EventSystem {
     emit(eventType, data = null) {
         if (!this.listeners.has(eventType)) return;
         
-        const callbacks = this.listeners.get(eventType);
+        // Copy, so callbacks can unsubscribe themselves while the event is delivered
+        const callbacks = this.listeners.get(eventType).slice();
         callbacks.forEach(callback => {
             try {
                 callback(data);
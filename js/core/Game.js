@@ -11,6 +11,7 @@ import { ViewportManager } from '../rendering/ViewportManager.js';
 import { ParticleSystem } from '../rendering/ParticleSystem.js';
 import { Player } from '../entities/Player.js';
 import { Food } from '../entities/Food.js';
+import { EjectedMass } from '../entities/EjectedMass.js';
 import { BotManager } from '../ai/BotManager.js';
 import { QuadTree } from '../utils/QuadTree.js';
 import { PowerupSystem } from '../systems/PowerupSystem.js';
@@ -477,33 +478,15 @@ export class Game {
     }
     
     ejectMass(player) {
-        if (player.getTotalMass() < CONFIG.MIN_EJECT_MASS) return;
-        
+        // Each cell shoots a pellet toward the mouse
         for (const cell of player.cells) {
-            if (cell.mass > CONFIG.MIN_EJECT_MASS) {
-                // Create ejected mass
-                const ejectedMass = Math.min(cell.mass * 0.1, CONFIG.MAX_EJECT_MASS);
-                cell.mass -= ejectedMass;
-                cell.updateRadius();
-                
-                // Create food pellet
-                const angle = Math.random() * Math.PI * 2;
-                const distance = cell.radius + 20;
-                const food = new Food(
-                    cell.x + Math.cos(angle) * distance,
-                    cell.y + Math.sin(angle) * distance,
-                    ejectedMass
-                );
-                
-                // Add velocity to ejected mass
-                food.velocity = {
-                    x: Math.cos(angle) * CONFIG.EJECT_VELOCITY,
-                    y: Math.sin(angle) * CONFIG.EJECT_VELOCITY
-                };
-                
-                this.food.push(food);
+            const pellet = EjectedMass.fromCell(cell, player.mouseX, player.mouseY);
+            if (pellet) {
+                this.food.push(pellet);
             }
         }
+        
+        player.updateTotalMass();
     }
     
     generateFood() {
@@ -599,8 +582,8 @@ export class Game {
         }
     }
     
-    loadGame() {
-        const savedData = this.saveSystem.load();
+    async loadGame() {
+        const savedData = await this.saveSystem.load();
         if (savedData) {
             // Apply saved data to current player or create new player
             // Implementation depends on save system structure
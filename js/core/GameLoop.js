@@ -1,11 +1,20 @@
 // core/GameLoop.js
-import { EventSystem } from './EventSystem.js';
+import { gameEvents } from './EventSystem.js';
+import { simulation } from './Simulation.js';
+import { BroadphaseFactory } from '../physics/broadphase/BroadphaseFactory.js';
 
 export class GameLoop {
-    constructor(game) {
+    // options: { update(deltaTime), render(alpha, frameDelta) } replace the
+    // built-in update and render phases for games that drive their own systems
+    constructor(game, options = {}) {
         this.game = game;
         this.isRunning = false;
         this.isPaused = false;
+        this.onUpdate = options.update || null;
+        this.onRender = options.render || null;
+        
+        // Spatial index of cells and food for bot perception
+        this.broadphase = BroadphaseFactory.create();
         
         // Timing configuration
         this.targetFPS = 60;
@@ -57,7 +66,7 @@ export class GameLoop {
         this.isPaused = false;
         this.lastTime = performance.now();
         
-        EventSystem.emit('gameloop:started');
+        gameEvents.emit('gameloop:started');
         
         // Start the main loop
         this.loop();
@@ -68,13 +77,18 @@ export class GameLoop {
         this.isRunning = false;
         this.isPaused = false;
         
-        EventSystem.emit('gameloop:stopped');
+        if (this.frameTimer) {
+            clearTimeout(this.frameTimer);
+            this.frameTimer = null;
+        }
+        
+        gameEvents.emit('gameloop:stopped');
     }
 
     // Pause the game loop
     pause() {
         this.isPaused = true;
-        EventSystem.emit('gameloop:paused');
+        gameEvents.emit('gameloop:paused');
     }
 
     // Resume the game loop
@@ -84,7 +98,7 @@ export class GameLoop {
         this.isPaused = false;
         this.lastTime = performance.now(); // Reset timing to prevent large delta
         
-        EventSystem.emit('gameloop:resumed');
+        gameEvents.emit('gameloop:resumed');
         this.loop();
     }
 
@@ -94,16 +108,25 @@ export class GameLoop {
         
         if (this.isPaused) {
             // Keep the loop alive but don't update
-            requestAnimationFrame(() => this.loop());
+            this.scheduleNextFrame();
             return;
         }
 
-        const startTime = performance.now();
-        this.currentTime = startTime;
-        const deltaTime = Math.min(this.currentTime - this.lastTime, this.maxFrameTime);
-        
+        this.currentTime = performance.now();
+        const frameDelta = this.currentTime - this.lastTime;
         this.lastTime = this.currentTime;
-        this.accumulator += deltaTime;
+        
+        this.advance(frameDelta);
+        
+        // Continue loop
+        this.scheduleNextFrame();
+    }
+
+    // Run one display frame that took frameDelta ms: as many fixed updates as
+    // fit, then a render. Returns the number of updates run.
+    advance(frameDelta) {
+        const startTime = performance.now();
+        this.accumulator += Math.min(frameDelta, this.maxFrameTime);
 
         // Fixed timestep updates
         let updateCount = 0;
@@ -120,24 +143,52 @@ export class GameLoop {
         
         // Render with interpolation
         const updateEndTime = performance.now();
-        this.render(alpha);
+        this.render(alpha, frameDelta);
         const renderEndTime = performance.now();
 
         // Update performance stats
         this.updatePerformanceStats(startTime, updateEndTime, renderEndTime);
         
-        // Continue loop
-        requestAnimationFrame(() => this.loop());
+        return updateCount;
+    }
+
+    // Simulation time a frame rendered with this alpha shows: alpha of the way
+    // from the previous update to the latest one
+    getRenderTime(alpha) {
+        return simulation.now() - (1 - alpha) * this.frameTime;
+    }
+
+    // Schedule the next iteration - animation frames in the browser, timers when headless (server)
+    scheduleNextFrame() {
+        if (typeof requestAnimationFrame === 'function') {
+            requestAnimationFrame(() => this.loop());
+        } else {
+            this.frameTimer = setTimeout(() => this.loop(), this.frameTime);
+        }
+    }
+
+    // Advance the simulation by exactly one fixed update, independent of wall-clock time.
+    // Seeded (deterministic) runs are driven through this instead of start().
+    step(deltaTime = this.frameTime) {
+        this.currentTime += deltaTime;
+        this.update(deltaTime);
     }
 
     // Update game state with fixed timestep
     update(deltaTime) {
         const updateStart = performance.now();
         
+        // Simulated clock moves with the simulation, not the wall clock
+        simulation.advance(deltaTime);
+        
         try {
-            // Execute update phases in order
-            for (let phase of this.updatePhases) {
-                this.executeUpdatePhase(phase, deltaTime);
+            if (this.onUpdate) {
+                this.onUpdate(deltaTime);
+            } else {
+                // Execute update phases in order
+                for (let phase of this.updatePhases) {
+                    this.executeUpdatePhase(phase, deltaTime);
+                }
             }
             
             // Increment frame counter
@@ -145,7 +196,7 @@ export class GameLoop {
             
         } catch (error) {
             console.error('Error in game update:', error);
-            EventSystem.emit('gameloop:error', { phase: 'update', error });
+            gameEvents.emit('gameloop:error', { phase: 'update', error });
         }
         
         this.performanceStats.updateTime = performance.now() - updateStart;
@@ -186,7 +237,8 @@ export class GameLoop {
         }
         
         // Emit phase completion event
-        EventSystem.emit(`gameloop:phase:${phase}`, { 
+        gameEvents.emit(`gameloop:phase:${phase}`, { 
+            gameLoop: this,
             deltaTime, 
             duration: performance.now() - phaseStart 
         });
@@ -210,6 +262,12 @@ export class GameLoop {
             ];
             
             for (let entity of allEntities) {
+                // Ejected mass slows down on its own friction
+                if (entity.isEjected) {
+                    entity.move(deltaTime, this.game.worldBounds);
+                    continue;
+                }
+                
                 this.game.physicsEngine.updateEntityPhysics(entity, deltaTime);
             }
             
@@ -243,7 +301,13 @@ export class GameLoop {
             }
         }
         
-        // Update bots
+        // Update bots, with what's around them as of the start of this phase
+        this.broadphase.build([
+            ...this.game.players.flatMap(p => p.cells),
+            ...this.game.bots.flatMap(b => b.cells),
+            ...this.game.food
+        ]);
+        
         for (let bot of this.game.bots) {
             if (bot.update) {
                 const nearbyEntities = this.getNearbyEntities(bot, 200);
@@ -296,6 +360,9 @@ export class GameLoop {
         for (let collision of collisions) {
             const { a, b } = collision;
             
+            // Skip pairs already resolved earlier this tick
+            if (!a.isActive || !b.isActive || (a.isFood && b.isFood)) continue;
+            
             // Handle different collision types
             if (a.isFood || b.isFood) {
                 // Food absorption
@@ -331,7 +398,7 @@ export class GameLoop {
     updateAI(deltaTime) {
         if (!this.game.botManager) return;
         
-        this.game.botManager.update(deltaTime);
+        this.game.botManager.update(deltaTime, simulation.now());
     }
 
     // Update game systems
@@ -343,7 +410,7 @@ export class GameLoop {
         
         // Update powerup systems
         if (this.game.powerupSystem) {
-            this.game.powerupSystem.update(deltaTime);
+            this.game.powerupSystem.update(deltaTime, simulation.now());
         }
         
         // Update currency systems
@@ -359,11 +426,12 @@ export class GameLoop {
 
     // Cleanup phase
     updateCleanup(deltaTime) {
-        // Remove inactive players
-        this.game.players = this.game.players.filter(player => player.isActive);
+        // Remove players that died. A player whose own cell was eaten may still
+        // have split cells left, so the game decides when someone is eliminated.
+        this.game.players = this.game.players.filter(player => player.isAlive !== false);
         
-        // Remove destroyed bots
-        this.game.bots = this.game.bots.filter(bot => bot.isActive);
+        // Remove dead bots
+        this.game.bots = this.game.bots.filter(bot => bot.isAlive !== false);
         
         // Clean up empty food
         this.game.food = this.game.food.filter(food => food.mass > 0);
@@ -376,18 +444,22 @@ export class GameLoop {
     }
 
     // Render game state with interpolation
-    render(alpha) {
+    render(alpha, frameDelta = this.frameTime) {
         const renderStart = performance.now();
         
         try {
-            // Execute render phases
-            for (let phase of this.renderPhases) {
-                this.executeRenderPhase(phase, alpha);
+            if (this.onRender) {
+                this.onRender(alpha, frameDelta);
+            } else {
+                // Execute render phases
+                for (let phase of this.renderPhases) {
+                    this.executeRenderPhase(phase, alpha);
+                }
             }
             
         } catch (error) {
             console.error('Error in game render:', error);
-            EventSystem.emit('gameloop:error', { phase: 'render', error });
+            gameEvents.emit('gameloop:error', { phase: 'render', error });
         }
         
         this.performanceStats.renderTime = performance.now() - renderStart;
@@ -473,13 +545,8 @@ export class GameLoop {
     // Get entities near a specific entity
     getNearbyEntities(entity, radius) {
         const nearby = [];
-        const allEntities = [
-            ...this.game.players.flatMap(p => p.cells),
-            ...this.game.bots.flatMap(b => b.cells),
-            ...this.game.food
-        ];
         
-        for (let other of allEntities) {
+        for (let other of this.broadphase.queryRadius(entity.x, entity.y, radius)) {
             if (other.id !== entity.id) {
                 const dx = entity.x - other.x;
                 const dy = entity.y - other.y;
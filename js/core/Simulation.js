@@ -0,0 +1,129 @@
+// js/core/Simulation.js
+// Source of randomness and time for everything that affects world state.
+// Unseeded it simply forwards to Math.random() and Date.now(). Once seeded it
+// switches to a PRNG and a clock that only moves when the GameLoop ticks, so two
+// runs with the same seed and inputs produce identical worlds. The live game
+// uses the simulated clock on its own, without the PRNG.
+
+// Small, fast 32-bit PRNG (mulberry32)
+export class SeededRandom {
+    constructor(seed) {
+        this.state = SeededRandom.hashSeed(seed);
+    }
+
+    // Accept numbers or strings as seeds
+    static hashSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+
+        // FNV-1a
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+// Clock that only advances when told to
+export class SimulationClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    advance(deltaTime) {
+        this.time += deltaTime;
+    }
+}
+
+export class Simulation {
+    constructor() {
+        this.seed = null;
+        this.rng = null;
+        this.clock = null;
+    }
+
+    get isDeterministic() {
+        return this.rng !== null;
+    }
+
+    // Switch to deterministic mode. Calling it again restarts the sequence.
+    setSeed(seed, startTime = 0) {
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+        this.clock = new SimulationClock(startTime);
+    }
+
+    // Keep Math.random() but only move time when the GameLoop ticks, so timers
+    // and cooldowns run the same at any frame rate
+    useSimulatedClock(startTime = Date.now()) {
+        this.clock = new SimulationClock(startTime);
+    }
+
+    // Back to Math.random() and wall-clock time
+    clearSeed() {
+        this.seed = null;
+        this.rng = null;
+        this.clock = null;
+    }
+
+    // Float in [0, 1)
+    random() {
+        return this.rng ? this.rng.next() : Math.random();
+    }
+
+    // Milliseconds, simulated when seeded
+    now() {
+        return this.clock ? this.clock.now() : Date.now();
+    }
+
+    // Called by the GameLoop once per fixed update
+    advance(deltaTime) {
+        if (this.clock) {
+            this.clock.advance(deltaTime);
+        }
+    }
+
+    // Everything needed to continue a seeded run from this point
+    getState() {
+        if (!this.isDeterministic) return null;
+
+        return {
+            seed: this.seed,
+            rngState: this.rng.getState(),
+            time: this.clock.now()
+        };
+    }
+
+    setState(state) {
+        this.setSeed(state.seed, state.time);
+        this.rng.setState(state.rngState);
+    }
+}
+
+// Shared instance used by entities, AI and systems
+export const simulation = new Simulation();
@@ -0,0 +1,432 @@
+// js/core/World.js
+// Headless game world driven by the GameLoop phases: players, bots, food and the
+// simulation systems, without any renderer, camera, particles or DOM access.
+// The multiplayer server and replay playback are both built on top of it.
+import { CONFIG } from './Config.js';
+import { GameLoop } from './GameLoop.js';
+import { gameEvents } from './EventSystem.js';
+import { simulation } from './Simulation.js';
+import { PhysicsEngine } from '../physics/PhysicsEngine.js';
+import { CollisionDetection } from '../physics/CollisionDetection.js';
+import { Movement } from '../physics/Movement.js';
+import { SplittingSystem } from '../physics/Splitting.js';
+import { PowerupSystem } from '../systems/PowerupSystem.js';
+import { MassDecaySystem } from '../systems/MassDecaySystem.js';
+import { TeamSystem } from '../systems/TeamSystem.js';
+import { VirusSystem } from '../systems/VirusSystem.js';
+import { BattleRoyaleSystem } from '../systems/BattleRoyaleSystem.js';
+import { Player } from '../entities/Player.js';
+import { Food } from '../entities/Food.js';
+import { EjectedMass } from '../entities/EjectedMass.js';
+import { BotManager } from '../ai/BotManager.js';
+import { Utils } from '../utils/Utils.js';
+
+export class World {
+    constructor(options = {}) {
+        this.maxPlayers = options.maxPlayers || CONFIG.SERVER.MAX_PLAYERS;
+        this.foodCount = options.foodCount !== undefined ? options.foodCount : CONFIG.FOOD.COUNT;
+
+        // Bots take every slot not used by a player unless disabled
+        this.fillWithBots = options.bots !== false;
+
+        // Custom game bot mix ({ difficulty, packs } of CustomGameSettings), stock otherwise
+        this.botSettings = options.botSettings || null;
+
+        // World state read by the GameLoop phases
+        this.players = [];
+        this.food = [];
+        this.worldBounds = {
+            left: 0,
+            top: 0,
+            right: CONFIG.WORLD.WIDTH,
+            bottom: CONFIG.WORLD.HEIGHT
+        };
+
+        // Simulation systems
+        this.physicsEngine = new PhysicsEngine();
+        this.physicsEngine.worldBounds = {
+            minX: this.worldBounds.left,
+            maxX: this.worldBounds.right,
+            minY: this.worldBounds.top,
+            maxY: this.worldBounds.bottom
+        };
+        this.collisionDetection = new CollisionDetection();
+        this.movementSystem = new Movement(this.physicsEngine);
+        this.splittingSystem = new SplittingSystem(this.physicsEngine);
+        this.powerupSystem = new PowerupSystem(this);
+        this.massDecaySystem = new MassDecaySystem(this);
+        this.botManager = null;
+
+        // Team mode when a team count is given (2-4), free-for-all otherwise
+        this.teamSystem = options.teams ? new TeamSystem(options.teams) : null;
+
+        // Experimental mode with viruses
+        this.virusSystem = options.viruses ? new VirusSystem(this) : null;
+
+        // Battle royale: shrinking zone, no respawns, eaten bots are not replaced
+        this.battleRoyale = options.battleRoyale ? new BattleRoyaleSystem(this) : null;
+
+        // Player inputs are applied at the start of every tick
+        this.inputManager = {
+            update: (deltaTime) => this.applyInputs(deltaTime)
+        };
+
+        // Optional ReplayRecorder, sees every lifecycle event and applied input
+        this.recorder = null;
+
+        // Tick bookkeeping
+        this.tick = 0;
+        this.isRunning = false;
+
+        this.gameLoop = new GameLoop(this);
+        this.onTickComplete = (data) => {
+            if (data.gameLoop === this.gameLoop) this.afterTick();
+        };
+    }
+
+    // GameLoop reads and filters game.bots directly
+    get bots() {
+        return this.botManager ? this.botManager.bots : [];
+    }
+
+    set bots(bots) {
+        if (this.botManager) {
+            this.botManager.bots = bots;
+        }
+    }
+
+    // Spawn bots and food. Called by start(), or directly when stepping manually.
+    populate() {
+        if (this.botManager) return;
+
+        this.botManager = new BotManager(this);
+        if (this.botSettings) {
+            const { easy, medium, hard, expert } = this.botSettings.difficulty;
+            this.botManager.setDifficultyDistribution(easy, medium, hard, expert);
+            this.botManager.setPackDifficulties(this.botSettings.packs);
+        }
+        this.botManager.maxBots = this.getBotSlotCount();
+        this.botManager.respawnEnabled = !this.battleRoyale;
+        this.botManager.initialize(this.worldBounds);
+
+        this.spawnFood(this.foodCount);
+
+        if (this.virusSystem) {
+            this.virusSystem.spawnViruses(this.virusSystem.targetCount);
+        }
+    }
+
+    // Run in real time
+    start() {
+        if (this.isRunning) return;
+
+        this.populate();
+
+        gameEvents.on('gameloop:phase:cleanup', this.onTickComplete);
+        this.gameLoop.start();
+        this.isRunning = true;
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        this.gameLoop.stop();
+        gameEvents.off('gameloop:phase:cleanup', this.onTickComplete);
+        this.isRunning = false;
+    }
+
+    // Advance exactly one tick, independent of wall-clock time. Only for worlds
+    // that are not running in real time.
+    step() {
+        this.populate();
+        this.gameLoop.step();
+        this.afterTick();
+    }
+
+    // Run one display frame of frameDelta ms through the loop's accumulator, the
+    // way start() would at that frame rate, without waiting on the wall clock.
+    // Returns the number of ticks it took. Only for worlds not running in real time.
+    advanceFrame(frameDelta) {
+        this.populate();
+
+        gameEvents.on('gameloop:phase:cleanup', this.onTickComplete);
+        try {
+            return this.gameLoop.advance(frameDelta);
+        } finally {
+            gameEvents.off('gameloop:phase:cleanup', this.onTickComplete);
+        }
+    }
+
+    // Input phase - subclasses feed player inputs through applyPlayerInput()
+    applyInputs(deltaTime) {}
+
+    // input: { x, y, split, eject, powerup }
+    applyPlayerInput(player, input) {
+        if (this.recorder) {
+            this.recorder.recordInput(this.tick, player.id, input);
+        }
+
+        player.setMousePosition(input.x, input.y);
+        player.targetX = input.x;
+        player.targetY = input.y;
+
+        if (input.split) {
+            this.splittingSystem.performSplit(player, input.x, input.y);
+        }
+
+        if (input.eject) {
+            this.ejectMass(player, input.x, input.y);
+        }
+
+        if (input.powerup) {
+            this.powerupSystem.usePowerup(player, input.powerup, input.x, input.y);
+        }
+    }
+
+    // Player lifecycle
+    addPlayer(name, id = null) {
+        const spawnPos = this.findSpawnPosition();
+        const player = new Player(spawnPos.x, spawnPos.y, name);
+
+        if (id !== null) {
+            player.id = id;
+            player.playerId = id;
+        }
+
+        player.setMousePosition(spawnPos.x, spawnPos.y);
+        this.players.push(player);
+
+        if (this.teamSystem) {
+            this.teamSystem.assignPlayer(player);
+        }
+
+        if (this.recorder) {
+            this.recorder.recordEvent(this.tick, 'join', { playerId: player.id, name });
+        }
+
+        // A human took a slot, so one less bot is needed
+        this.updateBotSlots();
+
+        return player;
+    }
+
+    removePlayer(player) {
+        const index = this.players.indexOf(player);
+        if (index > -1) {
+            this.players.splice(index, 1);
+        }
+
+        if (this.teamSystem) {
+            this.teamSystem.removePlayer(player);
+        }
+
+        this.updateBotSlots();
+    }
+
+    // A player quit on their own (eliminations happen inside the simulation)
+    disconnectPlayer(player) {
+        if (this.recorder && this.players.includes(player)) {
+            this.recorder.recordEvent(this.tick, 'leave', { playerId: player.id });
+        }
+
+        this.removePlayer(player);
+
+        // Rejoining later counts as a new player
+        if (this.teamSystem) {
+            this.teamSystem.removePlayer(player, true);
+        }
+    }
+
+    findPlayer(playerId) {
+        return this.players.find(player => player.id === playerId) || null;
+    }
+
+    findSpawnPosition() {
+        const safePos = this.botManager ? this.botManager.findSafeSpawnPosition() : null;
+        if (safePos) return safePos;
+
+        return {
+            x: Utils.random(this.worldBounds.left + 100, this.worldBounds.right - 100),
+            y: Utils.random(this.worldBounds.top + 100, this.worldBounds.bottom - 100)
+        };
+    }
+
+    // Bots fill every slot players are not using
+    getBotSlotCount() {
+        if (!this.fillWithBots) return 0;
+
+        return Math.max(0, this.maxPlayers - this.players.length);
+    }
+
+    updateBotSlots() {
+        if (!this.botManager) return;
+
+        this.botManager.maxBots = this.getBotSlotCount();
+
+        // Drop the smallest bots first so joining players don't land next to a giant
+        while (this.botManager.bots.length > this.botManager.maxBots) {
+            const smallest = this.botManager.bots.reduce((min, bot) =>
+                bot.getTotalMass() < min.getTotalMass() ? bot : min);
+            this.botManager.removeBot(smallest);
+        }
+    }
+
+    // Used by BotManager when choosing safe spawn positions
+    getAllPlayers() {
+        return [...this.players, ...this.bots];
+    }
+
+    ejectMass(player, targetX, targetY) {
+        for (const cell of player.cells) {
+            const pellet = EjectedMass.fromCell(cell, targetX, targetY);
+            if (pellet) {
+                this.food.push(pellet);
+            }
+        }
+
+        player.updateTotalMass();
+    }
+
+    // Runs once per tick after the GameLoop cleanup phase
+    afterTick() {
+        this.tick++;
+
+        if (this.virusSystem) {
+            this.virusSystem.update(this.gameLoop.frameTime);
+        }
+
+        if (this.battleRoyale) {
+            this.battleRoyale.update(this.gameLoop.frameTime);
+        }
+
+        this.massDecaySystem.update(this.gameLoop.frameTime);
+
+        this.removeAbsorbedCells();
+        this.checkEliminations();
+        this.maintainFood();
+        this.onTick();
+    }
+
+    // Hook for subclasses, runs at the end of every tick
+    onTick() {}
+
+    removeAbsorbedCells() {
+        for (const player of this.getAllPlayers()) {
+            player.cells = player.cells.filter(cell => cell.isActive && cell.mass > 0);
+            player.updateTotalMass();
+        }
+    }
+
+    // Remove players that lost all their cells
+    checkEliminations() {
+        for (const player of [...this.players]) {
+            if (player.isAlive && player.cells.length > 0) continue;
+
+            if (player.isAlive) {
+                player.die();
+            }
+
+            this.removePlayer(player);
+            this.onPlayerEliminated(player);
+        }
+
+        // Eaten bots are gone for good, BotManager spawns replacements
+        for (const bot of [...this.bots]) {
+            if (bot.cells.length > 0) continue;
+
+            if (bot.isAlive) {
+                bot.die();
+            }
+
+            this.botManager.removeBot(bot);
+        }
+    }
+
+    // Hook for subclasses
+    onPlayerEliminated(player) {}
+
+    maintainFood() {
+        if (this.battleRoyale && !this.battleRoyale.allowsFoodRespawn()) return;
+
+        const missing = this.foodCount - this.food.length;
+        if (missing > 0) {
+            this.spawnFood(Math.min(missing, CONFIG.SERVER.FOOD_SPAWN_PER_TICK));
+        }
+    }
+
+    spawnFood(count) {
+        for (let i = 0; i < count; i++) {
+            const x = Utils.random(this.worldBounds.left, this.worldBounds.right);
+            const y = Utils.random(this.worldBounds.top, this.worldBounds.bottom);
+            this.food.push(new Food(x, y, Food.randomType()));
+        }
+    }
+
+    // Copy of everything that changes while the world runs, for keyframes and rewinding.
+    // Class instances keep their prototypes; the world itself is referenced, not copied.
+    captureState() {
+        return Utils.cloneGraph({
+            tick: this.tick,
+            loopTime: this.gameLoop.currentTime,
+            frameCount: this.gameLoop.frameCount,
+            simulation: simulation.getState(),
+            players: this.players,
+            food: this.food,
+            botManager: this.botManager,
+            splittingSystem: this.splittingSystem,
+            physicsEngine: this.physicsEngine,
+            powerupSystem: this.powerupSystem,
+            teamSystem: this.teamSystem,
+            virusSystem: this.virusSystem,
+            battleRoyale: this.battleRoyale
+        }, [this, this.gameLoop]);
+    }
+
+    restoreState(state) {
+        // Clone again so the same keyframe can be restored more than once
+        const copy = Utils.cloneGraph(state, [this, this.gameLoop]);
+
+        this.tick = copy.tick;
+        this.gameLoop.currentTime = copy.loopTime;
+        this.gameLoop.frameCount = copy.frameCount;
+        if (copy.simulation) {
+            simulation.setState(copy.simulation);
+        }
+
+        this.players = copy.players;
+        this.food = copy.food;
+        this.botManager = copy.botManager;
+        this.splittingSystem = copy.splittingSystem;
+        this.physicsEngine = copy.physicsEngine;
+        this.powerupSystem = copy.powerupSystem;
+        this.teamSystem = copy.teamSystem;
+        this.virusSystem = copy.virusSystem;
+        this.battleRoyale = copy.battleRoyale;
+
+        // Movement keeps a reference to the physics engine it was built with
+        this.movementSystem.physics = this.physicsEngine;
+    }
+
+    getLeaderboard(limit = 10) {
+        return this.getAllPlayers()
+            .filter(player => player.isAlive)
+            .map(player => ({ id: player.id, name: player.name, mass: Math.floor(player.getTotalMass()) }))
+            .sort((a, b) => b.mass - a.mass)
+            .slice(0, limit);
+    }
+
+    // Team mode only
+    getTeamStandings() {
+        return this.teamSystem ? this.teamSystem.getStandings() : [];
+    }
+
+    getStats() {
+        return {
+            tick: this.tick,
+            players: this.players.length,
+            bots: this.bots.length,
+            food: this.food.length,
+            performance: this.gameLoop.getPerformanceStats()
+        };
+    }
+}
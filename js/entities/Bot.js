@@ -2,6 +2,7 @@
 import { Player } from './Player.js';  // Changed from default import to named import
 import BotAI from '../ai/BotAI.js';
 import { Utils } from '../utils/Utils.js';
+import { simulation } from '../core/Simulation.js';
 
 class Bot extends Player {
     constructor(x, y, difficulty = 'medium', config = {}) {
@@ -64,9 +65,9 @@ class Bot extends Player {
             'Raven', 'Bear', 'Lion', 'Hawk', 'Spider', 'Cobra', 'Lynx'
         ];
         
-        const adjective = adjectives[Math.floor(Math.random() * adjectives.length)];
-        const noun = nouns[Math.floor(Math.random() * nouns.length)];
-        const number = Math.floor(Math.random() * 999) + 1;
+        const adjective = adjectives[Math.floor(simulation.random() * adjectives.length)];
+        const noun = nouns[Math.floor(simulation.random() * nouns.length)];
+        const number = Math.floor(simulation.random() * 999) + 1;
         
         return `${adjective}${noun}${number}`;
     }
@@ -81,7 +82,7 @@ class Bot extends Player {
         };
         
         const baseTime = baseTimes[this.difficulty] || 400;
-        return baseTime + (Math.random() - 0.5) * baseTime * 0.3; // ±30% variation
+        return baseTime + (simulation.random() - 0.5) * baseTime * 0.3; // ±30% variation
     }
 
     // Calculate skill level
@@ -99,23 +100,23 @@ class Bot extends Player {
     // Generate personality traits
     generatePersonality() {
         return {
-            aggression: Math.random() * 0.5 + (this.difficulty === 'expert' ? 0.5 : 0.2),
-            caution: Math.random() * 0.8 + 0.1,
-            persistence: Math.random() * 0.7 + 0.3,
-            teamwork: Math.random() * 0.5,
-            riskTaking: Math.random() * 0.6 + (this.difficulty === 'easy' ? 0.1 : 0.3)
+            aggression: simulation.random() * 0.5 + (this.difficulty === 'expert' ? 0.5 : 0.2),
+            caution: simulation.random() * 0.8 + 0.1,
+            persistence: simulation.random() * 0.7 + 0.3,
+            teamwork: simulation.random() * 0.5,
+            riskTaking: simulation.random() * 0.6 + (this.difficulty === 'easy' ? 0.1 : 0.3)
         };
     }
 
     // Generate bot appearance
     generateAppearance() {
-        const hue = Math.random() * 360;
-        const saturation = 60 + Math.random() * 40;
-        const lightness = 45 + Math.random() * 20;
+        const hue = simulation.random() * 360;
+        const saturation = 60 + simulation.random() * 40;
+        const lightness = 45 + simulation.random() * 20;
         
         return {
             color: `hsl(${hue}, ${saturation}%, ${lightness}%)`,
-            pattern: Math.random() < 0.3 ? 'striped' : 'solid',
+            pattern: simulation.random() < 0.3 ? 'striped' : 'solid',
             glow: this.difficulty === 'expert'
         };
     }
@@ -194,7 +195,7 @@ class Bot extends Player {
 
     // Enhanced split method with AI considerations
     split(targetX, targetY) {
-        const currentTime = Date.now();
+        const currentTime = simulation.now();
         
         // Check cooldown and conditions
         if (currentTime - this.lastSplitTime < this.splitCooldown) return false;
@@ -202,7 +203,7 @@ class Bot extends Player {
         if (this.totalMass < 35) return false;
         
         // Add skill-based success rate
-        if (Math.random() > this.skillLevel) return false;
+        if (simulation.random() > this.skillLevel) return false;
         
         const success = super.split(targetX, targetY);
         
@@ -212,8 +213,8 @@ class Bot extends Player {
             
             // Add some randomness to split direction for more natural behavior
             const randomOffset = (1 - this.skillLevel) * 50;
-            const offsetX = (Math.random() - 0.5) * randomOffset;
-            const offsetY = (Math.random() - 0.5) * randomOffset;
+            const offsetX = (simulation.random() - 0.5) * randomOffset;
+            const offsetY = (simulation.random() - 0.5) * randomOffset;
             
             this.targetX += offsetX;
             this.targetY += offsetY;
@@ -247,17 +248,17 @@ class Bot extends Player {
         
         // Recombine if fleeing or no immediate threats/opportunities
         if (behaviorState.behavior === 'flee') return true;
-        if (behaviorState.behavior === 'wander' && Math.random() < 0.3) return true;
+        if (behaviorState.behavior === 'wander' && simulation.random() < 0.3) return true;
         
         // Recombine if too many cells for effective control
-        if (this.cells.length > 4 && Math.random() < 0.5) return true;
+        if (this.cells.length > 4 && simulation.random() < 0.5) return true;
         
         return false;
     }
 
     // Enhanced recombine with AI considerations
     recombine() {
-        const currentTime = Date.now();
+        const currentTime = simulation.now();
         
         if (currentTime - this.lastRecombineTime < this.recombineCooldown) return false;
         if (this.cells.length <= 1) return false;
@@ -2,6 +2,7 @@
 import { CONFIG } from '../core/Config.js';
 import { Utils } from '../utils/Utils.js';
 import { MathUtils } from '../utils/Math.js';
+import { simulation } from '../core/Simulation.js';
 
 export class Cell {
     constructor(x, y, mass = 20, options = {}) {
@@ -12,6 +13,9 @@ export class Cell {
         this.radius = Math.sqrt(mass / Math.PI);
         this.velocity = { x: 0, y: 0 };
         
+        // Team mode - teammates share a color and can't absorb each other
+        this.teamId = options.teamId !== undefined ? options.teamId : null;
+        
         // Visual properties
         this.color = options.color || this.generateColor();
         this.borderColor = options.borderColor || this.generateBorderColor();
@@ -24,8 +28,8 @@ export class Cell {
         this.type = options.type || 'cell';
         
         // Timing
-        this.createdAt = Date.now();
-        this.lastUpdate = Date.now();
+        this.createdAt = simulation.now();
+        this.lastUpdate = simulation.now();
         
         // Relationships
         this.parentId = options.parentId || null;
@@ -41,7 +45,7 @@ export class Cell {
         
         // Visual effects
         this.glowIntensity = 0;
-        this.pulsePhase = Math.random() * Math.PI * 2;
+        this.pulsePhase = simulation.random() * Math.PI * 2;
         
         // Collision properties
         this.collisionLayer = options.collisionLayer || 'default';
@@ -49,7 +53,7 @@ export class Cell {
         
         // Initialize position history for smooth interpolation
         this.positionHistory = [
-            { x: this.x, y: this.y, timestamp: Date.now() }
+            { x: this.x, y: this.y, timestamp: simulation.now() }
         ];
     }
 
@@ -60,7 +64,7 @@ export class Cell {
     update(deltaTime) {
         if (!this.isActive) return;
         
-        this.lastUpdate = Date.now();
+        this.lastUpdate = simulation.now();
         
         // Update effects
         this.updateEffects(deltaTime);
@@ -83,7 +87,7 @@ export class Cell {
      * @param {number} deltaTime - Time delta
      */
     updateEffects(deltaTime) {
-        const currentTime = Date.now();
+        const currentTime = simulation.now();
         
         for (const [effectName, effect] of this.effects) {
             if (currentTime >= effect.endTime) {
@@ -113,7 +117,7 @@ export class Cell {
      * Update position history for interpolation
      */
     updatePositionHistory() {
-        const now = Date.now();
+        const now = simulation.now();
         
         // Add current position
         this.positionHistory.push({
@@ -128,6 +132,21 @@ export class Cell {
         );
     }
 
+    /**
+     * Record an authoritative position sample (e.g. from a server snapshot)
+     * @param {number} x - Sampled X position
+     * @param {number} y - Sampled Y position
+     * @param {number} timestamp - Sample time in ms
+     * @param {number} maxAge - How long samples are kept, relative to the newest one
+     */
+    addPositionSample(x, y, timestamp, maxAge = 1000) {
+        this.positionHistory.push({ x, y, timestamp });
+
+        this.positionHistory = this.positionHistory.filter(
+            pos => timestamp - pos.timestamp <= maxAge
+        );
+    }
+
     /**
      * Get interpolated position for smooth rendering
      * @param {number} renderTime - Time for interpolation
@@ -173,6 +192,8 @@ export class Cell {
     canAbsorb(otherCell) {
         if (!this.isActive || !otherCell.isActive) return false;
         if (this.id === otherCell.id) return false;
+        if (Utils.isFriendly(this, otherCell)) return false;
+        if (otherCell.isEjected && !otherCell.canBeEatenBy(this)) return false;
         
         // Check mass requirement
         const massThreshold = CONFIG.PHYSICS.ABSORPTION_THRESHOLD;
@@ -265,13 +286,28 @@ export class Cell {
     }
 
     /**
-     * Generate random color for the cell
+     * Generate color for the cell - the team color in team mode, random otherwise
      * @returns {string} CSS color string
      */
-generateColor() {
-    const colors = CONFIG.CELL_COLORS;
-    return colors[Math.floor(Math.random() * colors.length)];
-}
+    generateColor() {
+        if (this.teamId !== null && this.teamId !== undefined) {
+            const teamColors = CONFIG.TEAMS.COLORS;
+            return teamColors[this.teamId % teamColors.length];
+        }
+        
+        const colors = CONFIG.CELL_COLORS;
+        return colors[Math.floor(simulation.random() * colors.length)];
+    }
+
+    /**
+     * Join a team and take on its color (leaving picks a new random color)
+     * @param {number|null} teamId - Team index, or null to leave team play
+     */
+    setTeam(teamId) {
+        this.teamId = teamId;
+        this.color = this.generateColor();
+        this.borderColor = this.generateBorderColor();
+    }
 
     /**
      * Generate border color based on main color
@@ -314,8 +350,8 @@ generateColor() {
     addEffect(name, duration, properties = {}) {
         const effect = {
             name,
-            startTime: Date.now(),
-            endTime: Date.now() + duration,
+            startTime: simulation.now(),
+            endTime: simulation.now() + duration,
             intensity: 1.0,
             properties
         };
@@ -553,7 +589,7 @@ generateColor() {
      * @returns {number} Age in milliseconds
      */
     getAge() {
-        return Date.now() - this.createdAt;
+        return simulation.now() - this.createdAt;
     }
 
     /**
@@ -634,6 +670,7 @@ generateColor() {
             type: this.type,
             parentId: this.parentId,
             playerId: this.playerId,
+            teamId: this.teamId,
             ...overrides
         });
         
@@ -0,0 +1,128 @@
+// js/entities/EjectedMass.js
+// Mass a cell shoots out toward the mouse. It flies off at CONFIG.EJECTED_MASS.SPEED,
+// slows down on its own friction and then lies still like any other food. Anyone
+// can eat it, teammates and companions included - that is how players feed each
+// other - except the player who ejected it, until the pickup delay has passed.
+import { Food } from './Food.js';
+import { Utils } from '../utils/Utils.js';
+import { CONFIG } from '../core/Config.js';
+
+export class EjectedMass extends Food {
+    constructor(x, y, ownerId = null, mass = CONFIG.PLAYER.EJECT_MASS) {
+        super(x, y, 'ejected');
+
+        this.mass = mass;
+        this.updateRadius();
+        this.experienceValue = this.calculateExperienceValue();
+        this.coinValue = this.calculateCoinValue();
+
+        // Id of the player whose cell ejected it
+        this.ownerId = ownerId;
+        this.isEjected = true;
+    }
+
+    // Shoot a pellet out of the cell toward the target. Returns null when the
+    // cell is too small or the target is right on top of it.
+    static fromCell(cell, targetX, targetY) {
+        if (cell.mass <= CONFIG.PLAYER.MIN_EJECT_MASS) return null;
+
+        const direction = Utils.normalizeVector(targetX - cell.x, targetY - cell.y);
+        if (direction.x === 0 && direction.y === 0) return null;
+
+        const pellet = new EjectedMass(cell.x, cell.y, EjectedMass.getOwnerId(cell));
+        const distance = cell.radius + pellet.radius;
+        pellet.x = cell.x + direction.x * distance;
+        pellet.y = cell.y + direction.y * distance;
+        pellet.color = cell.color;
+        pellet.launch(direction.x, direction.y);
+
+        cell.mass -= pellet.mass;
+        cell.updateRadius();
+
+        return pellet;
+    }
+
+    // Player a cell belongs to - split cells carry it as ownerId or playerId
+    static getOwnerId(cell) {
+        return cell.ownerId || cell.playerId || cell.id;
+    }
+
+    launch(directionX, directionY, speed = CONFIG.EJECTED_MASS.SPEED) {
+        this.velocity.x = directionX * speed;
+        this.velocity.y = directionY * speed;
+        this.isStatic = false;
+    }
+
+    // Fly on for deltaTime ms. Speed falls off exponentially, so the path is
+    // the same whatever the tick length. Bounces off the edges of bounds.
+    move(deltaTime, bounds) {
+        if (this.isStatic) return;
+
+        const settings = CONFIG.EJECTED_MASS;
+        const seconds = deltaTime / 1000;
+        const retained = Math.pow(settings.FRICTION, seconds);
+
+        // Distance covered while slowing down, as seconds at the starting speed
+        const travel = (retained - 1) / Math.log(settings.FRICTION);
+        this.x += this.velocity.x * travel;
+        this.y += this.velocity.y * travel;
+        this.velocity.x *= retained;
+        this.velocity.y *= retained;
+
+        if (bounds) {
+            this.bounceOffEdges(bounds);
+        }
+
+        if (Math.hypot(this.velocity.x, this.velocity.y) < settings.STOP_SPEED) {
+            this.velocity.x = 0;
+            this.velocity.y = 0;
+            this.isStatic = true;
+        }
+    }
+
+    bounceOffEdges(bounds) {
+        const bounce = CONFIG.PHYSICS.BOUNDARY_BOUNCE;
+
+        if (this.x - this.radius < bounds.left) {
+            this.x = bounds.left + this.radius;
+            this.velocity.x = Math.abs(this.velocity.x) * bounce;
+        } else if (this.x + this.radius > bounds.right) {
+            this.x = bounds.right - this.radius;
+            this.velocity.x = -Math.abs(this.velocity.x) * bounce;
+        }
+
+        if (this.y - this.radius < bounds.top) {
+            this.y = bounds.top + this.radius;
+            this.velocity.y = Math.abs(this.velocity.y) * bounce;
+        } else if (this.y + this.radius > bounds.bottom) {
+            this.y = bounds.bottom - this.radius;
+            this.velocity.y = -Math.abs(this.velocity.y) * bounce;
+        }
+    }
+
+    // The ejecting player can't swallow its own pellet straight back
+    canBeEatenBy(cell) {
+        if (EjectedMass.getOwnerId(cell) !== this.ownerId) return true;
+        return this.getAge() >= CONFIG.EJECTED_MASS.OWNER_PICKUP_DELAY;
+    }
+
+    serialize() {
+        return {
+            ...super.serialize(),
+            id: this.id,
+            ownerId: this.ownerId,
+            velocity: { ...this.velocity },
+            isStatic: this.isStatic
+        };
+    }
+
+    static deserialize(data) {
+        const pellet = new EjectedMass(data.x, data.y, data.ownerId, data.mass);
+        pellet.id = data.id;
+        pellet.spawnTime = data.spawnTime;
+        pellet.color = data.color;
+        pellet.velocity = { ...data.velocity };
+        pellet.isStatic = data.isStatic;
+        return pellet;
+    }
+}
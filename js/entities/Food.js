@@ -2,6 +2,19 @@
 import { Cell } from './Cell.js';
 import { Utils } from '../utils/Utils.js';
 import { CONFIG } from '../core/Config.js';
+import { simulation } from '../core/Simulation.js';
+
+// Relative spawn weight of each food type
+export const FOOD_SPAWN_WEIGHTS = {
+    'normal': 70,
+    'large': 20,
+    'mega': 5,
+    'golden': 1,
+    'speed': 15,
+    'toxic': 8,
+    'regenerative': 10,
+    'explosive': 3
+};
 
 export class Food extends Cell {
     constructor(x, y, type = 'normal') {
@@ -15,11 +28,11 @@ export class Food extends Cell {
         
         // Visual properties
         this.color = this.generateFoodColor();
-        this.pulsePhase = Math.random() * Math.PI * 2; // For animation
+        this.pulsePhase = simulation.random() * Math.PI * 2; // For animation
         this.glowIntensity = 0;
         
         // Spawn properties
-        this.spawnTime = Date.now();
+        this.spawnTime = simulation.now();
         this.lifetime = this.getLifetime();
         this.decayRate = 0; // Some food types decay over time
         
@@ -35,6 +48,24 @@ export class Food extends Cell {
         this.isDead = false;
     }
 
+    // Pick a food type from a weights table. Without one (the default) all
+    // food is normal and no random number is drawn.
+    static randomType(weights = CONFIG.FOOD.TYPE_WEIGHTS) {
+        if (!weights) return 'normal';
+
+        const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        if (total <= 0) return 'normal';
+
+        let roll = simulation.random() * total;
+        for (const [type, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return type;
+        }
+
+        return entries[entries.length - 1][0];
+    }
+
     static getMassForType(type) {
         const massCONFIG = {
             'normal': Utils.randomRange(2, 5),
@@ -168,7 +199,7 @@ export class Food extends Cell {
         
         // Handle lifetime
         if (this.lifetime > 0) {
-            const age = Date.now() - this.spawnTime;
+            const age = simulation.now() - this.spawnTime;
             if (age > this.lifetime) {
                 this.startDespawn();
             }
@@ -204,12 +235,12 @@ export class Food extends Cell {
 
     isArmed() {
         return this.type === 'explosive' && 
-               (Date.now() - this.spawnTime) > (this.armingTime || 0);
+               (simulation.now() - this.spawnTime) > (this.armingTime || 0);
     }
 
     updateExplosiveState(deltaTime) {
         // Increase visual intensity as it gets ready to explode
-        const timeAlive = Date.now() - this.spawnTime;
+        const timeAlive = simulation.now() - this.spawnTime;
         const timeUntilExplosion = this.lifetime - timeAlive;
         
         if (timeUntilExplosion < 3000) { // Last 3 seconds
@@ -324,14 +355,14 @@ export class Food extends Cell {
     startDespawn() {
         // Begin despawn animation
         this.isDespawning = true;
-        this.despawnStartTime = Date.now();
+        this.despawnStartTime = simulation.now();
         this.despawnDuration = 2000; // 2 second fade out
     }
 
     getDespawnAlpha() {
         if (!this.isDespawning) return 1;
         
-        const elapsed = Date.now() - this.despawnStartTime;
+        const elapsed = simulation.now() - this.despawnStartTime;
         const progress = elapsed / this.despawnDuration;
         
         if (progress >= 1) {
@@ -409,7 +440,7 @@ export class Food extends Cell {
     }
 
     getAge() {
-        return Date.now() - this.spawnTime;
+        return simulation.now() - this.spawnTime;
     }
 
     getTimeUntilDespawn() {
@@ -423,18 +454,8 @@ export class Food extends Cell {
 
     getSpawnWeight() {
         // Used by food spawner to determine spawn probability
-        const weights = {
-            'normal': 70,
-            'large': 20,
-            'mega': 5,
-            'golden': 1,
-            'speed': 15,
-            'toxic': 8,
-            'regenerative': 10,
-            'explosive': 3
-        };
-        
-        return weights[this.type] || weights['normal'];
+        const weights = CONFIG.FOOD.TYPE_WEIGHTS || FOOD_SPAWN_WEIGHTS;
+        return weights[this.type] ?? FOOD_SPAWN_WEIGHTS[this.type] ?? FOOD_SPAWN_WEIGHTS['normal'];
     }
 
     // Serialization (for saving special food states if needed)
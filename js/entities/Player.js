@@ -3,6 +3,7 @@ import { Cell } from './Cell.js';
 import { Utils } from '../utils/Utils.js';
 import { CONFIG } from '../core/Config.js';
 import { gameEvents } from '../core/EventSystem.js';
+import { simulation } from '../core/Simulation.js';
 
 export class Player extends Cell {
     constructor(x, y, name = 'Player') {
@@ -11,10 +12,12 @@ export class Player extends Cell {
         // Player identification
         this.name = name;
         this.id = Utils.generateId();
+        this.playerId = this.id;
         this.isPlayer = true;
         
         // Multiple cells system
         this.cells = [this];
+        this.totalMass = this.mass;
         this.maxCells = CONFIG.PLAYER.MAX_CELLS;
         this.splitCooldown = 0;
         this.recombineTimer = new Map(); // Track when cells can recombine
@@ -55,6 +58,7 @@ export class Player extends Cell {
         
         // State
         this.isDead = false;
+        this.isAlive = true;
         this.lastSplitTime = 0;
         this.invulnerabilityTime = 0;
     }
@@ -66,6 +70,7 @@ export class Player extends Cell {
         this.updateCooldowns(deltaTime);
         this.updatePowerups(deltaTime);
         this.updateCells(deltaTime);
+        this.updateTotalMass();
         this.updateCombinedStats();
         this.checkLevelUp();
         
@@ -184,13 +189,13 @@ export class Player extends Cell {
                 
                 // Set recombine timer
                 const cellId = cell.id + '-' + newCell.id;
-                this.recombineTimer.set(cellId, Date.now() + CONFIG.PLAYER.RECOMBINE_TIME);
+                this.recombineTimer.set(cellId, simulation.now() + CONFIG.PLAYER.RECOMBINE_TIME);
             }
         }
         
         if (newCells.length > 0) {
             this.cells.push(...newCells);
-            this.lastSplitTime = Date.now();
+            this.lastSplitTime = simulation.now();
             this.splitCooldown = CONFIG.PLAYER.SPLIT_COOLDOWN;
             
             gameEvents.emit('playerSplit', {
@@ -230,8 +235,10 @@ export class Player extends Cell {
         parentCell.velocity.x = -splitDirection.x * momentum * 0.5;
         parentCell.velocity.y = -splitDirection.y * momentum * 0.5;
         
-        // Copy visual properties
+        // Copy visual properties and team
         newCell.color = parentCell.color;
+        newCell.teamId = parentCell.teamId;
+        newCell.companionOf = parentCell.companionOf;
         newCell.ownerId = this.id;
         
         return newCell;
@@ -247,7 +254,7 @@ export class Player extends Cell {
             return { x: dx / distance, y: dy / distance };
         } else {
             // Random direction
-            const angle = Math.random() * Math.PI * 2;
+            const angle = simulation.random() * Math.PI * 2;
             return { x: Math.cos(angle), y: Math.sin(angle) };
         }
     }
@@ -267,10 +274,10 @@ export class Player extends Cell {
             const cellPairId = Math.min(cell.id, otherCell.id) + '-' + Math.max(cell.id, otherCell.id);
             const recombineTime = this.recombineTimer.get(cellPairId);
             
-            if (!recombineTime || Date.now() < recombineTime) continue;
+            if (!recombineTime || simulation.now() < recombineTime) continue;
             
             // Check if cells are close enough to recombine
-            const distance = Utils.getDistance(cell.x, cell.y, otherCell.x, otherCell.y);
+            const distance = Utils.distance(cell.x, cell.y, otherCell.x, otherCell.y);
             const combinedRadius = cell.radius + otherCell.radius;
             
             if (distance < combinedRadius * 0.8) {
@@ -319,14 +326,16 @@ export class Player extends Cell {
         let bestDistance = Infinity;
         
         for (const cell of this.cells) {
-            const distance = Utils.getDistance(cell.x, cell.y, target.x, target.y);
+            const distance = Utils.distance(cell.x, cell.y, target.x, target.y);
             if (distance < bestDistance && cell.canAbsorb(target)) {
                 bestCell = cell;
                 bestDistance = distance;
             }
         }
         
-        if (bestCell && bestCell.absorb(target)) {
+        // The first cell is the player itself, which absorbs as a plain Cell
+        const absorbed = bestCell === this ? super.absorb(target) : bestCell && bestCell.absorb(target);
+        if (absorbed) {
             this.onAbsorption(target);
             return true;
         }
@@ -452,6 +461,11 @@ export class Player extends Cell {
         return this.cells.reduce((total, cell) => total + cell.mass, 0);
     }
 
+    updateTotalMass() {
+        this.totalMass = this.getTotalMass();
+        return this.totalMass;
+    }
+
     getLargestCell() {
         return this.cells.reduce((largest, cell) => 
             cell.mass > largest.mass ? cell : largest, this.cells[0]);
@@ -481,6 +495,7 @@ export class Player extends Cell {
 
     die() {
         this.isDead = true;
+        this.isAlive = false;
         this.statistics.timesEaten++;
         
         gameEvents.emit('playerDied', {
@@ -490,11 +505,25 @@ export class Player extends Cell {
         });
     }
 
+    // Team mode - every cell takes the team color
+    setTeam(teamId) {
+        super.setTeam(teamId);
+        
+        for (const cell of this.cells) {
+            if (cell !== this) {
+                cell.setTeam(teamId);
+            }
+        }
+    }
+
     respawn(x, y) {
         this.isDead = false;
-        this.cells = [new Cell(x, y, CONFIG.PLAYER.STARTING_MASS)];
+        this.isAlive = true;
+        this.cells = [new Cell(x, y, CONFIG.PLAYER.STARTING_MASS, { teamId: this.teamId })];
         this.cells[0].color = this.generateColor();
         this.cells[0].ownerId = this.id;
+        this.cells[0].playerId = this.id;
+        this.updateTotalMass();
         
         // Reset some stats but keep progression
         this.invulnerabilityTime = CONFIG.PLAYER.RESPAWN_INVULNERABILITY;
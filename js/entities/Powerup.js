@@ -1,6 +1,7 @@
 // js/entities/Powerup.js
 import { Utils } from '../utils/Utils.js';
 import { CONFIG } from '../core/Config.js';
+import { simulation } from '../core/Simulation.js';
 
 export class Powerup {
     constructor(x, y, type, value = 1) {
@@ -21,7 +22,7 @@ export class Powerup {
         // Physics properties
         this.mass = 1;
         this.collected = false;
-        this.spawnTime = Date.now();
+        this.spawnTime = simulation.now();
         this.lifetime = this.getLifetime();
         
         // Special effects
@@ -107,8 +108,8 @@ export class Powerup {
         this.y += this.velocity.y * deltaTime;
         
         // Apply friction
-        this.velocity.x *= CONFIG.physics.friction;
-        this.velocity.y *= CONFIG.physics.friction;
+        this.velocity.x *= CONFIG.PHYSICS.FRICTION;
+        this.velocity.y *= CONFIG.PHYSICS.FRICTION;
         
         // Stop very small movements
         if (Math.abs(this.velocity.x) < 0.1) this.velocity.x = 0;
@@ -121,7 +122,7 @@ export class Powerup {
             this.updateSparkleParticles(deltaTime);
             
             // Occasionally spawn new sparkles
-            if (Math.random() < 0.1) {
+            if (simulation.random() < 0.1) {
                 this.createSparkleParticle();
             }
         }
@@ -138,20 +139,20 @@ export class Powerup {
     }
     
     createSparkleParticle() {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * this.radius;
+        const angle = simulation.random() * Math.PI * 2;
+        const distance = simulation.random() * this.radius;
         
         this.sparkleParticles.push({
             x: this.x + Math.cos(angle) * distance,
             y: this.y + Math.sin(angle) * distance,
             velocity: {
-                x: (Math.random() - 0.5) * 0.5,
-                y: (Math.random() - 0.5) * 0.5
+                x: (simulation.random() - 0.5) * 0.5,
+                y: (simulation.random() - 0.5) * 0.5
             },
             life: 2000,
             maxLife: 2000,
             alpha: 1,
-            size: Math.random() * 3 + 1
+            size: simulation.random() * 3 + 1
         });
     }
     
@@ -238,7 +239,7 @@ export class Powerup {
             'magnetism'
         ];
         
-        const randomEffect = effects[Math.floor(Math.random() * effects.length)];
+        const randomEffect = effects[Math.floor(simulation.random() * effects.length)];
         
         // This would integrate with PowerupSystem
         if (player.game && player.game.powerupSystem) {
@@ -252,7 +253,7 @@ export class Powerup {
         
         for (let i = 0; i < particleCount; i++) {
             const angle = (i / particleCount) * Math.PI * 2;
-            const speed = 3 + Math.random() * 2;
+            const speed = 3 + simulation.random() * 2;
             
             this.sparkleParticles.push({
                 x: this.x,
@@ -0,0 +1,75 @@
+// js/entities/Virus.js
+import { Cell } from './Cell.js';
+import { CONFIG } from '../core/Config.js';
+import { Utils } from '../utils/Utils.js';
+
+export class Virus extends Cell {
+    constructor(x, y, mass = CONFIG.VIRUS.MASS) {
+        super(x, y, mass, { type: 'virus', color: CONFIG.VIRUS.COLOR });
+        
+        this.isVirus = true;
+        this.isStatic = true; // Only moves after being shot out of another virus
+        
+        // Direction the last pellet was travelling, new viruses are shot that way
+        this.feedDirection = { x: 1, y: 0 };
+    }
+
+    // Cells smaller than the virus hide under it, bigger ones covering its center pop
+    canPop(cell) {
+        return cell.mass > this.mass * CONFIG.PHYSICS.ABSORPTION_THRESHOLD &&
+               Utils.distance(cell.x, cell.y, this.x, this.y) < cell.radius;
+    }
+
+    // Pellets are swallowed once they touch the virus. Fast pellets can cross it within
+    // one tick, so the path since (fromX, fromY) is checked, not just the end point.
+    canEat(pellet, fromX = pellet.x, fromY = pellet.y) {
+        return Utils.distanceToSegment(this.x, this.y, fromX, fromY, pellet.x, pellet.y) < this.radius + pellet.radius;
+    }
+
+    // Grow from an ejected pellet. Returns true once the virus is full and should shoot.
+    feed(pellet) {
+        const direction = Utils.normalizeVector(pellet.velocity.x, pellet.velocity.y);
+        if (direction.x !== 0 || direction.y !== 0) {
+            this.feedDirection = direction;
+        }
+        
+        this.mass += pellet.mass;
+        this.updateRadius();
+        
+        return this.mass >= CONFIG.VIRUS.MAX_MASS;
+    }
+
+    // Shrink back after shooting, returns the new virus flying in the feed direction
+    shoot() {
+        this.mass = CONFIG.VIRUS.MASS;
+        this.updateRadius();
+        
+        const distance = this.radius * 2;
+        const virus = new Virus(
+            this.x + this.feedDirection.x * distance,
+            this.y + this.feedDirection.y * distance
+        );
+        virus.isStatic = false;
+        virus.velocity.x = this.feedDirection.x * CONFIG.VIRUS.SHOOT_SPEED;
+        virus.velocity.y = this.feedDirection.y * CONFIG.VIRUS.SHOOT_SPEED;
+        
+        return virus;
+    }
+
+    // Outline of the spiked edge, alternating between spike tips and valleys
+    getSpikePoints(spikes = CONFIG.VIRUS.SPIKES) {
+        const points = [];
+        const spikeDepth = this.radius * 0.12;
+        
+        for (let i = 0; i < spikes * 2; i++) {
+            const angle = (i / (spikes * 2)) * Math.PI * 2;
+            const radius = i % 2 === 0 ? this.radius + spikeDepth : this.radius - spikeDepth;
+            points.push({
+                x: this.x + Math.cos(angle) * radius,
+                y: this.y + Math.sin(angle) * radius
+            });
+        }
+        
+        return points;
+    }
+}
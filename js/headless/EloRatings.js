@@ -0,0 +1,46 @@
+// js/headless/EloRatings.js
+// Elo ratings for tournament entrants. A free-for-all match counts as every
+// pair of entrants in it playing each other once, with K shared between those
+// pairings so a big match moves a rating about as much as a one-on-one.
+
+export class EloRatings {
+    constructor(options = {}) {
+        this.initialRating = options.initialRating || 1500;
+        this.kFactor = options.kFactor || 32;
+        this.ratings = new Map();
+    }
+
+    get(id) {
+        return this.ratings.has(id) ? this.ratings.get(id) : this.initialRating;
+    }
+
+    // Chance that a player rated `rating` beats one rated `opponent`
+    expectedScore(rating, opponent) {
+        return 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+    }
+
+    // results: [{ id, score }], higher score placed better. Returns id -> rating change.
+    recordMatch(results) {
+        const k = this.kFactor / Math.max(1, results.length - 1);
+        const before = new Map(results.map(result => [result.id, this.get(result.id)]));
+        const changes = new Map(results.map(result => [result.id, 0]));
+
+        for (let i = 0; i < results.length; i++) {
+            for (let j = i + 1; j < results.length; j++) {
+                const a = results[i];
+                const b = results[j];
+                const actual = a.score > b.score ? 1 : a.score < b.score ? 0 : 0.5;
+                const delta = k * (actual - this.expectedScore(before.get(a.id), before.get(b.id)));
+
+                changes.set(a.id, changes.get(a.id) + delta);
+                changes.set(b.id, changes.get(b.id) - delta);
+            }
+        }
+
+        for (const [id, change] of changes) {
+            this.ratings.set(id, before.get(id) + change);
+        }
+
+        return changes;
+    }
+}
@@ -0,0 +1,137 @@
+// js/headless/HeadlessRunner.js
+// Steps a World without canvas, DOM or wall-clock timing. Used to set up
+// physics and collision scenarios, run them for a number of ticks and inspect
+// or fingerprint the result.
+import { CONFIG } from '../core/Config.js';
+import { simulation, SeededRandom } from '../core/Simulation.js';
+import { Food } from '../entities/Food.js';
+import { Virus } from '../entities/Virus.js';
+import { HeadlessWorld } from './HeadlessWorld.js';
+
+export class HeadlessRunner {
+    // options: { seed, bots, foodCount, maxPlayers, viruses, battleRoyale, WorldClass }
+    constructor(options = {}) {
+        // Seeded unless told otherwise, so every run of a scenario is the same
+        this.seed = options.seed !== undefined ? options.seed : 1;
+        if (this.seed !== null) {
+            simulation.setSeed(this.seed);
+        }
+
+        const WorldClass = options.WorldClass || HeadlessWorld;
+        this.world = new WorldClass({
+            maxPlayers: options.maxPlayers,
+            foodCount: options.foodCount !== undefined ? options.foodCount : 0,
+            bots: options.bots === true,
+            viruses: options.viruses === true,
+            battleRoyale: options.battleRoyale === true
+        });
+
+        this.tickTime = this.world.gameLoop.frameTime;
+    }
+
+    get tick() {
+        return this.world.tick;
+    }
+
+    // Scenario setup
+
+    // Player with a single cell of the given mass, at a fixed position
+    addPlayer(name = 'Player', options = {}) {
+        const player = this.world.addPlayer(name);
+
+        if (options.x !== undefined) player.x = options.x;
+        if (options.y !== undefined) player.y = options.y;
+        if (options.mass !== undefined) {
+            player.mass = options.mass;
+            player.updateRadius();
+            player.updateTotalMass();
+        }
+
+        // Stand still until told to move
+        this.world.setInput(player, { x: player.x, y: player.y });
+        return player;
+    }
+
+    addFood(x, y, mass = CONFIG.FOOD.MASS) {
+        const food = new Food(x, y);
+        food.mass = mass;
+        food.updateRadius();
+        this.world.food.push(food);
+        return food;
+    }
+
+    // Needs the runner to be created with viruses: true
+    addVirus(x, y, mass = CONFIG.VIRUS.MASS) {
+        const virus = new Virus(x, y, mass);
+        this.world.virusSystem.viruses.push(virus);
+        return virus;
+    }
+
+    moveTo(player, x, y) {
+        this.world.setInput(player, { x, y });
+    }
+
+    split(player, x = player.x, y = player.y) {
+        this.world.setInput(player, { x, y, split: true });
+    }
+
+    eject(player, x = player.x, y = player.y) {
+        this.world.setInput(player, { x, y, eject: true });
+    }
+
+    // Running
+
+    step(ticks = 1) {
+        for (let i = 0; i < ticks; i++) {
+            this.world.step();
+        }
+        return this;
+    }
+
+    // Simulated milliseconds, rounded up to whole ticks
+    runFor(milliseconds) {
+        return this.step(Math.ceil(milliseconds / this.tickTime));
+    }
+
+    // Step until the predicate holds. Returns the ticks taken, or -1 if it never did.
+    runUntil(predicate, maxTicks = 600) {
+        for (let i = 0; i < maxTicks; i++) {
+            if (predicate(this.world)) return i;
+            this.world.step();
+        }
+        return predicate(this.world) ? maxTicks : -1;
+    }
+
+    // Inspection
+
+    getTotalMass() {
+        const cellMass = this.world.getAllPlayers()
+            .reduce((sum, player) => sum + player.cells.reduce((cells, cell) => cells + cell.mass, 0), 0);
+        const foodMass = this.world.food.reduce((sum, food) => sum + food.mass, 0);
+        return cellMass + foodMass;
+    }
+
+    // Plain summary of everything that moves, stable across identical runs
+    getSnapshot() {
+        return {
+            tick: this.world.tick,
+            players: this.world.getAllPlayers().map(player => ({
+                id: player.id,
+                cells: player.cells.map(cell => [cell.x, cell.y, cell.mass])
+            })),
+            food: this.world.food.map(food => [food.x, food.y, food.mass])
+        };
+    }
+
+    // 32-bit fingerprint of the snapshot, for comparing runs
+    getHash() {
+        return SeededRandom.hashSeed(JSON.stringify(this.getSnapshot())).toString(16).padStart(8, '0');
+    }
+
+    dispose() {
+        this.world.stop();
+        if (this.seed !== null) {
+            simulation.clearSeed();
+        }
+    }
+}
@@ -0,0 +1,38 @@
+// js/headless/HeadlessWorld.js
+// World whose player inputs are set directly from code instead of a network
+// session or a recording.
+import { World } from '../core/World.js';
+
+export class HeadlessWorld extends World {
+    constructor(options = {}) {
+        super(options);
+
+        // Player id -> { x, y, split, eject, powerup }
+        this.inputs = new Map();
+    }
+
+    setInput(player, input) {
+        const current = this.inputs.get(player.id) || { x: player.x, y: player.y };
+        this.inputs.set(player.id, { ...current, ...input });
+    }
+
+    // Input phase
+    applyInputs(deltaTime) {
+        for (const player of this.players) {
+            const input = this.inputs.get(player.id);
+            if (!input || !player.isAlive) continue;
+
+            this.applyPlayerInput(player, input);
+
+            // Actions fire once, the target stays
+            input.split = false;
+            input.eject = false;
+            input.powerup = null;
+        }
+    }
+
+    removePlayer(player) {
+        super.removePlayer(player);
+        this.inputs.delete(player.id);
+    }
+}
@@ -0,0 +1,238 @@
+// js/headless/Tournament.js
+// Bot tournaments: many accelerated, seeded free-for-all matches between bot
+// configurations (difficulty, archetype and personality), rated with Elo.
+// Each match drops a few bots per entrant into a TournamentWorld and steps it
+// until time runs out or only one entrant is left. Entrants are then ranked by
+// match score - survival, kills and peak mass - and ratings updated pairwise.
+import { SeededRandom } from '../core/Simulation.js';
+import { BotArchetypes, DEFAULT_ARCHETYPE } from '../ai/BotArchetypes.js';
+import { CustomGameSettings, BOT_DIFFICULTIES } from '../systems/CustomGameSettings.js';
+import { Utils } from '../utils/Utils.js';
+import { HeadlessRunner } from './HeadlessRunner.js';
+import { TournamentWorld } from './TournamentWorld.js';
+import { EloRatings } from './EloRatings.js';
+
+// Points for a bot: surviving the whole match, each kill, and every massPerPoint of peak mass
+export const DEFAULT_SCORING = { survival: 100, kill: 25, massPerPoint: 10 };
+
+export class Tournament {
+    // options: { entrants, matches, entrantsPerMatch, botsPerEntrant, duration (ms of game time),
+    //            worldSize, foodCount, seed, scoring, onMatch(match) }
+    constructor(options = {}) {
+        this.entrants = (options.entrants || []).map((spec, index) => Tournament.normalizeEntrant(spec, index));
+        if (this.entrants.length < 2) {
+            throw new Error('A tournament needs at least two entrants');
+        }
+
+        const names = new Set(this.entrants.map(entrant => entrant.name));
+        if (names.size !== this.entrants.length) {
+            throw new Error('Tournament entrants need unique names');
+        }
+
+        this.matches = options.matches || 12;
+        this.entrantsPerMatch = Utils.clamp(options.entrantsPerMatch || 4, 2, this.entrants.length);
+        this.botsPerEntrant = options.botsPerEntrant || 3;
+        this.duration = options.duration || 60000;
+        this.worldSize = options.worldSize || 3000;
+        this.foodCount = options.foodCount !== undefined ? options.foodCount : 500;
+        this.seed = options.seed !== undefined ? options.seed : 'tournament';
+        this.scoring = { ...DEFAULT_SCORING, ...options.scoring };
+        this.onMatch = options.onMatch || null;
+
+        this.ratings = new EloRatings();
+        this.random = new SeededRandom(this.seed);
+        this.results = [];
+
+        // Entrant name -> running totals
+        this.totals = new Map(this.entrants.map(entrant => [entrant.name, {
+            matches: 0,
+            wins: 0,
+            bots: 0,
+            kills: 0,
+            peakMass: 0,
+            survivalTime: 0,
+            score: 0
+        }]));
+    }
+
+    // { name, difficulty, archetype, traits } with defaults filled in. Throws on unknown values.
+    static normalizeEntrant(spec, index = 0) {
+        const difficulty = spec.difficulty || 'medium';
+        if (!BOT_DIFFICULTIES.includes(difficulty)) {
+            throw new Error(`Unknown difficulty "${difficulty}", expected one of ${BOT_DIFFICULTIES.join(', ')}`);
+        }
+
+        const archetype = spec.archetype || DEFAULT_ARCHETYPE;
+        if (!BotArchetypes.has(archetype)) {
+            throw new Error(`Unknown archetype "${archetype}", loaded: ${BotArchetypes.list().map(item => item.id).join(', ')}`);
+        }
+
+        const traits = {};
+        for (const [trait, value] of Object.entries(spec.traits || {})) {
+            if (typeof value !== 'number') {
+                throw new Error(`Trait "${trait}" of entrant ${index + 1} must be a number`);
+            }
+            traits[trait] = Utils.clamp(value, 0, 1);
+        }
+
+        return {
+            name: spec.name || `${difficulty}-${archetype}`,
+            difficulty,
+            archetype,
+            traits
+        };
+    }
+
+    // Play every match, then return the standings and per-match results
+    run() {
+        CustomGameSettings.apply({
+            world: { width: this.worldSize, height: this.worldSize },
+            food: { count: this.foodCount }
+        });
+
+        try {
+            for (let index = 0; index < this.matches; index++) {
+                const match = this.runMatch(index, this.pickEntrants());
+                this.results.push(match);
+                if (this.onMatch) this.onMatch(match);
+            }
+        } finally {
+            CustomGameSettings.reset();
+        }
+
+        return this.getResults();
+    }
+
+    // The entrants that have played least, ties broken at random
+    pickEntrants() {
+        const order = this.entrants
+            .map(entrant => ({ entrant, played: this.totals.get(entrant.name).matches, tiebreak: this.random.next() }))
+            .sort((a, b) => a.played - b.played || a.tiebreak - b.tiebreak);
+
+        return order.slice(0, this.entrantsPerMatch).map(item => item.entrant);
+    }
+
+    runMatch(index, entrants) {
+        const seed = `${this.seed}-${index}`;
+        const runner = new HeadlessRunner({ seed, foodCount: this.foodCount, WorldClass: TournamentWorld });
+        const world = runner.world;
+
+        try {
+            // Take turns so no entrant always gets the first pick of spawn points
+            for (let i = 0; i < this.botsPerEntrant; i++) {
+                for (const entrant of entrants) {
+                    world.addEntrantBot(entrant);
+                }
+            }
+
+            const maxTicks = Math.ceil(this.duration / runner.tickTime);
+            while (world.tick < maxTicks && world.getEntrantsAlive().size > 1) {
+                runner.step();
+            }
+
+            return this.scoreMatch(index, seed, world, entrants);
+        } finally {
+            runner.dispose();
+        }
+    }
+
+    scoreMatch(index, seed, world, entrants) {
+        const byEntrant = new Map(entrants.map(entrant => [entrant.name, []]));
+
+        for (const [bot, record] of world.records) {
+            // Still alive when the match ended - counts as surviving all of it
+            const survivalTime = record.survivalTime === null ? this.duration : record.survivalTime;
+            byEntrant.get(record.entrant).push({
+                name: bot.name,
+                kills: record.kills,
+                peakMass: record.peakMass,
+                survivalTime,
+                score: this.scoreBot(record.kills, record.peakMass, survivalTime)
+            });
+        }
+
+        const placings = entrants.map(entrant => {
+            const bots = byEntrant.get(entrant.name);
+            const average = key => bots.reduce((sum, bot) => sum + bot[key], 0) / Math.max(1, bots.length);
+
+            return {
+                entrant: entrant.name,
+                bots,
+                kills: bots.reduce((sum, bot) => sum + bot.kills, 0),
+                peakMass: average('peakMass'),
+                survivalTime: average('survivalTime'),
+                score: average('score')
+            };
+        }).sort((a, b) => b.score - a.score);
+
+        const changes = this.ratings.recordMatch(placings.map(placing => ({ id: placing.entrant, score: placing.score })));
+
+        placings.forEach((placing, place) => {
+            placing.place = place + 1;
+            placing.ratingChange = changes.get(placing.entrant);
+            placing.rating = this.ratings.get(placing.entrant);
+
+            const totals = this.totals.get(placing.entrant);
+            totals.matches++;
+            if (place === 0 && placing.score > placings[1].score) totals.wins++;
+            totals.bots += placing.bots.length;
+            totals.kills += placing.kills;
+            totals.peakMass += placing.bots.reduce((sum, bot) => sum + bot.peakMass, 0);
+            totals.survivalTime += placing.bots.reduce((sum, bot) => sum + bot.survivalTime, 0);
+            totals.score += placing.score;
+        });
+
+        return {
+            index,
+            seed,
+            ticks: world.tick,
+            duration: world.elapsed,
+            placings
+        };
+    }
+
+    scoreBot(kills, peakMass, survivalTime) {
+        const { survival, kill, massPerPoint } = this.scoring;
+        return survival * Math.min(1, survivalTime / this.duration) + kill * kills + peakMass / massPerPoint;
+    }
+
+    // Entrants best rated first, with their averages per match and per bot
+    getStandings() {
+        return this.entrants
+            .map(entrant => {
+                const totals = this.totals.get(entrant.name);
+                const perBot = value => totals.bots > 0 ? value / totals.bots : 0;
+
+                return {
+                    ...entrant,
+                    rating: this.ratings.get(entrant.name),
+                    matches: totals.matches,
+                    wins: totals.wins,
+                    kills: totals.kills,
+                    killsPerBot: perBot(totals.kills),
+                    peakMass: perBot(totals.peakMass),
+                    survivalTime: perBot(totals.survivalTime),
+                    score: totals.matches > 0 ? totals.score / totals.matches : 0
+                };
+            })
+            .sort((a, b) => b.rating - a.rating)
+            .map((standing, index) => ({ rank: index + 1, ...standing }));
+    }
+
+    getResults() {
+        return {
+            settings: {
+                seed: this.seed,
+                matches: this.matches,
+                entrantsPerMatch: this.entrantsPerMatch,
+                botsPerEntrant: this.botsPerEntrant,
+                duration: this.duration,
+                worldSize: this.worldSize,
+                foodCount: this.foodCount,
+                scoring: { ...this.scoring }
+            },
+            standings: this.getStandings(),
+            matches: this.results
+        };
+    }
+}
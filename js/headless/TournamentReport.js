@@ -0,0 +1,115 @@
+// js/headless/TournamentReport.js
+// Formats Tournament.run() results: a plain text table for the terminal, CSV
+// of the standings for spreadsheets, and a standalone HTML page with the
+// standings and every match.
+import { Utils } from '../utils/Utils.js';
+
+const STANDING_COLUMNS = [
+    { key: 'rank', label: 'Rank' },
+    { key: 'name', label: 'Entrant' },
+    { key: 'difficulty', label: 'Difficulty' },
+    { key: 'archetype', label: 'Archetype' },
+    { key: 'rating', label: 'Elo', format: value => Math.round(value) },
+    { key: 'matches', label: 'Matches' },
+    { key: 'wins', label: 'Wins' },
+    { key: 'kills', label: 'Kills' },
+    { key: 'killsPerBot', label: 'Kills/bot', format: value => value.toFixed(2) },
+    { key: 'peakMass', label: 'Peak mass', format: value => Math.round(value) },
+    { key: 'survivalTime', label: 'Survival (s)', format: value => (value / 1000).toFixed(1) },
+    { key: 'score', label: 'Score', format: value => value.toFixed(1) }
+];
+
+export class TournamentReport {
+    static formatCell(column, standing) {
+        const value = standing[column.key];
+        return String(column.format ? column.format(value) : value);
+    }
+
+    // Aligned columns for the console
+    static toText(results) {
+        const rows = [
+            STANDING_COLUMNS.map(column => column.label),
+            ...results.standings.map(standing => STANDING_COLUMNS.map(column => TournamentReport.formatCell(column, standing)))
+        ];
+        const widths = STANDING_COLUMNS.map((column, index) => Math.max(...rows.map(row => row[index].length)));
+
+        return rows
+            .map(row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+            .join('\n');
+    }
+
+    static toCSV(results) {
+        const escape = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const rows = [
+            STANDING_COLUMNS.map(column => column.label),
+            ...results.standings.map(standing => STANDING_COLUMNS.map(column => TournamentReport.formatCell(column, standing)))
+        ];
+
+        return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+    }
+
+    static toHTML(results) {
+        const { settings } = results;
+
+        const standingsRows = results.standings.map(standing => `
+            <tr>${STANDING_COLUMNS.map(column => `<td>${escapeHTML(TournamentReport.formatCell(column, standing))}</td>`).join('')}</tr>`).join('');
+
+        const matchRows = results.matches.map(match => match.placings.map((placing, index) => `
+            <tr>
+                ${index === 0 ? `<td rowspan="${match.placings.length}">${match.index + 1}<br><small>${escapeHTML(match.seed)}, ${Utils.formatTime(match.duration)}</small></td>` : ''}
+                <td>${placing.place}</td>
+                <td>${escapeHTML(placing.entrant)}</td>
+                <td>${placing.score.toFixed(1)}</td>
+                <td>${placing.kills}</td>
+                <td>${Math.round(placing.peakMass)}</td>
+                <td>${(placing.survivalTime / 1000).toFixed(1)}</td>
+                <td>${placing.ratingChange >= 0 ? '+' : ''}${placing.ratingChange.toFixed(1)}</td>
+            </tr>`).join('')).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Bot tournament - ${escapeHTML(String(settings.seed))}</title>
+    <style>
+        body { font-family: sans-serif; margin: 2em; color: #222; }
+        table { border-collapse: collapse; margin-bottom: 2em; }
+        th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: right; }
+        th { background: #f0f0f0; }
+        td:nth-child(2), td:nth-child(3) { text-align: left; }
+    </style>
+</head>
+<body>
+    <h1>Bot tournament</h1>
+    <p>
+        Seed <code>${escapeHTML(String(settings.seed))}</code> -
+        ${settings.matches} matches of ${settings.duration / 1000}s,
+        ${settings.entrantsPerMatch} entrants per match with ${settings.botsPerEntrant} bots each,
+        ${settings.worldSize}x${settings.worldSize} world with ${settings.foodCount} food.
+        Score per bot: ${settings.scoring.survival} for surviving, ${settings.scoring.kill} per kill,
+        1 per ${settings.scoring.massPerPoint} peak mass.
+    </p>
+
+    <h2>Standings</h2>
+    <table>
+        <tr>${STANDING_COLUMNS.map(column => `<th>${escapeHTML(column.label)}</th>`).join('')}</tr>${standingsRows}
+    </table>
+
+    <h2>Matches</h2>
+    <table>
+        <tr><th>Match</th><th>Place</th><th>Entrant</th><th>Score</th><th>Kills</th><th>Peak mass</th><th>Survival (s)</th><th>Elo</th></tr>${matchRows}
+    </table>
+</body>
+</html>
+`;
+    }
+}
+
+// No DOM in Node, so escape by hand
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,99 @@
+// js/headless/TournamentWorld.js
+// Headless world for bot tournaments. Only entrant bots take part - no players,
+// no replacements for eaten bots - and every bot keeps a record of its kills,
+// peak mass and how long it survived. A kill goes to the bot that ate the
+// victim's last cell.
+import { CollisionDetection } from '../physics/CollisionDetection.js';
+import { HeadlessWorld } from './HeadlessWorld.js';
+
+// Tells the world whenever anything is eaten - it works out who owns the
+// eater and the victim, so split-off pieces count like the bot itself
+class KillTrackingCollisions extends CollisionDetection {
+    constructor(world) {
+        super();
+        this.world = world;
+    }
+
+    processAbsorption(absorber, target) {
+        const absorbed = super.processAbsorption(absorber, target);
+        if (absorbed) {
+            this.world.onCellEaten(absorber, target);
+        }
+        return absorbed;
+    }
+}
+
+export class TournamentWorld extends HeadlessWorld {
+    constructor(options = {}) {
+        super({ ...options, bots: false });
+
+        this.collisionDetection = new KillTrackingCollisions(this);
+
+        // Bot -> { entrant, kills, peakMass, survivalTime, lastAttacker }
+        this.records = new Map();
+    }
+
+    get elapsed() {
+        return this.tick * this.gameLoop.frameTime;
+    }
+
+    // Spawn one bot playing for an entrant ({ name, difficulty, archetype, traits })
+    addEntrantBot(entrant) {
+        this.populate();
+        this.botManager.respawnEnabled = false;
+
+        const bot = this.botManager.spawnBot(entrant.difficulty, entrant.archetype);
+        if (!bot) return null;
+
+        bot.personalityTraits = { ...bot.personalityTraits, ...entrant.traits };
+        this.records.set(bot, {
+            entrant: entrant.name,
+            kills: 0,
+            peakMass: bot.getTotalMass(),
+            survivalTime: null,
+            lastAttacker: null
+        });
+
+        return bot;
+    }
+
+    findOwner(cell) {
+        for (const bot of this.records.keys()) {
+            if (bot === cell || bot.cells.includes(cell)) return bot;
+        }
+        return null;
+    }
+
+    onCellEaten(absorber, target) {
+        const victim = this.findOwner(target);
+        const attacker = this.findOwner(absorber);
+        if (victim && attacker && victim !== attacker) {
+            this.records.get(victim).lastAttacker = attacker;
+        }
+    }
+
+    onTick() {
+        for (const [bot, record] of this.records) {
+            if (record.survivalTime !== null) continue;
+
+            if (!bot.isAlive || bot.cells.length === 0) {
+                record.survivalTime = this.elapsed;
+                if (record.lastAttacker) {
+                    this.records.get(record.lastAttacker).kills++;
+                }
+                continue;
+            }
+
+            record.peakMass = Math.max(record.peakMass, bot.getTotalMass());
+        }
+    }
+
+    // Names of the entrants that still have a bot alive
+    getEntrantsAlive() {
+        const alive = new Set();
+        for (const record of this.records.values()) {
+            if (record.survivalTime === null) alive.add(record.entrant);
+        }
+        return alive;
+    }
+}
@@ -0,0 +1,144 @@
+// js/headless/run-broadphase.js
+// Times every broadphase on the same seeded crowds of entities - mostly food
+// with a spread of cell sizes - over a few frames of movement. Each frame
+// rebuilds the index, finds all overlapping pairs, runs bot-sized perception
+// queries and one viewport query, the same work the game does every tick.
+//   node js/headless/run-broadphase.js [counts] [frames] [seed]
+//     counts default to 1000,5000,20000
+// Exits with status 1 when the broadphases disagree on the overlapping pairs.
+import { SeededRandom } from '../core/Simulation.js';
+import { BroadphaseFactory, BROADPHASE_TYPES } from '../physics/broadphase/BroadphaseFactory.js';
+
+const counts = (process.argv[2] || '1000,5000,20000').split(',').map(Number);
+const frames = Number(process.argv[3]) || 10;
+const seed = process.argv[4] || 'broadphase';
+
+const WORLD_SIZE = 4000;
+const CELL_SHARE = 0.1;
+const PERCEPTION_QUERIES = 100;
+const PERCEPTION_RADIUS = 600;
+const VIEWPORT = { width: 1920, height: 1080 };
+const MOVE_STEP = 8;
+
+let mismatches = 0;
+
+for (const count of counts) {
+    console.log(`\n${count} entities, ${frames} frames`);
+    console.log('type           |   build ms |   pairs ms |  query ms |  total ms |   pairs | checksum');
+
+    let reference = null;
+    for (const type of BROADPHASE_TYPES) {
+        const result = benchmark(type, count);
+        console.log(`${type.padEnd(14)} | ${formatMs(result.build)} | ${formatMs(result.pairs)} | ` +
+            `${formatMs(result.queries, 9)} | ${formatMs(result.build + result.pairs + result.queries, 9)} | ` +
+            `${String(result.pairCount).padStart(7)} | ${result.checksum}`);
+
+        if (!reference) {
+            reference = result;
+        } else if (result.checksum !== reference.checksum || result.queryChecksum !== reference.queryChecksum) {
+            mismatches++;
+            console.log(`${type} disagrees with ${reference.type}`);
+        }
+    }
+}
+
+if (mismatches > 0) {
+    process.exit(1);
+}
+
+// Average milliseconds per frame for each phase, plus checksums of what was found
+function benchmark(type, count) {
+    const broadphase = BroadphaseFactory.create(type);
+    const entities = createEntities(count);
+    const random = new SeededRandom(`${seed}:moves`);
+    const totals = { build: 0, pairs: 0, queries: 0 };
+    let pairCount = 0;
+    let checksum = 0;
+    let queryChecksum = 0;
+
+    for (let frame = 0; frame < frames; frame++) {
+        moveEntities(entities, random);
+
+        let start = performance.now();
+        broadphase.build(entities);
+        totals.build += performance.now() - start;
+
+        start = performance.now();
+        const pairs = broadphase.findPairs();
+        totals.pairs += performance.now() - start;
+
+        pairCount = pairs.length / 2;
+        checksum = hashPairs(pairs, count, checksum);
+
+        start = performance.now();
+        for (let q = 0; q < PERCEPTION_QUERIES; q++) {
+            const entity = entities[(q * 7919) % count];
+            queryChecksum += broadphase.queryRadius(entity.x, entity.y, PERCEPTION_RADIUS).length;
+        }
+        const centre = entities[frame % count];
+        queryChecksum += broadphase.queryRange(
+            centre.x - VIEWPORT.width / 2, centre.y - VIEWPORT.height / 2,
+            centre.x + VIEWPORT.width / 2, centre.y + VIEWPORT.height / 2
+        ).length;
+        totals.queries += performance.now() - start;
+    }
+
+    return {
+        type,
+        build: totals.build / frames,
+        pairs: totals.pairs / frames,
+        queries: totals.queries / frames,
+        pairCount,
+        checksum: checksum.toString(16).padStart(8, '0'),
+        queryChecksum
+    };
+}
+
+// The same crowd for every broadphase: food everywhere, a tenth of the
+// entities cells from fresh spawns up to large ones
+function createEntities(count) {
+    const random = new SeededRandom(`${seed}:${count}`);
+    const entities = [];
+
+    for (let i = 0; i < count; i++) {
+        const isCell = random.next() < CELL_SHARE;
+        entities.push({
+            x: random.next() * WORLD_SIZE,
+            y: random.next() * WORLD_SIZE,
+            radius: isCell ? 10 + Math.pow(random.next(), 3) * 140 : 5 + random.next() * 5,
+            speed: isCell ? MOVE_STEP : 0
+        });
+    }
+
+    return entities;
+}
+
+function moveEntities(entities, random) {
+    for (const entity of entities) {
+        if (entity.speed === 0) continue;
+        const angle = random.next() * Math.PI * 2;
+        entity.x = Math.min(WORLD_SIZE, Math.max(0, entity.x + Math.cos(angle) * entity.speed));
+        entity.y = Math.min(WORLD_SIZE, Math.max(0, entity.y + Math.sin(angle) * entity.speed));
+    }
+}
+
+// Order-independent hash of the pair list, so broadphases reporting the same
+// pairs in a different order still match
+function hashPairs(pairs, count, previous) {
+    const keys = [];
+    for (let p = 0; p < pairs.length; p += 2) {
+        keys.push(pairs[p] * count + pairs[p + 1]);
+    }
+    keys.sort((a, b) => a - b);
+
+    let hash = previous ^ 0x811c9dc5;
+    for (const key of keys) {
+        hash = Math.imul(hash ^ (key & 0xFFFF), 0x01000193);
+        hash = Math.imul(hash ^ (key >>> 16), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function formatMs(value, width = 10) {
+    return value.toFixed(3).padStart(width);
+}
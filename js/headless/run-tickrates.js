@@ -0,0 +1,103 @@
+// js/headless/run-tickrates.js
+// Plays the same seeded match with the display refreshing at different rates
+// and checks every rate ends up with the same world. The simulation only moves
+// in fixed ticks, so a 30 Hz frame running two of them and a 144 Hz frame
+// running none must not change where cells go, how far splits fly or who eats whom.
+//   node js/headless/run-tickrates.js [seconds] [seed] [rates]
+//     rates default to 30,60,144
+// Exits with status 1 when any rate disagrees.
+import { CONFIG } from '../core/Config.js';
+import { HeadlessRunner } from './HeadlessRunner.js';
+
+const seconds = Number(process.argv[2]) || 20;
+const seed = process.argv[3] || 'tickrates';
+const rates = (process.argv[4] || '30,60,144').split(',').map(Number);
+
+const CHECKPOINT_TICKS = 60;
+
+const results = rates.map(hz => playMatch(hz));
+const reference = results[0];
+
+for (const result of results) {
+    const last = result.checkpoints[result.checkpoints.length - 1];
+    console.log(`${String(result.hz).padStart(4)} Hz | ${result.frames} frames | tick ${last.tick} | ` +
+        `mass ${last.mass.toFixed(1)} | cells ${last.cells} | max cell spread ${result.spread.toFixed(1)} | hash ${last.hash}`);
+}
+
+let mismatches = 0;
+for (const result of results.slice(1)) {
+    result.checkpoints.forEach((checkpoint, index) => {
+        const expected = reference.checkpoints[index];
+        if (checkpoint.hash !== expected.hash) {
+            mismatches++;
+            console.log(`${result.hz} Hz differs from ${reference.hz} Hz at tick ${checkpoint.tick}: ${checkpoint.hash} vs ${expected.hash}`);
+        }
+    });
+    if (result.spread !== reference.spread) {
+        mismatches++;
+        console.log(`${result.hz} Hz spread ${result.spread} units, ${reference.hz} Hz ${reference.spread}`);
+    }
+}
+
+if (mismatches > 0) {
+    console.log(`\n${mismatches} mismatches`);
+    process.exitCode = 1;
+} else {
+    console.log(`\nidentical at ${rates.join(', ')} Hz (${reference.checkpoints.length} checkpoints)`);
+}
+
+// One match with the display at `hz`. Inputs are tied to ticks, not frames,
+// the way a player's clicks land on whichever tick comes next.
+function playMatch(hz) {
+    const runner = new HeadlessRunner({ seed, bots: true, foodCount: CONFIG.FOOD.COUNT });
+    const world = runner.world;
+    const bounds = world.worldBounds;
+    const centerX = (bounds.left + bounds.right) / 2;
+    const centerY = (bounds.top + bounds.bottom) / 2;
+
+    const player = runner.addPlayer('Player', { x: centerX, y: centerY, mass: 200 });
+    const ticks = Math.round(seconds * 1000 / runner.tickTime);
+    const checkpoints = [];
+    let spread = 0;
+    let frames = 0;
+
+    world.onTick = () => {
+        const tick = world.tick;
+
+        // Circle the middle of the map, splitting and ejecting on the way
+        if (tick % 30 === 0) {
+            const angle = tick / 300 * Math.PI;
+            runner.moveTo(player, centerX + Math.cos(angle) * 600, centerY + Math.sin(angle) * 600);
+        }
+        if (tick % 240 === 120) {
+            runner.split(player, player.x + 300, player.y);
+        }
+        if (tick % 180 === 90) {
+            runner.eject(player, player.x, player.y + 300);
+        }
+
+        for (const cell of player.cells) {
+            spread = Math.max(spread, Math.hypot(cell.x - player.x, cell.y - player.y));
+        }
+
+        if (tick % CHECKPOINT_TICKS === 0 && tick <= ticks) {
+            checkpoints.push({
+                tick,
+                hash: runner.getHash(),
+                mass: player.cells.reduce((sum, cell) => sum + cell.mass, 0),
+                cells: player.cells.length
+            });
+        }
+    };
+
+    try {
+        while (world.tick < ticks) {
+            world.advanceFrame(1000 / hz);
+            frames++;
+        }
+    } finally {
+        runner.dispose();
+    }
+
+    return { hz, frames, checkpoints, spread };
+}
@@ -0,0 +1,96 @@
+// js/headless/run-tournament.js
+// Bot tournament from the command line: accelerated headless matches between
+// bot configurations, rated with Elo.
+//   node js/headless/run-tournament.js [options]
+//     --entrants=file.json          [{ "name", "difficulty", "archetype", "traits" }, ...]
+//     --difficulties=easy,hard      without --entrants, every difficulty x archetype pairing
+//     --archetypes=standard,camper  plays (default: all difficulties, standard archetype)
+//     --trees=a.json,b.json         extra archetype files; data/bots is always loaded
+//     --matches=12 --duration=60 (seconds of game time) --bots=3 (per entrant)
+//     --per-match=4 --world=3000 --food=500 --seed=tournament
+//     --csv=standings.csv --html=report.html
+// The same arguments always produce the same ratings.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { BotArchetypes, DEFAULT_ARCHETYPE } from '../ai/BotArchetypes.js';
+import { BOT_DIFFICULTIES } from '../systems/CustomGameSettings.js';
+import { Tournament } from './Tournament.js';
+import { TournamentReport } from './TournamentReport.js';
+
+const args = parseArgs(process.argv.slice(2));
+
+// fetch() can't read local files, so register the archetypes from disk
+const manifestUrl = new URL('../../data/bots/manifest.json', import.meta.url);
+for (const file of JSON.parse(readFileSync(manifestUrl, 'utf8')).archetypes || []) {
+    BotArchetypes.registerJSON(readFileSync(new URL(file, manifestUrl), 'utf8'));
+}
+for (const file of list(args.trees)) {
+    BotArchetypes.registerJSON(readFileSync(file, 'utf8'));
+}
+
+let entrants;
+if (args.entrants) {
+    entrants = JSON.parse(readFileSync(args.entrants, 'utf8'));
+} else {
+    const difficulties = list(args.difficulties, BOT_DIFFICULTIES);
+    const archetypes = list(args.archetypes, [DEFAULT_ARCHETYPE]);
+    entrants = archetypes.flatMap(archetype => difficulties.map(difficulty => ({ difficulty, archetype })));
+}
+
+const tournament = new Tournament({
+    entrants,
+    matches: number(args.matches),
+    entrantsPerMatch: number(args['per-match']),
+    botsPerEntrant: number(args.bots),
+    duration: args.duration !== undefined ? number(args.duration) * 1000 : undefined,
+    worldSize: number(args.world),
+    foodCount: number(args.food),
+    seed: args.seed,
+    onMatch: match => {
+        const placings = match.placings.map(placing => `${placing.entrant} ${placing.score.toFixed(0)}`).join(', ');
+        console.log(`match ${match.index + 1}/${tournament.matches} (${(match.duration / 1000).toFixed(0)}s): ${placings}`);
+    }
+});
+
+const started = performance.now();
+const results = tournament.run();
+const elapsed = performance.now() - started;
+
+console.log('');
+console.log(TournamentReport.toText(results));
+console.log(`\n${results.matches.length} matches in ${(elapsed / 1000).toFixed(1)}s`);
+
+if (args.csv) {
+    writeFileSync(args.csv, TournamentReport.toCSV(results));
+    console.log(`standings written to ${args.csv}`);
+}
+if (args.html) {
+    writeFileSync(args.html, TournamentReport.toHTML(results));
+    console.log(`report written to ${args.html}`);
+}
+
+// --key=value pairs, a bare --key counts as true
+function parseArgs(argv) {
+    const parsed = {};
+    for (const arg of argv) {
+        const match = /^--([^=]+)(?:=(.*))?$/.exec(arg);
+        if (!match) {
+            throw new Error(`Unexpected argument "${arg}", options look like --matches=20`);
+        }
+        parsed[match[1]] = match[2] !== undefined ? match[2] : true;
+    }
+    return parsed;
+}
+
+function list(value, fallback = []) {
+    return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback;
+}
+
+function number(value) {
+    if (value === undefined) return undefined;
+
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) {
+        throw new Error(`Expected a number, got "${value}"`);
+    }
+    return parsed;
+}
@@ -0,0 +1,26 @@
+// js/headless/run.js
+// Runs a seeded world without rendering and prints a fingerprint of the result:
+//   node js/headless/run.js [ticks] [seed]
+// Two runs with the same arguments must print the same hash.
+import { CONFIG } from '../core/Config.js';
+import { HeadlessRunner } from './HeadlessRunner.js';
+
+const ticks = Number(process.argv[2]) || 600;
+const seed = process.argv[3] || 'headless';
+
+const runner = new HeadlessRunner({
+    seed,
+    bots: true,
+    foodCount: CONFIG.FOOD.COUNT
+});
+
+const started = performance.now();
+runner.step(ticks);
+const elapsed = performance.now() - started;
+
+const stats = runner.world.getStats();
+console.log(`seed ${seed} | ${ticks} ticks in ${elapsed.toFixed(0)}ms (${(ticks / elapsed * 1000).toFixed(0)} ticks/s)`);
+console.log(`players ${stats.players} | bots ${stats.bots} | food ${stats.food} | mass ${runner.getTotalMass().toFixed(1)}`);
+console.log(`hash ${runner.getHash()}`);
+
+runner.dispose();
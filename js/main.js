@@ -3,6 +3,7 @@
 // CORE SYSTEMS (Load first - no dependencies)
 // ============================================
 import { EventSystem, gameEvents } from './core/EventSystem.js';
+import { simulation } from './core/Simulation.js';
 import { CONFIG } from './core/Config.js';
 import { GameLoop } from './core/GameLoop.js';
 
@@ -10,8 +11,7 @@ import { GameLoop } from './core/GameLoop.js';
 // UTILITIES (Load early - minimal dependencies)
 // ============================================
 import { Utils } from './utils/Utils.js';
-import { MathUtils } from './utils/Math.js';
-import QuadTree from './utils/QuadTree.js';
+import { BroadphaseFactory } from './physics/broadphase/BroadphaseFactory.js';
 
 // ============================================
 // PHYSICS SYSTEMS (Load before entities)
@@ -32,8 +32,11 @@ import { ParticleSystem } from './rendering/ParticleSystem.js';
 // ============================================
 // BASIC ENTITIES (Load before complex systems)
 // ============================================
+import { Cell } from './entities/Cell.js';
 import { Food } from './entities/Food.js';
+import { EjectedMass } from './entities/EjectedMass.js';
 import { Powerup } from './entities/Powerup.js';
+import { Virus } from './entities/Virus.js';
 import { Player } from './entities/Player.js';
 
 // ============================================
@@ -45,6 +48,13 @@ import { CurrencyManager } from './systems/CurrencyManager.js';
 import { SaveSystem } from './systems/SaveSystem.js';
 import { PrestigeSystem } from './systems/PrestigeSystem.js';
 import { AccountSystem } from './systems/AccountSystem.js';
+import { AchievementSystem } from './systems/AchievementSystem.js';
+import { TeamSystem } from './systems/TeamSystem.js';
+import { VirusSystem } from './systems/VirusSystem.js';
+import { BattleRoyaleSystem } from './systems/BattleRoyaleSystem.js';
+import { MassDecaySystem } from './systems/MassDecaySystem.js';
+import { CustomGameSettings, PICKUP_POWERUPS } from './systems/CustomGameSettings.js';
+import { DifficultyDirector } from './systems/DifficultyDirector.js';
 
 // ============================================
 // UI SYSTEMS (Load after game systems)
@@ -53,11 +63,29 @@ import { UIManager } from './ui/UIManager.js';
 import { Shop } from './ui/Shop.js';
 import { HUD } from './ui/HUD.js';
 import { Leaderboard } from './ui/Leaderboard.js';
+import { CustomGameLobby } from './ui/CustomGameLobby.js';
+import { ReplayControls } from './ui/ReplayControls.js';
+import { CompanionCommandMenu, COMPANION_HOTKEYS } from './ui/CompanionCommandMenu.js';
+import { DirectorPanel } from './ui/DirectorPanel.js';
+
+// ============================================
+// NETWORK (Multiplayer client)
+// ============================================
+import { NetworkClient } from './network/NetworkClient.js';
+import { WorkerSocket } from './network/WorkerSocket.js';
+import { ClientPrediction } from './network/ClientPrediction.js';
+import { SnapshotInterpolator } from './network/SnapshotInterpolator.js';
+
+// ============================================
+// REPLAYS
+// ============================================
+import { ReplayPlayer } from './replay/ReplayPlayer.js';
 
 // ============================================
 // AI SYSTEMS (Load LAST - has most dependencies)
 // ============================================
 import { BotManager } from './ai/BotManager.js';
+import { BotArchetypes } from './ai/BotArchetypes.js';
 
 class Main {
     constructor() {
@@ -70,7 +98,8 @@ class Main {
         this.input = {
             mouse: { x: 0, y: 0, worldX: 0, worldY: 0 },
             keys: new Set(),
-            mouseDown: false
+            mouseDown: false,
+            actions: [] // Splits, ejects and powerups waiting for the next tick
         };
         
         // Game systems
@@ -99,26 +128,73 @@ class Main {
         this.saveSystem = new SaveSystem();
         this.prestigeSystem = new PrestigeSystem();
         this.accountSystem = new AccountSystem();
+        this.achievementSystem = new AchievementSystem();
+        
+        // Large cells lose mass over time, paused by a mass shield
+        this.massDecaySystem = new MassDecaySystem(this);
+        
+        // Tunes bots, food and powerups to how the player is doing (single player only)
+        this.director = new DifficultyDirector(this);
+        this.directorPanel = null;
         
         // AI systems - Initialize to null, will be created later
         this.botManager = null;
         
+        // Team mode (null in free-for-all)
+        this.teamSystem = null;
+        
+        // Experimental mode with viruses
+        this.virusSystem = null;
+        
+        // Battle royale mode with a shrinking safe zone
+        this.battleRoyale = null;
+        
+        // Custom game settings in effect (null = stock settings) and the lobby to edit them
+        this.customSettings = null;
+        this.customLobby = null;
+        
+        // Bot archetype mix from ?bots= (null = all standard)
+        this.botArchetypeWeights = null;
+        
+        // Radial menu (hold C) for ordering companion bots
+        this.companionMenu = null;
+        
         // Game entities
         this.player = null;
         this.food = [];
         this.powerups = [];
-        this.quadTree = null;
-        
-        // Game loop
-        this.gameLoop = new GameLoop((deltaTime) => this.update(deltaTime));
+        this.broadphase = null;
+        
+        // Multiplayer - set when connected to an authoritative server
+        this.network = null;
+        this.prediction = null;
+        this.interpolator = null;
+        this.remotePlayers = new Map();
+        this.remoteFood = new Map();
+        this.remoteViruses = new Map();
+        this.remoteZone = null;
+        this.networkHandlers = null; // gameEvents listeners of the current connection
+        
+        // ?worker - { maxPlayers, seed } of the worker each game is simulated in
+        this.workerOptions = null;
+        
+        // Ticks simulated in the current match
+        this.matchTick = 0;
+        
+        // Replay playback - set while watching a recorded match
+        this.replayPlayer = null;
+        this.replayControls = null;
+        this.previousCameraBounds = null;
+        
+        // Game loop - the world moves in fixed ticks, frames are drawn in between
+        this.gameLoop = new GameLoop(this, {
+            update: (deltaTime) => this.update(deltaTime),
+            render: (alpha, frameDelta) => this.renderFrame(alpha, frameDelta)
+        });
         
         // World settings
-        this.worldBounds = {
-            left: -CONFIG.WORLD.WIDTH / 2,
-            right: CONFIG.WORLD.WIDTH / 2,
-            top: -CONFIG.WORLD.HEIGHT / 2,
-            bottom: CONFIG.WORLD.HEIGHT / 2
-        };
+        this.worldBounds = null;
+        this.applyWorldBounds();
         
         this.setupEventListeners();
     }
@@ -127,12 +203,26 @@ class Main {
         try {
             console.log('Initializing Agar.io Clone...');
             
+            // Reproducible world for bug reports (?seed=1234)
+            const seed = new URLSearchParams(window.location.search).get('seed');
+            if (seed !== null) {
+                simulation.setSeed(seed);
+                console.log(`Deterministic simulation, seed ${seed}`);
+            }
+            
             // Initialize canvas and rendering
             await this.initializeCanvas();
             
             // Initialize UI systems
             this.initializeUI();
             
+            // Bot archetypes have to be registered before the first bots spawn
+            await this.loadBotArchetypes();
+            
+            // Join a multiplayer server if one was requested (?server=ws://host:port),
+            // or note that the worker runs the world (?worker), before any is built
+            await this.connectFromUrl();
+            
             // Initialize game systems (MUST be before BotManager)
             this.initializeGameSystems();
             
@@ -151,6 +241,12 @@ class Main {
             // Show main menu
             this.showMainMenu();
             
+            // Open a recorded match if one was requested (?replay=matches/final.json)
+            await this.loadReplayFromUrl();
+            
+            // Open the lobby with a shared custom game (#custom=...)
+            this.loadCustomGameFromUrl();
+            
         } catch (error) {
             console.error('Failed to initialize game:', error);
             this.showError('Failed to initialize game. Please refresh the page.');
@@ -168,7 +264,8 @@ class Main {
         
         // Initialize rendering systems
         this.renderer = new Renderer(canvas);
-        this.camera = new Camera(canvas.width, canvas.height);
+        this.camera = new Camera(canvas);
+        this.camera.setBounds(this.worldBounds.left, this.worldBounds.right, this.worldBounds.top, this.worldBounds.bottom);
         this.viewport = new ViewportManager(this.camera);
         this.particles = new ParticleSystem();
         
@@ -182,6 +279,8 @@ class Main {
         this.shop = new Shop(this); // Pass game instance to Shop
         this.hud = new HUD(this); // Pass game instance to HUD
         this.leaderboard = new Leaderboard();
+        this.companionMenu = new CompanionCommandMenu((command) => this.commandCompanions(command));
+        this.directorPanel = new DirectorPanel(this.director);
         
         // Initialize HUD with canvas after it's created
         if (this.renderer && this.renderer.canvas) {
@@ -219,14 +318,36 @@ hideLoadingScreen() {
     initializeGameSystems() {
         // Initialize BotManager AFTER all other systems are ready
         // This prevents circular dependency issues
-        this.botManager = new BotManager(this);
-        
-        // Initialize bot manager with world bounds
-        this.botManager.initialize(this.worldBounds);
+        if (!this.hasRemoteWorld()) {
+            this.botManager = this.createBotManager();
+        }
         
         console.log('Game systems initialized');
     }
     
+    // Bots for a world simulated on this page, in the custom game's mix if there is one
+    createBotManager() {
+        const botManager = new BotManager(this);
+        if (this.customSettings) {
+            const { easy, medium, hard, expert } = this.customSettings.bots.difficulty;
+            botManager.setDifficultyDistribution(easy, medium, hard, expert);
+            botManager.setPackDifficulties(this.customSettings.bots.packs);
+        }
+        if (this.botArchetypeWeights) {
+            botManager.setArchetypeDistribution(this.botArchetypeWeights);
+        }
+        
+        // Initialize bot manager with world bounds
+        botManager.initialize(this.worldBounds);
+        return botManager;
+    }
+    
+    // A multiplayer server or the simulation worker owns the bots, food and
+    // powerups - the page only draws what it is sent
+    hasRemoteWorld() {
+        return Boolean(this.network || this.workerOptions);
+    }
+    
     setupGameEvents() {
         // Player progression events
         gameEvents.on('player.levelUp', (data) => {
@@ -247,11 +368,48 @@ hideLoadingScreen() {
             this.handlePowerupActivated(data);
         });
         
+        // Battle royale events - only this game's, not a replay world's
+        gameEvents.on('battleRoyale.eliminated', (data) => {
+            if (data.game !== this) return;
+            
+            if (data.player === this.player) {
+                this.endBattleRoyale();
+            } else if (this.botManager) {
+                this.botManager.removeBot(data.player);
+            }
+        });
+        
+        gameEvents.on('battleRoyale.finished', (data) => {
+            if (data.game !== this) return;
+            
+            if (this.player && data.winner === this.player) {
+                this.endBattleRoyale();
+            }
+        });
+        
+        // Virus events
+        gameEvents.on('virus.popped', (data) => {
+            if (data.game !== this) return;
+            
+            this.particles.createSplitEffect(data.virus.x, data.virus.y, data.virus.color, data.cell.radius);
+        });
+        
         // Shop events
         gameEvents.on('shop.purchase', (data) => {
             this.handleShopPurchase(data);
         });
         
+        // Saves keep working in memory, but won't survive a reload
+        gameEvents.on('storageQuotaExceeded', () => {
+            this.uiManager.showError('Storage is full - progress will not be kept after closing the game');
+        });
+        
+        // Started from the Menu screen
+        gameEvents.on('game:start', (data) => {
+            this.startGame(data.playerName, { mode: data.mode, settings: data.settings })
+                .catch(error => this.showError(`Failed to start game: ${error.message}`));
+        });
+        
         // Game state events
         gameEvents.on('game.stateChange', (state) => {
             this.gameState = state;
@@ -260,24 +418,31 @@ hideLoadingScreen() {
     
     async loadGameData() {
         try {
+            // Storage is async, wait for the stored account before reading the save
+            await this.accountSystem.ready;
+            
             const saveData = await this.saveSystem.load();
             if (saveData) {
-                this.accountSystem.loadAccount(saveData);
+                await this.accountSystem.loadAccount(saveData);
                 console.log('Save data loaded successfully');
             }
+            
+            // Achievements are kept per account, the player id changes every game
+            const account = this.accountSystem.currentAccount;
+            if (account) {
+                await this.achievementSystem.loadProfile(account.id);
+            }
         } catch (error) {
             console.warn('Could not load save data:', error);
         }
     }
     
     initializeWorld() {
-        // Initialize QuadTree for spatial partitioning
-        this.quadTree = new QuadTree({
-            x: this.worldBounds.left,
-            y: this.worldBounds.top,
-            width: CONFIG.WORLD.WIDTH,
-            height: CONFIG.WORLD.HEIGHT
-        });
+        // Spatial index for collisions and culling, rebuilt every tick
+        this.broadphase = BroadphaseFactory.create();
+        this.viewport.setBroadphase(this.broadphase);
+        
+        if (this.hasRemoteWorld()) return;
         
         // Generate initial food
         this.generateFood();
@@ -291,17 +456,50 @@ hideLoadingScreen() {
         }
     }
     
-    startGame(playerName) {
-       
-
- if (!this.initialized) {
+    async startGame(playerName, options = {}) {
+        if (!this.initialized) {
             console.error('Game not initialized');
             return;
         }
         
         try {
+            // Timers and cooldowns follow the ticks, not the wall clock
+            if (!simulation.isDeterministic) {
+                simulation.useSimulatedClock();
+            }
+            
+            // The last game's worker world is in the last game's mode
+            if (this.workerOptions) {
+                this.leaveServer();
+            }
+            
+            // Rebuilds the world, so it goes before the mode setup below
+            this.setupCustomGame(!this.network && options.mode === 'custom' ? options.settings : null);
+            
+            // The worker builds its world from the same mode and settings
+            if (this.workerOptions) {
+                await this.startWorker(options);
+            }
+            
+            // Teams are decided by the server in multiplayer and in the worker
+            this.setupTeams(this.network ? 'ffa' : options.mode, options.teams);
+            this.setupViruses(!this.network && options.mode === 'experimental');
+            this.setupBattleRoyale(!this.network && options.mode === 'battleRoyale');
+            
             // Create player
             this.createPlayer(playerName);
+            this.setupDirector();
+            
+            if (this.teamSystem) {
+                this.teamSystem.assignPlayer(this.player);
+            }
+            
+            // In multiplayer the server spawns the authoritative player
+            if (this.network) {
+                this.network.join(playerName);
+            }
+            
+            this.matchTick = 0;
             
             // Change game state
             this.gameState = 'playing';
@@ -322,60 +520,170 @@ hideLoadingScreen() {
         }
     }
     
+    // Start or end team mode, putting the bots already in the world on teams
+    setupTeams(mode, teamCount) {
+        const bots = this.botManager ? this.botManager.bots : [];
+        
+        if (mode === 'teams') {
+            this.teamSystem = new TeamSystem(teamCount);
+            bots.forEach(bot => this.teamSystem.assignPlayer(bot));
+        } else if (this.teamSystem) {
+            this.teamSystem = null;
+            bots.forEach(bot => bot.setTeam(null));
+        }
+    }
+    
+    // Apply custom game settings, or go back to the stock ones, and rebuild
+    // the world with them. Systems read CONFIG when they are created.
+    setupCustomGame(settings) {
+        if (!settings && !this.customSettings) return;
+        
+        if (settings) {
+            this.customSettings = CustomGameSettings.validate(settings);
+            CustomGameSettings.apply(this.customSettings);
+        } else {
+            this.customSettings = null;
+            CustomGameSettings.reset();
+        }
+        
+        this.physicsEngine = new PhysicsEngine();
+        this.movement = new Movement(this.physicsEngine);
+        this.splittingSystem = new SplittingSystem(this.physicsEngine);
+        this.applyWorldBounds();
+        
+        this.food = [];
+        this.powerups = [];
+        this.botManager = this.hasRemoteWorld() ? null : this.createBotManager();
+        
+        this.initializeWorld();
+    }
+    
+    // The same box as the headless World, 0..WIDTH by 0..HEIGHT: Player and
+    // Bot keep their cells inside it, and the physics engine has to agree
+    applyWorldBounds() {
+        this.worldBounds = {
+            left: 0,
+            right: CONFIG.WORLD.WIDTH,
+            top: 0,
+            bottom: CONFIG.WORLD.HEIGHT
+        };
+        this.physicsEngine.worldBounds = {
+            minX: this.worldBounds.left,
+            maxX: this.worldBounds.right,
+            minY: this.worldBounds.top,
+            maxY: this.worldBounds.bottom
+        };
+        
+        if (this.camera) {
+            this.camera.setBounds(this.worldBounds.left, this.worldBounds.right, this.worldBounds.top, this.worldBounds.bottom);
+        }
+    }
+    
+    setupViruses(enabled) {
+        if (!enabled) {
+            this.virusSystem = null;
+            return;
+        }
+        
+        this.virusSystem = new VirusSystem(this);
+        this.virusSystem.spawnViruses(this.virusSystem.targetCount);
+    }
+    
+    setupBattleRoyale(enabled) {
+        this.battleRoyale = enabled ? new BattleRoyaleSystem(this) : null;
+        
+        // Nobody respawns or joins late, bots included
+        if (this.botManager) {
+            this.botManager.respawnEnabled = !enabled;
+        }
+    }
+    
+    // The director tunes stock single player games; custom games keep their settings
+    setupDirector() {
+        this.director.enabled = CONFIG.DIRECTOR.ENABLED && !this.network && !this.customSettings;
+        if (this.director.enabled) {
+            this.director.startMatch(this.player);
+        }
+    }
+    
     createPlayer(name) {
         const spawnPos = this.getRandomSpawnPosition();
         this.player = new Player(spawnPos.x, spawnPos.y, name);
         
         // Set up player progression
-        this.progressionSystem.setPlayer(this.player);
-        this.currencyManager.setPlayer(this.player);
+        this.achievementSystem.attachPlayer(this.player);
         
         // Position camera on player
-        this.camera.setTarget(this.player);
+        this.camera.setPosition(spawnPos.x, spawnPos.y);
         
         console.log(`Player '${name}' created at position (${spawnPos.x}, ${spawnPos.y})`);
     }
     
+    // One fixed simulation tick. Everything that only changes how the world
+    // looks runs once per frame in renderFrame() instead.
     update(deltaTime) {
+        if (this.gameState === 'replay') {
+            this.replayPlayer.update(deltaTime);
+            return;
+        }
+        
         if (this.gameState !== 'playing' || !this.player) {
             return;
         }
         
         this.deltaTime = deltaTime;
         
+        // The server simulates the world in multiplayer
+        if (this.network) {
+            this.updateMultiplayer(deltaTime);
+            return;
+        }
+        
         try {
-            // Clear and rebuild QuadTree
-            this.quadTree.clear();
-            this.populateQuadTree();
+            // Rebuild the spatial index
+            this.rebuildBroadphase();
             
             // Update input
             this.updateInput();
             
+            this.matchTick++;
+            
+            // Splits, ejects and powerups pressed since the last tick
+            this.applyActions();
+            
             // Update player
             this.updatePlayer(deltaTime);
             
             // Update bots (only if botManager exists)
             if (this.botManager) {
-                this.botManager.update(deltaTime, this.quadTree);
+                this.botManager.update(deltaTime, simulation.now());
             }
             
+            // Adjust the challenge to how the player is doing
+            this.director.update(deltaTime);
+            
             // Update physics
             this.updatePhysics(deltaTime);
             
             // Update powerups
             this.updatePowerups(deltaTime);
             
-            // Update particles
-            this.particles.update(deltaTime);
+            // Handle collisions
+            this.handleCollisions();
             
-            // Update camera
-            this.camera.update(deltaTime);
+            // Viruses pop big cells and grow from ejected mass
+            if (this.virusSystem) {
+                this.virusSystem.update(deltaTime);
+            }
             
-            // Update UI
-            this.updateUI(deltaTime);
+            // Shrink the zone, damage cells outside it and hand out placements
+            if (this.battleRoyale) {
+                this.battleRoyale.update(deltaTime);
+                if (!this.player) return; // Match ended for us this frame
+            }
             
-            // Handle collisions
-            this.handleCollisions();
+            // Large cells lose a little mass every tick
+            this.massDecaySystem.update(deltaTime);
             
             // Clean up entities
             this.cleanupEntities();
@@ -383,72 +691,134 @@ hideLoadingScreen() {
             // Maintain world state
             this.maintainWorld();
             
-            // Render frame
-            this.render();
+            // Where every cell ended up this tick, for interpolated rendering
+            this.recordCellPositions();
             
         } catch (error) {
             console.error('Error in game update:', error);
         }
     }
     
+    recordCellPositions() {
+        if (this.player) {
+            this.player.cells.forEach(cell => cell.updatePositionHistory());
+        }
+        
+        if (this.botManager) {
+            this.botManager.bots.forEach(bot => {
+                bot.cells.forEach(cell => cell.updatePositionHistory());
+            });
+        }
+    }
     
-     populateQuadTree() {
+    // One display frame, alpha of the way from the last tick to the next
+    renderFrame(alpha, frameDelta) {
+        if (this.gameState === 'replay') {
+            this.renderReplayFrame(frameDelta);
+            return;
+        }
+        
+        if (this.gameState !== 'playing' || !this.player) {
+            return;
+        }
+        
+        try {
+            // Remote players move with the server's snapshots
+            if (this.network) {
+                this.updateRemotePlayers();
+            }
+            
+            this.particles.update(frameDelta);
+            this.camera.follow(this.player);
+            this.camera.update(frameDelta);
+            this.updateUI(frameDelta);
+            
+            // The server's cells are already interpolated, local ones are drawn between ticks
+            this.renderer.setRenderTime(this.network ? null : this.gameLoop.getRenderTime(alpha));
+            this.render();
+            
+        } catch (error) {
+            console.error('Error in game render:', error);
+        }
+    }
+    
+    
+    rebuildBroadphase() {
+        const entities = [];
+        
         // Add player cells
         if (this.player) {
-            this.player.cells.forEach(cell => {
-                this.quadTree.insert(cell);
-            });
+            entities.push(...this.player.cells);
         }
         
         // Add bot cells (only if botManager exists)
         if (this.botManager) {
             this.botManager.bots.forEach(bot => {
-                bot.cells.forEach(cell => {
-                    this.quadTree.insert(cell);
-                });
+                entities.push(...bot.cells);
             });
         }
         
-        // Add food
-        this.food.forEach(food => {
-            this.quadTree.insert(food);
-        });
-        
-        // Add powerups
-        this.powerups.forEach(powerup => {
-            this.quadTree.insert(powerup);
-        });
+        entities.push(...this.food, ...this.powerups);
+        this.broadphase.build(entities);
     }
     
     updateInput() {
-        // Update world mouse position
-        this.input.mouse.worldX = this.camera.screenToWorldX(this.input.mouse.x);
-        this.input.mouse.worldY = this.camera.screenToWorldY(this.input.mouse.y);
+        // Aim from where the player is this tick, not from the smoothed camera
+        if (this.player) {
+            this.camera.follow(this.player);
+        }
+        const mouse = this.camera.screenToTarget(this.input.mouse.x, this.input.mouse.y);
+        this.input.mouse.worldX = mouse.x;
+        this.input.mouse.worldY = mouse.y;
+        
+        // Hunter companions go after what the player is aiming at
+        if (this.player) {
+            this.player.mouseX = this.input.mouse.worldX;
+            this.player.mouseY = this.input.mouse.worldY;
+        }
+    }
+    
+    // Queue a one-shot action for the next tick, so it happens at the same
+    // point in the simulation whatever the frame rate
+    queueAction(action) {
+        this.input.actions.push(action);
+    }
+    
+    applyActions() {
+        const mouseX = this.input.mouse.worldX;
+        const mouseY = this.input.mouse.worldY;
+        
+        for (const action of this.input.actions.splice(0)) {
+            if (action.split) {
+                this.splittingSystem.performSplit(this.player, mouseX, mouseY);
+            }
+            if (action.eject) {
+                this.ejectMass();
+            }
+            if (action.powerup) {
+                this.powerupSystem.usePowerup(this.player, action.powerup, { mouseX, mouseY });
+            }
+        }
     }
     
     updatePlayer(deltaTime) {
         if (!this.player) return;
         
-        // Update player movement
-        this.movement.updatePlayer(
-            this.player,
-            this.input.mouse.worldX,
-            this.input.mouse.worldY,
-            deltaTime
-        );
-        
-        // Update player progression
-        this.progressionSystem.update(deltaTime);
+        // Steer toward the mouse. Player moves and recombines its own cells,
+        // the same way bots and the headless World's players do.
+        this.player.setMousePosition(this.input.mouse.worldX, this.input.mouse.worldY);
+        this.player.update(deltaTime);
+        this.splittingSystem.update(this.player, deltaTime);
         
         // Check world boundaries
         this.enforceWorldBoundaries(this.player);
     }
     
     updatePhysics(deltaTime) {
-        // Update all entities physics
+        // Split momentum, friction and the world edge, for every cell
         if (this.player) {
             this.player.cells.forEach(cell => {
-                this.physicsEngine.updateEntity(cell, deltaTime);
+                this.physicsEngine.updateEntityPhysics(cell, deltaTime);
             });
         }
         
@@ -456,23 +826,26 @@ hideLoadingScreen() {
         if (this.botManager) {
             this.botManager.bots.forEach(bot => {
                 bot.cells.forEach(cell => {
-                    this.physicsEngine.updateEntity(cell, deltaTime);
+                    this.physicsEngine.updateEntityPhysics(cell, deltaTime);
                 });
             });
         }
+        
+        // Ejected mass keeps flying until friction stops it
+        this.food.forEach(food => {
+            if (food.isEjected) {
+                food.move(deltaTime, this.worldBounds);
+            }
+        });
     }
     
     updatePowerups(deltaTime) {
-        this.powerups.forEach((powerup, index) => {
-            powerup.update(deltaTime);
-            
-            if (powerup.shouldRemove) {
-                this.powerups.splice(index, 1);
-            }
-        });
+        // Pickups nobody collected expire after their lifetime
+        this.powerups.forEach(powerup => powerup.update(deltaTime, simulation.now()));
+        this.powerups = this.powerups.filter(powerup => !powerup.collected);
         
         // Update powerup system
-        this.powerupSystem.update(deltaTime);
+        this.powerupSystem.update(deltaTime, simulation.now());
     }
     
     updateUI(deltaTime) {
@@ -480,9 +853,23 @@ hideLoadingScreen() {
             this.hud.update(this.player);
             this.leaderboard.update(this.getAllPlayers());
         }
+        
+        if (this.directorPanel) {
+            this.directorPanel.update();
+        }
+        
+        if (this.teamSystem) {
+            this.teamSystem.publishStandings(performance.now());
+        }
     }
     
     handleCollisions() {
+        // Who each cell belongs to - split cells are plain Cells
+        this.cellOwners = new Map();
+        this.getLocalPlayers().forEach(player => {
+            player.cells.forEach(cell => this.cellOwners.set(cell, player));
+        });
+        
         // Player vs Food collisions
         if (this.player) {
             this.handlePlayerFoodCollisions();
@@ -496,11 +883,11 @@ hideLoadingScreen() {
     
     handlePlayerFoodCollisions() {
         this.player.cells.forEach(cell => {
-            const nearby = this.quadTree.retrieve(cell.getBounds());
+            const nearby = this.broadphase.queryEntity(cell);
             
             nearby.forEach(entity => {
-                if (entity instanceof Food && 
-                    this.collisionDetection.checkCollision(cell, entity)) {
+                if (entity instanceof Food && entity.isActive &&
+                    this.collisionDetection.checkCircleCollision(cell, entity)) {
                     
                     this.absorbeFood(cell, entity);
                 }
@@ -510,11 +897,11 @@ hideLoadingScreen() {
     
     handlePlayerPowerupCollisions() {
         this.player.cells.forEach(cell => {
-            const nearby = this.quadTree.retrieve(cell.getBounds());
+            const nearby = this.broadphase.queryEntity(cell);
             
             nearby.forEach(entity => {
-                if (entity instanceof Powerup && 
-                    this.collisionDetection.checkCollision(cell, entity)) {
+                if (entity instanceof Powerup && !entity.collected &&
+                    this.collisionDetection.checkCircleCollision(cell, entity)) {
                     
                     this.collectPowerup(this.player, entity);
                 }
@@ -523,14 +910,20 @@ hideLoadingScreen() {
     }
     
     handlePlayerBotCollisions() {
-        this.player.cells.forEach(playerCell => {
-            const nearby = this.quadTree.retrieve(playerCell.getBounds());
+        this.handleCellCollisions(this.player);
+    }
+    
+    // Touching cells of two different players - the bigger one may eat the other
+    handleCellCollisions(player) {
+        [...player.cells].forEach(cell => {
+            const nearby = this.broadphase.queryEntity(cell);
             
             nearby.forEach(entity => {
-                if (entity.owner && entity.owner !== this.player &&
-                    this.collisionDetection.checkCollision(playerCell, entity)) {
+                const owner = this.cellOwners.get(entity);
+                if (owner && owner !== player && cell.isActive && entity.isActive &&
+                    this.collisionDetection.checkCircleCollision(cell, entity)) {
                     
-                    this.handleCellAbsorption(playerCell, entity);
+                    this.handleCellAbsorption(cell, entity);
                 }
             });
         });
@@ -539,13 +932,16 @@ hideLoadingScreen() {
     handleBotCollisions() {
         if (!this.botManager) return;
         
-        this.botManager.bots.forEach(bot => {
+        [...this.botManager.bots].forEach(bot => {
+            // Bots eat each other too; the player's own pass covers player vs bot
+            this.handleCellCollisions(bot);
+            
             bot.cells.forEach(cell => {
-                const nearby = this.quadTree.retrieve(cell.getBounds());
+                const nearby = this.broadphase.queryEntity(cell);
                 
                 nearby.forEach(entity => {
-                    if (entity instanceof Food && 
-                        this.collisionDetection.checkCollision(cell, entity)) {
+                    if (entity instanceof Food && entity.isActive &&
+                        this.collisionDetection.checkCircleCollision(cell, entity)) {
                         
                         this.absorbeFood(cell, entity);
                     }
@@ -555,7 +951,8 @@ hideLoadingScreen() {
     }
     
     absorbeFood(cell, food) {
-        cell.absorb(food);
+        // Too small to eat it, or its own ejected mass coming straight back
+        if (!cell.absorb(food)) return;
         
         // Remove food from array
         const index = this.food.indexOf(food);
@@ -564,9 +961,10 @@ hideLoadingScreen() {
         }
         
         // Award currency and experience
-        if (cell.owner) {
-            this.currencyManager.awardCoins(cell.owner, 1);
-            this.progressionSystem.awardExperience(cell.owner, food.mass);
+        const owner = this.cellOwners.get(cell);
+        if (owner) {
+            this.currencyManager.awardCoins(owner, 1);
+            this.progressionSystem.awardExperience(owner, food.mass);
         }
         
         // Create absorption particle effect
@@ -574,7 +972,7 @@ hideLoadingScreen() {
         
         // Emit absorption event
         gameEvents.emit('player.absorption', {
-            player: cell.owner,
+            player: owner,
             absorbed: food,
             mass: food.mass
         });
@@ -594,50 +992,61 @@ hideLoadingScreen() {
     }
     
     handleCellAbsorption(cellA, cellB) {
+        // Either cell may be the bigger one
+        let absorber = null;
         if (this.collisionDetection.canAbsorb(cellA, cellB)) {
-            const absorbed = cellA.mass > cellB.mass ? cellB : cellA;
-            const absorber = cellA.mass > cellB.mass ? cellA : cellB;
-            
-            // Handle absorption
-            absorber.absorb(absorbed);
-            
-            // Remove absorbed cell
-            this.removeCellFromOwner(absorbed);
-            
-            // Create effects
-            this.particles.createAbsorptionEffect(absorbed.x, absorbed.y, absorbed.color);
-            
-            // Award points
-            if (absorber.owner) {
-                const points = Math.floor(absorbed.mass / 2);
-                this.currencyManager.awardCoins(absorber.owner, points);
-                this.progressionSystem.awardExperience(absorber.owner, absorbed.mass);
-            }
+            absorber = cellA;
+        } else if (this.collisionDetection.canAbsorb(cellB, cellA)) {
+            absorber = cellB;
         }
+        if (!absorber) return;
+        
+        const absorbed = absorber === cellA ? cellB : cellA;
+        const owner = this.cellOwners.get(absorber);
+        
+        // Handle absorption
+        if (!absorber.absorb(absorbed)) return;
+        owner.updateTotalMass();
+        
+        // Remove absorbed cell
+        this.removeCellFromOwner(absorbed);
+        
+        // Create effects
+        this.particles.createAbsorptionEffect(absorbed.x, absorbed.y, absorbed.color);
+        
+        // Award points
+        const points = Math.floor(absorbed.mass / 2);
+        this.currencyManager.awardCoins(owner, points);
+        this.progressionSystem.awardExperience(owner, absorbed.mass);
     }
     
     removeCellFromOwner(cell) {
-        if (cell.owner) {
-            const index = cell.owner.cells.indexOf(cell);
-            if (index > -1) {
-                cell.owner.cells.splice(index, 1);
-                cell.owner.updateTotalMass();
-                
-                // Check if player is eliminated
-                if (cell.owner.cells.length === 0) {
-                    this.handlePlayerElimination(cell.owner);
-                }
+        const owner = this.cellOwners.get(cell);
+        if (!owner) return;
+        
+        const index = owner.cells.indexOf(cell);
+        if (index > -1) {
+            owner.cells.splice(index, 1);
+            owner.updateTotalMass();
+            
+            // Check if player is eliminated
+            if (owner.cells.length === 0) {
+                this.handlePlayerElimination(owner);
             }
         }
     }
     
     handlePlayerElimination(player) {
+        // BattleRoyaleSystem places eliminated players itself, nobody respawns
+        if (this.battleRoyale) return;
+        
         if (player === this.player) {
             // Player died - show game over
             this.gameOver();
         } else if (this.botManager) {
-            // Bot died - respawn or remove
-            this.botManager.handleBotDeath(player);
+            // Bot died - maintainWorld() spawns a replacement
+            player.die();
+            this.botManager.removeBot(player);
         }
     }
     
@@ -650,20 +1059,23 @@ hideLoadingScreen() {
     }
     
     maintainWorld() {
-        // Maintain food count
-        while (this.food.length < CONFIG.FOOD.MAX_COUNT) {
+        // Maintain food count (battle royale stops food after its cutoff phase)
+        const foodRespawns = !this.battleRoyale || this.battleRoyale.allowsFoodRespawn();
+        const foodCount = Math.round(CONFIG.FOOD.COUNT * (this.director.enabled ? this.director.foodDensity : 1));
+        while (foodRespawns && this.food.length < foodCount) {
             this.generateFood(1);
         }
         
         // Maintain powerup count
+        const powerupRate = CONFIG.POWERUPS.SPAWN_RATE * (this.director.enabled ? this.director.powerupRate : 1);
         if (this.powerups.length < CONFIG.POWERUPS.MAX_COUNT && 
-            Math.random() < CONFIG.POWERUPS.SPAWN_RATE) {
+            simulation.random() < powerupRate) {
             this.generatePowerups(1);
         }
         
         // Maintain bot count (only if botManager exists)
         if (this.botManager) {
-            this.botManager.maintainBotCount();
+            this.botManager.maintainBotPopulation(simulation.now());
         }
     }
     
@@ -671,17 +1083,25 @@ hideLoadingScreen() {
         // Clear canvas
         this.renderer.clear();
         
-        // Get visible entities
-        const visibleBounds = this.viewport.getVisibleBounds();
-        const visibleEntities = this.quadTree.retrieve(visibleBounds);
+        // Get visible entities - food eaten since the last rebuild is inactive
+        const visibleBounds = this.camera.getVisibleBounds();
+        const visibleEntities = this.broadphase.queryRange(
+            visibleBounds.left, visibleBounds.top, visibleBounds.right, visibleBounds.bottom
+        );
         
         // Render background
         this.renderer.renderBackground(this.camera, this.worldBounds);
         
+        // Battle royale zone and next zone preview
+        const zoneState = this.getZoneState();
+        if (zoneState) {
+            this.renderer.renderZone(zoneState);
+        }
+        
         // Render food
-        this.food.forEach(food => {
-            if (this.viewport.isVisible(food)) {
-                this.renderer.renderFood(food, this.camera);
+        visibleEntities.forEach(entity => {
+            if (entity instanceof Food && entity.isActive) {
+                this.renderer.renderFood(entity, this.camera);
             }
         });
         
@@ -706,6 +1126,27 @@ hideLoadingScreen() {
             });
         }
         
+        // Viruses go over the cells hiding under them
+        if (this.virusSystem) {
+            this.renderer.renderViruses(this.virusSystem.viruses);
+        } else if (this.remoteViruses.size > 0) {
+            this.renderer.renderViruses(Array.from(this.remoteViruses.values()));
+        }
+        
+        // Debug - the potential field each bot on screen is steering by
+        if (this.debugMode && this.botManager) {
+            this.renderer.renderSteering(this.botManager.bots
+                .filter(bot => bot.isAlive && this.viewport.isPlayerVisible(bot))
+                .map(bot => bot.ai.field.getDebugState()));
+        }
+        
+        // Render other players and bots received from the server
+        this.remotePlayers.forEach(remotePlayer => {
+            if (this.viewport.isPlayerVisible(remotePlayer)) {
+                this.renderer.renderPlayer(remotePlayer, this.camera);
+            }
+        });
+        
         // Render particles
         this.particles.render(this.renderer, this.camera);
         
@@ -765,12 +1206,13 @@ hideLoadingScreen() {
         this.input.mouseDown = true;
         
         if (this.gameState === 'playing' && this.player) {
+            if (this.network) {
+                this.network.split();
+                return;
+            }
+            
             // Split on mouse click
-            this.splittingSystem.performSplit(
-                this.player,
-                this.input.mouse.worldX,
-                this.input.mouse.worldY
-            );
+            this.queueAction({ split: true });
         }
     }
     
@@ -786,24 +1228,29 @@ hideLoadingScreen() {
                 case 'Space':
                     event.preventDefault();
                     // Split with spacebar
-                    this.splittingSystem.performSplit(
-                        this.player,
-                        this.input.mouse.worldX,
-                        this.input.mouse.worldY
-                    );
+                    if (this.network) {
+                        this.network.split();
+                        break;
+                    }
+                    this.queueAction({ split: true });
                     break;
                     
                 case 'KeyW':
                     // Eject mass
-                    this.ejectMass();
+                    if (this.network) {
+                        this.network.eject();
+                        break;
+                    }
+                    this.queueAction({ eject: true });
                     break;
                     
                 case 'KeyR':
                     // Use recombine powerup
-                    this.powerupSystem.usePowerup(this.player, 'recombine', {
-                        mouseX: this.input.mouse.worldX,
-                        mouseY: this.input.mouse.worldY
-                    });
+                    if (this.network) {
+                        this.network.usePowerup('recombine');
+                        break;
+                    }
+                    this.queueAction({ powerup: 'recombine' });
                     break;
                     
                 case 'Tab':
@@ -818,12 +1265,33 @@ hideLoadingScreen() {
                 case 'Escape':
                     this.togglePauseMenu();
                     break;
+                    
+                case 'Backquote':
+                    // Difficulty director debug panel
+                    this.directorPanel.toggle();
+                    break;
+                    
+                case 'KeyC':
+                    // Companion command menu, open while the key is held
+                    if (!event.repeat && this.companionMenu) {
+                        const rect = document.getElementById('game-canvas').getBoundingClientRect();
+                        this.companionMenu.show(rect.left + this.input.mouse.x, rect.top + this.input.mouse.y);
+                    }
+                    break;
+            }
+            
+            if (COMPANION_HOTKEYS[event.code]) {
+                this.commandCompanions(COMPANION_HOTKEYS[event.code]);
             }
         }
     }
     
     onKeyUp(event) {
         this.input.keys.delete(event.code);
+        
+        if (event.code === 'KeyC' && this.companionMenu) {
+            this.companionMenu.release();
+        }
     }
     
     onUIClick(event) {
@@ -833,7 +1301,15 @@ hideLoadingScreen() {
         if (target.classList.contains('start-game-btn')) {
             const nameInput = document.getElementById('playerName');
             const playerName = nameInput?.value?.trim() || 'Anonymous';
-            this.startGame(playerName);
+            const mode = document.getElementById('game-mode')?.value || 'ffa';
+            const teams = Number(document.getElementById('team-count')?.value) || CONFIG.TEAMS.DEFAULT_TEAMS;
+            
+            if (mode === 'custom') {
+                this.openCustomLobby();
+                return;
+            }
+            this.startGame(playerName, { mode, teams })
+                .catch(error => this.showError(`Failed to start game: ${error.message}`));
         }
         
         if (target.classList.contains('shop-btn')) {
@@ -860,10 +1336,10 @@ hideLoadingScreen() {
         };
     }
     
-    generateFood(count = CONFIG.FOOD.SPAWN_COUNT) {
+    generateFood(count = CONFIG.FOOD.COUNT) {
         for (let i = 0; i < count; i++) {
             const pos = this.getRandomSpawnPosition();
-            const food = new Food(pos.x, pos.y);
+            const food = new Food(pos.x, pos.y, Food.randomType());
             this.food.push(food);
         }
     }
@@ -871,17 +1347,34 @@ hideLoadingScreen() {
     generatePowerups(count = 1) {
         for (let i = 0; i < count; i++) {
             const pos = this.getRandomSpawnPosition();
-            const types = ['speed', 'shield', 'recombine', 'mass'];
-            const type = types[Math.floor(Math.random() * types.length)];
+            // Pickups of powerups turned off for this game don't spawn
+            const types = ['speed', 'shield', 'recombine', 'mass'].filter(type =>
+                !CONFIG.POWERUPS.DISABLED.includes(PICKUP_POWERUPS[type]));
+            if (types.length === 0) return;
+            const type = types[Math.floor(simulation.random() * types.length)];
             const powerup = new Powerup(pos.x, pos.y, type);
             this.powerups.push(powerup);
         }
     }
     
+    // Prestige upgrades are bought with the account's prestige points and stay
+    // with the account from game to game; bots and remote players have none
+    getPrestigeProfile(player) {
+        return player === this.player ? this.accountSystem.currentAccount : null;
+    }
+    
+    // The player and bots simulated on this page
+    getLocalPlayers() {
+        const players = this.botManager ? [...this.botManager.bots] : [];
+        if (this.player) players.unshift(this.player);
+        return players;
+    }
+    
     getAllPlayers() {
         const players = [];
         if (this.player) players.push(this.player);
         if (this.botManager) players.push(...this.botManager.bots);
+        players.push(...this.remotePlayers.values());
         return players.sort((a, b) => b.totalMass - a.totalMass);
     }
     
@@ -920,36 +1413,313 @@ hideLoadingScreen() {
         if (!this.player) return;
         
         this.player.cells.forEach(cell => {
-            if (cell.mass > CONFIG.PLAYER.MIN_EJECT_MASS) {
-                const direction = MathUtils.getDirection(
-                    cell.x, cell.y,
-                    this.input.mouse.worldX, this.input.mouse.worldY
-                );
-                
-                // Create ejected mass as food
-                const ejectMass = CONFIG.PLAYER.EJECT_MASS;
-                const ejectSpeed = CONFIG.PLAYER.EJECT_SPEED;
-                
-                const ejectedFood = new Food(
-                    cell.x + direction.x * (cell.radius + 20),
-                    cell.y + direction.y * (cell.radius + 20),
-                    ejectMass
-                );
-                
-                ejectedFood.velocity.x = direction.x * ejectSpeed;
-                ejectedFood.velocity.y = direction.y * ejectSpeed;
-                ejectedFood.color = cell.color;
-                
-                this.food.push(ejectedFood);
-                
-                // Reduce cell mass
-                cell.mass -= ejectMass;
-                cell.updateRadius();
+            // Flies toward the mouse - teammates, companions and viruses can eat it
+            const pellet = EjectedMass.fromCell(cell, this.input.mouse.worldX, this.input.mouse.worldY);
+            if (pellet) {
+                this.food.push(pellet);
+            }
+        });
+        
+        // Update player total mass
+        this.player.updateTotalMass();
+    }
+    
+    // Multiplayer
+    async connectFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const serverUrl = params.get('server');
+        
+        if (serverUrl) {
+            try {
+                await this.connectToServer(serverUrl);
+            } catch (error) {
+                console.warn('Multiplayer unavailable, continuing offline:', error.message);
+            }
+        } else if (params.has('worker')) {
+            // ?worker, or ?worker=100 for a bigger match. Every game starts a
+            // worker of its own, built for the mode it is played in.
+            this.workerOptions = {
+                maxPlayers: Number(params.get('worker')) || CONFIG.WORKER.MAX_PLAYERS,
+                seed: params.get('seed')
+            };
+        }
+    }
+    
+    // Single player world simulated in a Web Worker. The page joins it like a
+    // multiplayer server, so it only predicts its own player and draws snapshots.
+    async connectToWorker(maxPlayers, seed = null, mode = {}) {
+        await this.connectToServer('worker', {
+            createSocket: () => new WorkerSocket({
+                maxPlayers,
+                seed: seed !== null ? seed : undefined,
+                archetypes: new URL('data/bots/manifest.json', window.location.href).href,
+                ...mode
+            })
+        });
+    }
+    
+    // Move this game's world into a worker, in the chosen mode. Falls back to
+    // the main thread for good if the worker can't start.
+    async startWorker(options) {
+        const mode = {
+            teams: options.mode === 'teams' ? options.teams : 0,
+            viruses: options.mode === 'experimental',
+            battleRoyale: options.mode === 'battleRoyale',
+            settings: this.customSettings
+        };
+        
+        try {
+            await this.connectToWorker(this.workerOptions.maxPlayers, this.workerOptions.seed, mode);
+        } catch (error) {
+            console.warn('Simulation worker unavailable, simulating on the main thread:', error.message);
+            this.workerOptions = null;
+            
+            // Nothing was built on the page while the worker was going to run the world
+            this.botManager = this.createBotManager();
+            this.initializeWorld();
+            return;
+        }
+        
+        // These run on the page's own world, which the worker replaces
+        this.uiManager.showInfo('Simulated in a worker: the director, companions and powerup pickups are off');
+    }
+    
+    async connectToServer(url, options = {}) {
+        const network = new NetworkClient(url, options);
+        await network.connect();
+        this.network = network;
+        
+        // The server owns bots and food in multiplayer
+        if (this.botManager) {
+            this.botManager.bots = [];
+            this.botManager.maxBots = 0;
+        }
+        this.food = [];
+        this.powerups = [];
+        
+        // A connection that went away without reporting it leaves its listeners behind
+        this.removeNetworkHandlers();
+        
+        this.networkHandlers = {
+            'network.welcome': (data) => {
+                if (this.player) {
+                    this.player.id = data.playerId;
+                    this.player.playerId = data.playerId;
+                }
                 
-                // Update player total mass
-                this.player.updateTotalMass();
+                // Local player is predicted, everyone else is drawn two snapshots in the past
+                this.prediction = new ClientPrediction(data.world);
+                this.interpolator = new SnapshotInterpolator(this.movement, {
+                    delay: data.snapshotInterval * 2,
+                    maxExtrapolation: data.snapshotInterval * 2
+                });
+            },
+            
+            'network.state': (state) => this.applyServerState(state),
+            
+            'network.died': () => {
+                if (this.prediction) {
+                    this.prediction.reset();
+                }
+                if (this.player) {
+                    this.gameOver();
+                }
+            },
+            
+            'network.disconnected': () => {
+                this.leaveServer();
+                this.showError('Disconnected from server');
+            }
+        };
+        
+        for (const [eventType, handler] of Object.entries(this.networkHandlers)) {
+            gameEvents.on(eventType, handler);
+        }
+        
+        console.log(`Connected to multiplayer server ${url}`);
+    }
+    
+    // Drop the connection and everything it was showing
+    leaveServer() {
+        if (!this.network) return;
+        
+        // Handlers first, so closing the socket isn't reported as a lost connection
+        this.removeNetworkHandlers();
+        this.network.disconnect();
+        this.network = null;
+        this.remotePlayers.clear();
+        this.remoteFood.clear();
+        this.remoteViruses.clear();
+        this.remoteZone = null;
+    }
+    
+    // Reconnecting registers a fresh set, so the old one has to go
+    removeNetworkHandlers() {
+        if (!this.networkHandlers) return;
+        
+        for (const [eventType, handler] of Object.entries(this.networkHandlers)) {
+            gameEvents.off(eventType, handler);
+        }
+        this.networkHandlers = null;
+    }
+    
+    updateMultiplayer(deltaTime) {
+        this.updateInput();
+        
+        // Move the local player right away and tell the server what we did
+        if (this.prediction && this.player && this.player.isAlive) {
+            const inputs = this.prediction.update(
+                this.player,
+                this.input.mouse.worldX,
+                this.input.mouse.worldY,
+                deltaTime
+            );
+            inputs.forEach(input => this.network.sendInput(input));
+        }
+    }
+    
+    updateRemotePlayers() {
+        if (this.interpolator) {
+            const now = Date.now();
+            this.remotePlayers.forEach(remotePlayer => this.interpolator.updatePlayer(remotePlayer, now));
+        }
+    }
+    
+    applyServerState(state) {
+        if (!this.prediction || !this.interpolator) return;
+        
+        const visibleIds = new Set();
+        const sampleTime = this.interpolator.toLocalTime(state.time);
+        
+        for (const playerState of state.players) {
+            visibleIds.add(playerState.id);
+            
+            if (playerState.id === this.network.playerId) {
+                if (this.player) {
+                    // Rewind to the server's state, then replay inputs it hasn't seen yet
+                    const shownPositions = this.prediction.capturePositions(this.player);
+                    this.applyCellStates(this.player, playerState.cells);
+                    this.prediction.reconcile(this.player, state.inputSequence, shownPositions);
+                }
+                continue;
+            }
+            
+            this.applyCellStates(this.getRemotePlayer(playerState), playerState.cells, sampleTime);
+        }
+        
+        // Forget players that left our view or the game
+        for (const id of this.remotePlayers.keys()) {
+            if (!visibleIds.has(id)) {
+                this.remotePlayers.delete(id);
+            }
+        }
+        
+        this.food = this.syncRemoteFood(state.food);
+        this.syncRemoteViruses(state.viruses);
+        this.remoteZone = state.zone;
+    }
+    
+    getRemotePlayer(playerState) {
+        let remotePlayer = this.remotePlayers.get(playerState.id);
+        
+        if (!remotePlayer) {
+            const first = playerState.cells[0] || { x: 0, y: 0 };
+            remotePlayer = new Player(first.x, first.y, playerState.name);
+            remotePlayer.id = playerState.id;
+            remotePlayer.playerId = playerState.id;
+            remotePlayer.isBot = playerState.isBot;
+            this.remotePlayers.set(playerState.id, remotePlayer);
+        }
+        
+        return remotePlayer;
+    }
+    
+    // Match server cells to local cell objects by id so history and effects survive updates.
+    // With a sample time the positions are buffered for interpolation instead of applied.
+    applyCellStates(player, cellStates, sampleTime = null) {
+        const existing = new Map(player.cells.map(cell => [cell.id, cell]));
+        
+        player.cells = cellStates.map((cellState, index) => {
+            let cell = existing.get(cellState.id);
+            
+            if (!cell) {
+                cell = index === 0 ? player : new Cell(cellState.x, cellState.y, cellState.mass);
+                cell.id = cellState.id;
+                cell.playerId = player.id;
+                cell.owner = player;
             }
+            
+            if (sampleTime === null) {
+                cell.x = cellState.x;
+                cell.y = cellState.y;
+            } else {
+                this.interpolator.addSample(cell, cellState.x, cellState.y, sampleTime);
+            }
+            
+            cell.mass = cellState.mass;
+            cell.color = cellState.color;
+            cell.updateRadius();
+            
+            return cell;
         });
+        
+        player.updateTotalMass();
+    }
+    
+    syncRemoteFood(foodStates) {
+        const nextFood = new Map();
+        
+        for (const foodState of foodStates) {
+            let food = this.remoteFood.get(foodState.id);
+            
+            if (!food) {
+                food = foodState.type === 'ejected'
+                    ? new EjectedMass(foodState.x, foodState.y, foodState.owner)
+                    : new Food(foodState.x, foodState.y, foodState.type);
+                food.id = foodState.id;
+            }
+            
+            food.x = foodState.x;
+            food.y = foodState.y;
+            food.mass = foodState.mass;
+            food.radius = foodState.radius;
+            food.color = foodState.color;
+            
+            nextFood.set(food.id, food);
+        }
+        
+        this.remoteFood = nextFood;
+        return Array.from(nextFood.values());
+    }
+    
+    syncRemoteViruses(virusStates) {
+        const nextViruses = new Map();
+        
+        for (const virusState of virusStates) {
+            let virus = this.remoteViruses.get(virusState.id);
+            
+            if (!virus) {
+                virus = new Virus(virusState.x, virusState.y, virusState.mass);
+                virus.id = virusState.id;
+            }
+            
+            virus.x = virusState.x;
+            virus.y = virusState.y;
+            virus.mass = virusState.mass;
+            virus.radius = virusState.radius;
+            
+            nextViruses.set(virus.id, virus);
+        }
+        
+        this.remoteViruses = nextViruses;
+    }
+    
+    // Battle royale zone from the local system, or the server's in multiplayer
+    getZoneState() {
+        if (this.battleRoyale) {
+            return this.battleRoyale.getZoneState();
+        }
+        return this.network ? this.remoteZone : null;
     }
     
     // UI state management
@@ -974,6 +1744,190 @@ showMainMenu() {
     }
 }
 
+    // Custom games
+    openCustomLobby(settings = null) {
+        if (!this.customLobby) {
+            this.customLobby = new CustomGameLobby({
+                onStart: (customSettings) => {
+                    const playerName = document.getElementById('playerName')?.value?.trim() || 'Anonymous';
+                    this.startGame(playerName, { mode: 'custom', settings: customSettings })
+                        .catch(error => this.showError(`Failed to start game: ${error.message}`));
+                }
+            });
+        }
+        
+        this.customLobby.show(settings || this.customSettings);
+    }
+    
+    // Bought in the shop - a bot that follows the player (Defender, Hunter or Collector)
+    spawnCompanion(companionType) {
+        if (!this.botManager || !this.player) return null;
+        
+        const companion = this.botManager.spawnCompanionBot(this.player, companionType);
+        if (companion) {
+            gameEvents.emit('companion.spawned', { player: this.player, companion });
+        }
+        return companion;
+    }
+    
+    // Order all of the player's companions (follow, hold, attack, regroup)
+    commandCompanions(command) {
+        if (!this.botManager || !this.player || this.network) return 0;
+        
+        const options = {};
+        if (command === 'hold') {
+            options.point = { x: this.input.mouse.worldX, y: this.input.mouse.worldY };
+        } else if (command === 'attack') {
+            options.target = this.findCompanionTarget();
+            if (!options.target) return 0;
+        }
+        
+        return this.botManager.commandCompanions(this.player, command, options);
+    }
+    
+    // Rival closest to the cursor, for the attack command
+    findCompanionTarget() {
+        const aimX = this.input.mouse.worldX;
+        const aimY = this.input.mouse.worldY;
+        let best = null;
+        let bestDistance = CONFIG.COMPANIONS.TARGET_RADIUS;
+        
+        for (const candidate of this.getAllPlayers()) {
+            if (candidate === this.player || candidate.isAlive === false) continue;
+            if (Utils.isFriendly(this.player, candidate)) continue;
+            
+            const distance = Utils.distance(aimX, aimY, candidate.x, candidate.y);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        
+        return best;
+    }
+    
+    // Register the JSON archetypes in data/bots/ and read the mix to spawn
+    // from the URL (?bots=camper:1,standard:3)
+    async loadBotArchetypes() {
+        try {
+            const loaded = await BotArchetypes.loadManifest('data/bots/manifest.json');
+            console.log(`Loaded bot archetypes: ${loaded.map(archetype => archetype.id).join(', ')}`);
+        } catch (error) {
+            console.warn('Bot archetypes unavailable, using standard bots:', error);
+        }
+        
+        const mix = new URLSearchParams(window.location.search).get('bots');
+        if (!mix) return;
+        
+        this.botArchetypeWeights = {};
+        for (const entry of mix.split(',')) {
+            const [id, weight] = entry.split(':');
+            this.botArchetypeWeights[id] = weight === undefined ? 1 : Number(weight) || 0;
+        }
+    }
+    
+    loadCustomGameFromUrl() {
+        const settings = CustomGameSettings.fromUrlHash(window.location.hash);
+        if (settings) {
+            this.openCustomLobby(settings);
+        }
+    }
+    
+    // Replays
+    async loadReplayFromUrl() {
+        const replayUrl = new URLSearchParams(window.location.search).get('replay');
+        if (!replayUrl) return;
+        
+        try {
+            const response = await fetch(replayUrl);
+            const replay = this.saveSystem.importReplay(await response.json());
+            if (replay) {
+                this.startReplay(replay);
+            }
+        } catch (error) {
+            console.warn('Could not load replay:', error.message);
+        }
+    }
+    
+    startReplay(replay) {
+        // Opening another file while watching replaces the current replay
+        if (this.replayPlayer) {
+            this.replayPlayer.dispose();
+        }
+        
+        this.replayPlayer = new ReplayPlayer(replay);
+        if (!this.replayControls) {
+            this.replayControls = new ReplayControls(this);
+        }
+        this.replayControls.setReplayPlayer(this.replayPlayer);
+        this.replayControls.show();
+        
+        // Recorded worlds span 0..WIDTH, start with an overview of the whole map
+        const bounds = this.replayPlayer.world.worldBounds;
+        if (!this.previousCameraBounds) {
+            this.previousCameraBounds = { ...this.camera.bounds };
+        }
+        this.camera.setBounds(bounds.left, bounds.right, bounds.top, bounds.bottom);
+        this.camera.setPosition((bounds.left + bounds.right) / 2, (bounds.top + bounds.bottom) / 2);
+        this.camera.setZoom(this.camera.minZoom);
+        
+        this.gameState = 'replay';
+        gameEvents.emit('game.stateChange', 'replay');
+        
+        this.replayPlayer.play();
+        this.gameLoop.start();
+    }
+    
+    stopReplay() {
+        if (!this.replayPlayer) return;
+        
+        this.replayPlayer.dispose();
+        this.replayPlayer = null;
+        this.replayControls.hide();
+        
+        if (this.previousCameraBounds) {
+            const bounds = this.previousCameraBounds;
+            this.camera.setBounds(bounds.minX, bounds.maxX, bounds.minY, bounds.maxY);
+            this.previousCameraBounds = null;
+        }
+        
+        this.showMainMenu();
+    }
+    
+    renderReplayFrame(frameDelta) {
+        // Free camera unless a player is being followed
+        const target = this.replayControls.getFollowTarget();
+        if (target) {
+            this.camera.follow(target);
+        }
+        this.camera.update(frameDelta);
+        
+        this.replayControls.update();
+        this.renderer.setRenderTime(null);
+        this.renderReplay();
+    }
+    
+    renderReplay() {
+        const world = this.replayPlayer.world;
+        
+        this.renderer.clear();
+        this.renderer.renderBackground(this.camera, world.worldBounds);
+        
+        world.food.forEach(food => {
+            if (this.viewport.isVisible(food)) {
+                this.renderer.renderFood(food, this.camera);
+            }
+        });
+        
+        world.getAllPlayers().forEach(player => {
+            if (this.viewport.isPlayerVisible(player)) {
+                this.renderer.renderPlayer(player, this.camera);
+            }
+        });
+        
+        this.renderer.renderUI();
+    }
+    
     toggleShop() {
         if (this.gameState === 'shop') {
             this.gameState = 'playing';
@@ -1013,6 +1967,8 @@ showMainMenu() {
     gameOver() {
         console.log('Game Over!');
         
+        this.director.onPlayerDeath();
+        
         // Stop game loop
         this.gameLoop.stop();
         
@@ -1027,9 +1983,57 @@ showMainMenu() {
         this.player = null;
     }
     
+    // Battle royale is over for the local player, show where they placed
+    endBattleRoyale() {
+        const battleRoyale = this.battleRoyale;
+        
+        this.gameLoop.stop();
+        this.saveGame();
+        
+        const placement = battleRoyale.getPlacement(this.player);
+        const placements = battleRoyale.getPlacements();
+        const result = placements.find(entry => entry.id === this.player.id);
+        
+        this.gameState = 'gameOver';
+        this.uiManager.showPlacement({
+            placement,
+            total: battleRoyale.contestants.size,
+            survived: result ? result.survived : battleRoyale.elapsed,
+            placements
+        });
+        
+        this.player = null;
+        this.battleRoyale = null;
+    }
+    
+    // Game over screen - download the save
+    async exportSaveFile() {
+        const exportData = await this.saveSystem.exportSave();
+        if (!exportData) {
+            this.uiManager.showError('There is no saved progress to export yet');
+            return;
+        }
+        
+        this.downloadJson(exportData, `save-${exportData.exportedAt}.json`);
+    }
+    
+    downloadJson(data, fileName) {
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        
+        // Revoking right away can cancel the download before it starts
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
     saveGame() {
         if (this.player) {
             this.saveSystem.save(this.player);
+            this.achievementSystem.savePlayerProgress(this.player);
             console.log('Game saved');
         }
     }
@@ -1066,11 +2070,13 @@ showMainMenu() {
     // Debug functions
     enableDebugMode() {
         this.debugMode = true;
+        this.directorPanel.show();
         console.log('Debug mode enabled');
     }
     
     disableDebugMode() {
         this.debugMode = false;
+        this.directorPanel.hide();
         console.log('Debug mode disabled');
     }
     
@@ -1080,13 +2086,13 @@ showMainMenu() {
             entityCount: {
                 food: this.food.length,
                 powerups: this.powerups.length,
-                bots: this.botManager.bots.length,
+                bots: this.botManager ? this.botManager.bots.length : this.remotePlayers.size,
                 particles: this.particles.getParticleCount()
             },
             performance: {
                 fps: this.gameLoop.getFPS(),
                 deltaTime: this.deltaTime,
-                quadTreeNodes: this.quadTree.getNodeCount()
+                broadphase: this.broadphase.getStats()
             },
             player: this.getCurrentStats()
         };
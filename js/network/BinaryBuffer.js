@@ -0,0 +1,109 @@
+// js/network/BinaryBuffer.js
+// Little-endian read/write helpers for the binary snapshot format
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export class BinaryWriter {
+    constructor(initialSize = 1024) {
+        this.bytes = new Uint8Array(initialSize);
+        this.view = new DataView(this.bytes.buffer);
+        this.offset = 0;
+    }
+
+    // Grow the backing buffer so at least `size` more bytes fit
+    ensureCapacity(size) {
+        const required = this.offset + size;
+        if (required <= this.bytes.length) return;
+
+        let capacity = this.bytes.length * 2;
+        while (capacity < required) {
+            capacity *= 2;
+        }
+
+        const bytes = new Uint8Array(capacity);
+        bytes.set(this.bytes);
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer);
+    }
+
+    writeUint8(value) {
+        this.ensureCapacity(1);
+        this.view.setUint8(this.offset, value);
+        this.offset += 1;
+    }
+
+    writeUint16(value) {
+        this.ensureCapacity(2);
+        this.view.setUint16(this.offset, value, true);
+        this.offset += 2;
+    }
+
+    writeUint32(value) {
+        this.ensureCapacity(4);
+        this.view.setUint32(this.offset, value, true);
+        this.offset += 4;
+    }
+
+    writeFloat64(value) {
+        this.ensureCapacity(8);
+        this.view.setFloat64(this.offset, value, true);
+        this.offset += 8;
+    }
+
+    // Length-prefixed UTF-8, truncated to 255 bytes
+    writeString(value) {
+        const encoded = textEncoder.encode(value || '').subarray(0, 255);
+        this.writeUint8(encoded.length);
+        this.ensureCapacity(encoded.length);
+        this.bytes.set(encoded, this.offset);
+        this.offset += encoded.length;
+    }
+
+    // Bytes written so far, trimmed to length
+    finish() {
+        return this.bytes.slice(0, this.offset);
+    }
+}
+
+export class BinaryReader {
+    constructor(data) {
+        // Accept ArrayBuffer, typed arrays and Node Buffers
+        this.bytes = data instanceof ArrayBuffer
+            ? new Uint8Array(data)
+            : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.offset = 0;
+    }
+
+    readUint8() {
+        const value = this.view.getUint8(this.offset);
+        this.offset += 1;
+        return value;
+    }
+
+    readUint16() {
+        const value = this.view.getUint16(this.offset, true);
+        this.offset += 2;
+        return value;
+    }
+
+    readUint32() {
+        const value = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    readFloat64() {
+        const value = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return value;
+    }
+
+    readString() {
+        const length = this.readUint8();
+        const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+}
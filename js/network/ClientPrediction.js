@@ -0,0 +1,165 @@
+// js/network/ClientPrediction.js
+// Local player prediction for multiplayer. Mouse-target inputs are simulated
+// immediately at the server's tick rate, kept until the server reports them as
+// processed, and replayed on top of every authoritative state.
+import { PhysicsEngine } from '../physics/PhysicsEngine.js';
+import { Movement } from '../physics/Movement.js';
+
+// ~2 seconds of inputs at 60 ticks per second
+const MAX_PENDING_INPUTS = 120;
+
+// Never simulate more than this many ticks in one frame (tab was in the background etc.)
+const MAX_STEPS_PER_FRAME = 5;
+
+// Prediction errors larger than this are snapped instead of blended
+const SNAP_DISTANCE = 150;
+
+// Time constant (ms) for blending out prediction errors
+const CORRECTION_TIME = 100;
+
+export class ClientPrediction {
+    constructor(world, tickTime = 1000 / 60) {
+        this.tickTime = tickTime;
+
+        // Same systems and bounds the server runs the player through
+        this.physicsEngine = new PhysicsEngine();
+        this.physicsEngine.worldBounds = {
+            minX: world.left,
+            maxX: world.right,
+            minY: world.top,
+            maxY: world.bottom
+        };
+        this.movementSystem = new Movement(this.physicsEngine);
+
+        this.accumulator = 0;
+        this.nextSequence = 1;
+        this.pendingInputs = [];
+
+        // Remaining visual error per cell id, blended out over time
+        this.corrections = new Map();
+    }
+
+    // Advance the local player towards the mouse target. Returns the new inputs to send.
+    update(player, targetX, targetY, deltaTime) {
+        const inputs = [];
+
+        this.accumulator += deltaTime;
+        while (this.accumulator >= this.tickTime && inputs.length < MAX_STEPS_PER_FRAME) {
+            const input = { sequence: this.nextSequence++, x: targetX, y: targetY };
+
+            this.simulate(player, input);
+            input.velocities = this.captureVelocities(player);
+            this.pendingInputs.push(input);
+            inputs.push(input);
+
+            this.accumulator -= this.tickTime;
+        }
+
+        // Drop whatever is left after a long stall instead of catching up later
+        if (inputs.length === MAX_STEPS_PER_FRAME) {
+            this.accumulator = 0;
+        }
+
+        if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+            this.pendingInputs.splice(0, this.pendingInputs.length - MAX_PENDING_INPUTS);
+        }
+
+        this.applyCorrections(player, deltaTime);
+
+        return inputs;
+    }
+
+    // One server tick of movement for the player, in GameLoop phase order
+    simulate(player, input) {
+        const deltaTime = this.tickTime;
+
+        // Input phase
+        player.setMousePosition(input.x, input.y);
+        player.targetX = input.x;
+        player.targetY = input.y;
+
+        // Physics phase
+        this.physicsEngine.updateEntityPhysics(player, deltaTime);
+        this.movementSystem.handleMouseMovement(player, input.x, input.y, deltaTime);
+
+        // Entity phase
+        for (const cell of player.cells) {
+            player.updateCellMovement(cell, deltaTime);
+        }
+    }
+
+    // Snapshots only carry positions, so the velocity each input produced is kept locally
+    captureVelocities(player) {
+        return new Map(player.cells.map(cell => [cell.id, { x: cell.velocity.x, y: cell.velocity.y }]));
+    }
+
+    // Positions as currently shown, taken before authoritative state is applied
+    capturePositions(player) {
+        return new Map(player.cells.map(cell => [cell.id, { x: cell.x, y: cell.y }]));
+    }
+
+    // Called after the player's cells were reset to the server state. Replays every
+    // input the server hasn't processed, then blends from the old positions.
+    reconcile(player, lastProcessedInput, previousPositions) {
+        // Velocities as they were right after the last input the server processed
+        const processed = this.pendingInputs.find(input => input.sequence === lastProcessedInput);
+        if (processed) {
+            for (const cell of player.cells) {
+                const velocity = processed.velocities.get(cell.id);
+                if (velocity) {
+                    cell.velocity.x = velocity.x;
+                    cell.velocity.y = velocity.y;
+                }
+            }
+        }
+
+        this.pendingInputs = this.pendingInputs.filter(input => input.sequence > lastProcessedInput);
+
+        for (const input of this.pendingInputs) {
+            this.simulate(player, input);
+        }
+
+        const corrections = new Map();
+
+        for (const cell of player.cells) {
+            const previous = previousPositions.get(cell.id);
+            if (!previous) continue;
+
+            const errorX = cell.x - previous.x;
+            const errorY = cell.y - previous.y;
+
+            if (Math.hypot(errorX, errorY) > SNAP_DISTANCE) continue;
+
+            // Stay where we were drawn and move towards the corrected position over time
+            cell.x = previous.x;
+            cell.y = previous.y;
+            corrections.set(cell.id, { x: errorX, y: errorY });
+        }
+
+        this.corrections = corrections;
+    }
+
+    applyCorrections(player, deltaTime) {
+        const portion = 1 - Math.exp(-deltaTime / CORRECTION_TIME);
+
+        for (const cell of player.cells) {
+            const correction = this.corrections.get(cell.id);
+            if (!correction) continue;
+
+            const stepX = correction.x * portion;
+            const stepY = correction.y * portion;
+
+            cell.x += stepX;
+            cell.y += stepY;
+            correction.x -= stepX;
+            correction.y -= stepY;
+        }
+    }
+
+    // Forget all predicted state (death, respawn, resync)
+    reset() {
+        this.accumulator = 0;
+        this.pendingInputs = [];
+        this.corrections.clear();
+    }
+}
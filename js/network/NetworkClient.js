@@ -0,0 +1,162 @@
+// js/network/NetworkClient.js
+// Browser side of the multiplayer connection
+import { gameEvents } from '../core/EventSystem.js';
+import { MESSAGE_TYPES, Protocol } from './Protocol.js';
+import { SnapshotDecoder } from './SnapshotCodec.js';
+
+export class NetworkClient {
+    // options: { createSocket() } for connections that only behave like a WebSocket
+    constructor(url, options = {}) {
+        this.url = url;
+        this.createSocket = options.createSocket || (() => new WebSocket(this.url));
+        this.socket = null;
+        this.connected = false;
+        this.playerId = null;
+
+        // Latest authoritative state from the server
+        this.latestState = null;
+        this.snapshots = null;
+
+        // Latency tracking
+        this.latency = 0;
+        this.pingTimer = null;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            this.socket = this.createSocket();
+            this.socket.binaryType = 'arraybuffer';
+
+            this.socket.onopen = () => {
+                this.connected = true;
+                this.startPing();
+                gameEvents.emit('network.connected', { url: this.url });
+                resolve();
+            };
+
+            this.socket.onerror = (error) => {
+                if (!this.connected) {
+                    reject(new Error(`Could not connect to ${this.url}`));
+                }
+            };
+
+            this.socket.onclose = () => {
+                this.connected = false;
+                this.stopPing();
+                gameEvents.emit('network.disconnected', { url: this.url });
+            };
+
+            this.socket.onmessage = (event) => this.handleMessage(event.data);
+        });
+    }
+
+    disconnect() {
+        this.stopPing();
+
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+
+        this.connected = false;
+    }
+
+    handleMessage(raw) {
+        // World snapshots arrive as binary frames
+        if (raw instanceof ArrayBuffer) {
+            this.handleSnapshot(raw);
+            return;
+        }
+
+        const message = Protocol.decode(raw);
+        if (!message) return;
+
+        switch (message.type) {
+            case MESSAGE_TYPES.WELCOME:
+                this.playerId = message.playerId;
+                this.snapshots = new SnapshotDecoder(message.world);
+                gameEvents.emit('network.welcome', message);
+                break;
+
+            case MESSAGE_TYPES.DIED:
+                gameEvents.emit('network.died', message);
+                break;
+
+            case MESSAGE_TYPES.TEAMS:
+                gameEvents.emit('teamStandingsUpdate', message.standings);
+                break;
+
+            case MESSAGE_TYPES.PONG:
+                this.latency = (performance.now() - message.time) / 2;
+                break;
+
+            case MESSAGE_TYPES.ERROR:
+                console.warn('Server error:', message.message);
+                gameEvents.emit('network.error', message);
+                break;
+        }
+    }
+
+    handleSnapshot(data) {
+        if (!this.snapshots) return;
+
+        const state = this.snapshots.decode(data);
+        if (!state) {
+            // Lost the delta base - ask for a full snapshot
+            this.send(MESSAGE_TYPES.RESYNC);
+            return;
+        }
+
+        this.latestState = state;
+        this.send(MESSAGE_TYPES.ACK, { tick: state.tick });
+        gameEvents.emit('network.state', state);
+    }
+
+    send(type, payload = {}) {
+        if (!this.connected) return;
+
+        this.socket.send(Protocol.encode(type, payload));
+    }
+
+    join(name) {
+        this.send(MESSAGE_TYPES.JOIN, { name });
+    }
+
+    // Send one predicted input step ({ sequence, x, y } in world coordinates)
+    sendInput(input) {
+        this.send(MESSAGE_TYPES.INPUT, {
+            sequence: input.sequence,
+            x: input.x,
+            y: input.y
+        });
+    }
+
+    split() {
+        this.send(MESSAGE_TYPES.SPLIT);
+    }
+
+    eject() {
+        this.send(MESSAGE_TYPES.EJECT);
+    }
+
+    usePowerup(powerupId) {
+        this.send(MESSAGE_TYPES.POWERUP, { powerupId });
+    }
+
+    respawn() {
+        this.send(MESSAGE_TYPES.RESPAWN);
+    }
+
+    startPing() {
+        this.pingTimer = setInterval(() => {
+            this.send(MESSAGE_TYPES.PING, { time: performance.now() });
+        }, 2000);
+    }
+
+    stopPing() {
+        if (this.pingTimer) {
+            clearInterval(this.pingTimer);
+            this.pingTimer = null;
+        }
+    }
+}
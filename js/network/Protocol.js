@@ -0,0 +1,46 @@
+// js/network/Protocol.js
+// Message format shared by the multiplayer server and browser clients
+
+export const MESSAGE_TYPES = {
+    // Client -> server
+    JOIN: 'join',
+    INPUT: 'input',
+    SPLIT: 'split',
+    EJECT: 'eject',
+    POWERUP: 'powerup',
+    RESPAWN: 'respawn',
+    PING: 'ping',
+    ACK: 'ack',
+    RESYNC: 'resync',
+
+    // Server -> client
+    WELCOME: 'welcome',
+    STATE: 'state', // Sent as a binary frame, see SnapshotCodec
+    DIED: 'died',
+    TEAMS: 'teams', // Team standings, team mode only
+    PONG: 'pong',
+    ERROR: 'error'
+};
+
+export class Protocol {
+    // Encode a message for the wire
+    static encode(type, payload = {}) {
+        return JSON.stringify({ type, ...payload });
+    }
+
+    // Decode a message from the wire, returns null for malformed input
+    static decode(raw) {
+        try {
+            const text = typeof raw === 'string' ? raw : raw.toString();
+            const message = JSON.parse(text);
+
+            if (!message || typeof message.type !== 'string') {
+                return null;
+            }
+
+            return message;
+        } catch (error) {
+            return null;
+        }
+    }
+}
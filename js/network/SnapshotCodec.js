@@ -0,0 +1,597 @@
+// js/network/SnapshotCodec.js
+// Compact binary world snapshots. Positions and radii are quantized to 16 bits,
+// entities are addressed by numeric network ids, and each snapshot is written as
+// a delta against the last snapshot the receiving client acknowledged. The header
+// also carries the last input sequence the server processed for that client.
+// Viruses and the battle royale zone are included when the world has them.
+import { BinaryWriter, BinaryReader } from './BinaryBuffer.js';
+
+export const SNAPSHOT_VERSION = 4;
+
+// A base tick of 0 marks a full snapshot
+const FULL_SNAPSHOT = 0;
+
+// 1/32 unit radius precision, up to ~2048 units
+const RADIUS_SCALE = 32;
+const MAX_UINT16 = 0xFFFF;
+
+// Field mask for cell and food updates
+const FIELD_POSITION = 1;
+const FIELD_RADIUS = 2;
+const FIELD_CREATE = 4;
+
+// Player flags
+const PLAYER_IS_BOT = 1;
+
+// Food types sent as an index instead of a string. Ejected mass also carries
+// the network id of the player who ejected it.
+export const FOOD_TYPES = ['normal', 'large', 'mega', 'golden', 'speed', 'toxic', 'regenerative', 'explosive', 'ejected'];
+const EJECTED_TYPE = 'ejected';
+
+// Battle royale zone states sent as an index
+const ZONE_STATES = ['waiting', 'shrinking', 'closed'];
+
+// Zone flags - the zone is sent in full with every snapshot while there is one
+const ZONE_PRESENT = 1;
+const ZONE_HAS_NEXT = 2;
+
+// Encoder history limit - older acknowledgements fall back to a full snapshot
+const MAX_HISTORY = 64;
+
+export class SnapshotCodec {
+    constructor(bounds) {
+        this.bounds = bounds;
+        this.width = Math.max(1, bounds.right - bounds.left);
+        this.height = Math.max(1, bounds.bottom - bounds.top);
+    }
+
+    // Quantization
+    quantizeX(x) {
+        return clampUint16(Math.round((x - this.bounds.left) / this.width * MAX_UINT16));
+    }
+
+    quantizeY(y) {
+        return clampUint16(Math.round((y - this.bounds.top) / this.height * MAX_UINT16));
+    }
+
+    quantizeRadius(radius) {
+        return clampUint16(Math.round(radius * RADIUS_SCALE));
+    }
+
+    dequantizeX(qx) {
+        return this.bounds.left + qx / MAX_UINT16 * this.width;
+    }
+
+    dequantizeY(qy) {
+        return this.bounds.top + qy / MAX_UINT16 * this.height;
+    }
+
+    dequantizeRadius(qr) {
+        return qr / RADIUS_SCALE;
+    }
+
+    // Convert a world state ({ tick, time, players, food, viruses, zone, leaderboard }
+    // with numeric ids) into the quantized form that deltas are computed against
+    quantizeState(worldState) {
+        const players = new Map();
+        const cells = new Map();
+        const food = new Map();
+        const viruses = new Map();
+
+        for (const player of worldState.players) {
+            players.set(player.id, {
+                id: player.id,
+                name: player.name,
+                isBot: !!player.isBot
+            });
+
+            for (const cell of player.cells) {
+                cells.set(cell.id, {
+                    id: cell.id,
+                    owner: player.id,
+                    x: this.quantizeX(cell.x),
+                    y: this.quantizeY(cell.y),
+                    r: this.quantizeRadius(cell.radius),
+                    color: cell.color
+                });
+            }
+        }
+
+        for (const item of worldState.food) {
+            food.set(item.id, {
+                id: item.id,
+                x: this.quantizeX(item.x),
+                y: this.quantizeY(item.y),
+                r: this.quantizeRadius(item.radius),
+                type: item.type,
+                color: item.color,
+                owner: item.owner || 0
+            });
+        }
+
+        for (const virus of worldState.viruses || []) {
+            viruses.set(virus.id, {
+                id: virus.id,
+                x: this.quantizeX(virus.x),
+                y: this.quantizeY(virus.y),
+                r: this.quantizeRadius(virus.radius)
+            });
+        }
+
+        const leaderboard = (worldState.leaderboard || []).map(entry => ({
+            id: entry.id,
+            name: entry.name,
+            mass: Math.max(0, Math.floor(entry.mass))
+        }));
+
+        return {
+            tick: worldState.tick,
+            time: worldState.time,
+            inputSequence: worldState.inputSequence || 0,
+            players,
+            cells,
+            food,
+            viruses,
+            zone: copyZoneState(worldState.zone),
+            leaderboard,
+            leaderboardKey: JSON.stringify(leaderboard)
+        };
+    }
+
+    // Rebuild a plain world state from its quantized form
+    dequantizeState(state) {
+        const players = new Map();
+
+        for (const player of state.players.values()) {
+            players.set(player.id, { id: player.id, name: player.name, isBot: player.isBot, cells: [] });
+        }
+
+        for (const cell of state.cells.values()) {
+            const owner = players.get(cell.owner);
+            if (!owner) continue;
+
+            const radius = this.dequantizeRadius(cell.r);
+            owner.cells.push({
+                id: cell.id,
+                x: this.dequantizeX(cell.x),
+                y: this.dequantizeY(cell.y),
+                radius,
+                mass: Math.PI * radius * radius,
+                color: cell.color
+            });
+        }
+
+        const food = [];
+        for (const item of state.food.values()) {
+            const radius = this.dequantizeRadius(item.r);
+            food.push({
+                id: item.id,
+                x: this.dequantizeX(item.x),
+                y: this.dequantizeY(item.y),
+                radius,
+                mass: Math.PI * radius * radius,
+                type: item.type,
+                color: item.color,
+                owner: item.owner
+            });
+        }
+
+        const viruses = [];
+        for (const virus of state.viruses.values()) {
+            const radius = this.dequantizeRadius(virus.r);
+            viruses.push({
+                id: virus.id,
+                x: this.dequantizeX(virus.x),
+                y: this.dequantizeY(virus.y),
+                radius,
+                mass: Math.PI * radius * radius
+            });
+        }
+
+        return {
+            tick: state.tick,
+            time: state.time,
+            inputSequence: state.inputSequence,
+            players: Array.from(players.values()),
+            food,
+            viruses,
+            zone: copyZoneState(state.zone),
+            leaderboard: state.leaderboard.map(entry => ({ ...entry }))
+        };
+    }
+
+    // Write `state` as a delta against `base` (null for a full snapshot)
+    writeSnapshot(state, base) {
+        const writer = new BinaryWriter();
+
+        writer.writeUint8(SNAPSHOT_VERSION);
+        writer.writeUint32(state.tick);
+        writer.writeUint32(base ? base.tick : FULL_SNAPSHOT);
+        writer.writeFloat64(state.time);
+        writer.writeUint32(state.inputSequence);
+
+        const basePlayers = base ? base.players : new Map();
+        const baseCells = base ? base.cells : new Map();
+        const baseFood = base ? base.food : new Map();
+        const baseViruses = base ? base.viruses : new Map();
+
+        // Players never change after creation, so only additions and removals are sent
+        writeRemovals(writer, basePlayers, state.players);
+        const addedPlayers = [];
+        for (const player of state.players.values()) {
+            if (!basePlayers.has(player.id)) addedPlayers.push(player);
+        }
+        writer.writeUint16(addedPlayers.length);
+        for (const player of addedPlayers) {
+            writer.writeUint32(player.id);
+            writer.writeUint8(player.isBot ? PLAYER_IS_BOT : 0);
+            writer.writeString(player.name);
+        }
+
+        // Cells
+        writeRemovals(writer, baseCells, state.cells);
+        writeUpdates(writer, baseCells, state.cells, (cell) => {
+            writer.writeUint32(cell.owner);
+            writer.writeString(cell.color);
+        });
+
+        // Food
+        writeRemovals(writer, baseFood, state.food);
+        writeUpdates(writer, baseFood, state.food, (item) => {
+            writer.writeUint8(Math.max(0, FOOD_TYPES.indexOf(item.type)));
+            writer.writeString(item.color);
+            if (item.type === EJECTED_TYPE) {
+                writer.writeUint32(item.owner);
+            }
+        });
+
+        // Viruses have nothing to send beyond position and radius
+        writeRemovals(writer, baseViruses, state.viruses);
+        writeUpdates(writer, baseViruses, state.viruses, () => {});
+
+        writeZone(writer, state.zone);
+
+        // Leaderboard, only when it changed
+        if (base && base.leaderboardKey === state.leaderboardKey) {
+            writer.writeUint8(0);
+        } else {
+            writer.writeUint8(1);
+            writer.writeUint8(state.leaderboard.length);
+            for (const entry of state.leaderboard) {
+                writer.writeUint32(entry.id);
+                writer.writeString(entry.name);
+                writer.writeUint32(entry.mass);
+            }
+        }
+
+        return writer.finish();
+    }
+
+    // Read the header without decoding the body
+    static readHeader(data) {
+        const reader = new BinaryReader(data);
+        const version = reader.readUint8();
+
+        return {
+            version,
+            tick: reader.readUint32(),
+            baseTick: reader.readUint32(),
+            time: reader.readFloat64(),
+            inputSequence: reader.readUint32()
+        };
+    }
+
+    // Apply a snapshot to `base` and return the new quantized state. `base` is left untouched.
+    readSnapshot(data, base) {
+        const reader = new BinaryReader(data);
+
+        const version = reader.readUint8();
+        if (version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version ${version}`);
+        }
+
+        const tick = reader.readUint32();
+        const baseTick = reader.readUint32();
+        const time = reader.readFloat64();
+        const inputSequence = reader.readUint32();
+
+        if (baseTick !== FULL_SNAPSHOT && (!base || base.tick !== baseTick)) {
+            throw new Error(`Missing base snapshot ${baseTick}`);
+        }
+
+        const isFull = baseTick === FULL_SNAPSHOT;
+        const players = isFull ? new Map() : new Map(base.players);
+        const cells = isFull ? new Map() : new Map(base.cells);
+        const food = isFull ? new Map() : new Map(base.food);
+        const viruses = isFull ? new Map() : new Map(base.viruses);
+
+        // Players
+        readRemovals(reader, players);
+        const addedPlayers = reader.readUint16();
+        for (let i = 0; i < addedPlayers; i++) {
+            const id = reader.readUint32();
+            const flags = reader.readUint8();
+            const name = reader.readString();
+            players.set(id, { id, name, isBot: (flags & PLAYER_IS_BOT) !== 0 });
+        }
+
+        // Cells
+        readRemovals(reader, cells);
+        readUpdates(reader, cells, (record) => {
+            record.owner = reader.readUint32();
+            record.color = reader.readString();
+        });
+
+        // Food
+        readRemovals(reader, food);
+        readUpdates(reader, food, (record) => {
+            record.type = FOOD_TYPES[reader.readUint8()] || FOOD_TYPES[0];
+            record.color = reader.readString();
+            record.owner = record.type === EJECTED_TYPE ? reader.readUint32() : 0;
+        });
+
+        // Viruses
+        readRemovals(reader, viruses);
+        readUpdates(reader, viruses, () => {});
+
+        const zone = readZone(reader);
+
+        // Leaderboard
+        let leaderboard = isFull ? [] : base.leaderboard;
+        if (reader.readUint8() === 1) {
+            leaderboard = [];
+            const count = reader.readUint8();
+            for (let i = 0; i < count; i++) {
+                leaderboard.push({
+                    id: reader.readUint32(),
+                    name: reader.readString(),
+                    mass: reader.readUint32()
+                });
+            }
+        }
+
+        return {
+            tick,
+            time,
+            inputSequence,
+            players,
+            cells,
+            food,
+            viruses,
+            zone,
+            leaderboard,
+            leaderboardKey: JSON.stringify(leaderboard)
+        };
+    }
+}
+
+// Server side - one per client, remembers what was sent until the client acknowledges it
+export class SnapshotEncoder {
+    constructor(bounds) {
+        this.codec = new SnapshotCodec(bounds);
+        this.history = new Map();
+        this.ackedTick = FULL_SNAPSHOT;
+    }
+
+    encode(worldState) {
+        const state = this.codec.quantizeState(worldState);
+        const base = this.history.get(this.ackedTick) || null;
+        const data = this.codec.writeSnapshot(state, base);
+
+        this.history.set(state.tick, state);
+        this.trimHistory();
+
+        return data;
+    }
+
+    // Client confirmed it decoded `tick`; later snapshots are deltas against it
+    acknowledge(tick) {
+        if (tick <= this.ackedTick || !this.history.has(tick)) return;
+
+        this.ackedTick = tick;
+        for (const historyTick of this.history.keys()) {
+            if (historyTick < tick) {
+                this.history.delete(historyTick);
+            }
+        }
+    }
+
+    trimHistory() {
+        while (this.history.size > MAX_HISTORY) {
+            const oldestTick = this.history.keys().next().value;
+            this.history.delete(oldestTick);
+        }
+    }
+
+    // Force the next snapshot to be a full one
+    reset() {
+        this.history.clear();
+        this.ackedTick = FULL_SNAPSHOT;
+    }
+}
+
+// Client side - rebuilds world states from full and delta snapshots
+export class SnapshotDecoder {
+    constructor(bounds) {
+        this.codec = new SnapshotCodec(bounds);
+        this.history = new Map();
+        this.lastTick = FULL_SNAPSHOT;
+    }
+
+    // Returns the decoded world state, or null when the snapshot can't be applied
+    decode(data) {
+        const header = SnapshotCodec.readHeader(data);
+        if (header.tick <= this.lastTick) return null;
+
+        const base = this.history.get(header.baseTick) || null;
+        let state;
+
+        try {
+            state = this.codec.readSnapshot(data, base);
+        } catch (error) {
+            console.warn('Dropped snapshot:', error.message);
+            return null;
+        }
+
+        this.lastTick = state.tick;
+        this.history.set(state.tick, state);
+
+        // The server never goes back to a base older than the one it just used
+        for (const historyTick of this.history.keys()) {
+            if (historyTick < header.baseTick || this.history.size > MAX_HISTORY) {
+                this.history.delete(historyTick);
+            }
+        }
+
+        return this.codec.dequantizeState(state);
+    }
+}
+
+function clampUint16(value) {
+    return Math.max(0, Math.min(MAX_UINT16, value));
+}
+
+// Zone states handed out by BattleRoyaleSystem.getZoneState() share its live
+// circles, so quantized states keep their own copy, timed in whole milliseconds
+function copyZoneState(zoneState) {
+    if (!zoneState) return null;
+
+    return {
+        ...zoneState,
+        zone: { ...zoneState.zone },
+        nextZone: zoneState.nextZone ? { ...zoneState.nextZone } : null,
+        timeUntilChange: Math.max(0, Math.round(zoneState.timeUntilChange))
+    };
+}
+
+function writeZone(writer, zoneState) {
+    if (!zoneState) {
+        writer.writeUint8(0);
+        return;
+    }
+
+    writer.writeUint8(ZONE_PRESENT | (zoneState.nextZone ? ZONE_HAS_NEXT : 0));
+    writeCircle(writer, zoneState.zone);
+    if (zoneState.nextZone) {
+        writeCircle(writer, zoneState.nextZone);
+    }
+
+    writer.writeUint8(Math.max(0, ZONE_STATES.indexOf(zoneState.state)));
+    writer.writeUint8(zoneState.phase);
+    writer.writeUint8(zoneState.phaseCount);
+    writer.writeUint32(zoneState.timeUntilChange);
+    writer.writeUint16(zoneState.alive);
+}
+
+function readZone(reader) {
+    const flags = reader.readUint8();
+    if (!(flags & ZONE_PRESENT)) return null;
+
+    const zone = readCircle(reader);
+    const nextZone = flags & ZONE_HAS_NEXT ? readCircle(reader) : null;
+
+    return {
+        zone,
+        nextZone,
+        state: ZONE_STATES[reader.readUint8()] || ZONE_STATES[0],
+        phase: reader.readUint8(),
+        phaseCount: reader.readUint8(),
+        timeUntilChange: reader.readUint32(),
+        alive: reader.readUint16()
+    };
+}
+
+// Zones can be larger than the quantized radius range, so they go as doubles
+function writeCircle(writer, circle) {
+    writer.writeFloat64(circle.x);
+    writer.writeFloat64(circle.y);
+    writer.writeFloat64(circle.radius);
+}
+
+function readCircle(reader) {
+    return {
+        x: reader.readFloat64(),
+        y: reader.readFloat64(),
+        radius: reader.readFloat64()
+    };
+}
+
+function writeRemovals(writer, baseRecords, records) {
+    const removed = [];
+    for (const id of baseRecords.keys()) {
+        if (!records.has(id)) removed.push(id);
+    }
+
+    writer.writeUint16(removed.length);
+    for (const id of removed) {
+        writer.writeUint32(id);
+    }
+}
+
+function readRemovals(reader, records) {
+    const count = reader.readUint16();
+    for (let i = 0; i < count; i++) {
+        records.delete(reader.readUint32());
+    }
+}
+
+// Only the fields that changed since the base are written
+function writeUpdates(writer, baseRecords, records, writeCreateFields) {
+    const updates = [];
+
+    for (const record of records.values()) {
+        const previous = baseRecords.get(record.id);
+        let mask = 0;
+
+        if (!previous) {
+            mask = FIELD_CREATE | FIELD_POSITION | FIELD_RADIUS;
+        } else {
+            if (previous.x !== record.x || previous.y !== record.y) mask |= FIELD_POSITION;
+            if (previous.r !== record.r) mask |= FIELD_RADIUS;
+        }
+
+        if (mask !== 0) updates.push({ record, mask });
+    }
+
+    writer.writeUint16(updates.length);
+    for (const { record, mask } of updates) {
+        writer.writeUint32(record.id);
+        writer.writeUint8(mask);
+
+        if (mask & FIELD_POSITION) {
+            writer.writeUint16(record.x);
+            writer.writeUint16(record.y);
+        }
+        if (mask & FIELD_RADIUS) {
+            writer.writeUint16(record.r);
+        }
+        if (mask & FIELD_CREATE) {
+            writeCreateFields(record);
+        }
+    }
+}
+
+function readUpdates(reader, records, readCreateFields) {
+    const count = reader.readUint16();
+
+    for (let i = 0; i < count; i++) {
+        const id = reader.readUint32();
+        const mask = reader.readUint8();
+
+        // Copy so states kept in history are never mutated
+        const record = mask & FIELD_CREATE ? { id } : { ...records.get(id) };
+
+        if (mask & FIELD_POSITION) {
+            record.x = reader.readUint16();
+            record.y = reader.readUint16();
+        }
+        if (mask & FIELD_RADIUS) {
+            record.r = reader.readUint16();
+        }
+        if (mask & FIELD_CREATE) {
+            readCreateFields(record);
+        }
+
+        records.set(id, record);
+    }
+}
@@ -0,0 +1,92 @@
+// js/network/SnapshotInterpolator.js
+// Renders remote cells slightly in the past, between two received snapshots,
+// so they move smoothly regardless of snapshot rate and network jitter.
+
+// Step size used when dead-reckoning past the newest snapshot
+const EXTRAPOLATION_STEP = 1000 / 60;
+
+export class SnapshotInterpolator {
+    constructor(movementSystem, options = {}) {
+        this.movement = movementSystem;
+
+        // How far behind the newest snapshot remote entities are drawn
+        this.delay = options.delay || 100;
+
+        // How long to keep moving an entity after snapshots stop arriving
+        this.maxExtrapolation = options.maxExtrapolation || 100;
+
+        // Local clock minus server clock
+        this.clockOffset = null;
+    }
+
+    // Convert a server timestamp to the local clock. The smallest observed offset is the
+    // least delayed packet; the estimate drifts upwards slowly to follow clock skew.
+    toLocalTime(serverTime) {
+        const offset = Date.now() - serverTime;
+
+        if (this.clockOffset === null || offset < this.clockOffset) {
+            this.clockOffset = offset;
+        } else {
+            this.clockOffset += (offset - this.clockOffset) * 0.01;
+        }
+
+        return serverTime + this.clockOffset;
+    }
+
+    addSample(cell, x, y, timestamp) {
+        cell.addPositionSample(x, y, timestamp, this.delay + this.maxExtrapolation + 1000);
+    }
+
+    // Move a remote player's cells to their interpolated positions
+    updatePlayer(player, now = Date.now()) {
+        const renderTime = now - this.delay;
+
+        for (const cell of player.cells) {
+            const position = this.getRenderPosition(cell, renderTime);
+            cell.x = position.x;
+            cell.y = position.y;
+        }
+    }
+
+    getRenderPosition(cell, renderTime) {
+        const history = cell.positionHistory;
+        if (history.length === 0) {
+            return { x: cell.x, y: cell.y };
+        }
+
+        const oldest = history[0];
+        const newest = history[history.length - 1];
+
+        if (renderTime <= oldest.timestamp) {
+            return { x: oldest.x, y: oldest.y };
+        }
+
+        if (renderTime <= newest.timestamp) {
+            return cell.getInterpolatedPosition(renderTime);
+        }
+
+        // Out of snapshots - dead-reckon from the last known velocity for a short while
+        if (history.length < 2) {
+            return { x: newest.x, y: newest.y };
+        }
+
+        const previous = history[history.length - 2];
+        const sampleGap = newest.timestamp - previous.timestamp;
+        if (sampleGap <= 0) {
+            return { x: newest.x, y: newest.y };
+        }
+
+        const ahead = Math.min(renderTime - newest.timestamp, this.maxExtrapolation);
+        const steps = Math.max(1, Math.round(ahead / EXTRAPOLATION_STEP));
+        const predictions = this.movement.predictMovement({
+            x: newest.x,
+            y: newest.y,
+            velocity: {
+                x: (newest.x - previous.x) / sampleGap,
+                y: (newest.y - previous.y) / sampleGap
+            }
+        }, steps, ahead / steps);
+
+        return predictions[predictions.length - 1];
+    }
+}
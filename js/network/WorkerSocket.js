@@ -0,0 +1,65 @@
+// js/network/WorkerSocket.js
+// WebSocket-shaped connection to a world simulated in a Web Worker
+// (js/worker/index.js). NetworkClient uses it like any server connection:
+// protocol messages go in, JSON messages and binary snapshots come back.
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+export class WorkerSocket {
+    // options: { maxPlayers, foodCount, seed, archetypes (manifest URL), teams,
+    // viruses, battleRoyale, settings (custom game) } for the worker's world
+    constructor(options = {}) {
+        this.readyState = CONNECTING;
+        this.binaryType = 'arraybuffer'; // Snapshots are transferred as ArrayBuffers either way
+
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+
+        this.worker = new Worker(new URL('../worker/index.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            console.error('Simulation worker failed:', event.message);
+            if (this.onerror) this.onerror(event);
+            this.close();
+        };
+
+        this.worker.postMessage({ command: 'start', options });
+    }
+
+    handleMessage(data) {
+        // The worker says when its world is running or failed to start, everything
+        // else is protocol traffic
+        if (data && data.command === 'ready') {
+            this.readyState = OPEN;
+            if (this.onopen) this.onopen();
+            return;
+        }
+
+        if (data && data.command === 'error') {
+            console.error('Simulation worker failed:', data.message);
+            if (this.onerror) this.onerror(new Error(data.message));
+            this.close();
+            return;
+        }
+
+        if (this.onmessage) this.onmessage({ data });
+    }
+
+    send(data) {
+        if (this.readyState !== OPEN) return;
+
+        this.worker.postMessage(data);
+    }
+
+    close() {
+        if (this.readyState === CLOSED) return;
+
+        this.readyState = CLOSED;
+        this.worker.terminate();
+        if (this.onclose) this.onclose();
+    }
+}
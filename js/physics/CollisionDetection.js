@@ -1,64 +1,44 @@
 // physics/CollisionDetection.js
 import { MathUtils } from '../utils/Math.js';
+import { Utils } from '../utils/Utils.js';
+import { BroadphaseFactory } from './broadphase/BroadphaseFactory.js';
 
 export class CollisionDetection {
-    constructor() {
+    // options: { broadphase } - any js/physics/broadphase implementation
+    constructor(options = {}) {
         this.absorptionThreshold = 1.1; // 110% mass needed to absorb
         this.collisionPairs = [];
-        this.spatialGrid = new Map();
-        this.gridSize = 100;
+        this.broadphase = options.broadphase || BroadphaseFactory.create();
     }
 
-    // Main collision detection loop
+    // Main collision detection loop. Every touching pair is reported both ways
+    // round, ordered by the first entity's place in the list and then the
+    // second's, so the outcome doesn't depend on the broadphase.
     detectCollisions(entities) {
         this.collisionPairs = [];
-        this.updateSpatialGrid(entities);
+        this.broadphase.build(entities);
         
-        for (let entity of entities) {
-            const nearbyEntities = this.getNearbyEntities(entity);
-            for (let other of nearbyEntities) {
-                if (entity.id !== other.id && this.checkCircleCollision(entity, other)) {
-                    this.collisionPairs.push({ a: entity, b: other });
-                }
-            }
-        }
-        
-        return this.collisionPairs;
-    }
-
-    // Spatial grid optimization for large numbers of entities
-    updateSpatialGrid(entities) {
-        this.spatialGrid.clear();
+        const count = entities.length;
+        const touching = [];
+        const candidates = this.broadphase.findPairs();
         
-        for (let entity of entities) {
-            const gridX = Math.floor(entity.x / this.gridSize);
-            const gridY = Math.floor(entity.y / this.gridSize);
-            const key = `${gridX},${gridY}`;
+        for (let k = 0; k < candidates.length; k += 2) {
+            const i = candidates[k];
+            const j = candidates[k + 1];
+            const entity = entities[i];
+            const other = entities[j];
             
-            if (!this.spatialGrid.has(key)) {
-                this.spatialGrid.set(key, []);
+            if (entity.id !== other.id && this.checkCircleCollision(entity, other)) {
+                touching.push(i * count + j, j * count + i);
             }
-            this.spatialGrid.get(key).push(entity);
         }
-    }
-
-    // Get entities in nearby grid cells
-    getNearbyEntities(entity) {
-        const nearbyEntities = [];
-        const gridX = Math.floor(entity.x / this.gridSize);
-        const gridY = Math.floor(entity.y / this.gridSize);
-        
-        // Check 3x3 grid around entity
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                const key = `${gridX + dx},${gridY + dy}`;
-                if (this.spatialGrid.has(key)) {
-                    nearbyEntities.push(...this.spatialGrid.get(key));
-                }
-            }
+        
+        touching.sort((a, b) => a - b);
+        for (const key of touching) {
+            this.collisionPairs.push({ a: entities[Math.floor(key / count)], b: entities[key % count] });
         }
         
-        return nearbyEntities;
+        return this.collisionPairs;
     }
 
     // Circle-circle collision detection
@@ -73,6 +53,12 @@ export class CollisionDetection {
 
     // Check if one entity can absorb another
     canAbsorb(absorber, target) {
+        // No friendly fire between teammates or companions
+        if (Utils.isFriendly(absorber, target)) return false;
+        
+        // Ejected mass can't go straight back to whoever ejected it
+        if (target.isEjected && !target.canBeEatenBy(absorber)) return false;
+        
         return absorber.mass > target.mass * this.absorptionThreshold;
     }
 
@@ -86,9 +72,11 @@ export class CollisionDetection {
         const massGained = target.mass;
         absorber.mass += massGained;
         absorber.updateRadius();
+        target.isActive = false;
 
-        // If absorber is a player, update experience and stats
-        if (absorber.isPlayer) {
+        // If absorber is a player, update experience and stats. Split-off cells
+        // are plain Cells and have no experience or coins of their own.
+        if (absorber.isPlayer && absorber.gainExperience) {
             absorber.gainExperience(massGained);
             
             // Award coins based on what was absorbed
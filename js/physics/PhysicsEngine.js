@@ -1,6 +1,8 @@
 // js/physics/PhysicsEngine.js
 import { CONFIG } from '../core/Config.js';
 import { MathUtils } from '../utils/Math.js';
+import { Utils } from '../utils/Utils.js';
+import { simulation } from '../core/Simulation.js';
 
 export class PhysicsEngine {
     constructor() {
@@ -26,6 +28,9 @@ export class PhysicsEngine {
             minY: -CONFIG.WORLD_HEIGHT / 2, // Changed from CONFIG.WORLD.HEIGHT
             maxY: CONFIG.WORLD_HEIGHT / 2   // Changed from CONFIG.WORLD.HEIGHT
         };
+        
+        // Split cells waiting to become recombinable, keyed by cell
+        this.recombineTimers = new Map();
     }
 
     /**
@@ -49,6 +54,9 @@ export class PhysicsEngine {
      * @param {number} deltaTime - Time delta in seconds
      */
     updateEntityPhysics(entity, deltaTime) {
+        // Release recombine timers that ran out
+        this.updateRecombineTimers();
+        
         // Apply friction
         this.applyFriction(entity);
         
@@ -213,6 +221,12 @@ export class PhysicsEngine {
      * @returns {boolean} Can absorb
      */
     canAbsorb(absorber, target) {
+        // No friendly fire between teammates or companions
+        if (Utils.isFriendly(absorber, target)) return false;
+        
+        // Ejected mass can't go straight back to whoever ejected it
+        if (target.isEjected && !target.canBeEatenBy(absorber)) return false;
+        
         return absorber.mass > target.mass * this.config.absorptionThreshold;
     }
 
@@ -341,7 +355,8 @@ export class PhysicsEngine {
             velocity: { x: 0, y: 0 },
             isActive: true,
             canRecombine: false,
-            parentId: parentCell.id
+            parentId: parentCell.id,
+            teamId: parentCell.teamId
         };
     }
 
@@ -382,10 +397,25 @@ export class PhysicsEngine {
      * @param {Object} newCell - New split cell
      */
     startRecombineTimer(parentCell, newCell) {
-        setTimeout(() => {
-            if (parentCell.isActive) parentCell.canRecombine = true;
-            if (newCell.isActive) newCell.canRecombine = true;
-        }, this.config.recombineTime);
+        // Simulation time rather than setTimeout, so seeded runs stay reproducible
+        const recombineTime = simulation.now() + this.config.recombineTime;
+        this.recombineTimers.set(parentCell, recombineTime);
+        this.recombineTimers.set(newCell, recombineTime);
+    }
+
+    /**
+     * Mark cells recombinable once their timer has expired
+     */
+    updateRecombineTimers() {
+        if (this.recombineTimers.size === 0) return;
+        
+        const now = simulation.now();
+        for (const [cell, recombineTime] of this.recombineTimers.entries()) {
+            if (now < recombineTime) continue;
+            
+            if (cell.isActive) cell.canRecombine = true;
+            this.recombineTimers.delete(cell);
+        }
     }
 
     /**
@@ -450,8 +480,8 @@ export class PhysicsEngine {
         
         if (distance === 0) {
             // Handle exact overlap
-            entityA.x += Math.random() - 0.5;
-            entityA.y += Math.random() - 0.5;
+            entityA.x += simulation.random() - 0.5;
+            entityA.y += simulation.random() - 0.5;
             return;
         }
         
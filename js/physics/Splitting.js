@@ -2,15 +2,17 @@
 import { MathUtils } from '../utils/Math.js';
 import { Cell } from '../entities/Cell.js';
 import { Utils } from '../utils/Utils.js';
+import { simulation } from '../core/Simulation.js';
+import { CONFIG } from '../core/Config.js';
 
 export class SplittingSystem {
     constructor(physicsEngine) {
         this.physics = physicsEngine;
         this.config = {
-            minSplitMass: 35,
-            maxCells: 16,
-            splitMomentum: 15,
-            recombineDelay: 15000, // 15 seconds
+            minSplitMass: CONFIG.PHYSICS.MIN_SPLIT_MASS,
+            maxCells: CONFIG.PHYSICS.MAX_CELLS,
+            splitMomentum: CONFIG.PHYSICS.SPLIT_MOMENTUM,
+            recombineDelay: CONFIG.PHYSICS.RECOMBINE_TIME, // 15 seconds by default
             splitMassRatio: 0.5, // Each split cell gets 50% of original mass
             splitDistance: 40,
             splitAngleSpread: 0.1, // Slight randomness in split direction
@@ -103,7 +105,7 @@ export class SplittingSystem {
         
         // If mouse is too close, use random direction
         if (distance < 10) {
-            const randomAngle = Math.random() * Math.PI * 2;
+            const randomAngle = simulation.random() * Math.PI * 2;
             return {
                 x: Math.cos(randomAngle),
                 y: Math.sin(randomAngle),
@@ -114,7 +116,7 @@ export class SplittingSystem {
         const angle = Math.atan2(dy, dx);
         
         // Add slight randomness to prevent perfect splits
-        const randomOffset = (Math.random() - 0.5) * this.config.splitAngleSpread;
+        const randomOffset = (simulation.random() - 0.5) * this.config.splitAngleSpread;
         const finalAngle = angle + randomOffset;
         
         return {
@@ -134,6 +136,9 @@ export class SplittingSystem {
         // Create new cell
         const newCell = new Cell(newX, newY, mass);
         newCell.playerId = player.id;
+        newCell.ownerId = player.id;
+        newCell.teamId = originalCell.teamId;
+        newCell.companionOf = originalCell.companionOf; // Stays friendly with the companion's owner
         newCell.color = originalCell.color;
         newCell.isPlayer = true;
         newCell.canRecombine = false; // Will be set to true after delay
@@ -222,7 +227,7 @@ export class SplittingSystem {
             cells: [...cells],
             targetPosition: targetPosition,
             totalMass: totalMass,
-            startTime: Date.now(),
+            startTime: simulation.now(),
             duration: 2000, // 2 seconds
             speed: speed,
             maintainMomentum: maintainMomentum,
@@ -250,7 +255,7 @@ export class SplittingSystem {
         if (!player.activeMerge) return;
         
         const merge = player.activeMerge;
-        const elapsed = Date.now() - merge.startTime;
+        const elapsed = simulation.now() - merge.startTime;
         const progress = Math.min(elapsed / merge.duration, 1);
         
         // Move cells towards target
@@ -282,6 +287,7 @@ export class SplittingSystem {
         );
         
         mergedCell.playerId = player.id;
+        mergedCell.teamId = cells[0].teamId;
         mergedCell.color = cells[0].color;
         mergedCell.isPlayer = true;
         mergedCell.canRecombine = true;
@@ -405,24 +411,33 @@ export class SplittingSystem {
         cellA.velocity.y = (cellA.velocity.y + cellB.velocity.y) * 0.5;
     }
 
-    // Set recombine timer for a cell
+    // Set recombine timer for a cell - simulation time, so seeded runs stay reproducible
     setRecombineTimer(cell) {
         cell.canRecombine = false;
+        this.recombineTimers.set(cell, simulation.now() + this.config.recombineDelay);
+    }
+
+    // Allow recombining for cells whose timer ran out
+    updateRecombineTimers() {
+        const now = simulation.now();
         
-        setTimeout(() => {
-            cell.canRecombine = true;
-        }, this.config.recombineDelay);
+        for (const [cell, recombineTime] of this.recombineTimers.entries()) {
+            if (now >= recombineTime) {
+                cell.canRecombine = true;
+                this.recombineTimers.delete(cell);
+            }
+        }
     }
 
     // Set split cooldown for player
     setSplitCooldown(playerId, cooldownMs = 1000) {
-        this.splitCooldowns.set(playerId, Date.now() + cooldownMs);
+        this.splitCooldowns.set(playerId, simulation.now() + cooldownMs);
     }
 
     // Check if player is on split cooldown
     isOnCooldown(playerId) {
         const cooldownTime = this.splitCooldowns.get(playerId);
-        return cooldownTime && Date.now() < cooldownTime;
+        return cooldownTime && simulation.now() < cooldownTime;
     }
 
     // Get remaining cooldown time
@@ -430,16 +445,17 @@ export class SplittingSystem {
         const cooldownTime = this.splitCooldowns.get(playerId);
         if (!cooldownTime) return 0;
         
-        const remaining = cooldownTime - Date.now();
+        const remaining = cooldownTime - simulation.now();
         return Math.max(0, remaining);
     }
 
-    // Force split in specific direction (for AI or special abilities)
-    forceSplit(player, direction, count = 1) {
+    // Force split in specific direction (for AI or special abilities).
+    // `cells` limits which of the player's cells may be split (viruses pop only the cell that hit them).
+    forceSplit(player, direction, count = 1, cells = player.cells) {
         const results = [];
         
         for (let i = 0; i < count && this.canSplit(player); i++) {
-            const largestCell = this.getLargestSplittableCell(player);
+            const largestCell = this.getLargestSplittableCell(player, cells);
             if (!largestCell) break;
             
             const mouseX = largestCell.x + direction.x * 100;
@@ -461,8 +477,8 @@ export class SplittingSystem {
     }
 
     // Get the largest cell that can split
-    getLargestSplittableCell(player) {
-        return player.cells
+    getLargestSplittableCell(player, cells = player.cells) {
+        return cells
             .filter(cell => this.canCellSplit(cell))
             .reduce((largest, cell) => 
                 (!largest || cell.mass > largest.mass) ? cell : largest, null);
@@ -487,7 +503,7 @@ export class SplittingSystem {
 
     // Clean up expired timers and cooldowns
     cleanup() {
-        const now = Date.now();
+        const now = simulation.now();
         
         // Clean up expired cooldowns
         for (let [playerId, cooldownTime] of this.splitCooldowns.entries()) {
@@ -502,7 +518,8 @@ export class SplittingSystem {
         // Update merge animations
         this.updateMergeAnimations(player, deltaTime);
         
-        // Update auto-recombine
+        // Update recombine timers and auto-recombine
+        this.updateRecombineTimers();
         this.updateAutoRecombine(player, deltaTime);
         
         // Clean up expired timers
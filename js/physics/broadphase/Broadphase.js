@@ -0,0 +1,96 @@
+// js/physics/broadphase/Broadphase.js
+// Common interface of the broadphases - spatial indexes rebuilt from a list of
+// entities once per tick and then asked what might touch what. Answers go by
+// axis-aligned bounding boxes taken when the index was built; exact circle
+// tests are up to the caller.
+
+export class Broadphase {
+    constructor(type) {
+        this.type = type;
+        this.entities = [];
+
+        // Bounding box of entity i at build time
+        this.minX = new Float64Array(0);
+        this.minY = new Float64Array(0);
+        this.maxX = new Float64Array(0);
+        this.maxY = new Float64Array(0);
+    }
+
+    get size() {
+        return this.entities.length;
+    }
+
+    // Replace the contents with these entities at their current positions
+    build(entities) {
+        this.entities = Array.from(entities);
+
+        const count = this.entities.length;
+        if (this.minX.length < count) {
+            const capacity = Math.max(count, this.minX.length * 2);
+            this.minX = new Float64Array(capacity);
+            this.minY = new Float64Array(capacity);
+            this.maxX = new Float64Array(capacity);
+            this.maxY = new Float64Array(capacity);
+        }
+
+        for (let i = 0; i < count; i++) {
+            const entity = this.entities[i];
+            const extent = getExtent(entity);
+            this.minX[i] = entity.x - extent;
+            this.minY[i] = entity.y - extent;
+            this.maxX[i] = entity.x + extent;
+            this.maxY[i] = entity.y + extent;
+        }
+
+        this.index();
+    }
+
+    // Organise the bounding boxes filled in by build()
+    index() {
+        throw new Error(`${this.constructor.name} must implement index()`);
+    }
+
+    // Entities whose bounding box overlaps the rectangle
+    queryRange(minX, minY, maxX, maxY) {
+        throw new Error(`${this.constructor.name} must implement queryRange()`);
+    }
+
+    // Every pair of entities with overlapping bounding boxes, once each, as
+    // indices into the built list: [a0, b0, a1, b1, ...] with a < b
+    findPairs() {
+        throw new Error(`${this.constructor.name} must implement findPairs()`);
+    }
+
+    // Entities whose bounding box reaches into the square around a circle
+    queryRadius(x, y, radius) {
+        return this.queryRange(x - radius, y - radius, x + radius, y + radius);
+    }
+
+    // Entities whose bounding box overlaps this entity's, itself included if it was built in
+    queryEntity(entity) {
+        const extent = getExtent(entity);
+        return this.queryRange(entity.x - extent, entity.y - extent, entity.x + extent, entity.y + extent);
+    }
+
+    overlaps(i, minX, minY, maxX, maxY) {
+        return this.minX[i] <= maxX && this.maxX[i] >= minX && this.minY[i] <= maxY && this.maxY[i] >= minY;
+    }
+
+    overlapsEntity(i, j) {
+        return this.overlaps(i, this.minX[j], this.minY[j], this.maxX[j], this.maxY[j]);
+    }
+
+    getStats() {
+        return { type: this.type, entities: this.size };
+    }
+}
+
+// Half the side of an entity's bounding box - circles by radius, rectangles by
+// their longer side, anything else as a small point
+export function getExtent(entity) {
+    if (entity.radius !== undefined) return entity.radius;
+    if (entity.width !== undefined && entity.height !== undefined) {
+        return Math.max(entity.width, entity.height) / 2;
+    }
+    return (entity.size || 5) / 2;
+}
@@ -0,0 +1,24 @@
+// js/physics/broadphase/BroadphaseFactory.js
+// Picks a broadphase implementation by name, CONFIG.BROADPHASE.TYPE by default
+import { CONFIG } from '../../core/Config.js';
+import { QuadTreeBroadphase } from './QuadTreeBroadphase.js';
+import { SpatialHashBroadphase } from './SpatialHashBroadphase.js';
+import { SweepAndPruneBroadphase } from './SweepAndPruneBroadphase.js';
+
+const BROADPHASES = {
+    spatialHash: SpatialHashBroadphase,
+    quadTree: QuadTreeBroadphase,
+    sweepAndPrune: SweepAndPruneBroadphase
+};
+
+export const BROADPHASE_TYPES = Object.keys(BROADPHASES);
+
+export class BroadphaseFactory {
+    static create(type = CONFIG.BROADPHASE.TYPE, options = {}) {
+        const BroadphaseClass = BROADPHASES[type];
+        if (!BroadphaseClass) {
+            throw new Error(`Unknown broadphase "${type}", expected one of ${BROADPHASE_TYPES.join(', ')}`);
+        }
+        return new BroadphaseClass(options);
+    }
+}
@@ -0,0 +1,73 @@
+// js/physics/broadphase/QuadTreeBroadphase.js
+// The QuadTree from js/utils behind the broadphase interface. The tree is
+// regrown around the entities on every build, so nothing outside the world
+// bounds gets lost, and holds one small proxy per entity frozen at build time.
+import { CONFIG } from '../../core/Config.js';
+import QuadTree from '../../utils/QuadTree.js';
+import { Broadphase } from './Broadphase.js';
+
+export class QuadTreeBroadphase extends Broadphase {
+    // options: { maxObjects, maxLevels }
+    constructor(options = {}) {
+        super('quadTree');
+        this.maxObjects = options.maxObjects || CONFIG.BROADPHASE.MAX_OBJECTS;
+        this.maxLevels = options.maxLevels || CONFIG.BROADPHASE.MAX_LEVELS;
+        this.tree = null;
+    }
+
+    index() {
+        const count = this.size;
+
+        let left = Infinity;
+        let top = Infinity;
+        let right = -Infinity;
+        let bottom = -Infinity;
+        for (let i = 0; i < count; i++) {
+            left = Math.min(left, this.minX[i]);
+            top = Math.min(top, this.minY[i]);
+            right = Math.max(right, this.maxX[i]);
+            bottom = Math.max(bottom, this.maxY[i]);
+        }
+        if (count === 0) {
+            left = top = right = bottom = 0;
+        }
+
+        this.tree = new QuadTree({ x: left, y: top, width: right - left, height: bottom - top }, this.maxObjects, this.maxLevels);
+
+        for (let i = 0; i < count; i++) {
+            const extent = (this.maxX[i] - this.minX[i]) / 2;
+            this.tree.insert({ index: i, x: this.minX[i] + extent, y: this.minY[i] + extent, radius: extent });
+        }
+    }
+
+    queryProxies(minX, minY, maxX, maxY) {
+        return this.tree.retrieveInBounds({ x: minX, y: minY, width: maxX - minX, height: maxY - minY });
+    }
+
+    queryRange(minX, minY, maxX, maxY) {
+        return this.queryProxies(minX, minY, maxX, maxY).map(proxy => this.entities[proxy.index]);
+    }
+
+    findPairs() {
+        const pairs = [];
+
+        for (let i = 0; i < this.size; i++) {
+            for (const proxy of this.queryProxies(this.minX[i], this.minY[i], this.maxX[i], this.maxY[i])) {
+                if (proxy.index > i) {
+                    pairs.push(i, proxy.index);
+                }
+            }
+        }
+
+        return pairs;
+    }
+
+    getStats() {
+        const treeStats = this.tree ? this.tree.getStats() : { totalNodes: 0, maxDepth: 0 };
+        return {
+            ...super.getStats(),
+            nodes: treeStats.totalNodes,
+            depth: treeStats.maxDepth
+        };
+    }
+}
@@ -0,0 +1,132 @@
+// js/physics/broadphase/SpatialHashBroadphase.js
+// Uniform grid of square cells, each listing the entities whose bounding box
+// reaches into it. Building is linear and queries only visit the cells they
+// cover, so it suits many similar-sized entities - food and small cells.
+import { CONFIG } from '../../core/Config.js';
+import { Broadphase } from './Broadphase.js';
+
+export class SpatialHashBroadphase extends Broadphase {
+    // options: { cellSize }
+    constructor(options = {}) {
+        super('spatialHash');
+        this.cellSize = options.cellSize || CONFIG.BROADPHASE.CELL_SIZE;
+
+        // Cell key -> entity indices. Lists are kept and emptied between builds.
+        this.cells = new Map();
+        this.occupied = [];
+
+        // Marks entities already looked at by the current query
+        this.stamps = new Uint32Array(0);
+        this.stamp = 0;
+    }
+
+    index() {
+        for (const key of this.occupied) {
+            this.cells.get(key).length = 0;
+        }
+        this.occupied.length = 0;
+
+        const count = this.size;
+        if (this.stamps.length < count) {
+            this.stamps = new Uint32Array(Math.max(count, this.stamps.length * 2));
+            this.stamp = 0;
+        }
+
+        for (let i = 0; i < count; i++) {
+            const startX = this.toCell(this.minX[i]);
+            const startY = this.toCell(this.minY[i]);
+            const endX = this.toCell(this.maxX[i]);
+            const endY = this.toCell(this.maxY[i]);
+
+            for (let cellX = startX; cellX <= endX; cellX++) {
+                for (let cellY = startY; cellY <= endY; cellY++) {
+                    const key = cellKey(cellX, cellY);
+                    let bucket = this.cells.get(key);
+                    if (!bucket) {
+                        bucket = [];
+                        this.cells.set(key, bucket);
+                    }
+                    if (bucket.length === 0) this.occupied.push(key);
+                    bucket.push(i);
+                }
+            }
+        }
+    }
+
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    nextStamp() {
+        this.stamp++;
+        if (this.stamp === 0xFFFFFFFF) {
+            this.stamps.fill(0);
+            this.stamp = 1;
+        }
+        return this.stamp;
+    }
+
+    queryRange(minX, minY, maxX, maxY) {
+        const results = [];
+        const stamp = this.nextStamp();
+
+        const endX = this.toCell(maxX);
+        const endY = this.toCell(maxY);
+        for (let cellX = this.toCell(minX); cellX <= endX; cellX++) {
+            for (let cellY = this.toCell(minY); cellY <= endY; cellY++) {
+                const bucket = this.cells.get(cellKey(cellX, cellY));
+                if (!bucket) continue;
+
+                for (const i of bucket) {
+                    if (this.stamps[i] === stamp) continue;
+                    this.stamps[i] = stamp;
+
+                    if (this.overlaps(i, minX, minY, maxX, maxY)) {
+                        results.push(this.entities[i]);
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    findPairs() {
+        const pairs = [];
+
+        for (const key of this.occupied) {
+            const bucket = this.cells.get(key);
+
+            for (let m = 0; m < bucket.length; m++) {
+                const i = bucket[m];
+                for (let n = m + 1; n < bucket.length; n++) {
+                    const j = bucket[n];
+                    if (!this.overlapsEntity(i, j)) continue;
+
+                    // Two big entities share several cells - only the cell holding the
+                    // top-left corner of their overlap reports them
+                    const cornerX = this.toCell(Math.max(this.minX[i], this.minX[j]));
+                    const cornerY = this.toCell(Math.max(this.minY[i], this.minY[j]));
+                    if (cellKey(cornerX, cornerY) !== key) continue;
+
+                    pairs.push(Math.min(i, j), Math.max(i, j));
+                }
+            }
+        }
+
+        return pairs;
+    }
+
+    getStats() {
+        return {
+            ...super.getStats(),
+            cellSize: this.cellSize,
+            cells: this.occupied.length
+        };
+    }
+}
+
+// One number per cell, unique while cell coordinates stay within +-32767
+function cellKey(cellX, cellY) {
+    return ((cellX & 0xFFFF) << 16) | (cellY & 0xFFFF);
+}
@@ -0,0 +1,84 @@
+// js/physics/broadphase/SweepAndPruneBroadphase.js
+// Entities sorted by the left edge of their bounding box. Pairs come from one
+// sweep along x, keeping only boxes that still reach past the current edge.
+// Needs no tuning for entity size, but a query has to walk every box that
+// starts within one maximum width of the range.
+import { Broadphase } from './Broadphase.js';
+
+export class SweepAndPruneBroadphase extends Broadphase {
+    constructor() {
+        super('sweepAndPrune');
+
+        // Entity indices by left edge, and those edges in the same order
+        this.order = [];
+        this.sortedMinX = new Float64Array(0);
+        this.maxWidth = 0;
+    }
+
+    index() {
+        const count = this.size;
+        const minX = this.minX;
+
+        this.order = Array.from({ length: count }, (value, i) => i)
+            .sort((a, b) => minX[a] - minX[b] || a - b);
+
+        if (this.sortedMinX.length < count) {
+            this.sortedMinX = new Float64Array(Math.max(count, this.sortedMinX.length * 2));
+        }
+
+        this.maxWidth = 0;
+        for (let k = 0; k < count; k++) {
+            const i = this.order[k];
+            this.sortedMinX[k] = minX[i];
+            this.maxWidth = Math.max(this.maxWidth, this.maxX[i] - minX[i]);
+        }
+    }
+
+    // First position in the sorted order whose left edge is at or past x
+    lowerBound(x) {
+        let low = 0;
+        let high = this.size;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.sortedMinX[middle] < x) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    queryRange(minX, minY, maxX, maxY) {
+        const results = [];
+
+        // Nothing starting further left than one maximum width can reach the range
+        for (let k = this.lowerBound(minX - this.maxWidth); k < this.size && this.sortedMinX[k] <= maxX; k++) {
+            const i = this.order[k];
+            if (this.overlaps(i, minX, minY, maxX, maxY)) {
+                results.push(this.entities[i]);
+            }
+        }
+
+        return results;
+    }
+
+    findPairs() {
+        const pairs = [];
+        const count = this.size;
+
+        for (let k = 0; k < count; k++) {
+            const i = this.order[k];
+            const right = this.maxX[i];
+
+            for (let m = k + 1; m < count && this.sortedMinX[m] <= right; m++) {
+                const j = this.order[m];
+                if (this.minY[j] <= this.maxY[i] && this.maxY[j] >= this.minY[i]) {
+                    pairs.push(Math.min(i, j), Math.max(i, j));
+                }
+            }
+        }
+
+        return pairs;
+    }
+}
@@ -150,6 +150,14 @@ class Camera {
         return { x: worldX, y: worldY };
     }
 
+    // Convert screen coordinates to world coordinates around the follow target,
+    // without the smoothing lag or shake, so they don't depend on the frame rate
+    screenToTarget(screenX, screenY) {
+        const worldX = (screenX - this.width / 2) / this.targetZoom + this.targetX;
+        const worldY = (screenY - this.height / 2) / this.targetZoom + this.targetY;
+        return { x: worldX, y: worldY };
+    }
+
     // Get the visible world bounds
     getVisibleBounds() {
         const halfWidth = (this.width / 2) / this.zoom;
@@ -9,6 +9,9 @@ export class Renderer {
         this.camera = camera;
         this.viewportBuffer = 100; // Extra render distance beyond viewport
         
+        // Simulation time cells are drawn at, between the last two ticks (null draws current positions)
+        this.renderTime = null;
+        
         // Performance tracking
         this.frameCount = 0;
         this.lastFPSUpdate = 0;
@@ -66,6 +69,20 @@ setCanvas(canvas) {
 setCamera(camera) {
     this.camera = camera;
 }
+
+// Simulation time to draw cells at, null draws their current positions
+setRenderTime(time) {
+    this.renderTime = time;
+}
+
+// Where a cell is drawn this frame
+getDrawPosition(cell) {
+    if (this.renderTime === null) {
+        return { x: cell.x, y: cell.y };
+    }
+    return cell.getInterpolatedPosition(this.renderTime);
+}
+
     // Main render function
     render(gameState) {
         this.clearCanvas();
@@ -78,9 +95,11 @@ setCamera(camera) {
         
         // Render game world layers
         this.renderBackground(gameState);
+        this.renderZone(gameState.zone);
         this.renderFood(gameState.food);
         this.renderCells(gameState.players);
         this.renderBots(gameState.bots);
+        this.renderViruses(gameState.viruses);
         this.renderEffects(gameState.effects);
         
         // Restore context
@@ -143,6 +162,94 @@ setCamera(camera) {
         this.ctx.strokeRect(bounds.left, bounds.top, bounds.width, bounds.height);
     }
     
+    // Battle royale safe zone (BattleRoyaleSystem.getZoneState()) and the next zone preview
+    renderZone(zoneState) {
+        if (!zoneState) return;
+        
+        const ctx = this.ctx;
+        const cam = this.camera;
+        const { zone, nextZone } = zoneState;
+        
+        const halfWidth = this.canvas.width / (2 * cam.zoom) + this.viewportBuffer;
+        const halfHeight = this.canvas.height / (2 * cam.zoom) + this.viewportBuffer;
+        
+        ctx.save();
+        
+        // Shade everything on screen outside the zone
+        ctx.beginPath();
+        ctx.rect(cam.x - halfWidth, cam.y - halfHeight, halfWidth * 2, halfHeight * 2);
+        ctx.arc(zone.x, zone.y, Math.max(0, zone.radius), 0, Math.PI * 2, true);
+        ctx.fillStyle = 'rgba(110, 40, 180, 0.25)';
+        ctx.fill('evenodd');
+        
+        // Zone edge
+        ctx.beginPath();
+        ctx.arc(zone.x, zone.y, Math.max(0, zone.radius), 0, Math.PI * 2);
+        ctx.strokeStyle = '#6e28b4';
+        ctx.lineWidth = 6 / cam.zoom;
+        ctx.stroke();
+        
+        // Where the zone shrinks to next
+        if (nextZone) {
+            ctx.beginPath();
+            ctx.arc(nextZone.x, nextZone.y, Math.max(0, nextZone.radius), 0, Math.PI * 2);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.setLineDash([20 / cam.zoom, 12 / cam.zoom]);
+            ctx.lineWidth = 3 / cam.zoom;
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        
+        ctx.restore();
+    }
+    
+    // Debug overlay for bot steering (PotentialField.getDebugState()): what pulls
+    // and pushes each bot, the sampled ring shaded from low (green) to high (red)
+    // potential, and the heading it took in white
+    renderSteering(fieldStates) {
+        const ctx = this.ctx;
+        const lineWidth = 1 / this.camera.zoom;
+        
+        ctx.save();
+        
+        for (const state of fieldStates) {
+            if (!state.origin || state.samples.length === 0) continue;
+            
+            for (const source of state.sources) {
+                ctx.beginPath();
+                ctx.arc(source.x, source.y, Math.max(source.radius, 6 * lineWidth), 0, Math.PI * 2);
+                ctx.strokeStyle = source.type === 'attract' ? 'rgba(80, 220, 120, 0.8)' : 'rgba(255, 80, 80, 0.8)';
+                ctx.lineWidth = 2 * lineWidth;
+                ctx.stroke();
+            }
+            
+            const values = state.samples.map(sample => sample.value);
+            const lowest = Math.min(...values);
+            const spread = Math.max(...values) - lowest || 1;
+            
+            ctx.lineWidth = lineWidth;
+            for (const sample of state.samples) {
+                const level = (sample.value - lowest) / spread;
+                ctx.beginPath();
+                ctx.moveTo(state.origin.x, state.origin.y);
+                ctx.lineTo(sample.x, sample.y);
+                ctx.strokeStyle = `rgba(${Math.round(255 * level)}, ${Math.round(255 * (1 - level))}, 80, 0.6)`;
+                ctx.stroke();
+            }
+            
+            if (state.best) {
+                ctx.beginPath();
+                ctx.moveTo(state.origin.x, state.origin.y);
+                ctx.lineTo(state.best.x, state.best.y);
+                ctx.strokeStyle = 'white';
+                ctx.lineWidth = 3 * lineWidth;
+                ctx.stroke();
+            }
+        }
+        
+        ctx.restore();
+    }
+    
     renderFood(foodArray) {
         if (!foodArray || foodArray.length === 0) return;
         
@@ -150,7 +257,11 @@ setCamera(camera) {
         const visibleFood = this.getVisibleEntities(foodArray);
         
         for (const food of visibleFood) {
-            this.drawFood(food);
+            if (food.isEjected) {
+                this.drawEjectedMass(food);
+            } else {
+                this.drawFood(food);
+            }
         }
     }
     
@@ -166,6 +277,34 @@ setCamera(camera) {
         this.ctx.stroke();
     }
     
+    // Ejected mass in its owner's color, with a short streak while it's flying
+    drawEjectedMass(pellet) {
+        const ctx = this.ctx;
+        const speed = Math.hypot(pellet.velocity.x, pellet.velocity.y);
+        
+        if (speed > 0) {
+            const trail = Math.min(pellet.radius * 3, speed * 0.02);
+            ctx.strokeStyle = pellet.color;
+            ctx.globalAlpha = 0.4;
+            ctx.lineWidth = pellet.radius;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.moveTo(pellet.x, pellet.y);
+            ctx.lineTo(pellet.x - pellet.velocity.x / speed * trail, pellet.y - pellet.velocity.y / speed * trail);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        }
+        
+        ctx.fillStyle = pellet.color;
+        ctx.beginPath();
+        ctx.arc(pellet.x, pellet.y, pellet.radius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.strokeStyle = this.darkenColor(pellet.color, 0.3);
+        ctx.lineWidth = 1 / this.camera.zoom;
+        ctx.stroke();
+    }
+    
     renderCells(players) {
         if (!players || players.length === 0) return;
         
@@ -190,11 +329,12 @@ setCamera(camera) {
     
     drawCell(cell, player) {
         const ctx = this.ctx;
+        const position = this.getDrawPosition(cell);
         
         // Main cell body
         ctx.fillStyle = cell.color;
         ctx.beginPath();
-        ctx.arc(cell.x, cell.y, cell.radius, 0, Math.PI * 2);
+        ctx.arc(position.x, position.y, cell.radius, 0, Math.PI * 2);
         ctx.fill();
         
         // Cell border
@@ -204,16 +344,16 @@ setCamera(camera) {
         
         // Player name (if cell is large enough)
         if (cell.radius > 20 && player.name) {
-            this.drawCellName(cell, player.name);
+            this.drawCellName(cell, player.name, position);
         }
         
         // Mass indicator (if cell is large enough)
         if (cell.radius > 15) {
-            this.drawCellMass(cell);
+            this.drawCellMass(cell, position);
         }
     }
     
-    drawCellName(cell, name) {
+    drawCellName(cell, name, position = cell) {
         const ctx = this.ctx;
         const fontSize = Math.max(12, cell.radius * 0.3);
         
@@ -223,12 +363,12 @@ setCamera(camera) {
         ctx.strokeStyle = 'black';
         ctx.lineWidth = 2;
         
-        ctx.strokeText(name, cell.x, cell.y - fontSize * 0.3);
-        ctx.fillText(name, cell.x, cell.y - fontSize * 0.3);
+        ctx.strokeText(name, position.x, position.y - fontSize * 0.3);
+        ctx.fillText(name, position.x, position.y - fontSize * 0.3);
         ctx.restore();
     }
     
-    drawCellMass(cell) {
+    drawCellMass(cell, position = cell) {
         const ctx = this.ctx;
         const fontSize = Math.max(10, cell.radius * 0.2);
         const massText = Math.floor(cell.mass).toString();
@@ -236,7 +376,7 @@ setCamera(camera) {
         ctx.save();
         ctx.font = `${fontSize}px Arial`;
         ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        ctx.fillText(massText, cell.x, cell.y + fontSize * 0.3);
+        ctx.fillText(massText, position.x, position.y + fontSize * 0.3);
         ctx.restore();
     }
     
@@ -255,11 +395,12 @@ setCamera(camera) {
     
     drawBotCell(cell, bot) {
         const ctx = this.ctx;
+        const position = this.getDrawPosition(cell);
         
         // Bot cells have a distinct appearance
         ctx.fillStyle = cell.color;
         ctx.beginPath();
-        ctx.arc(cell.x, cell.y, cell.radius, 0, Math.PI * 2);
+        ctx.arc(position.x, position.y, cell.radius, 0, Math.PI * 2);
         ctx.fill();
         
         // Bot border (dotted for distinction)
@@ -271,10 +412,41 @@ setCamera(camera) {
         
         // Bot name with prefix
         if (cell.radius > 20) {
-            this.drawCellName(cell, `[BOT] ${bot.name}`);
+            this.drawCellName(cell, `[BOT] ${bot.name}`, position);
         }
     }
     
+    // Drawn after cells so smaller cells hide underneath
+    renderViruses(viruses) {
+        if (!viruses || viruses.length === 0) return;
+        
+        for (const virus of this.getVisibleEntities(viruses)) {
+            this.drawVirus(virus);
+        }
+    }
+    
+    drawVirus(virus) {
+        const ctx = this.ctx;
+        const points = virus.getSpikePoints();
+        
+        // Spiked outline
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        ctx.closePath();
+        
+        ctx.fillStyle = virus.color;
+        ctx.globalAlpha = 0.85;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        
+        ctx.strokeStyle = this.darkenColor(virus.color, 0.3);
+        ctx.lineWidth = Math.max(2, virus.radius * 0.08) / this.camera.zoom;
+        ctx.stroke();
+    }
+    
     renderEffects(effects) {
         if (!effects || effects.length === 0) return;
         
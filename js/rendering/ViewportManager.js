@@ -11,7 +11,7 @@ class ViewportManager {
         this.visibleEntities = new Set();
         this.culledEntities = new Set();
         this.lodLevels = new Map();
-        this.quadTree = null; // Will be set by game engine
+        this.broadphase = null; // Will be set by game engine
     }
 
     // Update visibility and LOD for all entities
@@ -194,25 +194,23 @@ class ViewportManager {
         return this.isEntityVisible(entity, bounds);
     }
 
-    // Spatial partitioning helpers (for use with QuadTree)
+    // Spatial partitioning helpers (for use with a broadphase)
     getEntitiesInRegion(x, y, width, height) {
-        if (!this.quadTree) {
+        if (!this.broadphase) {
             return this.getVisibleEntities();
         }
 
-        const region = {
-            x: x - width / 2,
-            y: y - height / 2,
-            width: width,
-            height: height
-        };
-
-        return this.quadTree.retrieve(region);
+        return this.broadphase.queryRange(
+            x - width / 2,
+            y - height / 2,
+            x + width / 2,
+            y + height / 2
+        );
     }
 
-    // Set QuadTree reference for spatial queries
-    setQuadTree(quadTree) {
-        this.quadTree = quadTree;
+    // Set broadphase reference for spatial queries
+    setBroadphase(broadphase) {
+        this.broadphase = broadphase;
     }
 
     // Performance metrics
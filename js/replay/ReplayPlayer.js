@@ -0,0 +1,170 @@
+// js/replay/ReplayPlayer.js
+// Plays a recorded match back by re-running it through the GameLoop. Keyframes
+// of the world are taken while playing so seeking backwards only has to
+// re-simulate from the closest earlier keyframe.
+import { CONFIG } from '../core/Config.js';
+import { simulation } from '../core/Simulation.js';
+import { ReplayWorld } from './ReplayWorld.js';
+import { Utils } from '../utils/Utils.js';
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+export class ReplayPlayer {
+    constructor(replay, options = {}) {
+        this.replay = replay;
+        this.tickTime = replay.tickTime || 1000 / CONFIG.GAME.FPS;
+
+        // Ticks between keyframes (5 seconds at 60 FPS)
+        this.keyframeInterval = options.keyframeInterval || 300;
+        this.keyframes = new Map();
+
+        // Upper bound on ticks simulated per update so fast-forward can't stall a frame
+        this.maxStepsPerUpdate = options.maxStepsPerUpdate || 64;
+
+        this.speed = 1;
+        this.isPaused = true;
+        this.accumulator = 0;
+
+        // The replay runs with the config and seed it was recorded with
+        this.previousConfig = Utils.deepClone(CONFIG);
+        this.previousSimulation = simulation.getState();
+        ReplayPlayer.applyConfig(replay.config);
+        simulation.setSeed(replay.seed);
+
+        this.world = new ReplayWorld(replay);
+    }
+
+    // Overwrite CONFIG in place, modules hold references to its sections
+    static applyConfig(config) {
+        if (!config) return;
+
+        for (const [key, value] of Object.entries(config)) {
+            if (value && typeof value === 'object' && !Array.isArray(value) && CONFIG[key]) {
+                Object.assign(CONFIG[key], value);
+            } else {
+                CONFIG[key] = value;
+            }
+        }
+    }
+
+    get tick() {
+        return this.world.tick;
+    }
+
+    get duration() {
+        return this.replay.duration;
+    }
+
+    get isFinished() {
+        return this.world.tick >= this.replay.duration;
+    }
+
+    play() {
+        if (this.isFinished) {
+            this.seek(0);
+        }
+        this.isPaused = false;
+    }
+
+    pause() {
+        this.isPaused = true;
+        this.accumulator = 0;
+    }
+
+    togglePause() {
+        if (this.isPaused) {
+            this.play();
+        } else {
+            this.pause();
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = Utils.clamp(speed, REPLAY_SPEEDS[0], REPLAY_SPEEDS[REPLAY_SPEEDS.length - 1]);
+    }
+
+    // Advance playback by real elapsed milliseconds
+    update(deltaTime) {
+        if (this.isPaused) return;
+
+        this.accumulator += deltaTime * this.speed;
+
+        let steps = 0;
+        while (this.accumulator >= this.tickTime && steps < this.maxStepsPerUpdate && !this.isFinished) {
+            this.stepTick();
+            this.accumulator -= this.tickTime;
+            steps++;
+        }
+
+        // Falling behind at high speed: drop the backlog rather than spiral
+        if (steps === this.maxStepsPerUpdate) {
+            this.accumulator = 0;
+        }
+
+        if (this.isFinished) {
+            this.pause();
+        }
+    }
+
+    stepTick() {
+        if (this.world.tick % this.keyframeInterval === 0 && !this.keyframes.has(this.world.tick)) {
+            this.keyframes.set(this.world.tick, this.world.captureState());
+        }
+
+        this.world.step();
+    }
+
+    // Jump to any tick. Going backwards restores the nearest keyframe first.
+    seek(targetTick) {
+        const target = Math.round(Utils.clamp(targetTick, 0, this.replay.duration));
+        const keyframeTick = this.findKeyframe(target);
+
+        const canStepForward = this.world.tick <= target && this.world.tick >= keyframeTick;
+        if (!canStepForward) {
+            this.world.restoreState(this.keyframes.get(keyframeTick));
+        }
+
+        while (this.world.tick < target) {
+            this.stepTick();
+        }
+
+        this.accumulator = 0;
+    }
+
+    // Latest keyframe at or before the tick
+    findKeyframe(tick) {
+        let best = -1;
+        for (const keyframeTick of this.keyframes.keys()) {
+            if (keyframeTick <= tick && keyframeTick > best) {
+                best = keyframeTick;
+            }
+        }
+        return best;
+    }
+
+    getKeyframeTicks() {
+        return [...this.keyframes.keys()].sort((a, b) => a - b);
+    }
+
+    getProgress() {
+        return this.replay.duration > 0 ? this.world.tick / this.replay.duration : 1;
+    }
+
+    // Milliseconds of match time
+    getTime(tick = this.world.tick) {
+        return tick * this.tickTime;
+    }
+
+    // Put the config and random source back to how they were before playback
+    dispose() {
+        this.pause();
+        this.keyframes.clear();
+
+        ReplayPlayer.applyConfig(this.previousConfig);
+        if (this.previousSimulation) {
+            simulation.setState(this.previousSimulation);
+        } else {
+            simulation.clearSeed();
+        }
+    }
+}
@@ -0,0 +1,104 @@
+// js/replay/ReplayRecorder.js
+// Records what a seeded World needs to re-run a match: seed, config, player
+// joins/leaves and every change in player input, keyed by tick.
+import { CONFIG } from '../core/Config.js';
+import { Utils } from '../utils/Utils.js';
+
+export const REPLAY_VERSION = 1;
+
+export class ReplayRecorder {
+    constructor() {
+        this.replay = null;
+
+        // Last recorded target per player, unchanged targets are not stored
+        this.lastTargets = new Map();
+    }
+
+    // options: { seed, tickTime, world }
+    start(options) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed: options.seed,
+            tickTime: options.tickTime,
+            world: { ...options.world },
+            config: Utils.deepClone(CONFIG),
+            recordedAt: Date.now(),
+            duration: 0,
+            events: [],
+            inputs: []
+        };
+
+        this.lastTargets.clear();
+    }
+
+    get isRecording() {
+        return this.replay !== null;
+    }
+
+    // Player lifecycle: 'join' { playerId, name } or 'leave' { playerId }
+    recordEvent(tick, type, data) {
+        if (!this.replay) return;
+
+        this.replay.events.push({ tick, type, ...data });
+
+        if (type === 'join') {
+            this.lastTargets.delete(data.playerId);
+        }
+    }
+
+    // Mouse target plus one-shot actions (split, eject, powerup)
+    recordInput(tick, playerId, input) {
+        if (!this.replay) return;
+
+        const last = this.lastTargets.get(playerId);
+        const hasAction = input.split || input.eject || input.powerup;
+        const moved = !last || last.x !== input.x || last.y !== input.y;
+
+        if (!moved && !hasAction) return;
+
+        const entry = { tick, playerId, x: input.x, y: input.y };
+        if (input.split) entry.split = true;
+        if (input.eject) entry.eject = true;
+        if (input.powerup) entry.powerup = input.powerup;
+
+        this.replay.inputs.push(entry);
+        this.lastTargets.set(playerId, { x: input.x, y: input.y });
+    }
+
+    // Snapshot of the recording so far, `tick` being the last simulated tick
+    finish(tick) {
+        if (!this.replay) return null;
+
+        return {
+            ...this.replay,
+            duration: tick,
+            events: [...this.replay.events],
+            inputs: [...this.replay.inputs]
+        };
+    }
+
+    // File envelope, same shape as SaveSystem.exportSave()
+    static toExport(replay) {
+        return {
+            type: 'replay',
+            data: replay,
+            exportedAt: Date.now(),
+            version: replay.version
+        };
+    }
+
+    // Returns the replay from an exported file, throws on anything unusable
+    static fromExport(importData) {
+        const replay = importData && importData.type === 'replay' ? importData.data : null;
+
+        if (!replay || replay.seed === undefined || !Array.isArray(replay.inputs) || !Array.isArray(replay.events)) {
+            throw new Error('Invalid replay file');
+        }
+
+        if (replay.version > REPLAY_VERSION) {
+            throw new Error(`Replay version ${replay.version} is newer than supported (${REPLAY_VERSION})`);
+        }
+
+        return replay;
+    }
+}
@@ -0,0 +1,100 @@
+// js/replay/ReplayWorld.js
+// World that takes its player inputs from a recording instead of live clients.
+import { World } from '../core/World.js';
+import { Utils } from '../utils/Utils.js';
+
+export class ReplayWorld extends World {
+    constructor(replay) {
+        super(replay.world);
+
+        this.replay = replay;
+        this.eventIndex = 0;
+        this.inputIndex = 0;
+
+        // Recorded players and their persistent mouse targets
+        this.controlledIds = new Set();
+        this.currentInputs = new Map();
+    }
+
+    step() {
+        this.populate();
+        this.applyEvents();
+        super.step();
+    }
+
+    // Joins and leaves recorded between the previous tick and this one
+    applyEvents() {
+        const events = this.replay.events;
+
+        while (this.eventIndex < events.length && events[this.eventIndex].tick <= this.tick) {
+            const event = events[this.eventIndex++];
+
+            if (event.type === 'join') {
+                this.addPlayer(event.name, event.playerId);
+                this.controlledIds.add(event.playerId);
+                this.currentInputs.delete(event.playerId);
+            } else if (event.type === 'leave') {
+                const player = this.findPlayer(event.playerId);
+                if (player) {
+                    this.removePlayer(player);
+                }
+
+                this.controlledIds.delete(event.playerId);
+                this.currentInputs.delete(event.playerId);
+            }
+        }
+    }
+
+    // Input phase
+    applyInputs(deltaTime) {
+        const inputs = this.replay.inputs;
+        const actions = new Map();
+
+        while (this.inputIndex < inputs.length && inputs[this.inputIndex].tick <= this.tick) {
+            const input = inputs[this.inputIndex++];
+
+            this.currentInputs.set(input.playerId, { x: input.x, y: input.y });
+            if (input.split || input.eject || input.powerup) {
+                actions.set(input.playerId, input);
+            }
+        }
+
+        // Same order as the server: players in world order
+        for (const player of this.players) {
+            if (!player.isAlive || !this.controlledIds.has(player.id)) continue;
+
+            const target = this.currentInputs.get(player.id) || { x: player.x, y: player.y };
+            const action = actions.get(player.id) || {};
+
+            this.applyPlayerInput(player, {
+                x: target.x,
+                y: target.y,
+                split: !!action.split,
+                eject: !!action.eject,
+                powerup: action.powerup || null
+            });
+        }
+    }
+
+    captureState() {
+        return {
+            ...super.captureState(),
+            replayCursor: {
+                eventIndex: this.eventIndex,
+                inputIndex: this.inputIndex,
+                controlledIds: [...this.controlledIds],
+                currentInputs: Utils.cloneGraph(this.currentInputs)
+            }
+        };
+    }
+
+    restoreState(state) {
+        super.restoreState(state);
+
+        const cursor = state.replayCursor;
+        this.eventIndex = cursor.eventIndex;
+        this.inputIndex = cursor.inputIndex;
+        this.controlledIds = new Set(cursor.controlledIds);
+        this.currentInputs = Utils.cloneGraph(cursor.currentInputs);
+    }
+}
@@ -0,0 +1,88 @@
+// js/server/ClientSession.js
+import { Protocol } from '../network/Protocol.js';
+
+const SOCKET_OPEN = 1;
+
+// One connected browser client and the player it controls
+export class ClientSession {
+    constructor(id, socket) {
+        this.id = id;
+        this.socket = socket;
+        this.player = null;
+        this.connectedAt = Date.now();
+
+        // Sequenced mouse targets, one consumed per tick
+        this.inputQueue = [];
+        this.lastProcessedInput = 0;
+
+        // Current input, applied during the loop's input phase
+        this.input = {
+            x: 0,
+            y: 0,
+            split: false,
+            eject: false,
+            powerup: null
+        };
+
+        // Binary snapshot encoder, tracks what the client has acknowledged
+        this.snapshots = null;
+
+        // Last known view center, used for culling after the player dies
+        this.viewCenter = { x: 0, y: 0 };
+
+        // Rate limiting
+        this.messageCount = 0;
+        this.messageWindowStart = Date.now();
+    }
+
+    // Queue a mouse target from the client, ignoring stale or duplicate sequences
+    queueInput(sequence, x, y, maxQueued) {
+        const lastQueued = this.inputQueue.length > 0
+            ? this.inputQueue[this.inputQueue.length - 1].sequence
+            : this.lastProcessedInput;
+        if (sequence <= lastQueued) return;
+
+        this.inputQueue.push({ sequence, x, y });
+
+        // A client running ahead of the server only adds latency - keep the newest inputs
+        if (this.inputQueue.length > maxQueued) {
+            this.inputQueue.splice(0, this.inputQueue.length - maxQueued);
+        }
+    }
+
+    isPlaying() {
+        return this.player !== null && this.player.isAlive;
+    }
+
+    // Returns false once the client exceeds its message budget for the current second
+    allowMessage(limit) {
+        const now = Date.now();
+
+        if (now - this.messageWindowStart >= 1000) {
+            this.messageWindowStart = now;
+            this.messageCount = 0;
+        }
+
+        this.messageCount++;
+        return this.messageCount <= limit;
+    }
+
+    send(type, payload = {}) {
+        if (this.socket.readyState !== SOCKET_OPEN) return;
+
+        this.socket.send(Protocol.encode(type, payload));
+    }
+
+    // Binary frames carry world snapshots
+    sendBinary(data) {
+        if (this.socket.readyState !== SOCKET_OPEN) return;
+
+        this.socket.send(data);
+    }
+
+    close() {
+        if (this.socket.readyState === SOCKET_OPEN) {
+            this.socket.close();
+        }
+    }
+}
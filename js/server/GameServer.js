@@ -0,0 +1,390 @@
+// js/server/GameServer.js
+// Authoritative multiplayer world. Runs the same GameLoop phases as the browser
+// build without any rendering, and keeps connected clients in sync.
+import { CONFIG } from '../core/Config.js';
+import { World } from '../core/World.js';
+import { simulation } from '../core/Simulation.js';
+import { MESSAGE_TYPES, Protocol } from '../network/Protocol.js';
+import { SnapshotEncoder } from '../network/SnapshotCodec.js';
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+import { ClientSession } from './ClientSession.js';
+import { NetworkIdRegistry } from './NetworkIdRegistry.js';
+
+export class GameServer extends World {
+    constructor(options = {}) {
+        // Recorded matches need a seed to be replayable
+        const seed = options.seed !== undefined || !options.recordReplay
+            ? options.seed
+            : Math.floor(Math.random() * 0xFFFFFFFF);
+
+        // Seeded servers replay identically given the same client inputs per tick
+        if (seed !== undefined) {
+            simulation.setSeed(seed);
+        }
+
+        super(options);
+
+        this.snapshotInterval = options.snapshotInterval || CONFIG.SERVER.SNAPSHOT_INTERVAL;
+        this.viewDistance = options.viewDistance || CONFIG.SERVER.VIEW_DISTANCE;
+        this.maxMessagesPerSecond = options.maxMessagesPerSecond || CONFIG.SERVER.MAX_MESSAGES_PER_SECOND;
+
+        if (options.recordReplay) {
+            this.recorder = new ReplayRecorder();
+            this.recorder.start({
+                seed,
+                tickTime: this.gameLoop.frameTime,
+                world: {
+                    maxPlayers: this.maxPlayers,
+                    foodCount: this.foodCount,
+                    teams: this.teamSystem ? this.teamSystem.teams.length : 0,
+                    viruses: !!this.virusSystem,
+                    battleRoyale: !!this.battleRoyale
+                }
+            });
+        }
+
+        // Connected clients. Session ids come from a counter so connections
+        // never consume the seeded random sequence.
+        this.sessions = new Map();
+        this.nextSessionId = 1;
+
+        // Numeric ids used by the binary snapshots
+        this.networkIds = new NetworkIdRegistry();
+
+        this.lastSnapshotTime = 0;
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        super.stop();
+
+        for (const session of this.sessions.values()) {
+            session.close();
+        }
+
+        this.sessions.clear();
+    }
+
+    // Finished replay of everything since start(), or null when not recording
+    getReplay() {
+        return this.recorder ? this.recorder.finish(this.tick) : null;
+    }
+
+    // Connection handling
+    addClient(socket) {
+        const session = new ClientSession(this.nextSessionId++, socket);
+        session.snapshots = new SnapshotEncoder(this.worldBounds);
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    removeClient(session) {
+        if (session.player) {
+            this.disconnectPlayer(session.player);
+            session.player = null;
+        }
+
+        this.sessions.delete(session.id);
+    }
+
+    handleMessage(session, raw) {
+        if (!session.allowMessage(this.maxMessagesPerSecond)) return;
+
+        const message = Protocol.decode(raw);
+        if (!message) {
+            session.send(MESSAGE_TYPES.ERROR, { message: 'Malformed message' });
+            return;
+        }
+
+        switch (message.type) {
+            case MESSAGE_TYPES.JOIN:
+                this.handleJoin(session, message.name);
+                break;
+
+            case MESSAGE_TYPES.INPUT:
+                if (Number.isInteger(message.sequence) && Number.isFinite(message.x) && Number.isFinite(message.y)) {
+                    session.queueInput(message.sequence, message.x, message.y, CONFIG.SERVER.MAX_QUEUED_INPUTS);
+                }
+                break;
+
+            case MESSAGE_TYPES.SPLIT:
+                session.input.split = true;
+                break;
+
+            case MESSAGE_TYPES.EJECT:
+                session.input.eject = true;
+                break;
+
+            case MESSAGE_TYPES.POWERUP:
+                if (typeof message.powerupId === 'string') {
+                    session.input.powerup = message.powerupId;
+                }
+                break;
+
+            case MESSAGE_TYPES.RESPAWN:
+                this.handleRespawn(session);
+                break;
+
+            case MESSAGE_TYPES.ACK:
+                if (Number.isInteger(message.tick)) {
+                    session.snapshots.acknowledge(message.tick);
+                }
+                break;
+
+            case MESSAGE_TYPES.RESYNC:
+                session.snapshots.reset();
+                break;
+
+            case MESSAGE_TYPES.PING:
+                session.send(MESSAGE_TYPES.PONG, { time: message.time });
+                break;
+        }
+    }
+
+    handleJoin(session, name) {
+        if (session.player) return;
+
+        if (this.players.length >= this.maxPlayers) {
+            session.send(MESSAGE_TYPES.ERROR, { message: 'Server is full' });
+            return;
+        }
+
+        const player = this.addPlayer(this.sanitizeName(name));
+        this.attachPlayer(session, player);
+
+        session.send(MESSAGE_TYPES.WELCOME, {
+            playerId: this.networkIds.getId(player.id),
+            world: { ...this.worldBounds },
+            snapshotInterval: this.snapshotInterval
+        });
+    }
+
+    handleRespawn(session) {
+        if (!session.player || session.player.isAlive) return;
+
+        // Battle royale is one life only
+        if (this.battleRoyale) return;
+
+        const player = this.addPlayer(session.player.name, session.player.id);
+        this.attachPlayer(session, player);
+    }
+
+    attachPlayer(session, player) {
+        session.player = player;
+        session.inputQueue = [];
+        session.input.x = player.x;
+        session.input.y = player.y;
+        session.viewCenter = { x: player.x, y: player.y };
+    }
+
+    sanitizeName(name) {
+        const cleaned = typeof name === 'string' ? name.replace(/[<>]/g, '').trim() : '';
+        return cleaned.slice(0, CONFIG.PLAYER.NAME_MAX_LENGTH) || 'Anonymous';
+    }
+
+    // Input phase
+    applyInputs(deltaTime) {
+        const sessionsByPlayer = new Map();
+        for (const session of this.sessions.values()) {
+            if (session.isPlaying()) {
+                sessionsByPlayer.set(session.player, session);
+            }
+        }
+
+        // Walk players in world order so replays apply inputs in the same order
+        for (const player of this.players) {
+            const session = sessionsByPlayer.get(player);
+            if (!session) continue;
+
+            // One predicted client step per server tick
+            const queued = session.inputQueue.shift();
+            if (queued) {
+                session.input.x = queued.x;
+                session.input.y = queued.y;
+                session.lastProcessedInput = queued.sequence;
+            }
+
+            this.applyPlayerInput(player, { ...session.input });
+
+            session.input.split = false;
+            session.input.eject = false;
+            session.input.powerup = null;
+        }
+    }
+
+    onPlayerEliminated(player) {
+        for (const session of this.sessions.values()) {
+            if (session.player !== player) continue;
+
+            session.send(MESSAGE_TYPES.DIED, {
+                finalMass: Math.floor(player.statistics.highestMass),
+                level: player.level,
+                statistics: player.statistics
+            });
+        }
+    }
+
+    onTick() {
+        const now = this.gameLoop.currentTime;
+        if (now - this.lastSnapshotTime >= this.snapshotInterval) {
+            this.broadcastState(now);
+            this.lastSnapshotTime = now;
+        }
+
+        if (this.teamSystem) {
+            const standings = this.teamSystem.publishStandings(now);
+            if (standings) {
+                this.broadcast(MESSAGE_TYPES.TEAMS, { standings });
+            }
+        }
+    }
+
+    // Send a JSON message to every client that has joined
+    broadcast(type, payload) {
+        for (const session of this.sessions.values()) {
+            if (session.player) {
+                session.send(type, payload);
+            }
+        }
+    }
+
+    // State replication
+    broadcastState(now) {
+        const leaderboard = this.getNetworkLeaderboard();
+
+        for (const session of this.sessions.values()) {
+            if (!session.player) continue;
+
+            if (session.isPlaying()) {
+                session.viewCenter = session.player.getCenterOfMass();
+            }
+
+            session.sendBinary(session.snapshots.encode({
+                tick: this.tick,
+                time: now,
+                inputSequence: session.lastProcessedInput,
+                ...this.createSnapshot(session.viewCenter),
+                leaderboard
+            }));
+        }
+
+        this.pruneNetworkIds();
+    }
+
+    // Drop numeric ids of entities that left the world
+    pruneNetworkIds() {
+        const liveIds = new Set();
+
+        for (const player of this.getAllPlayers()) {
+            liveIds.add(player.id);
+            for (const cell of player.cells) {
+                liveIds.add(cell.id);
+            }
+        }
+
+        // Dead players keep their id so it survives a respawn
+        for (const session of this.sessions.values()) {
+            if (session.player) liveIds.add(session.player.id);
+        }
+
+        for (const item of this.food) {
+            liveIds.add(item.id);
+
+            // Ejected mass refers to its owner, who may have left already
+            if (item.isEjected && item.ownerId) liveIds.add(item.ownerId);
+        }
+
+        if (this.virusSystem) {
+            for (const virus of this.virusSystem.viruses) {
+                liveIds.add(virus.id);
+            }
+        }
+
+        this.networkIds.retain(liveIds);
+    }
+
+    // Leaderboard with the numeric ids snapshots refer to players by
+    getNetworkLeaderboard() {
+        return this.getLeaderboard().map(entry => ({
+            ...entry,
+            id: this.networkIds.getId(entry.id)
+        }));
+    }
+
+    // Entities within view distance of a point, plus the battle royale zone
+    createSnapshot(center) {
+        const range = this.viewDistance;
+        const inView = (entity) =>
+            Math.abs(entity.x - center.x) <= range && Math.abs(entity.y - center.y) <= range;
+
+        const players = [];
+        for (const player of this.getAllPlayers()) {
+            if (!player.isAlive || !player.cells.some(inView)) continue;
+            players.push(this.serializePlayerState(player));
+        }
+
+        const food = [];
+        for (const item of this.food) {
+            if (inView(item)) {
+                food.push(this.serializeFoodState(item));
+            }
+        }
+
+        const viruses = [];
+        if (this.virusSystem) {
+            for (const virus of this.virusSystem.viruses) {
+                if (inView(virus)) {
+                    viruses.push(this.serializeVirusState(virus));
+                }
+            }
+        }
+
+        const zone = this.battleRoyale ? this.battleRoyale.getZoneState() : null;
+
+        return { players, food, viruses, zone };
+    }
+
+    serializePlayerState(player) {
+        return {
+            id: this.networkIds.getId(player.id),
+            name: player.name,
+            isBot: !!player.isBot,
+            cells: player.cells.map(cell => ({
+                id: this.networkIds.getId(cell.id),
+                x: cell.x,
+                y: cell.y,
+                radius: cell.radius,
+                color: cell.color
+            }))
+        };
+    }
+
+    serializeFoodState(food) {
+        return {
+            id: this.networkIds.getId(food.id),
+            x: food.x,
+            y: food.y,
+            radius: food.radius,
+            type: food.type,
+            color: food.color,
+            owner: food.isEjected && food.ownerId ? this.networkIds.getId(food.ownerId) : 0
+        };
+    }
+
+    serializeVirusState(virus) {
+        return {
+            id: this.networkIds.getId(virus.id),
+            x: virus.x,
+            y: virus.y,
+            radius: virus.radius
+        };
+    }
+
+    getStats() {
+        return {
+            ...super.getStats(),
+            clients: this.sessions.size
+        };
+    }
+}
@@ -0,0 +1,34 @@
+// js/server/NetworkIdRegistry.js
+
+// Maps entity string ids to compact numeric ids for the binary snapshot format.
+// Numeric ids are never reused, so a stale id on a client can't alias a new entity.
+export class NetworkIdRegistry {
+    constructor() {
+        this.ids = new Map();
+        this.nextId = 1;
+    }
+
+    getId(entityId) {
+        let networkId = this.ids.get(entityId);
+
+        if (networkId === undefined) {
+            networkId = this.nextId++;
+            this.ids.set(entityId, networkId);
+        }
+
+        return networkId;
+    }
+
+    // Forget entities that are no longer in the world
+    retain(liveEntityIds) {
+        for (const entityId of this.ids.keys()) {
+            if (!liveEntityIds.has(entityId)) {
+                this.ids.delete(entityId);
+            }
+        }
+    }
+
+    get size() {
+        return this.ids.size;
+    }
+}
@@ -0,0 +1,66 @@
+// js/server/index.js
+// Multiplayer server entry point: npm install, then npm start [-- port]
+// (or node js/server/index.js [port]). Browsers join with ?server=ws://host:port
+// Set SEED=<value> to run a deterministic, reproducible world
+// Set RECORD_REPLAY=<file> to write a replay of the match there on shutdown
+// Set TEAMS=<2-4> to play in team mode
+// Set VIRUSES=1 for the experimental mode with viruses, BATTLE_ROYALE=1 for battle royale
+import { writeFileSync } from 'fs';
+import { WebSocketServer } from 'ws';
+import { CONFIG } from '../core/Config.js';
+import { GameServer } from './GameServer.js';
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+
+const port = Number(process.argv[2] || process.env.PORT) || CONFIG.SERVER.PORT;
+
+const replayPath = process.env.RECORD_REPLAY;
+
+const gameServer = new GameServer({
+    seed: process.env.SEED,
+    recordReplay: Boolean(replayPath),
+    teams: Number(process.env.TEAMS) || 0,
+    viruses: process.env.VIRUSES === '1',
+    battleRoyale: process.env.BATTLE_ROYALE === '1'
+});
+const socketServer = new WebSocketServer({ port });
+
+socketServer.on('connection', (socket) => {
+    const session = gameServer.addClient(socket);
+
+    socket.on('message', (data) => gameServer.handleMessage(session, data));
+    socket.on('close', () => gameServer.removeClient(session));
+    socket.on('error', (error) => {
+        console.warn(`Client ${session.id} socket error:`, error.message);
+    });
+});
+
+gameServer.start();
+console.log(`Game server listening on ws://localhost:${port}`);
+
+// Periodic status line for server operators
+const statusTimer = setInterval(() => {
+    const stats = gameServer.getStats();
+    console.log(`tick ${stats.tick} | clients ${stats.clients} | players ${stats.players} | bots ${stats.bots} | food ${stats.food}`);
+}, 30000);
+
+function saveReplay() {
+    const replay = gameServer.getReplay();
+    if (!replay) return;
+
+    try {
+        writeFileSync(replayPath, JSON.stringify(ReplayRecorder.toExport(replay)));
+        console.log(`Replay of ${replay.duration} ticks written to ${replayPath}`);
+    } catch (error) {
+        console.error('Could not write replay:', error.message);
+    }
+}
+
+function shutdown() {
+    clearInterval(statusTimer);
+    saveReplay();
+    gameServer.stop();
+    socketServer.close(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,94 @@
+// js/storage/IndexedDBAdapter.js
+// Key/value store in a single IndexedDB object store. The database is opened
+// on first use; if that fails (blocked, private browsing) every call goes to
+// the fallback adapter instead.
+import { StorageAdapter, StorageQuotaError, isQuotaExceededError } from './StorageAdapter.js';
+
+const DEFAULT_DATABASE = 'agar-clone';
+const STORE_NAME = 'keyvalue';
+
+export class IndexedDBAdapter extends StorageAdapter {
+    // options: { databaseName, indexedDB, fallback }
+    constructor(options = {}) {
+        super('indexedDB');
+        this.databaseName = options.databaseName || DEFAULT_DATABASE;
+        this.indexedDB = options.indexedDB || globalThis.indexedDB;
+        this.fallback = options.fallback || null;
+        this.dbPromise = null;
+    }
+
+    static isAvailable(indexedDB = globalThis.indexedDB) {
+        return !!indexedDB && typeof indexedDB.open === 'function';
+    }
+
+    // Resolves to the database, or null when falling back
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.databaseName, 1);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error(`Database ${this.databaseName} is blocked`));
+            }).catch(error => {
+                if (!this.fallback) throw error;
+
+                console.warn(`IndexedDB unavailable, using ${this.fallback.name} storage:`, error);
+                return null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    // Run one request in its own transaction and resolve when the transaction commits
+    async run(mode, createRequest) {
+        const db = await this.open();
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = createRequest(transaction.objectStore(STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    async get(key) {
+        if (!(await this.open())) return this.fallback.get(key);
+
+        const value = await this.run('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async set(key, value) {
+        if (!(await this.open())) return this.fallback.set(key, value);
+
+        try {
+            await this.run('readwrite', store => store.put(String(value), key));
+        } catch (error) {
+            if (isQuotaExceededError(error)) {
+                throw new StorageQuotaError(key, error);
+            }
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        if (!(await this.open())) return this.fallback.remove(key);
+
+        await this.run('readwrite', store => store.delete(key));
+    }
+
+    async keys(prefix = '') {
+        if (!(await this.open())) return this.fallback.keys(prefix);
+
+        const keys = await this.run('readonly', store => store.getAllKeys());
+        return keys.map(String).filter(key => key.startsWith(prefix));
+    }
+}
@@ -0,0 +1,52 @@
+// js/storage/LocalStorageAdapter.js
+// window.localStorage behind the async StorageAdapter interface.
+import { StorageAdapter, StorageQuotaError, isQuotaExceededError } from './StorageAdapter.js';
+
+export class LocalStorageAdapter extends StorageAdapter {
+    constructor(localStorage = globalThis.localStorage) {
+        super('localStorage');
+        this.localStorage = localStorage;
+    }
+
+    // localStorage can exist and still throw on use (disabled cookies, some private modes)
+    static isAvailable(localStorage = globalThis.localStorage) {
+        try {
+            const testKey = '__storage_test__';
+            localStorage.setItem(testKey, testKey);
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async get(key) {
+        return this.localStorage.getItem(key);
+    }
+
+    async set(key, value) {
+        try {
+            this.localStorage.setItem(key, String(value));
+        } catch (error) {
+            if (isQuotaExceededError(error)) {
+                throw new StorageQuotaError(key, error);
+            }
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        this.localStorage.removeItem(key);
+    }
+
+    async keys(prefix = '') {
+        const keys = [];
+        for (let i = 0; i < this.localStorage.length; i++) {
+            const key = this.localStorage.key(i);
+            if (key !== null && key.startsWith(prefix)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+}
@@ -0,0 +1,45 @@
+// js/storage/MemoryStorageAdapter.js
+// Keeps everything in a Map for the lifetime of the page or process. Used
+// where no browser storage exists (server, headless runs) and for tests; the
+// optional quota makes it possible to exercise quota-exceeded handling.
+import { StorageAdapter, StorageQuotaError } from './StorageAdapter.js';
+
+export class MemoryStorageAdapter extends StorageAdapter {
+    // options: { quota } - max total characters of keys and values, Infinity by default
+    constructor(options = {}) {
+        super('memory');
+        this.data = new Map();
+        this.quota = options.quota !== undefined ? options.quota : Infinity;
+    }
+
+    async get(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    async set(key, value) {
+        const text = String(value);
+        const current = this.data.has(key) ? key.length + this.data.get(key).length : 0;
+
+        if (this.getUsedSize() - current + key.length + text.length > this.quota) {
+            throw new StorageQuotaError(key);
+        }
+
+        this.data.set(key, text);
+    }
+
+    async remove(key) {
+        this.data.delete(key);
+    }
+
+    async keys(prefix = '') {
+        return [...this.data.keys()].filter(key => key.startsWith(prefix));
+    }
+
+    getUsedSize() {
+        let size = 0;
+        for (const [key, value] of this.data) {
+            size += key.length + value.length;
+        }
+        return size;
+    }
+}
@@ -0,0 +1,31 @@
+// js/storage/Storage.js
+// Picks the storage backend: IndexedDB where the browser has it, then
+// localStorage, then memory (server, headless runs, storage disabled).
+// Systems use the shared `storage` unless they are handed their own adapter.
+import { IndexedDBAdapter } from './IndexedDBAdapter.js';
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+import { MemoryStorageAdapter } from './MemoryStorageAdapter.js';
+
+// type: 'auto' | 'indexedDB' | 'localStorage' | 'memory'
+export function createStorage(type = 'auto') {
+    switch (type) {
+        case 'indexedDB':
+            return new IndexedDBAdapter();
+        case 'localStorage':
+            return new LocalStorageAdapter();
+        case 'memory':
+            return new MemoryStorageAdapter();
+    }
+
+    const fallback = LocalStorageAdapter.isAvailable()
+        ? new LocalStorageAdapter()
+        : new MemoryStorageAdapter();
+
+    if (IndexedDBAdapter.isAvailable()) {
+        return new IndexedDBAdapter({ fallback });
+    }
+
+    return fallback;
+}
+
+export const storage = createStorage();
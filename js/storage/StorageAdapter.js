@@ -0,0 +1,54 @@
+// js/storage/StorageAdapter.js
+// Interface of the persistent key/value stores behind saves, accounts and
+// achievements. Values are strings (callers serialize their own data) and
+// every method is async, so IndexedDB, localStorage and memory backends are
+// interchangeable.
+
+// Thrown by set() when the backend is out of space
+export class StorageQuotaError extends Error {
+    constructor(key, cause = null) {
+        super(`Storage quota exceeded while writing "${key}"`);
+        this.name = 'StorageQuotaError';
+        this.key = key;
+        this.cause = cause;
+    }
+}
+
+// Browsers report a full store with different names and codes
+export function isQuotaExceededError(error) {
+    if (!error) return false;
+
+    return error instanceof StorageQuotaError ||
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014;
+}
+
+export class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Stored string, or null if the key doesn't exist
+    async get(key) {
+        throw new Error('get method must be implemented');
+    }
+
+    async set(key, value) {
+        throw new Error('set method must be implemented');
+    }
+
+    async remove(key) {
+        throw new Error('remove method must be implemented');
+    }
+
+    // All keys starting with the prefix
+    async keys(prefix = '') {
+        throw new Error('keys method must be implemented');
+    }
+
+    async has(key) {
+        return (await this.get(key)) !== null;
+    }
+}
@@ -1,9 +1,14 @@
 // AccountSystem.js - Account management and persistence
 import { Utils } from '../utils/Utils.js';
 import { gameEvents } from '../core/EventSystem.js';
+import { storage } from '../storage/Storage.js';
+import { isQuotaExceededError } from '../storage/StorageAdapter.js';
+
+const ACCOUNT_KEY = 'agarCloneAccount';
 
 export class AccountSystem {
-    constructor() {
+    constructor(storageAdapter = storage) {
+        this.storage = storageAdapter;
         this.currentAccount = null;
         this.accountStats = this.initializeStats();
         this.achievementSystem = new AchievementSystem();
@@ -11,7 +16,8 @@ export class AccountSystem {
         this.loginStreak = 0;
         this.lastLoginDate = null;
         
-        this.loadAccount();
+        // Resolves once the stored account (or a new default one) is in place
+        this.ready = this.loadAccount();
     }
 
     // Core account functions
@@ -30,9 +36,9 @@ export class AccountSystem {
         return accountData;
     }
 
-    loadAccount(accountId = null) {
+    async loadAccount(accountId = null) {
         try {
-            const accountData = this.retrieveAccountData(accountId);
+            const accountData = await this.retrieveAccountData(accountId);
             if (accountData && this.validateAccountData(accountData)) {
                 this.currentAccount = this.migrateOldSave(accountData);
                 this.setCurrentAccount();
@@ -78,6 +84,7 @@ export class AccountSystem {
             platinumCoins: 1, // Starting premium currency
             prestigeLevel: 0,
             prestigePoints: 0,
+            prestigeUpgrades: {}, // PrestigeSystem upgrade id -> level
             loginStreak: 1,
             
             // Statistics
@@ -167,28 +174,35 @@ export class AccountSystem {
         return 'acc_' + Utils.generateId() + '_' + Date.now();
     }
 
-    // Data persistence (in-memory for GitHub Pages)
-    saveAccountLocally() {
-        if (!this.currentAccount) return;
+    // Data persistence
+    async saveAccountLocally() {
+        if (!this.currentAccount) return false;
         
         const saveData = this.serializeAccountData();
         const compressedData = this.compressAccountData(saveData);
         
-        // In real implementation, would use localStorage
-        // localStorage.setItem('agarCloneAccount', compressedData);
         this.backupAccountData(compressedData);
-        this.writeToStorage(compressedData);
+        
+        try {
+            await this.writeToStorage(compressedData);
+        } catch (error) {
+            // The account stays in memory, progress is only lost if the page closes
+            if (isQuotaExceededError(error)) {
+                gameEvents.emit('storageQuotaExceeded', { system: 'account', key: ACCOUNT_KEY });
+            }
+            console.error('Failed to save account:', error);
+            return false;
+        }
         
         this.sessionData.lastSaveTime = Date.now();
         gameEvents.emit('accountSaved', { account: this.currentAccount });
+        return true;
     }
 
-    retrieveAccountData(accountId = null) {
-        // In real implementation, would retrieve from localStorage
-        // const saved = localStorage.getItem('agarCloneAccount');
-        
-        // For GitHub Pages, return stored data or null
-        return this.storedAccountData || null;
+    // Only one account is stored per browser, accountId is not used yet
+    async retrieveAccountData(accountId = null) {
+        const saved = await this.storage.get(ACCOUNT_KEY);
+        return saved ? JSON.parse(saved) : null;
     }
 
     serializeAccountData() {
@@ -212,8 +226,7 @@ export class AccountSystem {
     }
 
     writeToStorage(data) {
-        // Store in memory for GitHub Pages
-        this.storedAccountData = JSON.parse(data);
+        return this.storage.set(ACCOUNT_KEY, data);
     }
 
     // Account progression
@@ -426,6 +439,9 @@ export class AccountSystem {
             accountData.version = '1.0.0';
         }
         
+        // Accounts from before prestige upgrades were kept on the account
+        if (!accountData.prestigeUpgrades) accountData.prestigeUpgrades = {};
+        
         return accountData;
     }
 
@@ -1,13 +1,24 @@
 import { gameEvents } from '../core/EventSystem.js';
 import { Utils } from '../utils/Utils.js';
+import { storage } from '../storage/Storage.js';
+import { isQuotaExceededError } from '../storage/StorageAdapter.js';
+
+const PROGRESS_KEY_PREFIX = 'agario_achievements_';
 
 export class AchievementSystem {
-    constructor() {
+    constructor(storageAdapter = storage) {
         this.eventSystem = gameEvents;
+        this.storage = storageAdapter;
         this.achievements = this.initializeAchievements();
         this.playerAchievements = new Map(); // playerId -> Set of achieved IDs
         this.progressTracking = new Map(); // playerId -> progress data
         
+        // Progress is stored per account, player ids change every session.
+        // Only the player attached to the loaded profile is persisted.
+        this.profileId = null;
+        this.profileProgress = null;
+        this.profilePlayer = null;
+        
         this.setupEventListeners();
     }
     
@@ -588,19 +599,64 @@ export class AchievementSystem {
         return (unlockedAchievements / totalAchievements) * 100;
     }
     
-    savePlayerProgress(player) {
+    // Read the stored progress of an account, applied when its player joins
+    async loadProfile(profileId) {
+        this.profileId = profileId;
+        this.profileProgress = null;
+        
+        try {
+            const saved = await this.storage.get(this.getProgressKey(profileId));
+            if (!saved) return false;
+            
+            this.profileProgress = JSON.parse(saved);
+            return true;
+        } catch (error) {
+            console.warn('Failed to load achievement progress:', error);
+            return false;
+        }
+    }
+    
+    // The player playing for the loaded profile this session
+    attachPlayer(player) {
+        this.profilePlayer = player;
+        this.initializePlayer(player);
+        this.loadPlayerProgress(player, this.profileProgress);
+    }
+    
+    async savePlayerProgress(player) {
+        this.initializePlayer(player);
+        
         // Save achievement progress to storage
         const saveData = {
             achievements: Array.from(this.playerAchievements.get(player.id)),
             progress: this.progressTracking.get(player.id)
         };
         
-        // In a real implementation, this would save to localStorage or server
-        // For now, we'll emit an event for the save system to handle
         gameEvents.emit('saveAchievementProgress', {
             playerId: player.id,
             data: saveData
         });
+        
+        // Bots and remote players have no profile to save to
+        if (player !== this.profilePlayer || this.profileId === null) return false;
+        
+        this.profileProgress = saveData;
+        const key = this.getProgressKey(this.profileId);
+        
+        try {
+            await this.storage.set(key, JSON.stringify(saveData));
+            return true;
+        } catch (error) {
+            if (isQuotaExceededError(error)) {
+                gameEvents.emit('storageQuotaExceeded', { system: 'achievements', key });
+            }
+            console.error('Failed to save achievement progress:', error);
+            return false;
+        }
+    }
+    
+    getProgressKey(profileId) {
+        return `${PROGRESS_KEY_PREFIX}${profileId}`;
     }
     
     loadPlayerProgress(player, savedData) {
@@ -0,0 +1,231 @@
+// js/systems/BattleRoyaleSystem.js
+// Last-cell-standing mode. A circular safe zone shrinks in scheduled phases and
+// cells outside it lose mass every tick. Nobody respawns; eliminated players are
+// given a placement and the match ends when one player is left.
+import { Utils } from '../utils/Utils.js';
+import { CONFIG } from '../core/Config.js';
+import { gameEvents } from '../core/EventSystem.js';
+
+export class BattleRoyaleSystem {
+    // game provides worldBounds and getAllPlayers(). Events carry it as `game`,
+    // since replay and headless worlds share the event bus with the live game.
+    constructor(game, phases = CONFIG.BATTLE_ROYALE.PHASES) {
+        this.game = game;
+        this.phases = phases;
+
+        // Starting zone is the circle around the whole world
+        const bounds = game.worldBounds;
+        const width = bounds.right - bounds.left;
+        const height = bounds.bottom - bounds.top;
+        this.startRadius = Math.sqrt(width * width + height * height) / 2;
+
+        this.zone = { x: bounds.left + width / 2, y: bounds.top + height / 2, radius: this.startRadius };
+        this.shrinkFrom = { ...this.zone };
+        this.nextZone = this.pickNextZone(0);
+
+        // 'waiting' -> 'shrinking' per phase, 'closed' after the last one
+        this.phaseIndex = 0;
+        this.state = 'waiting';
+        this.stateTime = 0;
+        this.elapsed = 0;
+
+        // Player id -> { player, name, placement, eliminatedAt }
+        this.contestants = new Map();
+        this.eliminationOrder = [];
+        this.winner = null;
+        this.isFinished = false;
+    }
+
+    update(deltaTime) {
+        if (this.isFinished) return;
+
+        this.elapsed += deltaTime;
+        this.updateZone(deltaTime);
+        this.damageCellsOutsideZone(deltaTime);
+        this.updateContestants();
+    }
+
+    // Zone timeline
+    updateZone(deltaTime) {
+        if (this.state === 'closed') return;
+
+        this.stateTime += deltaTime;
+        const phase = this.phases[this.phaseIndex];
+
+        if (this.state === 'waiting') {
+            if (this.stateTime < phase.wait) return;
+
+            this.state = 'shrinking';
+            this.stateTime -= phase.wait;
+            this.shrinkFrom = { ...this.zone };
+            gameEvents.emit('battleRoyale.shrinking', { game: this.game, phase: this.phaseIndex, zone: this.nextZone });
+        }
+
+        const progress = phase.shrink > 0 ? Math.min(1, this.stateTime / phase.shrink) : 1;
+        this.zone.x = Utils.lerp(this.shrinkFrom.x, this.nextZone.x, progress);
+        this.zone.y = Utils.lerp(this.shrinkFrom.y, this.nextZone.y, progress);
+        this.zone.radius = Utils.lerp(this.shrinkFrom.radius, this.nextZone.radius, progress);
+
+        if (progress < 1) return;
+
+        // Phase done, schedule the next one
+        this.stateTime -= phase.shrink;
+        this.phaseIndex++;
+
+        if (this.phaseIndex >= this.phases.length) {
+            this.state = 'closed';
+            this.nextZone = null;
+        } else {
+            this.state = 'waiting';
+            this.nextZone = this.pickNextZone(this.phaseIndex);
+        }
+
+        gameEvents.emit('battleRoyale.phase', { game: this.game, phase: this.phaseIndex, zone: { ...this.zone } });
+    }
+
+    // Next zone lies inside the current one and inside the world
+    pickNextZone(phaseIndex) {
+        const radius = this.startRadius * this.phases[phaseIndex].radius;
+        const bounds = this.game.worldBounds;
+
+        const angle = Utils.random(0, Math.PI * 2);
+        const distance = Utils.random(0, Math.max(0, this.zone.radius - radius));
+        let x = this.zone.x + Math.cos(angle) * distance;
+        let y = this.zone.y + Math.sin(angle) * distance;
+
+        // Small enough zones are kept fully inside the world
+        if (radius * 2 <= bounds.right - bounds.left && radius * 2 <= bounds.bottom - bounds.top) {
+            x = Utils.clamp(x, bounds.left + radius, bounds.right - radius);
+            y = Utils.clamp(y, bounds.top + radius, bounds.bottom - radius);
+        }
+
+        return { x, y, radius };
+    }
+
+    isInsideZone(x, y) {
+        return Utils.pointInCircle(x, y, this.zone.x, this.zone.y, this.zone.radius);
+    }
+
+    damageCellsOutsideZone(deltaTime) {
+        const seconds = deltaTime / 1000;
+        const settings = CONFIG.BATTLE_ROYALE;
+
+        for (const player of this.game.getAllPlayers()) {
+            if (player.isAlive === false) continue;
+
+            for (const cell of player.cells) {
+                if (this.isInsideZone(cell.x, cell.y)) continue;
+
+                const damage = (cell.mass * settings.ZONE_DAMAGE + settings.MIN_ZONE_DAMAGE) * seconds;
+
+                // removeMass stops at the minimum cell mass, the zone finishes the cell off
+                if (cell.mass - damage <= CONFIG.PHYSICS.MIN_CELL_MASS) {
+                    cell.mass = 0;
+                    cell.isActive = false;
+                } else {
+                    cell.removeMass(damage);
+                }
+            }
+
+            player.cells = player.cells.filter(cell => cell.isActive && cell.mass > 0);
+            player.updateTotalMass();
+        }
+    }
+
+    // Track everyone who plays and hand out placements as they drop out
+    updateContestants() {
+        const players = this.game.getAllPlayers();
+        for (const player of players) {
+            if (!this.contestants.has(player.id) && player.isAlive !== false && player.cells.length > 0) {
+                this.contestants.set(player.id, { player, name: player.name, placement: null, eliminatedAt: null });
+            }
+        }
+
+        // Players that left the world (disconnects, removed bots) are out too
+        const present = new Set(players);
+
+        for (const contestant of this.contestants.values()) {
+            if (contestant.placement !== null) continue;
+
+            const { player } = contestant;
+            if (present.has(player) && player.isAlive !== false && player.cells.length > 0) continue;
+
+            // Still counted as alive here, so this is the number of players left including it
+            contestant.placement = this.getAliveCount();
+            contestant.eliminatedAt = this.elapsed;
+            this.eliminationOrder.push(contestant);
+            gameEvents.emit('battleRoyale.eliminated', { game: this.game, player, placement: contestant.placement });
+        }
+
+        if (this.contestants.size >= 2 && this.getAliveCount() <= 1) {
+            this.finish();
+        }
+    }
+
+    finish() {
+        // If the last players went out on the same tick, the last one to drop wins
+        const contestants = [...this.contestants.values()];
+        const survivor = contestants.find(contestant => contestant.placement === null) ||
+            contestants.find(contestant => contestant.placement === 1);
+        if (survivor) {
+            survivor.placement = 1;
+            this.winner = survivor.player;
+        }
+
+        this.isFinished = true;
+        gameEvents.emit('battleRoyale.finished', { game: this.game, winner: this.winner, placements: this.getPlacements() });
+    }
+
+    getAliveCount() {
+        let alive = 0;
+        for (const contestant of this.contestants.values()) {
+            if (contestant.placement === null) alive++;
+        }
+        return alive;
+    }
+
+    getPlacement(player) {
+        const contestant = this.contestants.get(player.id);
+        return contestant ? contestant.placement : null;
+    }
+
+    // Everyone with a placement, best first
+    getPlacements() {
+        return [...this.contestants.values()]
+            .filter(contestant => contestant.placement !== null)
+            .sort((a, b) => a.placement - b.placement)
+            .map(({ player, name, placement, eliminatedAt }) => ({
+                id: player.id,
+                name,
+                placement,
+                survived: eliminatedAt !== null ? eliminatedAt : this.elapsed
+            }));
+    }
+
+    // Food stops coming back after the cutoff phase
+    allowsFoodRespawn() {
+        return this.phaseIndex < CONFIG.BATTLE_ROYALE.FOOD_CUTOFF_PHASE;
+    }
+
+    // Milliseconds until the zone starts or stops shrinking
+    getTimeUntilChange() {
+        if (this.state === 'closed') return 0;
+
+        const phase = this.phases[this.phaseIndex];
+        const duration = this.state === 'waiting' ? phase.wait : phase.shrink;
+        return Math.max(0, duration - this.stateTime);
+    }
+
+    // Everything the renderer and HUD need
+    getZoneState() {
+        return {
+            zone: this.zone,
+            nextZone: this.nextZone,
+            state: this.state,
+            phase: this.phaseIndex,
+            phaseCount: this.phases.length,
+            timeUntilChange: this.getTimeUntilChange(),
+            alive: this.getAliveCount()
+        };
+    }
+}
@@ -0,0 +1,277 @@
+// js/systems/CustomGameSettings.js
+// Settings for custom games: world size, food amount and type mix, bot count,
+// difficulty mix and which difficulties hunt in packs, physics constants and
+// which powerups are allowed.
+// Settings are applied by writing CONFIG before the world is built, and can be
+// saved as named presets or shared as JSON or a URL hash (#custom=...).
+import { CONFIG } from '../core/Config.js';
+import { Utils } from '../utils/Utils.js';
+import { FOOD_SPAWN_WEIGHTS } from '../entities/Food.js';
+import { storage } from '../storage/Storage.js';
+
+export const CUSTOM_GAME_VERSION = 1;
+
+const STORAGE_KEY = 'customGamePresets';
+const HASH_KEY = 'custom';
+
+// CONFIG as it was before any custom game touched it
+const DEFAULT_CONFIG = Utils.deepClone(CONFIG);
+
+// Range of every numeric setting, also used for the lobby sliders
+export const CUSTOM_GAME_LIMITS = {
+    worldSize: { min: 1000, max: 12000, step: 500 },
+    foodCount: { min: 0, max: 5000, step: 50 },
+    foodWeight: { min: 0, max: 100, step: 1 },
+    botCount: { min: 0, max: 100, step: 1 },
+    difficultyWeight: { min: 0, max: 100, step: 5 },
+    recombineTime: { min: 1000, max: 60000, step: 500 },
+    maxCells: { min: 1, max: 64, step: 1 },
+    minSplitMass: { min: 10, max: 200, step: 5 },
+    friction: { min: 0.8, max: 1, step: 0.01 }
+};
+
+export const BOT_DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
+export const POWERUP_IDS = ['recombine', 'speedBoost', 'massShield', 'splitBoost', 'magnetism'];
+
+// Map pickup type -> powerup it grants (mass pickups are always allowed)
+export const PICKUP_POWERUPS = {
+    speed: 'speedBoost',
+    shield: 'massShield',
+    recombine: 'recombine'
+};
+
+export class CustomGameSettings {
+    // Settings matching the stock game
+    static createDefault(name = 'Custom Game') {
+        return {
+            version: CUSTOM_GAME_VERSION,
+            name,
+            world: {
+                width: DEFAULT_CONFIG.WORLD_WIDTH,
+                height: DEFAULT_CONFIG.WORLD_HEIGHT
+            },
+            food: {
+                count: DEFAULT_CONFIG.FOOD.COUNT,
+                weights: { ...FOOD_SPAWN_WEIGHTS }
+            },
+            bots: {
+                count: DEFAULT_CONFIG.BOTS.COUNT,
+                difficulty: { easy: 40, medium: 40, hard: 20, expert: 0 },
+                packs: { ...DEFAULT_CONFIG.BOTS.PACKS.DIFFICULTIES }
+            },
+            physics: {
+                recombineTime: DEFAULT_CONFIG.PHYSICS.RECOMBINE_TIME,
+                maxCells: DEFAULT_CONFIG.PHYSICS.MAX_CELLS,
+                minSplitMass: DEFAULT_CONFIG.PHYSICS.MIN_SPLIT_MASS,
+                friction: DEFAULT_CONFIG.PHYSICS.FRICTION
+            },
+            powerups: Object.fromEntries(POWERUP_IDS.map(id => [id, true]))
+        };
+    }
+
+    // Fill in missing values and clamp everything into range. Unknown keys are dropped.
+    static validate(settings) {
+        if (!settings || typeof settings !== 'object') {
+            throw new Error('Custom game settings must be an object');
+        }
+
+        const defaults = CustomGameSettings.createDefault();
+        const world = settings.world || {};
+        const food = settings.food || {};
+        const bots = settings.bots || {};
+        const physics = settings.physics || {};
+        const powerups = settings.powerups || {};
+
+        const number = (value, limits, fallback, integer = true) => {
+            const parsed = Number(value);
+            if (!Number.isFinite(parsed)) return fallback;
+            return Utils.clamp(integer ? Math.round(parsed) : parsed, limits.min, limits.max);
+        };
+
+        const weights = {};
+        for (const type of Object.keys(FOOD_SPAWN_WEIGHTS)) {
+            const fallback = food.weights ? 0 : defaults.food.weights[type];
+            weights[type] = number(food.weights?.[type], CUSTOM_GAME_LIMITS.foodWeight, fallback);
+        }
+        if (Object.values(weights).every(weight => weight === 0)) {
+            weights.normal = 1;
+        }
+
+        const difficulty = {};
+        for (const level of BOT_DIFFICULTIES) {
+            const fallback = bots.difficulty ? 0 : defaults.bots.difficulty[level];
+            difficulty[level] = number(bots.difficulty?.[level], CUSTOM_GAME_LIMITS.difficultyWeight, fallback);
+        }
+        if (Object.values(difficulty).every(weight => weight === 0)) {
+            difficulty.medium = 1;
+        }
+
+        const packs = {};
+        for (const level of BOT_DIFFICULTIES) {
+            const value = bots.packs?.[level];
+            packs[level] = typeof value === 'boolean' ? value : defaults.bots.packs[level];
+        }
+
+        return {
+            version: CUSTOM_GAME_VERSION,
+            name: String(settings.name || defaults.name).slice(0, 40),
+            world: {
+                width: number(world.width, CUSTOM_GAME_LIMITS.worldSize, defaults.world.width),
+                height: number(world.height, CUSTOM_GAME_LIMITS.worldSize, defaults.world.height)
+            },
+            food: {
+                count: number(food.count, CUSTOM_GAME_LIMITS.foodCount, defaults.food.count),
+                weights
+            },
+            bots: {
+                count: number(bots.count, CUSTOM_GAME_LIMITS.botCount, defaults.bots.count),
+                difficulty,
+                packs
+            },
+            physics: {
+                recombineTime: number(physics.recombineTime, CUSTOM_GAME_LIMITS.recombineTime, defaults.physics.recombineTime),
+                maxCells: number(physics.maxCells, CUSTOM_GAME_LIMITS.maxCells, defaults.physics.maxCells),
+                minSplitMass: number(physics.minSplitMass, CUSTOM_GAME_LIMITS.minSplitMass, defaults.physics.minSplitMass),
+                friction: number(physics.friction, CUSTOM_GAME_LIMITS.friction, defaults.physics.friction, false)
+            },
+            powerups: Object.fromEntries(POWERUP_IDS.map(id => [id, powerups[id] !== false]))
+        };
+    }
+
+    // The CONFIG values a custom game changes
+    static toConfig(settings) {
+        const valid = CustomGameSettings.validate(settings);
+
+        return {
+            WORLD_WIDTH: valid.world.width,
+            WORLD_HEIGHT: valid.world.height,
+            WORLD: { WIDTH: valid.world.width, HEIGHT: valid.world.height },
+            FOOD: { COUNT: valid.food.count, TYPE_WEIGHTS: { ...valid.food.weights } },
+            BOTS: { COUNT: valid.bots.count },
+            PHYSICS: {
+                RECOMBINE_TIME: valid.physics.recombineTime,
+                MAX_CELLS: valid.physics.maxCells,
+                MIN_SPLIT_MASS: valid.physics.minSplitMass,
+                FRICTION: valid.physics.friction
+            },
+            POWERUPS: { DISABLED: POWERUP_IDS.filter(id => !valid.powerups[id]) }
+        };
+    }
+
+    // Write the settings into CONFIG. Systems read CONFIG when they are
+    // constructed, so the world has to be rebuilt afterwards.
+    static apply(settings) {
+        writeConfig(CustomGameSettings.toConfig(settings));
+    }
+
+    // Undo apply()
+    static reset() {
+        writeConfig({
+            WORLD_WIDTH: DEFAULT_CONFIG.WORLD_WIDTH,
+            WORLD_HEIGHT: DEFAULT_CONFIG.WORLD_HEIGHT,
+            WORLD: { ...DEFAULT_CONFIG.WORLD },
+            FOOD: { COUNT: DEFAULT_CONFIG.FOOD.COUNT, TYPE_WEIGHTS: DEFAULT_CONFIG.FOOD.TYPE_WEIGHTS },
+            BOTS: { COUNT: DEFAULT_CONFIG.BOTS.COUNT },
+            PHYSICS: {
+                RECOMBINE_TIME: DEFAULT_CONFIG.PHYSICS.RECOMBINE_TIME,
+                MAX_CELLS: DEFAULT_CONFIG.PHYSICS.MAX_CELLS,
+                MIN_SPLIT_MASS: DEFAULT_CONFIG.PHYSICS.MIN_SPLIT_MASS,
+                FRICTION: DEFAULT_CONFIG.PHYSICS.FRICTION
+            },
+            POWERUPS: { DISABLED: [...DEFAULT_CONFIG.POWERUPS.DISABLED] }
+        });
+    }
+
+    // Sharing
+
+    static toJSON(settings) {
+        return JSON.stringify(CustomGameSettings.validate(settings), null, 2);
+    }
+
+    static fromJSON(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Custom game preset is not valid JSON: ${error.message}`);
+        }
+        return CustomGameSettings.validate(parsed);
+    }
+
+    // '#custom=<base64 JSON>'
+    static toUrlHash(settings) {
+        const json = JSON.stringify(CustomGameSettings.validate(settings));
+        return `#${HASH_KEY}=${encodeURIComponent(encodeBase64(json))}`;
+    }
+
+    // Settings from a URL hash, or null if it doesn't carry any
+    static fromUrlHash(hash) {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        const encoded = params.get(HASH_KEY);
+        if (!encoded) return null;
+
+        try {
+            return CustomGameSettings.fromJSON(decodeBase64(encoded));
+        } catch (error) {
+            console.warn('Ignoring invalid custom game link:', error.message);
+            return null;
+        }
+    }
+
+    // Saved presets, in the shared storage layer unless given another adapter
+
+    static async loadPresets(storageAdapter = storage) {
+        try {
+            const presets = JSON.parse((await storageAdapter.get(STORAGE_KEY)) || '[]');
+            return Array.isArray(presets) ? presets.map(preset => CustomGameSettings.validate(preset)) : [];
+        } catch (error) {
+            console.warn('Failed to load custom game presets:', error);
+            return [];
+        }
+    }
+
+    // Saves under the settings' name, replacing a preset with the same name.
+    // Rejects with a StorageQuotaError when storage is full.
+    static async savePreset(settings, storageAdapter = storage) {
+        const preset = CustomGameSettings.validate(settings);
+        const presets = (await CustomGameSettings.loadPresets(storageAdapter)).filter(existing => existing.name !== preset.name);
+        presets.push(preset);
+        await storageAdapter.set(STORAGE_KEY, JSON.stringify(presets));
+        return preset;
+    }
+
+    // Remaining presets
+    static async deletePreset(name, storageAdapter = storage) {
+        const presets = (await CustomGameSettings.loadPresets(storageAdapter)).filter(preset => preset.name !== name);
+        await storageAdapter.set(STORAGE_KEY, JSON.stringify(presets));
+        return presets;
+    }
+}
+
+// Overwrite CONFIG sections in place, modules hold references to them
+function writeConfig(values) {
+    for (const [key, value] of Object.entries(values)) {
+        if (value && typeof value === 'object' && !Array.isArray(value) && CONFIG[key]) {
+            Object.assign(CONFIG[key], value);
+        } else {
+            CONFIG[key] = value;
+        }
+    }
+}
+
+// UTF-8 safe base64, preset names can contain any character
+function encodeBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+function decodeBase64(encoded) {
+    const binary = atob(encoded);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
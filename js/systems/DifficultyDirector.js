@@ -0,0 +1,225 @@
+// js/systems/DifficultyDirector.js
+// Keeps single player matches challenging without being hopeless. The director
+// samples how the player is doing (mass growth rate, leaderboard rank, survival
+// time, deaths) and turns that into a performance score. When the score leaves
+// the target band it raises or lowers a challenge level, which sets the bot
+// difficulty mix, where new bots spawn, how much food there is and how often
+// powerups appear. Every decision is logged for the debug panel.
+import { CONFIG } from '../core/Config.js';
+import { gameEvents } from '../core/EventSystem.js';
+import { Utils } from '../utils/Utils.js';
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard', 'expert'];
+
+export class DifficultyDirector {
+    // game provides player, botManager and getAllPlayers()
+    constructor(game, settings = CONFIG.DIRECTOR) {
+        this.game = game;
+        this.settings = settings;
+        this.enabled = settings.ENABLED;
+
+        // 0 = easiest settings, 1 = hardest
+        this.challenge = settings.START_CHALLENGE;
+        this.performance = 0.5;
+
+        // Knobs the game reads, set from the challenge
+        this.foodDensity = 1;
+        this.powerupRate = 1;
+        this.difficultyMix = { ...settings.EASY.difficulty };
+
+        // Deaths this session and how long each life lasted
+        this.deaths = 0;
+        this.lifeTimes = [];
+
+        this.player = null;
+        this.matchTime = 0;
+        this.lifeStart = 0;
+        this.samples = [];
+        this.metrics = { growthRate: 0, rank: 0, playerCount: 0, survivalTime: 0, deaths: 0 };
+
+        this.sampleTimer = 0;
+        this.evaluateTimer = 0;
+        this.history = [];
+    }
+
+    // A new match (or life) for the player begins
+    startMatch(player) {
+        this.player = player;
+        this.lifeStart = this.matchTime;
+        this.samples = [];
+        this.sampleTimer = 0;
+        this.evaluateTimer = 0;
+
+        this.applyChallenge('match start');
+    }
+
+    // The player was eaten - ease off right away instead of waiting for the metrics
+    onPlayerDeath() {
+        if (!this.player) return;
+
+        this.deaths++;
+        this.lifeTimes.push(this.matchTime - this.lifeStart);
+        this.player = null;
+        this.setChallenge(this.challenge - this.settings.DEATH_STEP, 'player died');
+    }
+
+    update(deltaTime) {
+        if (!this.enabled || !this.player) return;
+
+        this.matchTime += deltaTime;
+        this.sampleTimer += deltaTime;
+        this.evaluateTimer += deltaTime;
+
+        if (this.sampleTimer >= this.settings.SAMPLE_INTERVAL) {
+            this.sampleTimer = 0;
+            this.sample();
+        }
+
+        if (this.evaluateTimer >= this.settings.EVALUATE_INTERVAL) {
+            this.evaluateTimer = 0;
+            this.evaluate();
+        }
+    }
+
+    // Player metrics
+
+    sample() {
+        this.samples.push({ time: this.matchTime, mass: this.player.totalMass });
+
+        // Keep just enough samples to cover the growth window
+        while (this.samples.length > 2 && this.matchTime - this.samples[1].time >= this.settings.GROWTH_WINDOW) {
+            this.samples.shift();
+        }
+
+        const players = this.game.getAllPlayers();
+        const first = this.samples[0];
+        const elapsed = this.matchTime - first.time;
+
+        this.metrics = {
+            // Mass per minute over the window
+            growthRate: elapsed > 0 ? (this.player.totalMass - first.mass) / elapsed * 60000 : 0,
+            rank: players.indexOf(this.player) + 1,
+            playerCount: players.length,
+            survivalTime: this.matchTime - this.lifeStart,
+            deaths: this.deaths
+        };
+    }
+
+    // 0 = struggling, 1 = dominating. Deaths drag the survival part down.
+    calculatePerformance() {
+        const { WEIGHTS, TARGET_GROWTH, TARGET_SURVIVAL } = this.settings;
+        const { growthRate, rank, playerCount, survivalTime } = this.metrics;
+
+        const growth = Utils.clamp(growthRate / TARGET_GROWTH, 0, 2) / 2;
+        const standing = playerCount > 1 && rank > 0 ? 1 - (rank - 1) / (playerCount - 1) : 0.5;
+        const survival = Utils.clamp(survivalTime / TARGET_SURVIVAL, 0, 1) / (1 + this.deaths * 0.5);
+
+        const total = WEIGHTS.growth + WEIGHTS.rank + WEIGHTS.survival;
+        return (growth * WEIGHTS.growth + standing * WEIGHTS.rank + survival * WEIGHTS.survival) / total;
+    }
+
+    evaluate() {
+        const { TARGET_BAND, STEP } = this.settings;
+        this.performance = this.calculatePerformance();
+
+        if (this.performance > TARGET_BAND.max) {
+            this.setChallenge(this.challenge + STEP, 'player ahead of target');
+        } else if (this.performance < TARGET_BAND.min) {
+            this.setChallenge(this.challenge - STEP, 'player behind target');
+        }
+    }
+
+    // Adjustments
+
+    setChallenge(challenge, reason) {
+        const previous = this.challenge;
+        this.challenge = Utils.clamp(challenge, 0, 1);
+        if (this.challenge === previous) return;
+
+        this.applyChallenge(reason);
+        this.retuneBots(Math.sign(this.challenge - previous));
+    }
+
+    // Push the knobs for the current challenge into the game
+    applyChallenge(reason) {
+        const { EASY, HARD, NEAR_SPAWN_RADIUS } = this.settings;
+        const t = this.challenge;
+
+        this.difficultyMix = {};
+        for (const level of DIFFICULTY_LEVELS) {
+            this.difficultyMix[level] = Utils.lerp(EASY.difficulty[level], HARD.difficulty[level], t);
+        }
+        this.foodDensity = Utils.lerp(EASY.foodDensity, HARD.foodDensity, t);
+        this.powerupRate = Utils.lerp(EASY.powerupRate, HARD.powerupRate, t);
+
+        const botManager = this.game.botManager;
+        if (botManager) {
+            const { easy, medium, hard, expert } = this.difficultyMix;
+            botManager.setDifficultyDistribution(easy, medium, hard, expert);
+
+            Object.assign(botManager.spawnRules, {
+                focus: this.player,
+                focusDistance: Utils.lerp(EASY.spawnDistance, HARD.spawnDistance, t),
+                focusShare: Utils.lerp(EASY.spawnNearPlayer, HARD.spawnNearPlayer, t),
+                focusRadius: NEAR_SPAWN_RADIUS
+            });
+        }
+
+        this.log(reason);
+    }
+
+    // Nudge bots already in the match one difficulty level up (or down),
+    // starting with the ones closest to the player
+    retuneBots(direction) {
+        const botManager = this.game.botManager;
+        if (!botManager || !this.player || direction === 0) return;
+
+        const player = this.player;
+        const candidates = botManager.bots
+            .filter(bot => bot.isAlive && !bot.isCompanion)
+            .filter(bot => {
+                const level = DIFFICULTY_LEVELS.indexOf(bot.difficulty) + direction;
+                return level >= 0 && level < DIFFICULTY_LEVELS.length;
+            })
+            .sort((a, b) => Utils.distance(a.x, a.y, player.x, player.y) - Utils.distance(b.x, b.y, player.x, player.y));
+
+        for (const bot of candidates.slice(0, this.settings.RETUNE_BOTS)) {
+            const level = DIFFICULTY_LEVELS[DIFFICULTY_LEVELS.indexOf(bot.difficulty) + direction];
+            botManager.changeBotDifficulty(bot, level);
+        }
+    }
+
+    log(reason) {
+        const entry = {
+            time: this.matchTime,
+            reason,
+            challenge: this.challenge,
+            performance: this.performance,
+            metrics: { ...this.metrics }
+        };
+
+        this.history.unshift(entry);
+        this.history.length = Math.min(this.history.length, this.settings.HISTORY);
+
+        gameEvents.emit('director.decision', entry);
+    }
+
+    getState() {
+        return {
+            enabled: this.enabled,
+            challenge: this.challenge,
+            performance: this.performance,
+            targetBand: { ...this.settings.TARGET_BAND },
+            metrics: { ...this.metrics },
+            lifeTimes: this.lifeTimes.slice(),
+            knobs: {
+                difficultyMix: { ...this.difficultyMix },
+                foodDensity: this.foodDensity,
+                powerupRate: this.powerupRate,
+                spawnDistance: this.game.botManager ? this.game.botManager.spawnRules.focusDistance : null,
+                spawnNearPlayer: this.game.botManager ? this.game.botManager.spawnRules.focusShare : null
+            },
+            history: this.history.slice()
+        };
+    }
+}
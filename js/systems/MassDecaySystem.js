@@ -0,0 +1,88 @@
+// js/systems/MassDecaySystem.js
+// Large cells shrink a little every tick, so one runaway player can't hold the
+// top of a long session forever. Only mass above CONFIG.PHYSICS.MASS_DECAY.THRESHOLD
+// decays, along a linear or exponential curve. A mass shield pauses decay and the
+// Mass Retention prestige upgrade slows it.
+import { CONFIG } from '../core/Config.js';
+
+export class MassDecaySystem {
+    // game provides getAllPlayers(), optionally powerupSystem, prestigeSystem and
+    // getPrestigeProfile(player) for where a player's prestige upgrades are kept
+    constructor(game) {
+        this.game = game;
+    }
+
+    update(deltaTime) {
+        for (const player of this.game.getAllPlayers()) {
+            if (player.isAlive === false) continue;
+
+            const multiplier = this.getDecayMultiplier(player);
+            if (multiplier <= 0) continue;
+
+            let decayed = false;
+            for (const cell of player.cells) {
+                const loss = MassDecaySystem.calculateLoss(cell.mass, deltaTime) * multiplier;
+                if (loss > 0) {
+                    cell.removeMass(loss);
+                    decayed = true;
+                }
+            }
+
+            if (decayed) {
+                player.updateTotalMass();
+            }
+        }
+    }
+
+    // 1 for full decay, 0 while paused
+    getDecayMultiplier(player) {
+        let multiplier = 1;
+
+        const powerupSystem = this.game.powerupSystem;
+        if (powerupSystem) {
+            multiplier *= powerupSystem.getDecayMultiplier(player);
+        }
+
+        // Bots and network players have no prestige upgrades
+        const prestigeSystem = this.game.prestigeSystem;
+        const profile = this.getPrestigeProfile(player);
+        if (prestigeSystem && profile && profile.prestigeUpgrades) {
+            multiplier *= 1 - prestigeSystem.getUpgradeBonus(profile, 'massRetention');
+        }
+
+        return Math.max(0, multiplier);
+    }
+
+    // The live game keeps upgrades on the signed in account, the headless World
+    // on the player itself
+    getPrestigeProfile(player) {
+        return this.game.getPrestigeProfile ? this.game.getPrestigeProfile(player) : player;
+    }
+
+    // Mass the player will lose over the next second at its current size, for the HUD
+    getDecayRate(player) {
+        const multiplier = this.getDecayMultiplier(player);
+        if (multiplier <= 0) return 0;
+
+        return player.cells.reduce((sum, cell) =>
+            sum + MassDecaySystem.calculateLoss(cell.mass, 1000) * multiplier, 0);
+    }
+
+    // Mass a cell of this size loses over deltaTime milliseconds. Never takes
+    // the cell below the threshold, and the exponential curve gives the same
+    // result whether the time passes in one tick or many.
+    static calculateLoss(mass, deltaTime, settings = CONFIG.PHYSICS.MASS_DECAY) {
+        const excess = mass - settings.THRESHOLD;
+        if (excess <= 0 || deltaTime <= 0) return 0;
+
+        const seconds = deltaTime / 1000;
+        switch (settings.CURVE) {
+            case 'linear':
+                return Math.min(excess, settings.LINEAR_RATE * seconds);
+            case 'exponential':
+                return excess * (1 - Math.exp(-settings.EXPONENTIAL_RATE * seconds));
+            default:
+                return 0;
+        }
+    }
+}
@@ -2,6 +2,7 @@
 import { Utils } from '../utils/Utils.js';
 import { CONFIG } from '../core/Config.js';
 import { gameEvents } from '../core/EventSystem.js';
+import { simulation } from '../core/Simulation.js';
 
 export class PowerupSystem {
     constructor(game) {
@@ -100,9 +101,12 @@ export class PowerupSystem {
         const powerup = this.powerups[powerupId];
         if (!powerup) return false;
         
+        // Turned off for this game
+        if (CONFIG.POWERUPS.DISABLED.includes(powerupId)) return false;
+        
         // Check cooldown
         const cooldownEnd = this.powerupCooldowns.get(powerupId) || 0;
-        if (Date.now() < cooldownEnd) return false;
+        if (simulation.now() < cooldownEnd) return false;
         
         // Check if player can afford it
         if (powerup.currency === 'coins' && player.coins < powerup.cost) return false;
@@ -135,7 +139,7 @@ export class PowerupSystem {
         }
         
         // Set cooldown
-        this.powerupCooldowns.set(powerupId, Date.now() + powerup.cooldown);
+        this.powerupCooldowns.set(powerupId, simulation.now() + powerup.cooldown);
         
         // Execute powerup effect
         const success = this.executePowerup(player, powerupId, mouseX, mouseY);
@@ -158,7 +162,7 @@ export class PowerupSystem {
     // CORE METHOD: Get cooldown remaining (called by UIManager)
     getCooldownRemaining(powerupId) {
         const cooldownEnd = this.powerupCooldowns.get(powerupId) || 0;
-        const remaining = Math.max(0, cooldownEnd - Date.now());
+        const remaining = Math.max(0, cooldownEnd - simulation.now());
         return remaining;
     }
     
@@ -289,7 +293,7 @@ export class PowerupSystem {
         }
         
         // Reset recombine timer
-        player.recombineTime = Date.now() + (CONFIG.physics?.recombineDelay || 15000);
+        player.recombineTime = simulation.now() + (CONFIG.physics?.recombineDelay || 15000);
         
         // Create merge effect
         this.createMergeEffect(mainCell, cellsToMerge);
@@ -303,7 +307,7 @@ export class PowerupSystem {
         this.activePowerups.set(powerupId, {
             type: 'speedBoost',
             player: player,
-            startTime: Date.now(),
+            startTime: simulation.now(),
             duration: duration,
             multiplier: 1.5
         });
@@ -319,7 +323,7 @@ export class PowerupSystem {
         this.activePowerups.set(powerupId, {
             type: 'massShield',
             player: player,
-            startTime: Date.now(),
+            startTime: simulation.now(),
             duration: duration,
             protection: 0.5 // 50% damage reduction
         });
@@ -335,7 +339,7 @@ export class PowerupSystem {
         this.activePowerups.set(powerupId, {
             type: 'splitBoost',
             player: player,
-            startTime: Date.now(),
+            startTime: simulation.now(),
             duration: duration,
             multiplier: 2.0 // 100% increase
         });
@@ -351,7 +355,7 @@ export class PowerupSystem {
         this.activePowerups.set(powerupId, {
             type: 'magnetism',
             player: player,
-            startTime: Date.now(),
+            startTime: simulation.now(),
             duration: duration,
             radius: 100,
             force: 5.0
@@ -392,7 +396,7 @@ export class PowerupSystem {
                 // Speed boost is passive - checked by movement system
                 break;
             case 'massShield':
-                // Mass shield is passive - checked during damage calculation
+                // Mass shield is passive - checked during damage calculation and mass decay
                 break;
             case 'splitBoost':
                 // Split boost is passive - checked during splitting
@@ -405,12 +409,12 @@ export class PowerupSystem {
         const magnetRadius = powerup.radius;
         const magnetForce = powerup.force;
         
-        // Only process if game has quadTree
-        if (!this.game.quadTree) return;
+        // Only process if game has a broadphase
+        if (!this.game.broadphase) return;
         
         // Find nearby food for each player cell
         for (const cell of player.cells) {
-            const nearbyFood = this.game.quadTree.queryRange(
+            const nearbyFood = this.game.broadphase.queryRange(
                 cell.x - magnetRadius,
                 cell.y - magnetRadius,
                 cell.x + magnetRadius,
@@ -506,7 +510,7 @@ export class PowerupSystem {
             if (powerup.player === player) {
                 activePowerups.push({
                     type: powerup.type,
-                    timeRemaining: powerup.duration - (Date.now() - powerup.startTime)
+                    timeRemaining: powerup.duration - (simulation.now() - powerup.startTime)
                 });
             }
         }
@@ -565,6 +569,11 @@ export class PowerupSystem {
         return this.getPowerupProtection(player, 'massShield');
     }
     
+    // Method to get decay multiplier for mass decay system - a mass shield pauses decay
+    getDecayMultiplier(player) {
+        return this.hasActivePowerup(player, 'massShield') ? 0 : 1;
+    }
+    
     // Cleanup method
     cleanup() {
         this.activePowerups.clear();
@@ -35,6 +35,12 @@ export class PrestigeSystem {
                 baseCost: 200,
                 maxLevel: 3,
                 description: 'Start each game with +10 mass per level'
+            },
+            massRetention: {
+                name: 'Mass Retention',
+                baseCost: 150,
+                maxLevel: 5,
+                description: 'Large cells decay 10% slower per level'
             }
         };
         
@@ -175,6 +181,8 @@ export class PrestigeSystem {
                 return level * 0.03; // +3% per level
             case 'startingMass':
                 return level * 10; // +10 mass per level
+            case 'massRetention':
+                return level * 0.1; // -10% mass decay per level
             default:
                 return 0;
         }
@@ -1,15 +1,35 @@
 // js/systems/SaveSystem.js
 import { CONFIG } from '../core/Config.js';
-import { EventSystem } from '../core/EventSystem.js';
+import { gameEvents } from '../core/EventSystem.js';
 import { Utils } from '../utils/Utils.js';
+import { Compression } from '../utils/Compression.js';
+import { Hash } from '../utils/Hash.js';
+import { ReplayRecorder } from '../replay/ReplayRecorder.js';
+import { storage } from '../storage/Storage.js';
+import { isQuotaExceededError } from '../storage/StorageAdapter.js';
+
+const SAVE_KEY_PREFIX = 'agario_save_';
+
+// Serialized saves start with their format, anything else is legacy plain JSON
+const FORMAT_COMPRESSED = 'LZ1|';
+const FORMAT_JSON = 'JS1|';
 
 export class SaveSystem {
-    constructor() {
-        this.currentSave = null;
+    constructor(storageAdapter = storage) {
+        this.storage = storageAdapter;
+        this.currentSave = null; // Last save written this session
         this.autoSaveInterval = CONFIG.SAVE.AUTO_SAVE_INTERVAL;
         this.autoSaveTimer = null;
-        this.saveVersion = '1.0.0';
-        this.compressionEnabled = true;
+        this.saveVersion = CONFIG.SAVE.SAVE_VERSION;
+        this.compressionEnabled = CONFIG.SAVE.COMPRESSION_ENABLED;
+        this.signingKey = CONFIG.SAVE.SIGNING_KEY;
+        
+        // One step per SAVE_VERSION bump, oldest first. Each upgrades a save
+        // from `from` to `to`; loading runs every step the save hasn't had yet.
+        this.migrations = [
+            { from: '0.0.0', to: '1.0.0', migrate: (saveData) => this.migrateToV1(saveData) },
+            { from: '1.0.0', to: '1.1.0', migrate: (saveData) => this.migrateToV1_1(saveData) }
+        ];
         
         this.initializeAutoSave();
     }
@@ -30,11 +50,11 @@ export class SaveSystem {
             gameState: this.serializeGameState(gameState),
             statistics: this.serializeStatistics(player),
             settings: this.serializeSettings(player),
-            checksum: null
+            signature: null
         };
         
-        // Add checksum for integrity verification
-        saveData.checksum = this.calculateChecksum(saveData);
+        // Sign for tamper detection
+        saveData.signature = this.calculateSignature(saveData);
         
         return saveData;
     }
@@ -120,18 +140,21 @@ export class SaveSystem {
         };
     }
     
-    save(player, gameState = {}, saveSlot = 'default') {
+    getSaveKey(saveSlot) {
+        return `${SAVE_KEY_PREFIX}${saveSlot}`;
+    }
+    
+    async save(player, gameState = {}, saveSlot = 'default') {
         try {
             const saveData = this.createSaveData(player, gameState);
             const serializedData = this.serializeData(saveData);
             
-            // For GitHub Pages deployment, store in memory
+            // Kept in memory as well, so the session still has it if the write fails
             this.currentSave = serializedData;
             
-            // In a real implementation, would save to localStorage:
-            // localStorage.setItem(`agario_save_${saveSlot}`, serializedData);
+            await this.storage.set(this.getSaveKey(saveSlot), serializedData);
             
-            EventSystem.emit('gameSaved', { 
+            gameEvents.emit('gameSaved', { 
                 saveSlot, 
                 timestamp: saveData.timestamp,
                 player: player.name
@@ -139,19 +162,20 @@ export class SaveSystem {
             
             return true;
         } catch (error) {
+            const quotaExceeded = isQuotaExceededError(error);
+            if (quotaExceeded) {
+                gameEvents.emit('storageQuotaExceeded', { system: 'save', key: this.getSaveKey(saveSlot) });
+            }
+            
             console.error('Save failed:', error);
-            EventSystem.emit('saveFailed', { error: error.message });
+            gameEvents.emit('saveFailed', { error: error.message, quotaExceeded });
             return false;
         }
     }
     
-    load(saveSlot = 'default') {
+    async load(saveSlot = 'default') {
         try {
-            // For GitHub Pages, load from memory
-            let serializedData = this.currentSave;
-            
-            // In a real implementation, would load from localStorage:
-            // serializedData = localStorage.getItem(`agario_save_${saveSlot}`);
+            const serializedData = await this.storage.get(this.getSaveKey(saveSlot));
             
             if (!serializedData) {
                 return null;
@@ -161,13 +185,13 @@ export class SaveSystem {
             
             // Verify save integrity
             if (!this.verifySaveIntegrity(saveData)) {
-                throw new Error('Save data corrupted');
+                throw new Error('Save data is corrupted or was modified');
             }
             
             // Migrate old save format if needed
             const migratedData = this.migrateSaveData(saveData);
             
-            EventSystem.emit('gameLoaded', { 
+            gameEvents.emit('gameLoaded', { 
                 saveSlot,
                 timestamp: migratedData.timestamp,
                 player: migratedData.player.name
@@ -176,14 +200,14 @@ export class SaveSystem {
             return migratedData;
         } catch (error) {
             console.error('Load failed:', error);
-            EventSystem.emit('loadFailed', { error: error.message });
+            gameEvents.emit('loadFailed', { error: error.message });
             return null;
         }
     }
     
     autoSave() {
         if (this.currentSave) {
-            EventSystem.emit('autoSaveTriggered');
+            gameEvents.emit('autoSaveTriggered');
             // Auto-save logic would go here
             // This would typically save the current game state
         }
@@ -193,40 +217,57 @@ export class SaveSystem {
         const jsonString = JSON.stringify(data);
         
         if (this.compressionEnabled) {
-            return this.compressString(jsonString);
+            return FORMAT_COMPRESSED + this.compressString(jsonString);
         }
         
-        return jsonString;
+        return FORMAT_JSON + jsonString;
     }
     
+    // Reads either format regardless of the current compression setting
     deserializeData(serializedData) {
-        let jsonString = serializedData;
+        if (serializedData.startsWith(FORMAT_COMPRESSED)) {
+            return JSON.parse(this.decompressString(serializedData.slice(FORMAT_COMPRESSED.length)));
+        }
         
-        if (this.compressionEnabled) {
-            jsonString = this.decompressString(serializedData);
+        if (serializedData.startsWith(FORMAT_JSON)) {
+            return JSON.parse(serializedData.slice(FORMAT_JSON.length));
         }
         
-        return JSON.parse(jsonString);
+        return JSON.parse(serializedData);
     }
     
     compressString(str) {
-        // Simple compression using run-length encoding for repeated characters
-        // In a real implementation, you might use LZ-string or similar
-        return str.replace(/(.)\1{2,}/g, (match, char) => {
-            return `${char}${match.length}`;
-        });
+        return Compression.compress(str);
     }
     
     decompressString(str) {
-        // Decompress run-length encoded string
-        return str.replace(/(.)\d+/g, (match, char) => {
-            const count = parseInt(match.slice(1));
-            return char.repeat(count);
-        });
+        return Compression.decompress(str);
+    }
+    
+    // HMAC-SHA256 of everything in the save except the signature itself.
+    // The key ships with the client, so this catches corrupted or hand-edited
+    // saves but is no protection against someone who reads the source.
+    calculateSignature(data) {
+        const { signature, ...payload } = data;
+        return Hash.toHex(Hash.hmacSha256(this.signingKey, JSON.stringify(payload)));
     }
     
-    calculateChecksum(data) {
-        // Simple checksum calculation
+    // Checked the way the save's own version was written: saves from before
+    // 1.1.0 carry the old checksum instead of a signature
+    verifySaveIntegrity(saveData) {
+        if (!saveData) return false;
+        
+        if (this.compareVersions(saveData.version || '0.0.0', '1.1.0') < 0) {
+            return typeof saveData.checksum === 'string' && saveData.checksum === this.calculateLegacyChecksum(saveData);
+        }
+        
+        if (typeof saveData.signature !== 'string') return false;
+        
+        return Hash.equals(saveData.signature, this.calculateSignature(saveData));
+    }
+    
+    // 32-bit string hash used before 1.1.0, over everything but the checksum
+    calculateLegacyChecksum(data) {
         const str = JSON.stringify(data, (key, value) => {
             if (key === 'checksum') return undefined;
             return value;
@@ -234,38 +275,39 @@ export class SaveSystem {
         
         let hash = 0;
         for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
+            hash = ((hash << 5) - hash) + str.charCodeAt(i);
             hash = hash & hash; // Convert to 32-bit integer
         }
         
         return hash.toString(16);
     }
     
-    verifySaveIntegrity(saveData) {
-        if (!saveData.checksum) return false;
-        
-        const expectedChecksum = this.calculateChecksum(saveData);
-        return saveData.checksum === expectedChecksum;
-    }
-    
+    // Run every migration step between the save's version and the current one.
+    // Only call this on verified saves: a migrated save is signed again.
     migrateSaveData(saveData) {
-        // Handle migration from older save versions
         const currentVersion = this.saveVersion;
-        const saveVersion = saveData.version || '0.0.0';
+        let version = saveData.version || '0.0.0';
+        
+        if (this.compareVersions(version, currentVersion) > 0) {
+            throw new Error(`Save version ${version} is newer than this game (${currentVersion})`);
+        }
         
-        if (saveVersion === currentVersion) {
+        if (version === currentVersion) {
             return saveData;
         }
         
-        // Perform version-specific migrations
         let migratedData = { ...saveData };
         
-        if (this.compareVersions(saveVersion, '1.0.0') < 0) {
-            migratedData = this.migrateToV1(migratedData);
+        for (const step of this.migrations) {
+            if (this.compareVersions(version, step.from) >= 0 && this.compareVersions(version, step.to) < 0) {
+                migratedData = step.migrate(migratedData);
+                version = step.to;
+                migratedData.version = version;
+            }
         }
         
         migratedData.version = currentVersion;
+        migratedData.signature = this.calculateSignature(migratedData);
         return migratedData;
     }
     
@@ -292,6 +334,12 @@ export class SaveSystem {
         };
     }
     
+    // 1.1.0: the keyed signature replaces the old checksum
+    migrateToV1_1(saveData) {
+        const { checksum, ...migratedData } = saveData;
+        return migratedData;
+    }
+    
     compareVersions(version1, version2) {
         const v1Parts = version1.split('.').map(Number);
         const v2Parts = version2.split('.').map(Number);
@@ -307,17 +355,15 @@ export class SaveSystem {
         return 0;
     }
     
-    deleteSave(saveSlot = 'default') {
+    async deleteSave(saveSlot = 'default') {
         try {
-            // For GitHub Pages, clear memory
+            await this.storage.remove(this.getSaveKey(saveSlot));
+            
             if (saveSlot === 'default') {
                 this.currentSave = null;
             }
             
-            // In a real implementation:
-            // localStorage.removeItem(`agario_save_${saveSlot}`);
-            
-            EventSystem.emit('saveDeleted', { saveSlot });
+            gameEvents.emit('saveDeleted', { saveSlot });
             return true;
         } catch (error) {
             console.error('Delete save failed:', error);
@@ -325,31 +371,30 @@ export class SaveSystem {
         }
     }
     
-    getSaveSlots() {
-        // For GitHub Pages, return available memory slots
+    // Every stored slot, newest first. Unreadable saves are listed as corrupted.
+    async getSaveSlots() {
         const slots = [];
         
-        if (this.currentSave) {
-            slots.push({
-                slot: 'default',
-                timestamp: Date.now(),
-                player: 'Current Save'
-            });
+        for (const key of await this.storage.keys(SAVE_KEY_PREFIX)) {
+            const slot = key.slice(SAVE_KEY_PREFIX.length);
+            
+            try {
+                const saveData = this.deserializeData(await this.storage.get(key));
+                slots.push({
+                    slot,
+                    timestamp: saveData.timestamp,
+                    player: saveData.player?.name
+                });
+            } catch (error) {
+                slots.push({ slot, timestamp: 0, player: null, corrupted: true });
+            }
         }
         
-        // In a real implementation, would scan localStorage:
-        // for (let i = 0; i < localStorage.length; i++) {
-        //     const key = localStorage.key(i);
-        //     if (key.startsWith('agario_save_')) {
-        //         // Parse and add to slots
-        //     }
-        // }
-        
-        return slots;
+        return slots.sort((a, b) => b.timestamp - a.timestamp);
     }
     
-    exportSave(saveSlot = 'default') {
-        const saveData = this.load(saveSlot);
+    async exportSave(saveSlot = 'default') {
+        const saveData = await this.load(saveSlot);
         if (!saveData) return null;
         
         return {
@@ -359,27 +404,57 @@ export class SaveSystem {
         };
     }
     
-    importSave(importData, saveSlot = 'default') {
+    async importSave(importData, saveSlot = 'default') {
         try {
             if (!importData.data || !importData.version) {
                 throw new Error('Invalid import data');
             }
             
+            if (!this.verifySaveIntegrity(importData.data)) {
+                throw new Error('Imported save is corrupted or was modified');
+            }
+            
             const saveData = this.migrateSaveData(importData.data);
+            saveData.signature = this.calculateSignature(saveData);
             const serializedData = this.serializeData(saveData);
             
-            // For GitHub Pages, store in memory
             this.currentSave = serializedData;
+            await this.storage.set(this.getSaveKey(saveSlot), serializedData);
             
-            EventSystem.emit('saveImported', { saveSlot });
+            gameEvents.emit('saveImported', { saveSlot });
             return true;
         } catch (error) {
+            if (isQuotaExceededError(error)) {
+                gameEvents.emit('storageQuotaExceeded', { system: 'save', key: this.getSaveKey(saveSlot) });
+            }
+            
             console.error('Import failed:', error);
-            EventSystem.emit('importFailed', { error: error.message });
+            gameEvents.emit('importFailed', { error: error.message });
             return false;
         }
     }
     
+    // Replays are exported and imported as standalone files alongside saves
+    exportReplay(replay) {
+        if (!replay) return null;
+        
+        gameEvents.emit('replayExported', { duration: replay.duration });
+        return ReplayRecorder.toExport(replay);
+    }
+    
+    importReplay(importData) {
+        try {
+            const replay = ReplayRecorder.fromExport(importData);
+            
+            gameEvents.emit('replayImported', { duration: replay.duration });
+            return replay;
+        } catch (error) {
+            console.error('Replay import failed:', error);
+            gameEvents.emit('importFailed', { error: error.message });
+            return null;
+        }
+    }
+    
     getSaveSize(saveSlot = 'default') {
         const serializedData = this.currentSave;
         if (!serializedData) return 0;
@@ -0,0 +1,98 @@
+// js/systems/TeamSystem.js
+// Team mode: splits players and bots into 2-4 teams, colors them, and keeps
+// aggregated team standings. Teammates never absorb each other (see
+// Utils.isSameTeam in the collision code).
+import { Utils } from '../utils/Utils.js';
+import { CONFIG } from '../core/Config.js';
+import { gameEvents } from '../core/EventSystem.js';
+
+export class TeamSystem {
+    constructor(teamCount = CONFIG.TEAMS.DEFAULT_TEAMS) {
+        const count = Utils.clamp(Math.floor(teamCount) || CONFIG.TEAMS.DEFAULT_TEAMS,
+            CONFIG.TEAMS.MIN_TEAMS, CONFIG.TEAMS.MAX_TEAMS);
+
+        this.teams = [];
+        for (let id = 0; id < count; id++) {
+            this.teams.push({
+                id,
+                name: CONFIG.TEAMS.NAMES[id] || `Team ${id + 1}`,
+                color: CONFIG.TEAMS.COLORS[id % CONFIG.TEAMS.COLORS.length],
+                members: new Set()
+            });
+        }
+
+        // Player id -> team id, so respawning players rejoin their old team
+        this.assignments = new Map();
+
+        this.lastStandingsTime = -Infinity;
+    }
+
+    getTeam(teamId) {
+        return this.teams[teamId] || null;
+    }
+
+    // Put a player on the team with the fewest members (or back on its old team)
+    assignPlayer(player) {
+        let teamId = this.assignments.get(player.id);
+        if (teamId === undefined) {
+            teamId = this.getSmallestTeam().id;
+            this.assignments.set(player.id, teamId);
+        }
+
+        this.teams[teamId].members.add(player);
+        player.setTeam(teamId);
+
+        return this.teams[teamId];
+    }
+
+    // Player left the world. `forget` also drops its assignment (disconnects, removed bots).
+    removePlayer(player, forget = false) {
+        const teamId = this.assignments.get(player.id);
+        if (teamId !== undefined) {
+            this.teams[teamId].members.delete(player);
+        }
+
+        if (forget) {
+            this.assignments.delete(player.id);
+        }
+    }
+
+    getSmallestTeam() {
+        return this.teams.reduce((smallest, team) =>
+            team.members.size < smallest.members.size ? team : smallest);
+    }
+
+    getTeammates(player) {
+        const team = this.getTeam(player.teamId);
+        if (!team) return [];
+
+        return [...team.members].filter(member => member !== player && member.isAlive);
+    }
+
+    // Teams sorted by combined mass of their living members
+    getStandings() {
+        return this.teams
+            .map(team => {
+                const alive = [...team.members].filter(member => member.isAlive);
+                return {
+                    id: team.id,
+                    name: team.name,
+                    color: team.color,
+                    members: alive.length,
+                    mass: Math.floor(alive.reduce((sum, member) => sum + member.getTotalMass(), 0))
+                };
+            })
+            .sort((a, b) => b.mass - a.mass);
+    }
+
+    // Emit 'teamStandingsUpdate' at most once per STANDINGS_INTERVAL
+    publishStandings(currentTime) {
+        if (currentTime - this.lastStandingsTime < CONFIG.TEAMS.STANDINGS_INTERVAL) return null;
+
+        this.lastStandingsTime = currentTime;
+        const standings = this.getStandings();
+        gameEvents.emit('teamStandingsUpdate', standings);
+
+        return standings;
+    }
+}
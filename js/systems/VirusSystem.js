@@ -0,0 +1,111 @@
+// js/systems/VirusSystem.js
+// Viruses for the experimental mode: they pop cells bigger than themselves,
+// grow from ejected mass and shoot out a new virus once fed enough.
+import { Utils } from '../utils/Utils.js';
+import { CONFIG } from '../core/Config.js';
+import { gameEvents } from '../core/EventSystem.js';
+import { Virus } from '../entities/Virus.js';
+
+export class VirusSystem {
+    // game provides food, worldBounds, splittingSystem, physicsEngine and getAllPlayers()
+    constructor(game, count = CONFIG.VIRUS.COUNT) {
+        this.game = game;
+        this.targetCount = count;
+        this.viruses = [];
+    }
+
+    spawnViruses(count) {
+        const bounds = this.game.worldBounds;
+        
+        for (let i = 0; i < count; i++) {
+            const x = Utils.random(bounds.left + 100, bounds.right - 100);
+            const y = Utils.random(bounds.top + 100, bounds.bottom - 100);
+            this.viruses.push(new Virus(x, y));
+        }
+    }
+
+    update(deltaTime) {
+        this.moveViruses(deltaTime);
+        this.feedViruses();
+        this.popCells();
+        
+        // Popped viruses are replaced one per update
+        if (this.viruses.length < this.targetCount) {
+            this.spawnViruses(1);
+        }
+    }
+
+    // Only viruses that were shot out are moving
+    moveViruses(deltaTime) {
+        for (const virus of this.viruses) {
+            if (virus.isStatic) continue;
+            
+            this.game.physicsEngine.updateEntityPhysics(virus, deltaTime);
+            if (virus.velocity.x === 0 && virus.velocity.y === 0) {
+                virus.isStatic = true;
+            }
+        }
+    }
+
+    // Ejected pellets that reach a virus are swallowed
+    feedViruses() {
+        const food = this.game.food;
+        const shot = [];
+        
+        for (let i = food.length - 1; i >= 0; i--) {
+            const pellet = food[i];
+            if (!pellet.isEjected) continue;
+            
+            // Where the pellet was last update, to catch pellets flying through a virus
+            const from = pellet.lastPosition || pellet;
+            pellet.lastPosition = { x: pellet.x, y: pellet.y };
+            
+            const virus = this.viruses.find(candidate => candidate.canEat(pellet, from.x, from.y));
+            if (!virus) continue;
+            
+            food.splice(i, 1);
+            if (virus.feed(pellet)) {
+                shot.push(virus.shoot());
+            }
+        }
+        
+        this.viruses.push(...shot);
+    }
+
+    // Cells bigger than a virus eat it and burst into pieces
+    popCells() {
+        for (const player of this.game.getAllPlayers()) {
+            if (player.isAlive === false) continue;
+            
+            for (const cell of [...player.cells]) {
+                const virus = this.viruses.find(candidate => candidate.canPop(cell));
+                if (!virus) continue;
+                
+                this.viruses.splice(this.viruses.indexOf(virus), 1);
+                this.popCell(player, cell, virus);
+            }
+        }
+    }
+
+    popCell(player, cell, virus) {
+        cell.mass += virus.mass;
+        cell.updateRadius();
+        
+        // Split the popped cell and its pieces outwards in evenly spread directions
+        const splitting = this.game.splittingSystem;
+        const pieces = [cell];
+        const count = Math.min(CONFIG.VIRUS.POP_PIECES - 1, splitting.config.maxCells - player.cells.length);
+        
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2;
+            const results = splitting.forceSplit(player, { x: Math.cos(angle), y: Math.sin(angle) }, 1, pieces);
+            if (results.length === 0) break;
+            
+            pieces.push(results[0].newCell);
+        }
+        
+        player.updateTotalMass();
+        
+        gameEvents.emit('virus.popped', { game: this.game, player, cell, virus, pieces: pieces.length });
+    }
+}
@@ -0,0 +1,199 @@
+// js/ui/CompanionCommandMenu.js
+// Radial menu for ordering companion bots. Hold C to open it at the cursor,
+// point at a command and let go to issue it (or click one). The number keys
+// 1-4 issue the same commands without the menu.
+import { COMPANION_COMMANDS } from '../ai/CompanionAI.js';
+
+export const COMPANION_HOTKEYS = {
+    Digit1: 'follow',
+    Digit2: 'hold',
+    Digit3: 'attack',
+    Digit4: 'regroup'
+};
+
+const COMMAND_LABELS = {
+    follow: { icon: '👣', name: 'Follow' },
+    hold: { icon: '✋', name: 'Hold' },
+    attack: { icon: '⚔️', name: 'Attack' },
+    regroup: { icon: '🧲', name: 'Regroup' }
+};
+
+// Pointer closer to the center than this picks nothing
+const DEAD_ZONE = 20;
+const RADIUS = 70;
+
+export class CompanionCommandMenu {
+    // onCommand(command) is called with one of COMPANION_COMMANDS
+    constructor(onCommand) {
+        this.onCommand = onCommand;
+        this.element = null;
+        this.visible = false;
+        this.center = { x: 0, y: 0 };
+        this.selected = null;
+
+        this.eventListeners = {};
+
+        this.createElement();
+        this.setupEventListeners();
+    }
+
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.id = 'companion-command-menu';
+        this.element.className = 'companion-menu';
+        this.element.style.display = 'none';
+
+        // Commands go clockwise from the top
+        this.element.innerHTML = COMPANION_COMMANDS.map((command, i) => {
+            const angle = -Math.PI / 2 + (i / COMPANION_COMMANDS.length) * Math.PI * 2;
+            const x = Math.cos(angle) * RADIUS;
+            const y = Math.sin(angle) * RADIUS;
+            const hotkey = Object.keys(COMPANION_HOTKEYS).find(key => COMPANION_HOTKEYS[key] === command);
+
+            return `
+                <button class="companion-menu-item" data-command="${command}"
+                        style="transform: translate(${x}px, ${y}px)">
+                    <span class="companion-menu-icon">${COMMAND_LABELS[command].icon}</span>
+                    <span class="companion-menu-name">${COMMAND_LABELS[command].name}</span>
+                    <span class="companion-menu-key">${hotkey.replace('Digit', '')}</span>
+                </button>
+            `;
+        }).join('');
+
+        this.items = Array.from(this.element.querySelectorAll('.companion-menu-item'));
+
+        document.body.appendChild(this.element);
+        this.addCSS();
+    }
+
+    addCSS() {
+        if (document.getElementById('companion-menu-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'companion-menu-styles';
+        style.textContent = `
+            .companion-menu {
+                position: fixed;
+                width: 0;
+                height: 0;
+                z-index: 1000;
+                pointer-events: none;
+            }
+
+            .companion-menu-item {
+                position: absolute;
+                left: -36px;
+                top: -30px;
+                width: 72px;
+                height: 60px;
+                border: 2px solid rgba(255, 255, 255, 0.3);
+                border-radius: 12px;
+                background: rgba(0, 0, 0, 0.75);
+                color: white;
+                font-size: 12px;
+                cursor: pointer;
+                pointer-events: auto;
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: center;
+            }
+
+            .companion-menu-item.selected {
+                border-color: #4CAF50;
+                background: rgba(76, 175, 80, 0.6);
+            }
+
+            .companion-menu-icon {
+                font-size: 20px;
+            }
+
+            .companion-menu-key {
+                position: absolute;
+                top: 2px;
+                right: 6px;
+                opacity: 0.6;
+                font-size: 10px;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    setupEventListeners() {
+        for (const item of this.items) {
+            item.addEventListener('mousedown', (e) => {
+                // Keep the click from splitting the player
+                e.stopPropagation();
+                this.issue(item.dataset.command);
+            });
+        }
+
+        this.eventListeners.mousemove = (e) => this.onMouseMove(e);
+        document.addEventListener('mousemove', this.eventListeners.mousemove);
+    }
+
+    // Open centered on the cursor
+    show(x, y) {
+        this.visible = true;
+        this.center = { x, y };
+        this.selected = null;
+        this.element.style.left = `${x}px`;
+        this.element.style.top = `${y}px`;
+        this.element.style.display = 'block';
+        this.updateSelection();
+    }
+
+    hide() {
+        this.visible = false;
+        this.element.style.display = 'none';
+    }
+
+    // Close and issue whatever the pointer is on
+    release() {
+        if (!this.visible) return;
+
+        const command = this.selected;
+        this.hide();
+        if (command) {
+            this.onCommand(command);
+        }
+    }
+
+    issue(command) {
+        this.hide();
+        this.onCommand(command);
+    }
+
+    onMouseMove(event) {
+        if (!this.visible) return;
+
+        const dx = event.clientX - this.center.x;
+        const dy = event.clientY - this.center.y;
+
+        if (Math.sqrt(dx * dx + dy * dy) < DEAD_ZONE) {
+            this.selected = null;
+        } else {
+            // Sector of the pointer, counted clockwise from the top
+            const angle = (Math.atan2(dy, dx) + Math.PI / 2 + Math.PI * 2) % (Math.PI * 2);
+            const sector = Math.round(angle / (Math.PI * 2) * COMPANION_COMMANDS.length) % COMPANION_COMMANDS.length;
+            this.selected = COMPANION_COMMANDS[sector];
+        }
+
+        this.updateSelection();
+    }
+
+    updateSelection() {
+        for (const item of this.items) {
+            item.classList.toggle('selected', item.dataset.command === this.selected);
+        }
+    }
+
+    destroy() {
+        document.removeEventListener('mousemove', this.eventListeners.mousemove);
+
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
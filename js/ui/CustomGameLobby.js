@@ -0,0 +1,455 @@
+// js/ui/CustomGameLobby.js
+// Lobby screen for custom games. Every setting from CustomGameSettings gets a
+// slider or checkbox; presets can be saved locally, exported/imported as JSON
+// or shared as a link with the settings in the URL hash.
+import { gameEvents } from '../core/EventSystem.js';
+import { FOOD_SPAWN_WEIGHTS } from '../entities/Food.js';
+import { isQuotaExceededError } from '../storage/StorageAdapter.js';
+import {
+    CustomGameSettings,
+    CUSTOM_GAME_LIMITS,
+    BOT_DIFFICULTIES,
+    POWERUP_IDS
+} from '../systems/CustomGameSettings.js';
+
+const POWERUP_LABELS = {
+    recombine: 'Recombine',
+    speedBoost: 'Speed Boost',
+    massShield: 'Mass Shield',
+    splitBoost: 'Split Boost',
+    magnetism: 'Magnetism'
+};
+
+export class CustomGameLobby {
+    // onStart(settings) is called with validated settings when Start is pressed
+    constructor(options = {}) {
+        this.onStart = options.onStart || (() => {});
+        this.onCancel = options.onCancel || (() => {});
+        this.settings = CustomGameSettings.createDefault();
+        this.element = null;
+        this.visible = false;
+
+        // Path in the settings object ('food.weights.golden') -> range input
+        this.sliders = new Map();
+        this.checkboxes = new Map();
+
+        this.createElement();
+        this.setupEventListeners();
+    }
+
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.id = 'custom-lobby';
+        this.element.className = 'custom-lobby';
+        this.element.style.display = 'none';
+
+        const foodTypes = Object.keys(FOOD_SPAWN_WEIGHTS);
+
+        this.element.innerHTML = `
+            <div class="custom-lobby-panel">
+                <h2>Custom Game</h2>
+                <div class="custom-lobby-presets">
+                    <input type="text" class="custom-lobby-name" maxlength="40" placeholder="Preset name">
+                    <select class="custom-lobby-saved"></select>
+                    <button data-action="load">Load</button>
+                    <button data-action="save">Save</button>
+                    <button data-action="delete">Delete</button>
+                    <button data-action="reset">Defaults</button>
+                </div>
+                <div class="custom-lobby-sections">
+                    <fieldset>
+                        <legend>World</legend>
+                        ${this.sliderHTML('world.width', 'Width', CUSTOM_GAME_LIMITS.worldSize)}
+                        ${this.sliderHTML('world.height', 'Height', CUSTOM_GAME_LIMITS.worldSize)}
+                    </fieldset>
+                    <fieldset>
+                        <legend>Food</legend>
+                        ${this.sliderHTML('food.count', 'Amount', CUSTOM_GAME_LIMITS.foodCount)}
+                        ${foodTypes.map(type => this.sliderHTML(`food.weights.${type}`, capitalize(type), CUSTOM_GAME_LIMITS.foodWeight)).join('')}
+                    </fieldset>
+                    <fieldset>
+                        <legend>Bots</legend>
+                        ${this.sliderHTML('bots.count', 'Count', CUSTOM_GAME_LIMITS.botCount)}
+                        ${BOT_DIFFICULTIES.map(level => this.sliderHTML(`bots.difficulty.${level}`, capitalize(level), CUSTOM_GAME_LIMITS.difficultyWeight)).join('')}
+                        ${BOT_DIFFICULTIES.map(level => `
+                            <label class="custom-lobby-check">
+                                <input type="checkbox" data-path="bots.packs.${level}">
+                                ${capitalize(level)} bots hunt in packs
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                    <fieldset>
+                        <legend>Physics</legend>
+                        ${this.sliderHTML('physics.recombineTime', 'Recombine (ms)', CUSTOM_GAME_LIMITS.recombineTime)}
+                        ${this.sliderHTML('physics.maxCells', 'Max cells', CUSTOM_GAME_LIMITS.maxCells)}
+                        ${this.sliderHTML('physics.minSplitMass', 'Min split mass', CUSTOM_GAME_LIMITS.minSplitMass)}
+                        ${this.sliderHTML('physics.friction', 'Friction', CUSTOM_GAME_LIMITS.friction)}
+                    </fieldset>
+                    <fieldset>
+                        <legend>Powerups</legend>
+                        ${POWERUP_IDS.map(id => `
+                            <label class="custom-lobby-check">
+                                <input type="checkbox" data-path="powerups.${id}">
+                                ${POWERUP_LABELS[id] || id}
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                </div>
+                <div class="custom-lobby-share">
+                    <button data-action="copy-link">Copy link</button>
+                    <button data-action="export">Export JSON</button>
+                    <label class="custom-lobby-import">
+                        Import JSON
+                        <input type="file" accept=".json,application/json">
+                    </label>
+                    <span class="custom-lobby-status"></span>
+                </div>
+                <div class="custom-lobby-actions">
+                    <button data-action="cancel">Cancel</button>
+                    <button data-action="start" class="custom-lobby-start">Start</button>
+                </div>
+            </div>
+        `;
+
+        for (const input of this.element.querySelectorAll('input[type="range"]')) {
+            this.sliders.set(input.dataset.path, input);
+        }
+        for (const input of this.element.querySelectorAll('input[type="checkbox"]')) {
+            this.checkboxes.set(input.dataset.path, input);
+        }
+
+        this.nameInput = this.element.querySelector('.custom-lobby-name');
+        this.savedSelect = this.element.querySelector('.custom-lobby-saved');
+        this.fileInput = this.element.querySelector('.custom-lobby-import input');
+        this.statusLabel = this.element.querySelector('.custom-lobby-status');
+
+        document.body.appendChild(this.element);
+        this.addCSS();
+    }
+
+    sliderHTML(path, label, limits) {
+        return `
+            <label class="custom-lobby-slider">
+                <span>${label}</span>
+                <input type="range" data-path="${path}" min="${limits.min}" max="${limits.max}" step="${limits.step}">
+                <output></output>
+            </label>
+        `;
+    }
+
+    addCSS() {
+        if (document.getElementById('custom-lobby-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'custom-lobby-styles';
+        style.textContent = `
+            .custom-lobby {
+                position: fixed;
+                inset: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: rgba(0, 0, 0, 0.6);
+                z-index: 200;
+                font-family: Arial, sans-serif;
+                font-size: 13px;
+                color: white;
+            }
+
+            .custom-lobby-panel {
+                width: 760px;
+                max-width: calc(100% - 40px);
+                max-height: calc(100% - 40px);
+                overflow-y: auto;
+                padding: 15px 20px;
+                background: rgba(0, 0, 0, 0.9);
+                border: 2px solid #333;
+                border-radius: 10px;
+            }
+
+            .custom-lobby-panel h2 {
+                margin: 0 0 10px;
+            }
+
+            .custom-lobby-presets,
+            .custom-lobby-share,
+            .custom-lobby-actions {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin: 8px 0;
+            }
+
+            .custom-lobby-actions {
+                justify-content: flex-end;
+            }
+
+            .custom-lobby-sections {
+                display: grid;
+                grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+                gap: 10px;
+            }
+
+            .custom-lobby fieldset {
+                border: 1px solid #555;
+                border-radius: 5px;
+            }
+
+            .custom-lobby-slider {
+                display: grid;
+                grid-template-columns: 90px 1fr 50px;
+                align-items: center;
+                gap: 6px;
+            }
+
+            .custom-lobby-slider output {
+                font-family: monospace;
+                text-align: right;
+            }
+
+            .custom-lobby-check {
+                display: block;
+            }
+
+            .custom-lobby button,
+            .custom-lobby-import,
+            .custom-lobby select,
+            .custom-lobby-name {
+                padding: 4px 10px;
+                background: rgba(255, 255, 255, 0.1);
+                border: 1px solid #555;
+                border-radius: 5px;
+                color: white;
+                cursor: pointer;
+            }
+
+            .custom-lobby-import input {
+                display: none;
+            }
+
+            .custom-lobby-start {
+                background: #4CAF50 !important;
+            }
+
+            .custom-lobby-status {
+                flex: 1;
+                color: #aaa;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    setupEventListeners() {
+        this.element.addEventListener('input', (e) => {
+            const path = e.target.dataset?.path;
+            if (!path) return;
+
+            const value = e.target.type === 'checkbox' ? e.target.checked : Number(e.target.value);
+            setPath(this.settings, path, value);
+            this.updateOutput(e.target);
+        });
+
+        this.element.addEventListener('click', (e) => {
+            const action = e.target.dataset?.action;
+            if (action) {
+                this.onAction(action);
+            }
+        });
+
+        this.fileInput.addEventListener('change', () => this.importFile());
+    }
+
+    onAction(action) {
+        switch (action) {
+            case 'load':
+                this.loadPreset();
+                break;
+            case 'save':
+                this.savePreset();
+                break;
+            case 'delete':
+                this.deletePreset();
+                break;
+            case 'reset':
+                this.setSettings(CustomGameSettings.createDefault());
+                break;
+            case 'copy-link':
+                this.copyLink();
+                break;
+            case 'export':
+                this.exportFile();
+                break;
+            case 'cancel':
+                this.hide();
+                this.onCancel();
+                break;
+            case 'start':
+                this.hide();
+                this.onStart(this.getSettings());
+                break;
+        }
+    }
+
+    // Open the lobby, optionally prefilled (e.g. from a shared link)
+    show(settings = null) {
+        if (settings) {
+            this.setSettings(settings);
+        } else {
+            this.syncInputs();
+        }
+
+        this.refreshSavedPresets();
+        this.setStatus('');
+        this.visible = true;
+        this.element.style.display = 'flex';
+    }
+
+    hide() {
+        this.visible = false;
+        this.element.style.display = 'none';
+    }
+
+    getSettings() {
+        return CustomGameSettings.validate({ ...this.settings, name: this.nameInput.value.trim() || this.settings.name });
+    }
+
+    setSettings(settings) {
+        this.settings = CustomGameSettings.validate(settings);
+        this.syncInputs();
+    }
+
+    // Push this.settings into the inputs
+    syncInputs() {
+        this.nameInput.value = this.settings.name;
+
+        for (const [path, input] of this.sliders) {
+            input.value = getPath(this.settings, path);
+            this.updateOutput(input);
+        }
+        for (const [path, input] of this.checkboxes) {
+            input.checked = getPath(this.settings, path);
+        }
+    }
+
+    updateOutput(input) {
+        const output = input.parentElement.querySelector('output');
+        if (output) {
+            output.textContent = input.value;
+        }
+    }
+
+    async refreshSavedPresets() {
+        const presets = await CustomGameSettings.loadPresets();
+        this.savedSelect.innerHTML = presets.length
+            ? presets.map(preset => `<option>${escapeHTML(preset.name)}</option>`).join('')
+            : '<option value="">No saved presets</option>';
+    }
+
+    setStatus(text) {
+        this.statusLabel.textContent = text;
+    }
+
+    // Presets and sharing
+
+    async loadPreset() {
+        const name = this.savedSelect.value;
+        const preset = (await CustomGameSettings.loadPresets()).find(p => p.name === name);
+        if (preset) this.setSettings(preset);
+    }
+
+    async savePreset() {
+        try {
+            const preset = await CustomGameSettings.savePreset(this.getSettings());
+            this.settings = preset;
+            await this.refreshSavedPresets();
+            this.savedSelect.value = preset.name;
+            this.setStatus(`Saved "${preset.name}"`);
+        } catch (error) {
+            console.error('Failed to save preset:', error);
+            this.setStatus(isQuotaExceededError(error) ? 'Storage is full - preset not saved' : 'Could not save preset');
+        }
+    }
+
+    async deletePreset() {
+        const name = this.savedSelect.value;
+        if (!name) return;
+
+        try {
+            await CustomGameSettings.deletePreset(name);
+            await this.refreshSavedPresets();
+            this.setStatus('Preset deleted');
+        } catch (error) {
+            console.error('Failed to delete preset:', error);
+            this.setStatus(isQuotaExceededError(error) ? 'Storage is full - preset not deleted' : 'Could not delete preset');
+        }
+    }
+
+    async copyLink() {
+        const url = `${window.location.origin}${window.location.pathname}${CustomGameSettings.toUrlHash(this.getSettings())}`;
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.setStatus('Link copied');
+        } catch (error) {
+            // Clipboard blocked (e.g. not a secure context): show the link in the address bar instead
+            window.location.hash = CustomGameSettings.toUrlHash(this.getSettings());
+            this.setStatus('Link is in the address bar');
+        }
+    }
+
+    exportFile() {
+        const settings = this.getSettings();
+        const blob = new Blob([CustomGameSettings.toJSON(settings)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${settings.name.replace(/[^\w-]+/g, '_') || 'custom-game'}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    async importFile() {
+        const file = this.fileInput.files[0];
+        this.fileInput.value = '';
+        if (!file) return;
+
+        try {
+            this.setSettings(CustomGameSettings.fromJSON(await file.text()));
+            this.setStatus(`Imported "${this.settings.name}"`);
+        } catch (error) {
+            console.error('Failed to read preset file:', error);
+            this.setStatus('Not a valid preset file');
+            gameEvents.emit('importFailed', { error: error.message });
+        }
+    }
+
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => value?.[key], object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((value, key) => value[key], object);
+    parent[last] = value;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -0,0 +1,216 @@
+// js/ui/DirectorPanel.js
+// Debug panel for the difficulty director: the player metrics it sees, the
+// challenge level and performance against the target band, the settings it
+// has applied and a log of its recent decisions. Toggle with the backquote key.
+import { Utils } from '../utils/Utils.js';
+
+export class DirectorPanel {
+    constructor(director) {
+        this.director = director;
+        this.element = null;
+        this.visible = false;
+
+        // Redraw at most this often (ms) while open
+        this.refreshInterval = 250;
+        this.lastRefresh = 0;
+
+        this.eventListeners = {};
+
+        this.createElement();
+        this.setupEventListeners();
+    }
+
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.id = 'director-panel';
+        this.element.className = 'director-panel';
+        this.element.style.display = 'none';
+        this.element.innerHTML = `
+            <div class="director-header">
+                <span>Difficulty director</span>
+                <button class="director-close">✕</button>
+            </div>
+            <div class="director-body"></div>
+            <ol class="director-history"></ol>
+        `;
+
+        this.body = this.element.querySelector('.director-body');
+        this.historyList = this.element.querySelector('.director-history');
+        this.closeButton = this.element.querySelector('.director-close');
+
+        document.body.appendChild(this.element);
+        this.addCSS();
+    }
+
+    addCSS() {
+        if (document.getElementById('director-panel-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'director-panel-styles';
+        style.textContent = `
+            .director-panel {
+                position: fixed;
+                top: 20px;
+                right: 220px;
+                width: 300px;
+                max-height: calc(100% - 40px);
+                overflow-y: auto;
+                padding: 10px;
+                background: rgba(0, 0, 0, 0.85);
+                border: 1px solid #444;
+                border-radius: 6px;
+                color: #ddd;
+                font-family: monospace;
+                font-size: 11px;
+                z-index: 150;
+            }
+
+            .director-header {
+                display: flex;
+                justify-content: space-between;
+                margin-bottom: 6px;
+                color: white;
+                font-weight: bold;
+            }
+
+            .director-close {
+                background: none;
+                border: none;
+                color: #aaa;
+                cursor: pointer;
+            }
+
+            .director-row {
+                display: flex;
+                justify-content: space-between;
+            }
+
+            .director-bar {
+                position: relative;
+                height: 6px;
+                margin: 2px 0 6px;
+                background: #333;
+            }
+
+            .director-bar-band {
+                position: absolute;
+                top: 0;
+                bottom: 0;
+                background: rgba(76, 175, 80, 0.4);
+            }
+
+            .director-bar-value {
+                position: absolute;
+                top: -2px;
+                width: 2px;
+                height: 10px;
+                background: white;
+            }
+
+            .director-history {
+                margin: 6px 0 0;
+                padding-left: 18px;
+                color: #aaa;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    setupEventListeners() {
+        this.eventListeners.close = () => this.hide();
+        this.closeButton.addEventListener('click', this.eventListeners.close);
+    }
+
+    show() {
+        this.visible = true;
+        this.element.style.display = 'block';
+        this.refresh();
+    }
+
+    hide() {
+        this.visible = false;
+        this.element.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    // Called every frame, redraws now and then while open
+    update() {
+        if (!this.visible) return;
+
+        const now = performance.now();
+        if (now - this.lastRefresh < this.refreshInterval) return;
+
+        this.lastRefresh = now;
+        this.refresh();
+    }
+
+    refresh() {
+        const state = this.director.getState();
+
+        if (!state.enabled) {
+            this.body.innerHTML = '<div>Off for this game (custom or multiplayer)</div>';
+            this.historyList.innerHTML = '';
+            return;
+        }
+
+        const { metrics, knobs, targetBand } = state;
+        const mixTotal = Object.values(knobs.difficultyMix).reduce((sum, weight) => sum + weight, 0) || 1;
+        const mix = Object.entries(knobs.difficultyMix)
+            .map(([level, weight]) => `${level[0].toUpperCase()}${Math.round(weight / mixTotal * 100)}`)
+            .join(' ');
+
+        this.body.innerHTML = `
+            ${this.rowHTML('Performance', state.performance.toFixed(2))}
+            ${this.barHTML(state.performance, targetBand)}
+            ${this.rowHTML('Challenge', state.challenge.toFixed(2))}
+            ${this.barHTML(state.challenge)}
+            ${this.rowHTML('Growth', `${Math.round(metrics.growthRate)} mass/min`)}
+            ${this.rowHTML('Rank', `${metrics.rank} / ${metrics.playerCount}`)}
+            ${this.rowHTML('Alive for', Utils.formatTime(metrics.survivalTime))}
+            ${this.rowHTML('Deaths', metrics.deaths)}
+            ${this.rowHTML('Bot mix', mix)}
+            ${this.rowHTML('Spawn distance', knobs.spawnDistance !== null ? Math.round(knobs.spawnDistance) : '-')}
+            ${this.rowHTML('Spawn near player', knobs.spawnNearPlayer !== null ? `${Math.round(knobs.spawnNearPlayer * 100)}%` : '-')}
+            ${this.rowHTML('Food', `x${knobs.foodDensity.toFixed(2)}`)}
+            ${this.rowHTML('Powerups', `x${knobs.powerupRate.toFixed(2)}`)}
+        `;
+
+        this.historyList.innerHTML = state.history.map(entry => `
+            <li>${Utils.formatTime(entry.time)} ${entry.reason} → ${entry.challenge.toFixed(2)} (perf ${entry.performance.toFixed(2)})</li>
+        `).join('');
+    }
+
+    rowHTML(label, value) {
+        return `<div class="director-row"><span>${label}</span><span>${value}</span></div>`;
+    }
+
+    // 0..1 bar, optionally with the target band marked
+    barHTML(value, band = null) {
+        const bandHTML = band
+            ? `<div class="director-bar-band" style="left: ${band.min * 100}%; width: ${(band.max - band.min) * 100}%"></div>`
+            : '';
+
+        return `
+            <div class="director-bar">
+                ${bandHTML}
+                <div class="director-bar-value" style="left: ${Utils.clamp(value, 0, 1) * 100}%"></div>
+            </div>
+        `;
+    }
+
+    destroy() {
+        this.closeButton.removeEventListener('click', this.eventListeners.close);
+
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
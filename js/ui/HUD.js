@@ -21,7 +21,9 @@ export class HUD {
             leaderboard: { x: 0, y: 20, visible: true }, // Will be updated in updateElementPositions
             minimap: { x: 0, y: 0, visible: true }, // Will be updated in updateElementPositions
             powerupBar: { x: 0, y: 0, visible: true }, // Will be updated in updateElementPositions
-            chatBox: { x: 20, y: 0, visible: false } // Will be updated in updateElementPositions
+            chatBox: { x: 20, y: 0, visible: false }, // Will be updated in updateElementPositions
+            zoneTimer: { x: 0, y: 30, visible: true }, // Battle royale only, centered in updateElementPositions
+            companions: { x: 20, y: 140, visible: true } // Only once the player has companions
         };
         
         this.minimap = {
@@ -130,6 +132,14 @@ export class HUD {
             this.renderChatBox();
         }
         
+        if (this.elements.zoneTimer.visible) {
+            this.renderZoneTimer();
+        }
+        
+        if (this.elements.companions.visible) {
+            this.renderCompanions();
+        }
+        
         // Render debug info if enabled
         this.renderDebugInfo();
         
@@ -151,6 +161,20 @@ export class HUD {
         const massText = `Mass: ${Math.floor(this.player.totalMass || this.player.mass || 0)}`;
         this.ctx.strokeText(massText, pos.x, pos.y);
         this.ctx.fillText(massText, pos.x, pos.y);
+        
+        // Mass-loss rate once the player is big enough to decay
+        const massDecay = this.game && this.game.massDecaySystem;
+        if (!massDecay) return;
+        
+        const decayRate = massDecay.getDecayRate(this.player);
+        if (decayRate <= 0) return;
+        
+        const decayText = `-${decayRate.toFixed(1)}/s`;
+        const decayX = pos.x + this.ctx.measureText(massText).width + 10;
+        this.ctx.font = 'bold 16px Arial';
+        this.ctx.fillStyle = '#ff6b6b';
+        this.ctx.strokeText(decayText, decayX, pos.y);
+        this.ctx.fillText(decayText, decayX, pos.y);
     }
     
     renderLevelDisplay() {
@@ -211,6 +235,68 @@ export class HUD {
         this.ctx.fillText(platinumText, pos.x, pos.y + 20);
     }
     
+    // Battle royale - time until the zone moves and players left
+    renderZoneTimer() {
+        const zoneState = this.game && this.game.getZoneState ? this.game.getZoneState() : null;
+        if (!zoneState) return;
+        
+        const pos = this.elements.zoneTimer;
+        
+        let zoneText = 'Zone closed';
+        if (zoneState.state === 'waiting') {
+            zoneText = `Zone shrinks in ${Utils.formatTime(zoneState.timeUntilChange)}`;
+        } else if (zoneState.state === 'shrinking') {
+            zoneText = `Zone shrinking ${Utils.formatTime(zoneState.timeUntilChange)}`;
+        }
+        
+        this.ctx.textAlign = 'center';
+        this.ctx.font = 'bold 20px Arial';
+        this.ctx.fillStyle = zoneState.state === 'shrinking' ? '#ff6b6b' : '#ffffff';
+        this.ctx.strokeStyle = '#000000';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeText(zoneText, pos.x, pos.y);
+        this.ctx.fillText(zoneText, pos.x, pos.y);
+        
+        const aliveText = `Phase ${Math.min(zoneState.phase + 1, zoneState.phaseCount)}/${zoneState.phaseCount} · ${zoneState.alive} alive`;
+        this.ctx.font = '14px Arial';
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.strokeText(aliveText, pos.x, pos.y + 20);
+        this.ctx.fillText(aliveText, pos.x, pos.y + 20);
+        
+        this.ctx.textAlign = 'left';
+    }
+    
+    // Companion bots - what each one is doing and how to command them
+    renderCompanions() {
+        const botManager = this.game && this.game.botManager;
+        if (!this.player || !botManager) return;
+        
+        const companions = botManager.getCompanions(this.player);
+        if (companions.length === 0) return;
+        
+        const pos = this.elements.companions;
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.strokeStyle = '#000000';
+        this.ctx.lineWidth = 2;
+        
+        companions.forEach((companion, index) => {
+            const status = companion.ai.getStatus();
+            const order = status.command === 'follow' ? '' : ` [${status.command}]`;
+            const target = status.target ? ` → ${status.target}` : '';
+            const text = `${companion.companionType}: ${status.label}${target}${order} · ${Math.floor(status.mass)}`;
+            
+            this.ctx.fillStyle = status.behavior === 'flee' ? '#ff6b6b' : '#8fd3ff';
+            this.ctx.strokeText(text, pos.x, pos.y + index * 18);
+            this.ctx.fillText(text, pos.x, pos.y + index * 18);
+        });
+        
+        const hint = '1 Follow · 2 Hold · 3 Attack · 4 Regroup · hold C for menu';
+        this.ctx.font = '12px Arial';
+        this.ctx.fillStyle = '#cccccc';
+        this.ctx.strokeText(hint, pos.x, pos.y + companions.length * 18);
+        this.ctx.fillText(hint, pos.x, pos.y + companions.length * 18);
+    }
+    
     renderLeaderboardPreview() {
         const pos = this.elements.leaderboard;
         const width = 180;
@@ -509,6 +595,7 @@ export class HUD {
         this.elements.powerupBar.x = this.canvas.width / 2 - 200;
         this.elements.powerupBar.y = this.canvas.height - 60;
         this.elements.chatBox.y = this.canvas.height - 150;
+        this.elements.zoneTimer.x = this.canvas.width / 2;
     }
     
     getTopPlayers() {
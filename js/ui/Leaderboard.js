@@ -5,6 +5,7 @@ import { CONFIG } from '../core/Config.js';
 export class Leaderboard {
     constructor() {
         this.players = [];
+        this.teams = []; // Team standings, only filled in team mode
         this.maxEntries = 10;
         this.updateInterval = 1000; // Update every second
         this.lastUpdate = 0;
@@ -20,7 +21,8 @@ export class Leaderboard {
         this.eventListeners = {
             playerUpdate: null,
             playerDeath: null,
-            gameStateUpdate: null
+            gameStateUpdate: null,
+            teamStandingsUpdate: null
         };
         
         // Create DOM elements
@@ -42,6 +44,11 @@ export class Leaderboard {
             <button class="leaderboard-toggle" id="leaderboard-toggle">−</button>
         `;
         
+        // Create team standings container (hidden outside team mode)
+        const teamsContainer = document.createElement('div');
+        teamsContainer.className = 'leaderboard-teams';
+        teamsContainer.id = 'leaderboard-teams';
+        
         // Create entries container
         const entriesContainer = document.createElement('div');
         entriesContainer.className = 'leaderboard-entries';
@@ -49,6 +56,7 @@ export class Leaderboard {
         
         // Assemble leaderboard
         this.element.appendChild(header);
+        this.element.appendChild(teamsContainer);
         this.element.appendChild(entriesContainer);
         
         // Add to DOM
@@ -123,6 +131,40 @@ export class Leaderboard {
                 max-height: 0;
             }
             
+            .leaderboard-teams:empty {
+                display: none;
+            }
+            
+            .leaderboard-teams {
+                padding: 6px 15px;
+                border-bottom: 1px solid #555;
+            }
+            
+            .leaderboard-team {
+                display: flex;
+                align-items: center;
+                padding: 4px 0;
+            }
+            
+            .leaderboard-team.highlight .leaderboard-name {
+                color: #FFD700;
+            }
+            
+            .leaderboard-team-swatch {
+                width: 12px;
+                height: 12px;
+                border-radius: 50%;
+                flex-shrink: 0;
+            }
+            
+            .leaderboard-team-members {
+                margin-left: 8px;
+                font-size: 10px;
+                color: #aaa;
+                min-width: 20px;
+                text-align: right;
+            }
+            
             .leaderboard-entry {
                 display: flex;
                 align-items: center;
@@ -258,10 +300,15 @@ export class Leaderboard {
             }
         };
         
+        this.eventListeners.teamStandingsUpdate = (standings) => {
+            this.updateTeams(standings);
+        };
+        
         // Listen for game events using gameEvents instance
         gameEvents.on('playerUpdate', this.eventListeners.playerUpdate);
         gameEvents.on('playerDeath', this.eventListeners.playerDeath);
         gameEvents.on('gameStateUpdate', this.eventListeners.gameStateUpdate);
+        gameEvents.on('teamStandingsUpdate', this.eventListeners.teamStandingsUpdate);
         
         // Toggle leaderboard visibility
         document.addEventListener('click', (e) => {
@@ -321,6 +368,11 @@ export class Leaderboard {
         this.sortPlayers();
     }
     
+    // Standings from TeamSystem.getStandings(), already sorted by mass
+    updateTeams(standings) {
+        this.teams = standings || [];
+    }
+    
     removePlayer(player) {
         this.players = this.players.filter(p => p.id !== player.id);
         this.sortPlayers();
@@ -365,6 +417,48 @@ export class Leaderboard {
             const entry = this.createPlayerEntry(player, index + 1, currentPlayer);
             entriesContainer.appendChild(entry);
         });
+        
+        this.renderTeams(currentPlayer);
+    }
+    
+    renderTeams(currentPlayer = null) {
+        const teamsContainer = document.getElementById('leaderboard-teams');
+        if (!teamsContainer) return;
+        
+        teamsContainer.innerHTML = '';
+        
+        this.teams.forEach(team => {
+            const entry = document.createElement('div');
+            entry.className = 'leaderboard-team';
+            
+            // Highlight the current player's team
+            if (currentPlayer && currentPlayer.teamId === team.id) {
+                entry.classList.add('highlight');
+            }
+            
+            const swatch = document.createElement('div');
+            swatch.className = 'leaderboard-team-swatch';
+            swatch.style.background = team.color;
+            
+            const nameElement = document.createElement('div');
+            nameElement.className = 'leaderboard-name';
+            nameElement.textContent = team.name;
+            
+            const massElement = document.createElement('div');
+            massElement.className = 'leaderboard-mass';
+            massElement.textContent = this.formatMass(team.mass);
+            
+            const membersElement = document.createElement('div');
+            membersElement.className = 'leaderboard-team-members';
+            membersElement.textContent = `×${team.members}`;
+            
+            entry.appendChild(swatch);
+            entry.appendChild(nameElement);
+            entry.appendChild(massElement);
+            entry.appendChild(membersElement);
+            
+            teamsContainer.appendChild(entry);
+        });
     }
     
     createPlayerEntry(player, rank, currentPlayer) {
@@ -537,6 +631,7 @@ export class Leaderboard {
         gameEvents.off('playerUpdate', this.eventListeners.playerUpdate);
         gameEvents.off('playerDeath', this.eventListeners.playerDeath);
         gameEvents.off('gameStateUpdate', this.eventListeners.gameStateUpdate);
+        gameEvents.off('teamStandingsUpdate', this.eventListeners.teamStandingsUpdate);
         
         // Clear stored references
         this.eventListeners = {};
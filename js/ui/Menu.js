@@ -1,4 +1,6 @@
 // js/ui/Menu.js
+import { CustomGameLobby } from './CustomGameLobby.js';
+
 class Menu {
     constructor(eventSystem) {
         this.eventSystem = eventSystem;
@@ -6,6 +8,7 @@ class Menu {
         this.currentMenu = 'main';
         this.selectedAccount = null;
         this.menuHistory = [];
+        this.customLobby = null;
         
         this.menus = {
             main: this.createMainMenu(),
@@ -38,7 +41,8 @@ class Menu {
             title: 'Play Game',
             buttons: [
                 { id: 'quickplay', text: 'Quick Play', action: () => this.startGame('quick') },
-                { id: 'custom', text: 'Custom Game', action: () => this.startGame('custom') },
+                { id: 'custom', text: 'Custom Game', action: () => this.openCustomLobby() },
+                { id: 'teams', text: 'Teams', action: () => this.startGame('teams') },
                 { id: 'tutorial', text: 'Tutorial', action: () => this.startGame('tutorial') },
                 { id: 'back', text: 'Back', action: () => this.goBack() }
             ],
@@ -405,12 +409,28 @@ class Menu {
         document.body.classList.remove('menu-open');
     }
     
-    startGame(mode) {
+    // Custom games are configured in the lobby before starting
+    openCustomLobby(settings = null) {
+        if (!this.customLobby) {
+            this.customLobby = new CustomGameLobby({
+                onStart: (customSettings) => this.startGame('custom', customSettings),
+                onCancel: () => this.show()
+            });
+        }
+        
+        this.hide();
+        this.customLobby.show(settings);
+    }
+    
+    startGame(mode, settings = null) {
         const playerNameInput = document.getElementById('playerName');
         const playerName = playerNameInput ? playerNameInput.value.trim() : '';
         
         if (!playerName) {
             alert('Please enter a player name!');
+            if (settings && this.customLobby) {
+                this.customLobby.show(settings);
+            }
             return;
         }
         
@@ -418,7 +438,8 @@ class Menu {
         this.eventSystem.emit('game:start', {
             mode: mode,
             playerName: playerName,
-            account: this.selectedAccount
+            account: this.selectedAccount,
+            settings: settings
         });
     }
     
@@ -0,0 +1,349 @@
+// js/ui/ReplayControls.js
+// Timeline bar for replay playback: play/pause, speed, seeking with keyframe
+// markers, import/export, and a free camera (drag to pan, wheel to zoom) or
+// following one of the recorded players.
+import { gameEvents } from '../core/EventSystem.js';
+import { REPLAY_SPEEDS } from '../replay/ReplayPlayer.js';
+import { Utils } from '../utils/Utils.js';
+
+export class ReplayControls {
+    constructor(game) {
+        this.game = game;
+        this.replayPlayer = null;
+        this.element = null;
+        this.visible = false;
+
+        // null = free camera, otherwise the id of the followed player
+        this.followId = null;
+        this.drag = null;
+        this.zoomStep = 1.1;
+
+        // Seconds skipped by the arrow keys
+        this.skipSeconds = 5;
+
+        this.eventListeners = {};
+
+        this.createElement();
+        this.setupEventListeners();
+    }
+
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.id = 'replay-controls';
+        this.element.className = 'replay-controls';
+        this.element.style.display = 'none';
+        this.element.innerHTML = `
+            <div class="replay-timeline">
+                <div class="replay-keyframes"></div>
+                <input type="range" class="replay-seek" min="0" max="0" value="0" step="1">
+            </div>
+            <div class="replay-buttons">
+                <button class="replay-play">▶</button>
+                <button class="replay-speed">1x</button>
+                <span class="replay-time">0:00 / 0:00</span>
+                <select class="replay-follow">
+                    <option value="">Free camera</option>
+                </select>
+                <label class="replay-import">
+                    Open
+                    <input type="file" accept=".json,application/json">
+                </label>
+                <button class="replay-download">Save</button>
+                <button class="replay-close">✕</button>
+            </div>
+        `;
+
+        this.seekInput = this.element.querySelector('.replay-seek');
+        this.keyframeTrack = this.element.querySelector('.replay-keyframes');
+        this.playButton = this.element.querySelector('.replay-play');
+        this.speedButton = this.element.querySelector('.replay-speed');
+        this.timeLabel = this.element.querySelector('.replay-time');
+        this.followSelect = this.element.querySelector('.replay-follow');
+        this.fileInput = this.element.querySelector('.replay-import input');
+
+        document.body.appendChild(this.element);
+        this.addCSS();
+    }
+
+    addCSS() {
+        if (document.getElementById('replay-controls-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'replay-controls-styles';
+        style.textContent = `
+            .replay-controls {
+                position: fixed;
+                left: 50%;
+                bottom: 20px;
+                width: 640px;
+                max-width: calc(100% - 40px);
+                transform: translateX(-50%);
+                padding: 10px 15px;
+                background: rgba(0, 0, 0, 0.8);
+                border: 2px solid #333;
+                border-radius: 10px;
+                color: white;
+                font-family: Arial, sans-serif;
+                font-size: 13px;
+                z-index: 100;
+            }
+
+            .replay-timeline {
+                position: relative;
+                padding-top: 6px;
+            }
+
+            .replay-keyframes {
+                position: absolute;
+                top: 0;
+                left: 0;
+                right: 0;
+                height: 6px;
+            }
+
+            .replay-keyframe {
+                position: absolute;
+                width: 2px;
+                height: 6px;
+                background: #4CAF50;
+            }
+
+            .replay-seek {
+                width: 100%;
+            }
+
+            .replay-buttons {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin-top: 6px;
+            }
+
+            .replay-buttons button,
+            .replay-import {
+                padding: 4px 10px;
+                background: rgba(255, 255, 255, 0.1);
+                border: 1px solid #555;
+                border-radius: 5px;
+                color: white;
+                cursor: pointer;
+            }
+
+            .replay-import input {
+                display: none;
+            }
+
+            .replay-time {
+                flex: 1;
+                font-family: monospace;
+            }
+        `;
+
+        document.head.appendChild(style);
+    }
+
+    setupEventListeners() {
+        this.playButton.addEventListener('click', () => this.replayPlayer?.togglePause());
+        this.speedButton.addEventListener('click', () => this.cycleSpeed());
+        this.seekInput.addEventListener('input', () => this.replayPlayer?.seek(Number(this.seekInput.value)));
+        this.followSelect.addEventListener('change', () => {
+            this.followId = this.followSelect.value || null;
+        });
+        this.fileInput.addEventListener('change', () => this.importFile());
+        this.element.querySelector('.replay-download').addEventListener('click', () => this.downloadReplay());
+        this.element.querySelector('.replay-close').addEventListener('click', () => this.game.stopReplay());
+
+        // Free camera
+        const canvas = document.getElementById('game-canvas');
+        if (canvas) {
+            this.eventListeners.mousedown = (e) => this.onDragStart(e);
+            this.eventListeners.wheel = (e) => this.onWheel(e);
+            canvas.addEventListener('mousedown', this.eventListeners.mousedown);
+            canvas.addEventListener('wheel', this.eventListeners.wheel, { passive: false });
+            this.canvas = canvas;
+        }
+
+        this.eventListeners.mousemove = (e) => this.onDragMove(e);
+        this.eventListeners.mouseup = () => { this.drag = null; };
+        this.eventListeners.keydown = (e) => this.onKeyDown(e);
+        document.addEventListener('mousemove', this.eventListeners.mousemove);
+        document.addEventListener('mouseup', this.eventListeners.mouseup);
+        document.addEventListener('keydown', this.eventListeners.keydown);
+    }
+
+    // Attach to a freshly loaded replay
+    setReplayPlayer(replayPlayer) {
+        this.replayPlayer = replayPlayer;
+        this.followId = null;
+        this.seekInput.max = replayPlayer.duration;
+        this.refreshFollowOptions();
+        this.update();
+    }
+
+    show() {
+        this.visible = true;
+        this.element.style.display = 'block';
+    }
+
+    hide() {
+        this.visible = false;
+        this.element.style.display = 'none';
+        this.drag = null;
+    }
+
+    // Sync the bar with playback, called once per frame
+    update() {
+        const replayPlayer = this.replayPlayer;
+        if (!replayPlayer) return;
+
+        this.seekInput.value = replayPlayer.tick;
+        this.playButton.textContent = replayPlayer.isPaused ? '▶' : '⏸';
+        this.speedButton.textContent = `${replayPlayer.speed}x`;
+        this.timeLabel.textContent =
+            `${Utils.formatTime(replayPlayer.getTime())} / ${Utils.formatTime(replayPlayer.getTime(replayPlayer.duration))}`;
+
+        this.renderKeyframes();
+
+        // Players join and leave during a match
+        if (this.followSelect.options.length - 1 !== replayPlayer.world.players.length) {
+            this.refreshFollowOptions();
+        }
+    }
+
+    renderKeyframes() {
+        const ticks = this.replayPlayer.getKeyframeTicks();
+        if (ticks.length === this.keyframeTrack.childElementCount) return;
+
+        const duration = Math.max(1, this.replayPlayer.duration);
+        this.keyframeTrack.innerHTML = '';
+        for (const tick of ticks) {
+            const marker = document.createElement('div');
+            marker.className = 'replay-keyframe';
+            marker.style.left = `${(tick / duration) * 100}%`;
+            this.keyframeTrack.appendChild(marker);
+        }
+    }
+
+    refreshFollowOptions() {
+        const players = this.replayPlayer ? this.replayPlayer.world.players : [];
+
+        this.followSelect.innerHTML = '<option value="">Free camera</option>';
+        for (const player of players) {
+            const option = document.createElement('option');
+            option.value = player.id;
+            option.textContent = player.name;
+            this.followSelect.appendChild(option);
+        }
+
+        this.followSelect.value = players.some(player => player.id === this.followId) ? this.followId : '';
+    }
+
+    // Followed player, or null for the free camera
+    getFollowTarget() {
+        if (!this.followId || !this.replayPlayer) return null;
+        return this.replayPlayer.world.findPlayer(this.followId);
+    }
+
+    cycleSpeed() {
+        if (!this.replayPlayer) return;
+
+        const index = REPLAY_SPEEDS.indexOf(this.replayPlayer.speed);
+        this.replayPlayer.setSpeed(REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length]);
+    }
+
+    skip(seconds) {
+        if (!this.replayPlayer) return;
+
+        const ticks = Math.round(seconds * 1000 / this.replayPlayer.tickTime);
+        this.replayPlayer.seek(this.replayPlayer.tick + ticks);
+    }
+
+    // Free camera handling
+    onDragStart(event) {
+        if (!this.visible) return;
+
+        const camera = this.game.camera;
+        this.followId = null;
+        this.followSelect.value = '';
+        this.drag = { x: event.clientX, y: event.clientY, cameraX: camera.x, cameraY: camera.y };
+    }
+
+    onDragMove(event) {
+        if (!this.drag) return;
+
+        const camera = this.game.camera;
+        camera.setPosition(
+            this.drag.cameraX - (event.clientX - this.drag.x) / camera.zoom,
+            this.drag.cameraY - (event.clientY - this.drag.y) / camera.zoom
+        );
+    }
+
+    onWheel(event) {
+        if (!this.visible) return;
+
+        event.preventDefault();
+        const camera = this.game.camera;
+        camera.setZoom(event.deltaY < 0 ? camera.zoom * this.zoomStep : camera.zoom / this.zoomStep);
+    }
+
+    onKeyDown(event) {
+        if (!this.visible) return;
+
+        switch (event.code) {
+            case 'Space':
+                event.preventDefault();
+                this.replayPlayer?.togglePause();
+                break;
+
+            case 'ArrowLeft':
+                this.skip(-this.skipSeconds);
+                break;
+
+            case 'ArrowRight':
+                this.skip(this.skipSeconds);
+                break;
+
+            case 'Escape':
+                this.game.stopReplay();
+                break;
+        }
+    }
+
+    // Import / export
+    async importFile() {
+        const file = this.fileInput.files[0];
+        this.fileInput.value = '';
+        if (!file) return;
+
+        try {
+            const replay = this.game.saveSystem.importReplay(JSON.parse(await file.text()));
+            if (replay) {
+                this.game.startReplay(replay);
+            }
+        } catch (error) {
+            console.error('Failed to read replay file:', error);
+            gameEvents.emit('importFailed', { error: error.message });
+        }
+    }
+
+    downloadReplay() {
+        if (!this.replayPlayer) return;
+
+        const exportData = this.game.saveSystem.exportReplay(this.replayPlayer.replay);
+        this.game.downloadJson(exportData, `replay-${this.replayPlayer.replay.seed}.json`);
+    }
+
+    destroy() {
+        if (this.canvas) {
+            this.canvas.removeEventListener('mousedown', this.eventListeners.mousedown);
+            this.canvas.removeEventListener('wheel', this.eventListeners.wheel);
+        }
+        document.removeEventListener('mousemove', this.eventListeners.mousemove);
+        document.removeEventListener('mouseup', this.eventListeners.mouseup);
+        document.removeEventListener('keydown', this.eventListeners.keydown);
+
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
@@ -12,7 +12,7 @@ export class Shop {
         
         // Initialize shop items
         this.items = this.initializeShopItems();
-        this.categories = ['powerups', 'cosmetics', 'premium'];
+        this.categories = ['powerups', 'companions', 'cosmetics', 'premium'];
         
         this.setupEventListeners();
         this.createShopUI();
@@ -77,6 +77,41 @@ export class Shop {
                 maxStack: 7
             },
             
+            // Companions - bots that fight at your side until they are eaten
+            defenderBot: {
+                id: 'defenderBot',
+                name: 'Defender Bot',
+                description: 'Guards your cells and blocks or eats anything that threatens you',
+                category: 'companions',
+                cost: CONFIG.SHOP.BOTS.defender,
+                currency: 'coins',
+                icon: '🛡️',
+                type: 'companion',
+                companionType: 'Defender'
+            },
+            hunterBot: {
+                id: 'hunterBot',
+                name: 'Hunter Bot',
+                description: 'Chases whichever cell you point your cursor at',
+                category: 'companions',
+                cost: CONFIG.SHOP.BOTS.hunter,
+                currency: 'coins',
+                icon: '🎯',
+                type: 'companion',
+                companionType: 'Hunter'
+            },
+            collectorBot: {
+                id: 'collectorBot',
+                name: 'Collector Bot',
+                description: 'Gathers food around you and feeds the mass to you',
+                category: 'companions',
+                cost: CONFIG.SHOP.BOTS.collector,
+                currency: 'coins',
+                icon: '🧺',
+                type: 'companion',
+                companionType: 'Collector'
+            },
+            
             // Cosmetics
             rainbowSkin: {
                 id: 'rainbowSkin',
@@ -187,6 +222,7 @@ export class Shop {
                 
                 <div class="shop-categories">
                     <button class="category-btn active" data-category="powerups">Powerups</button>
+                    <button class="category-btn" data-category="companions">Companions</button>
                     <button class="category-btn" data-category="cosmetics">Cosmetics</button>
                     <button class="category-btn" data-category="premium">Premium</button>
                 </div>
@@ -338,6 +374,12 @@ export class Shop {
                             <span>${owned}/${item.maxStack}</span>
                         </div>
                     ` : ''}
+                    ${item.type === 'companion' && this.hasActiveCompanion(player, item) ? `
+                        <div class="stat-row">
+                            <span>Status:</span>
+                            <span class="owned-text">Active</span>
+                        </div>
+                    ` : ''}
                     ${item.type === 'permanent' && item.unlocked ? `
                         <div class="stat-row">
                             <span>Status:</span>
@@ -364,6 +406,9 @@ export class Shop {
         if (item.type === 'consumable' && owned >= item.maxStack) {
             return 'Max Stack';
         }
+        if (item.type === 'companion' && this.hasActiveCompanion(this.game && this.game.player, item)) {
+            return 'Active';
+        }
         if (!canAfford) {
             return 'Insufficient Funds';
         }
@@ -393,9 +438,21 @@ export class Shop {
             return owned < item.maxStack;
         }
         
+        if (item.type === 'companion') {
+            // One of each kind at a time, and only where bots can spawn
+            return !!(this.game && this.game.botManager) && !this.hasActiveCompanion(player, item);
+        }
+        
         return true;
     }
     
+    hasActiveCompanion(player, item) {
+        if (!player || !this.game || !this.game.botManager) return false;
+        
+        return this.game.botManager.getCompanions(player)
+            .some(companion => companion.companionType === item.companionType);
+    }
+    
     getPlayerItemCount(player, itemId) {
         if (!player || !player.inventory) return 0;
         return player.inventory.get(itemId) || 0;
@@ -454,6 +511,8 @@ export class Shop {
             }
             const currentCount = player.inventory.get(item.id) || 0;
             player.inventory.set(item.id, Math.min(currentCount + 1, item.maxStack));
+        } else if (item.type === 'companion') {
+            this.game.spawnCompanion(item.companionType);
         }
     }
     
@@ -53,6 +53,9 @@ export class UIManager {
         // Create game over screen
         this.createGameOverScreen();
         
+        // Battle royale ends with a placement screen instead
+        this.createPlacementScreen();
+        
         // Create leaderboard
         this.createLeaderboard();
         
@@ -256,11 +259,44 @@ export class UIManager {
                     <button id="play-again-button" class="btn btn-primary">Play Again</button>
                     <button id="main-menu-button" class="btn btn-secondary">Main Menu</button>
                 </div>
+                <div class="game-over-buttons">
+                    <button class="btn btn-secondary export-save-button">Export Save</button>
+                </div>
             </div>
         `;
         this.elements.uiContainer.appendChild(this.elements.gameOverScreen);
     }
     
+    createPlacementScreen() {
+        this.panels.placementScreen = this.createElement('div', 'panel game-over-screen placement-screen hidden');
+        this.panels.placementScreen.innerHTML = `
+            <div class="panel-header">
+                <h2 id="placement-title">Eliminated</h2>
+            </div>
+            <div class="panel-content">
+                <div class="game-over-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Placement:</span>
+                        <span class="stat-value" id="placement-rank">#0</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Survived:</span>
+                        <span class="stat-value" id="placement-survived">0:00</span>
+                    </div>
+                </div>
+                <ol class="placement-list" id="placement-list"></ol>
+                <div class="game-over-buttons">
+                    <button id="placement-play-again-button" class="btn btn-primary">Play Again</button>
+                    <button id="placement-main-menu-button" class="btn btn-secondary">Main Menu</button>
+                </div>
+                <div class="game-over-buttons">
+                    <button class="btn btn-secondary export-save-button">Export Save</button>
+                </div>
+            </div>
+        `;
+        this.elements.uiContainer.appendChild(this.panels.placementScreen);
+    }
+    
     createLeaderboard() {
         this.elements.leaderboard = this.createElement('div', 'leaderboard');
         this.elements.leaderboard.innerHTML = `
@@ -323,6 +359,21 @@ export class UIManager {
             this.showMainMenu();
         });
         
+        // Placement screen events
+        document.getElementById('placement-play-again-button')?.addEventListener('click', () => {
+            this.hidePanel('placementScreen');
+            this.startGame();
+        });
+        
+        document.getElementById('placement-main-menu-button')?.addEventListener('click', () => {
+            this.showMainMenu();
+        });
+        
+        // Save file, on both the game over and placement screens
+        document.querySelectorAll('.export-save-button').forEach(button => {
+            button.addEventListener('click', () => this.game.exportSaveFile());
+        });
+        
         // Shop tab events
         document.querySelectorAll('.shop-tab').forEach(tab => {
             tab.addEventListener('click', (e) => {
@@ -390,6 +441,29 @@ export class UIManager {
         console.error('UI Error:', message);
     }
     
+    // Passing notice that closes by itself, for things that aren't errors
+    showInfo(message, duration = 5000) {
+        const info = this.createElement('div', 'info-message');
+        info.textContent = message;
+        info.style.position = 'fixed';
+        info.style.top = '20px';
+        info.style.left = '50%';
+        info.style.transform = 'translateX(-50%)';
+        info.style.zIndex = '1000';
+        info.style.background = 'rgba(0, 0, 0, 0.8)';
+        info.style.color = 'white';
+        info.style.padding = '10px 20px';
+        info.style.borderRadius = '5px';
+        
+        document.body.appendChild(info);
+        
+        setTimeout(() => {
+            info.remove();
+        }, duration);
+        
+        console.log('UI Info:', message);
+    }
+    
     hideError() {
         if (this.elements.errorDisplay) {
             this.elements.errorDisplay.classList.add('hidden');
@@ -467,7 +541,9 @@ export class UIManager {
         
         // Start the game
         if (this.game && this.game.startGame) {
-            this.game.startGame(playerName);
+            this.game.startGame(playerName).catch(error => {
+                this.showError(`Failed to start game: ${error.message}`);
+            });
         }
     }
     
@@ -492,6 +568,31 @@ export class UIManager {
         this.showPanel('gameOverScreen');
     }
     
+    // result: { placement, total, survived, placements } from the battle royale
+    showPlacement(result) {
+        const titleEl = document.getElementById('placement-title');
+        const rankEl = document.getElementById('placement-rank');
+        const survivedEl = document.getElementById('placement-survived');
+        const listEl = document.getElementById('placement-list');
+        
+        if (titleEl) titleEl.textContent = result.placement === 1 ? 'Victory Royale!' : 'Eliminated';
+        if (rankEl) rankEl.textContent = `#${result.placement} of ${result.total}`;
+        if (survivedEl) survivedEl.textContent = this.formatTime(result.survived || 0);
+        
+        // Best finishers decided so far, players still alive are not placed yet
+        if (listEl) {
+            listEl.innerHTML = '';
+            result.placements.slice(0, 5).forEach(entry => {
+                const item = document.createElement('li');
+                item.value = entry.placement;
+                item.textContent = entry.name;
+                listEl.appendChild(item);
+            });
+        }
+        
+        this.showPanel('placementScreen');
+    }
+    
     // Update Methods
     update(player) {
         if (!player) return;
@@ -0,0 +1,102 @@
+// js/utils/Compression.js
+// Lossless LZW string compression. The output is a string of 16-bit code
+// units that never contains lone surrogates, so it survives localStorage and
+// IndexedDB unchanged.
+//
+// Output units:
+//   0, c       - literal character c (outside the surrogate range)
+//   1, c       - literal surrogate code unit 0xD800 + c
+//   2..0xD7FF  - dictionary phrase
+
+const LITERAL = 0;
+const LITERAL_SURROGATE = 1;
+const FIRST_CODE = 2;
+const MAX_CODE = 0xD7FF; // Codes stay below the surrogate range
+const SURROGATE_START = 0xD800;
+const SURROGATE_END = 0xDFFF;
+
+export class Compression {
+    static compress(input) {
+        const dictionary = new Map();
+        let nextCode = FIRST_CODE;
+        const output = [];
+        let phrase = '';
+
+        const emit = (text) => {
+            if (text.length > 1) {
+                output.push(dictionary.get(text));
+                return;
+            }
+
+            const code = text.charCodeAt(0);
+            if (code >= SURROGATE_START && code <= SURROGATE_END) {
+                output.push(LITERAL_SURROGATE, code - SURROGATE_START);
+            } else {
+                output.push(LITERAL, code);
+            }
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            const extended = phrase + char;
+
+            if (phrase === '' || dictionary.has(extended)) {
+                phrase = extended;
+                continue;
+            }
+
+            emit(phrase);
+            if (nextCode <= MAX_CODE) {
+                dictionary.set(extended, nextCode++);
+            }
+            phrase = char;
+        }
+
+        if (phrase !== '') {
+            emit(phrase);
+        }
+
+        // fromCharCode in chunks, spreading a huge array overflows the stack
+        let result = '';
+        for (let i = 0; i < output.length; i += 4096) {
+            result += String.fromCharCode(...output.slice(i, i + 4096));
+        }
+        return result;
+    }
+
+    static decompress(compressed) {
+        const dictionary = [];
+        let nextCode = FIRST_CODE;
+        const parts = [];
+        let previous = null;
+
+        for (let i = 0; i < compressed.length; i++) {
+            const unit = compressed.charCodeAt(i);
+            let entry;
+
+            if (unit === LITERAL || unit === LITERAL_SURROGATE) {
+                if (i + 1 >= compressed.length) {
+                    throw new Error('Compressed data is truncated');
+                }
+                const value = compressed.charCodeAt(++i);
+                entry = String.fromCharCode(unit === LITERAL ? value : SURROGATE_START + value);
+            } else if (dictionary[unit] !== undefined) {
+                entry = dictionary[unit];
+            } else if (unit === nextCode && previous !== null) {
+                // Phrase defined by the code being read (cScSc case)
+                entry = previous + previous[0];
+            } else {
+                throw new Error(`Invalid compression code ${unit}`);
+            }
+
+            parts.push(entry);
+
+            if (previous !== null && nextCode <= MAX_CODE) {
+                dictionary[nextCode++] = previous + entry[0];
+            }
+            previous = entry;
+        }
+
+        return parts.join('');
+    }
+}
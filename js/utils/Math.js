@@ -1,4 +1,6 @@
 // Advanced math utilities for game physics and calculations
+import { simulation } from '../core/Simulation.js';
+
 export class MathUtils {
     // Vector operations for physics calculations
     static createVector(x = 0, y = 0) {
@@ -246,7 +248,7 @@ export class MathUtils {
     
     // MISSING METHOD - Add this to fix PhysicsEngine
     static randomAngle() {
-        return Math.random() * Math.PI * 2;
+        return simulation.random() * Math.PI * 2;
     }
     
     // Additional utility methods for compatibility
@@ -257,11 +259,11 @@ export class MathUtils {
     }
     
     static random(min, max) {
-        return Math.random() * (max - min) + min;
+        return simulation.random() * (max - min) + min;
     }
     
     static randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return Math.floor(simulation.random() * (max - min + 1)) + min;
     }
     
     static degrees(radians) {
@@ -299,8 +299,9 @@ class QuadTree {
         return neighbors.slice(0, maxCount).map(n => n.entity);
     }
 
-    // Remove an object from the quadtree
-    remove(entity) {
+    // Remove an object from the quadtree. `location` is where the tree last saw
+    // it, for entities that have moved since they were inserted.
+    remove(entity, location = entity) {
         if (!entity) return false;
 
         // Try to remove from current level
@@ -312,15 +313,15 @@ class QuadTree {
 
         // Try to remove from child nodes
         if (this.nodes.length > 0) {
-            const nodeIndex = this.getIndex(entity);
-            if (nodeIndex !== -1) {
-                return this.nodes[nodeIndex].remove(entity);
-            } else {
-                // Entity might be in multiple nodes, try all
-                for (const node of this.nodes) {
-                    if (node.remove(entity)) {
-                        return true;
-                    }
+            const nodeIndex = this.getIndex(location);
+            if (nodeIndex !== -1 && this.nodes[nodeIndex].remove(entity, location)) {
+                return true;
+            }
+
+            // Entity might not be where we expected, try all
+            for (let i = 0; i < this.nodes.length; i++) {
+                if (i !== nodeIndex && this.nodes[i].remove(entity, location)) {
+                    return true;
                 }
             }
         }
@@ -332,11 +333,11 @@ class QuadTree {
     update(entity, oldX, oldY) {
         if (!entity) return false;
 
-        // Create temporary entity with old position for removal
+        // Copy with the old position, used to find where the entity was stored
         const oldEntity = { ...entity, x: oldX, y: oldY };
         
         // Remove from old position
-        this.remove(oldEntity);
+        this.remove(entity, oldEntity);
         
         // Insert at new position
         this.insert(entity);
@@ -1,8 +1,27 @@
 // Utility functions for the game
+import { simulation } from '../core/Simulation.js';
+
 export class Utils {
     // Generate unique IDs
     static generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+        return simulation.now().toString(36) + simulation.random().toString(36).substr(2);
+    }
+    
+    // True when both entities belong to the same team (team mode only)
+    static isSameTeam(a, b) {
+        return a.teamId !== undefined && a.teamId !== null && a.teamId === b.teamId;
+    }
+    
+    // Teammates, or a companion bot and its owner (or two companions of the same owner).
+    // Friendly cells never absorb each other. Ejected mass is never friendly - it's
+    // how players feed their teammates and companions.
+    static isFriendly(a, b) {
+        if (a.isEjected || b.isEjected) return false;
+        if (Utils.isSameTeam(a, b)) return true;
+        if (!a.companionOf && !b.companionOf) return false;
+        
+        const leaderOf = cell => cell.companionOf || cell.ownerId || cell.playerId || cell.id;
+        return leaderOf(a) === leaderOf(b);
     }
     
     // Distance calculation
@@ -43,17 +62,27 @@ export class Utils {
     
     // Random number between min and max
     static random(min, max) {
-        return Math.random() * (max - min) + min;
+        return simulation.random() * (max - min) + min;
     }
     
     // Random integer between min and max (inclusive)
     static randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return Math.floor(simulation.random() * (max - min + 1)) + min;
     }
     
     // Random element from array
     static randomElement(array) {
-        return array[Math.floor(Math.random() * array.length)];
+        return array[Math.floor(simulation.random() * array.length)];
+    }
+    
+    // Random float in range (used by entity spawners)
+    static randomRange(min, max) {
+        return this.random(min, max);
+    }
+    
+    // Random color from a palette
+    static randomColor(palette) {
+        return this.randomElement(palette);
     }
     
     // Vector operations
@@ -84,6 +113,17 @@ export class Utils {
         return this.distanceSquared(px, py, cx, cy) <= radius * radius;
     }
     
+    // Distance from a point to the line segment (x1, y1)-(x2, y2)
+    static distanceToSegment(px, py, x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSquared = dx * dx + dy * dy;
+        if (lengthSquared === 0) return this.distance(px, py, x1, y1);
+        
+        const t = this.clamp(((px - x1) * dx + (py - y1) * dy) / lengthSquared, 0, 1);
+        return this.distance(px, py, x1 + t * dx, y1 + t * dy);
+    }
+    
     // Check if circles overlap (with overlap amount)
     static circleOverlap(x1, y1, r1, x2, y2, r2) {
         const distance = this.distance(x1, y1, x2, y2);
@@ -205,4 +245,47 @@ export class Utils {
             return clonedObj;
         }
     }
+    
+    // Deep clone an object graph keeping class prototypes, Maps, Sets and cycles.
+    // Objects listed in `shared` are referenced, not copied (e.g. the owning world).
+    static cloneGraph(value, shared = []) {
+        const copies = new Map(shared.map(obj => [obj, obj]));
+        
+        const clone = (obj) => {
+            if (obj === null || typeof obj !== 'object') return obj;
+            if (copies.has(obj)) return copies.get(obj);
+            
+            if (obj instanceof Date) return new Date(obj);
+            
+            // Typed arrays, e.g. the bounding boxes kept by broadphases
+            if (ArrayBuffer.isView(obj) && !(obj instanceof DataView)) {
+                const copy = obj.slice();
+                copies.set(obj, copy);
+                return copy;
+            }
+            
+            if (obj instanceof Map) {
+                const copy = new Map();
+                copies.set(obj, copy);
+                for (const [key, item] of obj) copy.set(clone(key), clone(item));
+                return copy;
+            }
+            
+            if (obj instanceof Set) {
+                const copy = new Set();
+                copies.set(obj, copy);
+                for (const item of obj) copy.add(clone(item));
+                return copy;
+            }
+            
+            const copy = Array.isArray(obj) ? [] : Object.create(Object.getPrototypeOf(obj));
+            copies.set(obj, copy);
+            for (const key of Object.keys(obj)) {
+                copy[key] = clone(obj[key]);
+            }
+            return copy;
+        };
+        
+        return clone(value);
+    }
 }
@@ -0,0 +1,98 @@
+// js/worker/index.js
+// Web Worker entry point: runs the world off the main thread so physics,
+// collisions and bot AI never hold up drawing. The page is the only client of
+// a local GameServer - it sends inputs with the multiplayer protocol through
+// WorkerSocket and draws the delta snapshots it gets back.
+import { CONFIG } from '../core/Config.js';
+import { simulation } from '../core/Simulation.js';
+import { BotArchetypes } from '../ai/BotArchetypes.js';
+import { CustomGameSettings } from '../systems/CustomGameSettings.js';
+import { GameServer } from '../server/GameServer.js';
+
+const SOCKET_OPEN = 1;
+const SOCKET_CLOSED = 3;
+
+let gameServer = null;
+let session = null;
+
+// The GameServer's end of the page's WorkerSocket
+const pageSocket = {
+    readyState: SOCKET_OPEN,
+
+    send(data) {
+        if (typeof data === 'string') {
+            self.postMessage(data);
+            return;
+        }
+
+        // Snapshots come out of BinaryWriter.finish() with a buffer of their own,
+        // so it can be handed over instead of copied
+        self.postMessage(data.buffer, [data.buffer]);
+    },
+
+    close() {
+        this.readyState = SOCKET_CLOSED;
+        self.close();
+    }
+};
+
+self.onmessage = (event) => {
+    const data = event.data;
+
+    if (data && data.command === 'start') {
+        // The page is waiting for 'ready', so it has to hear about a failed start too
+        start(data.options || {}).catch(error => {
+            console.error('Simulation worker failed to start:', error);
+            self.postMessage({ command: 'error', message: error.message });
+        });
+        return;
+    }
+
+    if (gameServer && session) {
+        gameServer.handleMessage(session, data);
+    }
+};
+
+async function start(options) {
+    if (gameServer) return;
+
+    // Manifest URLs come from the page - relative ones would resolve against this script
+    if (options.archetypes) {
+        try {
+            await BotArchetypes.loadManifest(options.archetypes);
+        } catch (error) {
+            console.warn('Bot archetypes unavailable in the worker, using standard bots:', error);
+        }
+    }
+
+    // Unseeded worlds still keep time by ticks, like the page's own game
+    if (options.seed === undefined) {
+        simulation.useSimulatedClock();
+    }
+
+    // Custom games change CONFIG, which the world reads as it is built. The
+    // bot count is the settings' one, plus a slot for the page's player.
+    const settings = options.settings ? CustomGameSettings.validate(options.settings) : null;
+    let maxPlayers = options.maxPlayers || CONFIG.WORKER.MAX_PLAYERS;
+    if (settings) {
+        CustomGameSettings.apply(settings);
+        maxPlayers = CONFIG.BOTS.COUNT + 1;
+    }
+
+    gameServer = new GameServer({
+        seed: options.seed,
+        maxPlayers,
+        foodCount: options.foodCount,
+        teams: options.teams,
+        viruses: options.viruses === true,
+        battleRoyale: options.battleRoyale === true,
+        botSettings: settings ? settings.bots : null,
+        snapshotInterval: CONFIG.WORKER.SNAPSHOT_INTERVAL,
+        maxMessagesPerSecond: CONFIG.WORKER.MAX_MESSAGES_PER_SECOND
+    });
+
+    session = gameServer.addClient(pageSocket);
+    gameServer.start();
+
+    self.postMessage({ command: 'ready' });
+}
@@ -0,0 +1,111 @@
+// test/entities/EjectedMass.test.js
+// Ejected mass in seeded headless worlds: it comes out of the cell toward the
+// target and settles, anyone but its owner can eat it straight away, it feeds
+// viruses and it is never friendly - that is how players feed companions.
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../js/core/Config.js';
+import { HeadlessRunner } from '../../js/headless/HeadlessRunner.js';
+import { Utils } from '../../js/utils/Utils.js';
+
+let runner = null;
+
+function createRunner(options = {}) {
+    runner = new HeadlessRunner({ seed: 'ejected-mass', ...options });
+    return runner;
+}
+
+afterEach(() => {
+    if (runner) runner.dispose();
+    runner = null;
+});
+
+// Eject once toward the target and hand back the pellet
+function eject(player, x, y) {
+    runner.eject(player, x, y);
+    runner.step(1);
+    runner.moveTo(player, player.x, player.y);
+    return runner.world.food.find(food => food.isEjected);
+}
+
+test('ejecting moves mass from the cell into a pellet flying at the target', () => {
+    createRunner();
+    const feeder = runner.addPlayer('Feeder', { x: 1000, y: 1000, mass: 200 });
+    const totalMass = runner.getTotalMass();
+
+    const pellet = eject(feeder, 1400, 1000);
+
+    assert.ok(pellet, 'nothing was ejected');
+    assert.equal(pellet.ownerId, feeder.id);
+    assert.equal(pellet.mass, CONFIG.PLAYER.EJECT_MASS);
+    assert.equal(feeder.cells[0].mass, 200 - CONFIG.PLAYER.EJECT_MASS);
+    assert.equal(runner.getTotalMass(), totalMass);
+    assert.ok(pellet.x > feeder.x && pellet.velocity.x > 0 && pellet.velocity.y === 0);
+
+    // Slows down and comes to rest further along the same line
+    const launchedAt = pellet.x;
+    runner.runFor(2000);
+    assert.equal(pellet.isStatic, true);
+    assert.ok(pellet.x > launchedAt);
+    assert.equal(pellet.y, 1000);
+});
+
+test('cells too small to eject keep their mass', () => {
+    createRunner();
+    const feeder = runner.addPlayer('Feeder', { x: 1000, y: 1000, mass: CONFIG.PLAYER.MIN_EJECT_MASS });
+
+    assert.equal(eject(feeder, 1400, 1000), undefined);
+    assert.equal(feeder.cells[0].mass, CONFIG.PLAYER.MIN_EJECT_MASS);
+});
+
+test('another player eats a pellet at once', () => {
+    createRunner();
+    const feeder = runner.addPlayer('Feeder', { x: 1000, y: 1000, mass: 200 });
+    const pellet = eject(feeder, 1400, 1000);
+
+    // Clear of the feeder, which would eat the eater, but well inside the pickup delay
+    runner.runFor(300);
+    const eater = runner.addPlayer('Eater', { x: pellet.x, y: pellet.y, mass: 100 });
+    runner.step(1);
+
+    assert.ok(!runner.world.food.includes(pellet), 'the pellet was not eaten');
+    assert.equal(eater.cells[0].mass, 100 + CONFIG.PLAYER.EJECT_MASS);
+});
+
+test('its owner can only eat a pellet after the pickup delay', () => {
+    const { collisionDetection } = createRunner().world;
+    const feeder = runner.addPlayer('Feeder', { x: 1000, y: 1000, mass: 200 });
+    const pellet = eject(feeder, 1400, 1000);
+
+    assert.equal(collisionDetection.canAbsorb(feeder, pellet), false);
+    runner.runFor(CONFIG.EJECTED_MASS.OWNER_PICKUP_DELAY - 100);
+    assert.equal(collisionDetection.canAbsorb(feeder, pellet), false);
+    runner.runFor(200);
+    assert.equal(collisionDetection.canAbsorb(feeder, pellet), true);
+});
+
+test('a pellet that reaches a virus feeds it', () => {
+    createRunner({ viruses: true });
+    const feeder = runner.addPlayer('Feeder', { x: 1000, y: 1000, mass: 200 });
+    const virus = runner.addVirus(1200, 1000);
+
+    const pellet = eject(feeder, 1200, 1000);
+    runner.runUntil(world => !world.food.includes(pellet), 120);
+
+    assert.ok(!runner.world.food.includes(pellet), 'the virus never got the pellet');
+    assert.equal(virus.mass, CONFIG.VIRUS.MASS + CONFIG.PLAYER.EJECT_MASS);
+});
+
+test('ejected mass is never friendly, so companions can be fed', () => {
+    const { collisionDetection } = createRunner().world;
+    const feeder = runner.addPlayer('Feeder', { x: 1000, y: 1000, mass: 200 });
+    const companion = runner.addPlayer('Companion', { x: 2000, y: 2000, mass: 100 });
+    companion.companionOf = feeder.id;
+
+    const pellet = eject(feeder, 1400, 1000);
+
+    assert.equal(Utils.isFriendly(feeder, companion), true);
+    assert.equal(Utils.isFriendly(companion, pellet), false);
+    assert.equal(Utils.isFriendly(pellet, feeder), false);
+    assert.equal(collisionDetection.canAbsorb(companion, pellet), true);
+});
@@ -0,0 +1,170 @@
+// test/headless/HeadlessRunner.test.js
+// Physics and collision scenarios stepped through the headless World: the eat
+// rule, split mass conservation, recombine timers, the world boundary and
+// whether a seed decides the whole match.
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessRunner } from '../../js/headless/HeadlessRunner.js';
+import { CONFIG } from '../../js/core/Config.js';
+import { Utils } from '../../js/utils/Utils.js';
+
+let runner = null;
+
+function createRunner(options = {}) {
+    runner = new HeadlessRunner({ seed: 'headless-tests', ...options });
+    return runner;
+}
+
+afterEach(() => {
+    if (runner) runner.dispose();
+    runner = null;
+});
+
+test('a cell only absorbs targets below the absorption threshold', () => {
+    const threshold = CONFIG.PHYSICS.ABSORPTION_THRESHOLD;
+    const { collisionDetection } = createRunner().world;
+
+    assert.equal(collisionDetection.absorptionThreshold, threshold);
+    assert.equal(collisionDetection.canAbsorb({ mass: 100 * threshold + 0.01 }, { mass: 100 }), true);
+    assert.equal(collisionDetection.canAbsorb({ mass: 100 * threshold }, { mass: 100 }), false);
+    assert.equal(collisionDetection.canAbsorb({ mass: 100 }, { mass: 100 }), false);
+});
+
+test('overlapping players eat each other only past the threshold', () => {
+    const threshold = CONFIG.PHYSICS.ABSORPTION_THRESHOLD;
+
+    createRunner();
+    const hunter = runner.addPlayer('Hunter', { x: 1000, y: 1000, mass: 200 });
+    const prey = runner.addPlayer('Prey', { x: 1005, y: 1000, mass: Math.floor(200 / threshold) });
+    runner.step(3);
+
+    assert.equal(prey.isAlive, false);
+    assert.equal(prey.cells.length, 0);
+    assert.equal(hunter.cells[0].mass, 200 + Math.floor(200 / threshold));
+    runner.dispose();
+
+    createRunner();
+    const tooSmall = runner.addPlayer('Hunter', { x: 1000, y: 1000, mass: 200 });
+    const survivor = runner.addPlayer('Survivor', { x: 1005, y: 1000, mass: Math.ceil(200 / threshold) });
+    runner.step(3);
+
+    assert.equal(survivor.isAlive, true);
+    assert.equal(survivor.cells[0].mass, Math.ceil(200 / threshold));
+    assert.equal(tooSmall.cells[0].mass, 200);
+});
+
+test('splitting conserves mass and respects the cell limit', () => {
+    // Below the mass decay threshold, so only splitting can change the mass
+    createRunner();
+    const player = runner.addPlayer('Splitter', { x: 2000, y: 2000, mass: 480 });
+    const totalMass = runner.getTotalMass();
+
+    runner.split(player, 2400, 2000);
+    runner.step(1);
+
+    assert.equal(player.cells.length, 2);
+    assert.deepEqual(player.cells.map(cell => cell.mass), [240, 240]);
+    assert.equal(runner.getTotalMass(), totalMass);
+
+    // Keep splitting past the cooldown until the cells are too small or too many
+    for (let i = 0; i < 6; i++) {
+        runner.runFor(1100);
+        runner.split(player, 2000, 2400);
+        runner.step(1);
+        assert.equal(runner.getTotalMass(), totalMass, `mass changed after split ${i + 2}`);
+    }
+
+    assert.equal(player.cells.length, CONFIG.PHYSICS.MAX_CELLS);
+    assert.ok(player.cells.every(cell => cell.mass >= CONFIG.PHYSICS.MIN_SPLIT_MASS / 2));
+});
+
+test('split cells only recombine after the recombine time', () => {
+    createRunner();
+    const player = runner.addPlayer('Splitter', { x: 2000, y: 2000, mass: 400 });
+    const totalMass = runner.getTotalMass();
+
+    runner.split(player, 2300, 2000);
+    runner.step(1);
+    runner.moveTo(player, 2000, 2000);
+
+    assert.equal(player.cells.length, 2);
+    assert.ok(player.cells.every(cell => !cell.canRecombine));
+
+    // Still apart just before the timer runs out, even while pulled together
+    runner.runFor(CONFIG.PHYSICS.RECOMBINE_TIME - 500);
+    assert.equal(player.cells.length, 2);
+    assert.ok(player.cells.every(cell => !cell.canRecombine));
+
+    const ticks = runner.runUntil(() => player.cells.length === 1, 600);
+    assert.ok(ticks < 600, 'cells never recombined');
+    assert.equal(player.cells[0].mass, totalMass);
+    assert.equal(runner.getTotalMass(), totalMass);
+});
+
+test('split pieces of a companion stay friendly with its owner', () => {
+    createRunner();
+    const owner = runner.addPlayer('Owner', { x: 1000, y: 1000, mass: 450 });
+    const companion = runner.addPlayer('Companion', { x: 1040, y: 1000, mass: 200 });
+    companion.companionOf = owner.id;
+
+    // Split towards the owner, the piece lands inside it
+    runner.split(companion, 900, 1000);
+    runner.step(1);
+
+    assert.equal(companion.cells.length, 2);
+    for (const cell of companion.cells) {
+        assert.equal(cell.companionOf, owner.id);
+        assert.equal(Utils.isFriendly(owner, cell), true);
+    }
+
+    runner.step(30);
+    assert.equal(companion.cells.length, 2);
+    assert.equal(companion.cells.reduce((total, cell) => total + cell.mass, 0), 200);
+    assert.equal(owner.cells[0].mass, 450);
+});
+
+test('cells bounce off the world boundary', () => {
+    const bounce = CONFIG.PHYSICS.BOUNDARY_BOUNCE;
+    const { collisionDetection, physicsEngine, worldBounds } = createRunner().world;
+
+    const outside = { x: -20, y: worldBounds.bottom + 5, radius: 10, velocity: { x: -50, y: 30 } };
+    collisionDetection.resolveBoundaryCollision(outside, worldBounds);
+    assert.deepEqual(outside, { x: 10, y: worldBounds.bottom - 10, radius: 10, velocity: { x: 50 * bounce, y: -30 * bounce } });
+
+    const escaping = { x: worldBounds.right + 1, y: -3, radius: 10, velocity: { x: 40, y: -60 } };
+    physicsEngine.handleBoundaryCollision(escaping);
+    assert.deepEqual(escaping, { x: worldBounds.right - 10, y: 10, radius: 10, velocity: { x: -40 * bounce, y: 60 * bounce } });
+
+    // A player steering out of the world stays inside it
+    const player = runner.addPlayer('Runner', { x: 100, y: 100, mass: 100 });
+    runner.moveTo(player, -1000, -1000);
+    for (let tick = 0; tick < 120; tick++) {
+        runner.step(1);
+        const cell = player.cells[0];
+        assert.ok(cell.x - cell.radius >= worldBounds.left && cell.y - cell.radius >= worldBounds.top, `left the world at tick ${tick}`);
+    }
+});
+
+test('the same seed plays the same match', () => {
+    assert.equal(playMatch('replayable'), playMatch('replayable'));
+});
+
+test('a different seed plays a different match', () => {
+    assert.notEqual(playMatch('replayable'), playMatch('another'));
+});
+
+// Bots, food and a player steering around for a few seconds, fingerprinted
+function playMatch(seed) {
+    createRunner({ seed, bots: true, foodCount: CONFIG.FOOD.COUNT });
+    try {
+        const player = runner.addPlayer('Wanderer', { x: 2000, y: 2000, mass: 200 });
+        for (let second = 0; second < 5; second++) {
+            runner.moveTo(player, 2000 + Math.cos(second) * 600, 2000 + Math.sin(second) * 600);
+            runner.runFor(1000);
+        }
+        return runner.getHash();
+    } finally {
+        runner.dispose();
+        runner = null;
+    }
+}
@@ -0,0 +1,44 @@
+// test/headless/TournamentWorld.test.js
+// Kill credit in tournament worlds: whichever cells do the eating, the kill
+// goes to the bot that owns the cell that ate the victim's last one.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessRunner } from '../../js/headless/HeadlessRunner.js';
+import { TournamentWorld } from '../../js/headless/TournamentWorld.js';
+
+test('the kill goes to the owner of the cell that ate the last piece', () => {
+    const runner = new HeadlessRunner({ seed: 'kills', WorldClass: TournamentWorld });
+    try {
+        const { world } = runner;
+        const hunter = world.addEntrantBot({ name: 'Hunter', difficulty: 'medium' });
+        const bystander = world.addEntrantBot({ name: 'Bystander', difficulty: 'medium' });
+        const prey = world.addEntrantBot({ name: 'Prey', difficulty: 'medium' });
+        setMass(hunter, 2000);
+        setMass(bystander, 2000);
+        setMass(prey, 200);
+
+        // The hunter eats with a split-off cell, and the prey's last piece is
+        // a plain Cell with no player flag of its own
+        world.splittingSystem.performSplit(hunter, hunter.x + 100, hunter.y);
+        const hunterPiece = hunter.cells.find(cell => cell !== hunter);
+        const preyPiece = prey.createSplitCell(prey);
+        prey.cells.push(preyPiece);
+        assert.ok(hunterPiece && !preyPiece.isPlayer);
+
+        assert.ok(world.collisionDetection.processAbsorption(bystander, prey));
+        assert.ok(world.collisionDetection.processAbsorption(hunterPiece, preyPiece));
+        runner.step(1);
+
+        assert.equal(prey.isAlive, false);
+        assert.equal(world.records.get(hunter).kills, 1);
+        assert.equal(world.records.get(bystander).kills, 0);
+    } finally {
+        runner.dispose();
+    }
+});
+
+function setMass(bot, mass) {
+    bot.mass = mass;
+    bot.updateRadius();
+    bot.updateTotalMass();
+}
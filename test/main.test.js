@@ -0,0 +1,342 @@
+// test/main.test.js
+// The live game's loop: Main.update runs once per fixed simulation tick
+// whatever the display rate, and renderFrame draws local cells between the
+// last two ticks while networked cells are drawn where the server put them.
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../js/core/Config.js';
+import { simulation } from '../js/core/Simulation.js';
+import { gameEvents } from '../js/core/EventSystem.js';
+import { Food } from '../js/entities/Food.js';
+import { Renderer } from '../js/rendering/Renderer.js';
+import { ParticleSystem } from '../js/rendering/ParticleSystem.js';
+import Camera from '../js/rendering/Camera.js';
+import ViewportManager from '../js/rendering/ViewportManager.js';
+
+let Main = null;
+const games = [];
+const errors = [];
+const consoleError = console.error;
+
+before(async () => {
+    // main.js waits for DOMContentLoaded when it is imported
+    globalThis.document = { addEventListener() {} };
+    ({ Main } = await import('../js/main.js'));
+});
+
+afterEach(() => {
+    while (games.length > 0) {
+        const game = games.pop();
+        game.gameLoop.stop();
+        game.saveSystem.cleanup();
+    }
+    simulation.clearSeed();
+    console.error = consoleError;
+    errors.length = 0;
+});
+
+test('the world moves in fixed ticks at any display rate', async () => {
+    const results = [];
+    for (const hz of [30, 60, 144]) {
+        const game = await createGame('main-loop');
+        const player = game.player;
+
+        // Heavy enough to split, with a line of pellets in its way
+        player.mass = 100;
+        player.updateRadius();
+        const pellets = [];
+        for (let offset = 20; offset <= 400; offset += 5) {
+            pellets.push(new Food(player.x + offset, player.y));
+        }
+        game.food.push(...pellets);
+        const startX = player.x;
+
+        // Split with Space between ticks 30 and 31
+        const update = game.update.bind(game);
+        game.gameLoop.onUpdate = (deltaTime) => {
+            update(deltaTime);
+            if (game.matchTick === 30) {
+                game.onKeyDown({ code: 'Space', preventDefault() {} });
+            }
+        };
+
+        let ticks = 0;
+        let frames = 0;
+
+        // Two seconds of simulation, however many frames that takes
+        while (ticks < 120) {
+            ticks += game.gameLoop.advance(1000 / hz);
+            frames++;
+        }
+
+        assert.equal(ticks, 120, `${hz} Hz overshot`);
+        assert.equal(game.matchTick, ticks, `${hz} Hz ran update outside of a tick`);
+        assert.equal(game.drawnFrames.length, frames, `${hz} Hz did not draw every frame`);
+        assert.ok(Math.abs(frames - 2 * hz) <= 1, `${hz} Hz took ${frames} frames for two seconds`);
+        assert.deepEqual(errors, [], `${hz} Hz logged errors`);
+
+        assert.ok(player.x > startX, `${hz} Hz never moved the player`);
+        assert.ok(pellets.some(pellet => !game.food.includes(pellet)), `${hz} Hz never ate a pellet`);
+        assert.ok(player.cells.length > 1, `${hz} Hz never split`);
+
+        results.push({
+            hz,
+            now: simulation.now(),
+            cells: player.cells.map(cell => ({ x: cell.x, y: cell.y, mass: cell.mass })),
+            bots: game.botManager.bots.map(bot => ({ x: bot.x, y: bot.y, mass: bot.mass })),
+            pellets: pellets.filter(pellet => game.food.includes(pellet)).length
+        });
+    }
+
+    // Same ticks, same world
+    const [reference, ...others] = results;
+    assert.ok(reference.bots.length > 0, 'no bots in the match');
+    for (const result of others) {
+        assert.equal(result.now, reference.now);
+        assert.deepEqual(result.cells, reference.cells, `${result.hz} Hz moved the player differently`);
+        assert.deepEqual(result.bots, reference.bots, `${result.hz} Hz moved the bots differently`);
+        assert.equal(result.pellets, reference.pellets, `${result.hz} Hz ate different pellets`);
+    }
+});
+
+test('local cells are drawn between the last two ticks', async () => {
+    const game = await createGame('interpolation');
+    const ticks = [];
+    const update = game.update.bind(game);
+    game.update = (deltaTime) => {
+        update(deltaTime);
+        ticks.push({ time: simulation.now(), x: game.player.x });
+    };
+    game.gameLoop.onUpdate = (deltaTime) => game.update(deltaTime);
+
+    let between = 0;
+    for (let frame = 0; frame < 144; frame++) {
+        game.gameLoop.advance(1000 / 144);
+        if (ticks.length < 2) continue;
+
+        const drawn = game.drawnFrames[game.drawnFrames.length - 1];
+        const [previous, latest] = ticks.slice(-2);
+        const renderTime = game.renderer.renderTime;
+
+        assert.ok(renderTime >= previous.time && renderTime <= latest.time, `frame ${frame} drawn outside the last tick`);
+
+        const alpha = (renderTime - previous.time) / (latest.time - previous.time);
+        const expected = previous.x + (latest.x - previous.x) * alpha;
+        assert.ok(Math.abs(drawn.x - expected) < 1e-6, `frame ${frame} drawn at ${drawn.x}, expected ${expected}`);
+
+        if (drawn.x !== latest.x) between++;
+    }
+
+    assert.ok(between > 0, 'no frame was drawn between ticks');
+    assert.deepEqual(errors, []);
+});
+
+test('networked cells are drawn where they are', async () => {
+    const game = await createGame('network');
+    game.gameLoop.advance(1000 / 60);
+    assert.notEqual(game.renderer.renderTime, null);
+
+    // The server simulates, renderFrame only draws what the snapshots say
+    game.network = { sendInput() {} };
+    game.updateRemotePlayers = () => {};
+    game.gameLoop.advance(1000 / 144);
+
+    assert.equal(game.renderer.renderTime, null);
+    const drawn = game.drawnFrames[game.drawnFrames.length - 1];
+    assert.deepEqual(drawn, { x: game.player.x, y: game.player.y });
+});
+
+test('large cells decay in the live game, slower with the account\'s mass retention', async () => {
+    const { THRESHOLD, EXPONENTIAL_RATE } = CONFIG.PHYSICS.MASS_DECAY;
+    const start = THRESHOLD * 3;
+
+    // Nothing to eat and nobody to eat it, so decay is the only change in mass
+    const { FOOD, BOTS } = CONFIG;
+    const counts = { food: FOOD.COUNT, bots: BOTS.COUNT };
+    FOOD.COUNT = 0;
+    BOTS.COUNT = 0;
+
+    try {
+        for (const level of [0, 5]) {
+            const game = await createGame('decay');
+            game.accountSystem.currentAccount.prestigeUpgrades = { massRetention: level };
+            game.player.mass = start;
+            game.player.updateRadius();
+
+            let ticks = 0;
+            while (ticks < 60) {
+                ticks += game.gameLoop.advance(1000 / 60);
+            }
+
+            // One second of the exponential curve, at half the rate with 5 levels
+            const multiplier = 1 - level * 0.1;
+            const expected = THRESHOLD + (start - THRESHOLD) * Math.exp(-EXPONENTIAL_RATE * multiplier);
+            assert.ok(Math.abs(game.player.getTotalMass() - expected) <= 1e-6 * expected,
+                `retention ${level}: ${game.player.getTotalMass()}, expected ${expected}`);
+            assert.deepEqual(errors, []);
+        }
+    } finally {
+        FOOD.COUNT = counts.food;
+        BOTS.COUNT = counts.bots;
+    }
+});
+
+test('viruses pop the player\'s cells in the live game', async () => {
+    const game = await createGame('viruses');
+    game.setupViruses(true);
+
+    const popped = [];
+    const onPopped = data => popped.push(data);
+    gameEvents.on('virus.popped', onPopped);
+
+    try {
+        // Big enough to pop a virus, with one just ahead of it
+        const player = game.player;
+        player.mass = CONFIG.VIRUS.MASS * 10;
+        player.updateRadius();
+        const virus = game.virusSystem.viruses[0];
+        virus.x = player.x + 10;
+        virus.y = player.y;
+
+        for (let tick = 0; tick < 10 && popped.length === 0; tick++) {
+            game.gameLoop.advance(1000 / 60);
+        }
+
+        assert.equal(popped.length, 1, 'the virus never popped the player');
+        assert.equal(popped[0].game, game);
+        assert.equal(popped[0].player, player);
+        assert.ok(player.cells.length > 1, 'the player was not split');
+        assert.ok(!game.virusSystem.viruses.includes(virus));
+        assert.deepEqual(errors, []);
+    } finally {
+        gameEvents.off('virus.popped', onPopped);
+    }
+});
+
+test('the battle royale zone closes and burns the player in the live game', async () => {
+    // One phase that closes the whole zone within a fifth of a second
+    const settings = CONFIG.BATTLE_ROYALE;
+    const phases = settings.PHASES;
+    settings.PHASES = [{ wait: 0, shrink: 200, radius: 0 }];
+
+    try {
+        const game = await createGame('battle-royale');
+        game.setupBattleRoyale(true);
+
+        // Below the decay threshold, so the zone is all that takes mass away
+        const player = game.player;
+        const start = 400;
+        player.mass = start;
+        player.updateRadius();
+
+        let ticks = 0;
+        while (ticks < 60) {
+            ticks += game.gameLoop.advance(1000 / 60);
+        }
+
+        const { zone, state } = game.battleRoyale.getZoneState();
+        assert.equal(state, 'closed');
+        assert.equal(zone.radius, 0);
+        assert.ok(game.battleRoyale.contestants.has(player.id));
+
+        // Close to a second of ZONE_DAMAGE outside the zone, less what was eaten on the way
+        const lost = start - player.getTotalMass();
+        assert.ok(lost > start * settings.ZONE_DAMAGE * 0.5, `only lost ${lost}`);
+        assert.deepEqual(errors, []);
+    } finally {
+        settings.PHASES = phases;
+    }
+});
+
+test('the director eases off for a struggling player in the live game', async () => {
+    // Judge the player every half second instead of every few
+    const settings = CONFIG.DIRECTOR;
+    const intervals = { sample: settings.SAMPLE_INTERVAL, evaluate: settings.EVALUATE_INTERVAL };
+    settings.SAMPLE_INTERVAL = 100;
+    settings.EVALUATE_INTERVAL = 500;
+
+    const decisions = [];
+    const onDecision = entry => decisions.push(entry);
+    gameEvents.on('director.decision', onDecision);
+
+    try {
+        const game = await createGame('director');
+        game.setupDirector();
+        assert.equal(game.director.enabled, true);
+
+        // The smallest cell in the match
+        const player = game.player;
+        player.mass = CONFIG.PHYSICS.MIN_CELL_MASS;
+        player.updateRadius();
+        player.updateTotalMass();
+
+        let ticks = 0;
+        while (ticks < 60) {
+            ticks += game.gameLoop.advance(1000 / 60);
+        }
+
+        assert.ok(decisions.some(entry => entry.reason === 'player behind target'), 'the director never stepped in');
+        assert.ok(game.director.challenge < settings.START_CHALLENGE);
+
+        // More food for an easier match, topped up by the same tick
+        assert.ok(game.director.foodDensity > 1);
+        assert.equal(game.food.length, Math.round(CONFIG.FOOD.COUNT * game.director.foodDensity));
+        assert.deepEqual(errors, []);
+    } finally {
+        gameEvents.off('director.decision', onDecision);
+        settings.SAMPLE_INTERVAL = intervals.sample;
+        settings.EVALUATE_INTERVAL = intervals.evaluate;
+    }
+});
+
+// A local single player match without canvas or DOM, with the mouse held to
+// the right of the player. Renderer draws into a context that records where
+// cells went, and anything Main logs as an error is kept.
+async function createGame(seed) {
+    const game = new Main();
+    games.push(game);
+
+    // The first game creates the default account, later ones load it - seed
+    // after that so every game starts from the same random state
+    await game.accountSystem.ready;
+    simulation.setSeed(seed);
+    console.error = (...args) => errors.push(args.join(' '));
+
+    const drawnFrames = [];
+    const context = recordingContext((x, y) => drawnFrames.push({ x, y }));
+
+    game.drawnFrames = drawnFrames;
+    game.camera = new Camera({ width: 800, height: 600 });
+    game.applyWorldBounds();
+    game.viewport = new ViewportManager(game.camera);
+    game.particles = new ParticleSystem();
+    game.renderer = new Renderer({ width: 800, height: 600, getContext: () => context }, game.camera);
+    game.updateUI = () => {};
+
+    // Draw the player's cell through the renderer, without the rest of the scene
+    game.render = () => game.renderer.drawCell(game.player, game.player);
+
+    game.initializeGameSystems();
+    game.initializeWorld();
+    game.createPlayer('Player');
+    game.gameState = 'playing';
+    game.input.mouse.x = 700;
+    game.input.mouse.y = 300;
+
+    return game;
+}
+
+// Canvas context that ignores everything except where circles are drawn
+function recordingContext(onCircle) {
+    return new Proxy({}, {
+        get(target, property) {
+            if (property === 'arc') return (x, y) => onCircle(x, y);
+            if (property in target) return target[property];
+            return () => {};
+        },
+        set(target, property, value) {
+            target[property] = value;
+            return true;
+        }
+    });
+}
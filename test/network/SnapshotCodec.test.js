@@ -0,0 +1,279 @@
+// test/network/SnapshotCodec.test.js
+// Binary snapshots: world states recorded from a seeded server have to come back
+// out of full and delta snapshots exactly as quantized, and deltas only carry
+// what changed since the acknowledged base.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SnapshotCodec, SnapshotEncoder, SnapshotDecoder } from '../../js/network/SnapshotCodec.js';
+import { GameServer } from '../../js/server/GameServer.js';
+
+const BOUNDS = { left: 0, top: 0, right: 4000, bottom: 4000 };
+
+// Worst-case rounding error of a quantized position and radius
+const POSITION_ERROR = 4000 / 0xFFFF / 2;
+const RADIUS_ERROR = 1 / 32 / 2;
+
+test('recorded world states survive full snapshots', () => {
+    const codec = new SnapshotCodec(BOUNDS);
+
+    for (const state of recordWorldStates(30)) {
+        const encoder = new SnapshotEncoder(BOUNDS);
+        const decoded = new SnapshotDecoder(BOUNDS).decode(encoder.encode(state));
+
+        assert.deepEqual(decoded, expectedState(codec, state));
+        assertWithinQuantization(decoded, state);
+    }
+});
+
+test('recorded world states survive a chain of delta snapshots', () => {
+    const codec = new SnapshotCodec(BOUNDS);
+    const encoder = new SnapshotEncoder(BOUNDS);
+    const decoder = new SnapshotDecoder(BOUNDS);
+
+    let removals = 0;
+    let previous = null;
+
+    for (const state of recordWorldStates(60)) {
+        const data = encoder.encode(state);
+        const header = SnapshotCodec.readHeader(data);
+        assert.equal(header.baseTick, previous ? previous.tick : 0);
+
+        const decoded = decoder.decode(data);
+        assert.deepEqual(decoded, expectedState(codec, state));
+        assertWithinQuantization(decoded, state);
+
+        if (previous) {
+            const ids = new Set(state.food.map(item => item.id));
+            removals += previous.food.filter(item => !ids.has(item.id)).length;
+        }
+
+        encoder.acknowledge(state.tick);
+        previous = state;
+    }
+
+    // The recording has to exercise removals, ejected mass and viruses for the
+    // deltas above to mean anything
+    assert.ok(removals > 0, 'no food was eaten in the recording');
+    assert.ok(previous.food.some(item => item.type === 'ejected' && item.owner > 0), 'no ejected mass in the recording');
+    assert.ok(previous.viruses.length > 0, 'no viruses in the recording');
+});
+
+test('deltas remove entities that left the world', () => {
+    const encoder = new SnapshotEncoder(BOUNDS);
+    const decoder = new SnapshotDecoder(BOUNDS);
+
+    const first = worldState(1, {
+        players: [player(1, 'Alpha', [cell(10, 100, 100, 20), cell(11, 200, 200, 15)]), player(2, 'Beta', [cell(20, 900, 900, 30)])],
+        food: [food(30, 50, 50), food(31, 60, 60)]
+    });
+    decoder.decode(encoder.encode(first));
+    encoder.acknowledge(1);
+
+    const second = worldState(2, {
+        players: [player(1, 'Alpha', [cell(10, 100, 100, 20)])],
+        food: [food(31, 60, 60)]
+    });
+    const decoded = decoder.decode(encoder.encode(second));
+
+    assert.deepEqual(decoded.players.map(p => p.id), [1]);
+    assert.deepEqual(decoded.players[0].cells.map(c => c.id), [10]);
+    assert.deepEqual(decoded.food.map(item => item.id), [31]);
+});
+
+test('positions and radii are clamped to the quantized range', () => {
+    const codec = new SnapshotCodec(BOUNDS);
+    const state = worldState(1, {
+        food: [food(1, -500, 99999, 3000), food(2, BOUNDS.right, BOUNDS.bottom, 0), food(3, 1234.567, 89.01, 7.3)]
+    });
+
+    const decoded = new SnapshotDecoder(BOUNDS).decode(new SnapshotEncoder(BOUNDS).encode(state));
+    const [outside, corner, inside] = decoded.food;
+
+    assert.equal(outside.x, BOUNDS.left);
+    assert.equal(outside.y, BOUNDS.bottom);
+    assert.equal(outside.radius, codec.dequantizeRadius(0xFFFF));
+
+    assert.equal(corner.x, BOUNDS.right);
+    assert.equal(corner.y, BOUNDS.bottom);
+    assert.equal(corner.radius, 0);
+
+    assert.ok(Math.abs(inside.x - 1234.567) <= POSITION_ERROR);
+    assert.ok(Math.abs(inside.y - 89.01) <= POSITION_ERROR);
+    assert.ok(Math.abs(inside.radius - 7.3) <= RADIUS_ERROR);
+});
+
+test('colors are only sent when an entity is created', () => {
+    const encoder = new SnapshotEncoder(BOUNDS);
+    const decoder = new SnapshotDecoder(BOUNDS);
+
+    const first = worldState(1, {
+        players: [player(1, 'Alpha', [cell(10, 100, 100, 20, '#ff0000')])],
+        food: [food(30, 50, 50, 5, '#00ff00')]
+    });
+    const created = encoder.encode(first);
+    decoder.decode(created);
+    encoder.acknowledge(1);
+
+    // Same positions with new colors - as small as a delta with nothing changed
+    const recolored = encoder.encode(worldState(2, {
+        players: [player(1, 'Alpha', [cell(10, 100, 100, 20, '#0000ff')])],
+        food: [food(30, 50, 50, 5, '#0000ff')]
+    }));
+    const unchanged = encoder.encode({ ...first, tick: 3 });
+    assert.ok(recolored.byteLength < created.byteLength);
+    assert.equal(recolored.byteLength, unchanged.byteLength);
+
+    // Moved - the decoded colors are still the ones sent on creation
+    const moved = decoder.decode(encoder.encode(worldState(4, {
+        players: [player(1, 'Alpha', [cell(10, 150, 100, 20, '#0000ff')])],
+        food: [food(30, 80, 50, 5, '#0000ff')]
+    })));
+    assert.equal(moved.players[0].cells[0].color, '#ff0000');
+    assert.equal(moved.food[0].color, '#00ff00');
+});
+
+test('ejected mass keeps the network id of its owner', () => {
+    const encoder = new SnapshotEncoder(BOUNDS);
+    const decoder = new SnapshotDecoder(BOUNDS);
+
+    const first = decoder.decode(encoder.encode(worldState(1, {
+        players: [player(7, 'Alpha', [cell(10, 100, 100, 20)])],
+        food: [food(30, 130, 100, 4, '#ff0000', 'ejected', 7), food(31, 500, 500, 5, '#00ff00', 'normal', 7)]
+    })));
+    encoder.acknowledge(1);
+
+    assert.equal(first.food[0].type, 'ejected');
+    assert.equal(first.food[0].owner, 7);
+    assert.equal(first.food[1].owner, 0, 'only ejected mass carries an owner');
+
+    // A pellet still flying is only sent as a position update
+    const second = decoder.decode(encoder.encode(worldState(2, {
+        players: [player(7, 'Alpha', [cell(10, 100, 100, 20)])],
+        food: [food(30, 180, 100, 4, '#ff0000', 'ejected', 7), food(31, 500, 500, 5, '#00ff00', 'normal', 7)]
+    })));
+    assert.equal(second.food[0].owner, 7);
+    assert.ok(Math.abs(second.food[0].x - 180) <= POSITION_ERROR);
+});
+
+test('viruses and the battle royale zone round trip', () => {
+    const codec = new SnapshotCodec(BOUNDS);
+    const encoder = new SnapshotEncoder(BOUNDS);
+    const decoder = new SnapshotDecoder(BOUNDS);
+
+    const zone = {
+        zone: { x: 2000, y: 2000, radius: 2828.4271 },
+        nextZone: { x: 1800.5, y: 2100.25, radius: 1838.5 },
+        state: 'shrinking',
+        phase: 2,
+        phaseCount: 5,
+        timeUntilChange: 12345,
+        alive: 17
+    };
+    const first = worldState(1, { viruses: [{ id: 40, x: 300, y: 400, radius: 60 }], zone });
+    assert.deepEqual(decoder.decode(encoder.encode(first)), expectedState(codec, first));
+    encoder.acknowledge(1);
+
+    const second = worldState(2, { zone: { ...zone, nextZone: null, state: 'closed' } });
+    const decoded = decoder.decode(encoder.encode(second));
+    assert.deepEqual(decoded.viruses, []);
+    assert.equal(decoded.zone.nextZone, null);
+    assert.equal(decoded.zone.state, 'closed');
+
+    const third = decoder.decode(encoder.encode(worldState(3, {})));
+    assert.equal(third.zone, null);
+});
+
+test('a delta whose base the client never saw is dropped', () => {
+    const encoder = new SnapshotEncoder(BOUNDS);
+    encoder.encode(worldState(1, { food: [food(30, 50, 50)] }));
+    encoder.acknowledge(1);
+    const delta = encoder.encode(worldState(2, { food: [food(30, 60, 50)] }));
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal(new SnapshotDecoder(BOUNDS).decode(delta), null);
+    } finally {
+        console.warn = warn;
+    }
+
+    // After a resync the next snapshot is a full one again
+    encoder.reset();
+    const full = encoder.encode(worldState(3, { food: [food(30, 70, 50)] }));
+    assert.equal(SnapshotCodec.readHeader(full).baseTick, 0);
+    assert.equal(new SnapshotDecoder(BOUNDS).decode(full).food.length, 1);
+});
+
+// World states the way GameServer.broadcastState builds them, one per tick of a
+// seeded match with viruses and a player ejecting mass
+function recordWorldStates(ticks) {
+    const server = new GameServer({ seed: 'snapshots', viruses: true, battleRoyale: true, viewDistance: 10000 });
+    server.populate();
+
+    const host = server.addPlayer('Host');
+    host.cells[0].mass = 400;
+    host.cells[0].updateRadius();
+
+    const center = { x: BOUNDS.right / 2, y: BOUNDS.bottom / 2 };
+    const states = [];
+
+    for (let tick = 0; tick < ticks; tick++) {
+        server.applyPlayerInput(host, { x: center.x, y: center.y, eject: tick % 10 === 0 });
+        server.step();
+
+        states.push({
+            tick: server.tick,
+            time: server.gameLoop.currentTime,
+            inputSequence: tick,
+            ...server.createSnapshot(center),
+            leaderboard: server.getNetworkLeaderboard()
+        });
+    }
+
+    return states;
+}
+
+// What a client should see: the state after quantization
+function expectedState(codec, state) {
+    return codec.dequantizeState(codec.quantizeState(state));
+}
+
+function assertWithinQuantization(decoded, state) {
+    const sourceCells = new Map();
+    for (const source of state.players) {
+        for (const sourceCell of source.cells) sourceCells.set(sourceCell.id, sourceCell);
+    }
+
+    for (const decodedPlayer of decoded.players) {
+        for (const decodedCell of decodedPlayer.cells) {
+            assertClose(decodedCell, sourceCells.get(decodedCell.id));
+        }
+    }
+
+    const sourceFood = new Map(state.food.map(item => [item.id, item]));
+    for (const item of decoded.food) {
+        assertClose(item, sourceFood.get(item.id));
+    }
+}
+
+function assertClose(decoded, source) {
+    assert.ok(Math.abs(decoded.x - source.x) <= POSITION_ERROR, `x ${decoded.x} vs ${source.x}`);
+    assert.ok(Math.abs(decoded.y - source.y) <= POSITION_ERROR, `y ${decoded.y} vs ${source.y}`);
+    assert.ok(Math.abs(decoded.radius - source.radius) <= RADIUS_ERROR, `radius ${decoded.radius} vs ${source.radius}`);
+}
+
+function worldState(tick, { players = [], food = [], viruses = [], zone = null }) {
+    return { tick, time: tick * 50, inputSequence: 0, players, food, viruses, zone, leaderboard: [] };
+}
+
+function player(id, name, cells) {
+    return { id, name, isBot: false, cells };
+}
+
+function cell(id, x, y, radius, color = '#ffffff') {
+    return { id, x, y, radius, color };
+}
+
+function food(id, x, y, radius = 5, color = '#ffffff', type = 'normal', owner = 0) {
+    return { id, x, y, radius, type, color, owner };
+}
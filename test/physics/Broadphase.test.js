@@ -0,0 +1,92 @@
+// test/physics/Broadphase.test.js
+// Every broadphase has to give the same answers on the same seeded crowd - the
+// same overlapping pairs and the same entities in a range - and those answers
+// have to match checking every bounding box by hand.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeededRandom } from '../../js/core/Simulation.js';
+import { BroadphaseFactory, BROADPHASE_TYPES } from '../../js/physics/broadphase/BroadphaseFactory.js';
+
+const WORLD_SIZE = 4000;
+
+// Food everywhere and a few cells up to large ones, some hanging over the edge
+const entities = createEntities('broadphase-agreement', 600);
+
+const ranges = [
+    [0, 0, WORLD_SIZE, WORLD_SIZE],
+    [1000, 1200, 1800, 1700],
+    [-200, -200, 150, 150],
+    [3500, 0, 4200, 600],
+    [2000, 2000, 2000, 2000]
+];
+
+test('every broadphase finds the same overlapping pairs', () => {
+    const expected = bruteForcePairs();
+    assert.ok(expected.length > 0, 'the layout has no overlaps to find');
+
+    for (const type of BROADPHASE_TYPES) {
+        const broadphase = BroadphaseFactory.create(type);
+        broadphase.build(entities);
+
+        const pairs = broadphase.findPairs();
+        const keys = [];
+        for (let p = 0; p < pairs.length; p += 2) {
+            assert.ok(pairs[p] < pairs[p + 1], `${type} listed a pair the wrong way round`);
+            keys.push(`${pairs[p]},${pairs[p + 1]}`);
+        }
+
+        assert.deepEqual(keys.sort(), expected, `${type} pairs`);
+    }
+});
+
+test('every broadphase finds the same entities in a range', () => {
+    for (const type of BROADPHASE_TYPES) {
+        const broadphase = BroadphaseFactory.create(type);
+        broadphase.build(entities);
+
+        for (const range of ranges) {
+            const found = broadphase.queryRange(...range).map(entity => entities.indexOf(entity));
+            assert.deepEqual(found.sort((a, b) => a - b), bruteForceRange(...range), `${type} range ${range.join(',')}`);
+        }
+    }
+});
+
+function createEntities(seed, count) {
+    const random = new SeededRandom(seed);
+    const list = [];
+    for (let i = 0; i < count; i++) {
+        const isCell = random.next() < 0.1;
+        list.push({
+            x: random.next() * WORLD_SIZE,
+            y: random.next() * WORLD_SIZE,
+            radius: isCell ? 10 + Math.pow(random.next(), 3) * 140 : 5 + random.next() * 5
+        });
+    }
+    return list;
+}
+
+function overlaps(a, minX, minY, maxX, maxY) {
+    return a.x - a.radius <= maxX && a.x + a.radius >= minX &&
+        a.y - a.radius <= maxY && a.y + a.radius >= minY;
+}
+
+function bruteForcePairs() {
+    const keys = [];
+    for (let a = 0; a < entities.length; a++) {
+        for (let b = a + 1; b < entities.length; b++) {
+            const other = entities[b];
+            if (overlaps(entities[a], other.x - other.radius, other.y - other.radius, other.x + other.radius, other.y + other.radius)) {
+                keys.push(`${a},${b}`);
+            }
+        }
+    }
+    return keys.sort();
+}
+
+function bruteForceRange(minX, minY, maxX, maxY) {
+    const indices = [];
+    entities.forEach((entity, index) => {
+        if (overlaps(entity, minX, minY, maxX, maxY)) indices.push(index);
+    });
+    return indices;
+}
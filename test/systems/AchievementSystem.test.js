@@ -0,0 +1,77 @@
+// test/systems/AchievementSystem.test.js
+// Achievement progress belongs to the account: a new session's player, with a
+// new id, has to get back what the previous one unlocked.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AchievementSystem } from '../../js/systems/AchievementSystem.js';
+import { MemoryStorageAdapter } from '../../js/storage/MemoryStorageAdapter.js';
+import { gameEvents } from '../../js/core/EventSystem.js';
+
+test('progress is stored per account and restored for the next player', async () => {
+    const storage = new MemoryStorageAdapter();
+
+    const first = new AchievementSystem(storage);
+    assert.equal(await first.loadProfile('acc_1'), false);
+
+    const player = fakePlayer('player_1');
+    first.attachPlayer(player);
+    first.forceUnlockAchievement(player, 'first_growth');
+    first.incrementProgress(player, 'food_eaten', 3);
+    assert.equal(await first.savePlayerProgress(player), true);
+    assert.deepEqual(await storage.keys('agario_achievements_'), ['agario_achievements_acc_1']);
+
+    // Next session - same account, new player id
+    const second = new AchievementSystem(storage);
+    assert.equal(await second.loadProfile('acc_1'), true);
+
+    const nextPlayer = fakePlayer('player_2');
+    second.attachPlayer(nextPlayer);
+    assert.equal(second.hasAchievement(nextPlayer, 'first_growth'), true);
+    assert.equal(second.getPlayerProgress(nextPlayer).food_eaten, 3);
+
+    // Another account starts from nothing
+    const other = new AchievementSystem(storage);
+    assert.equal(await other.loadProfile('acc_2'), false);
+    const otherPlayer = fakePlayer('player_3');
+    other.attachPlayer(otherPlayer);
+    assert.equal(other.hasAchievement(otherPlayer, 'first_growth'), false);
+});
+
+test('only the profile player is saved', async () => {
+    const storage = new MemoryStorageAdapter();
+    const achievements = new AchievementSystem(storage);
+    await achievements.loadProfile('acc_1');
+    achievements.attachPlayer(fakePlayer('player_1'));
+
+    const bot = fakePlayer('bot_1');
+    achievements.forceUnlockAchievement(bot, 'first_growth');
+    assert.equal(await achievements.savePlayerProgress(bot), false);
+    assert.equal(await storage.get('agario_achievements_acc_1'), null);
+});
+
+test('a full store reports the quota instead of throwing', async () => {
+    const storage = new MemoryStorageAdapter({ quota: 10 });
+    const achievements = new AchievementSystem(storage);
+    await achievements.loadProfile('acc_1');
+
+    const player = fakePlayer('player_1');
+    achievements.attachPlayer(player);
+
+    const reports = [];
+    const onQuota = data => reports.push(data);
+    const error = console.error;
+    gameEvents.on('storageQuotaExceeded', onQuota);
+    console.error = () => {};
+    try {
+        assert.equal(await achievements.savePlayerProgress(player), false);
+    } finally {
+        gameEvents.off('storageQuotaExceeded', onQuota);
+        console.error = error;
+    }
+
+    assert.deepEqual(reports, [{ system: 'achievements', key: 'agario_achievements_acc_1' }]);
+});
+
+function fakePlayer(id) {
+    return { id, coins: 0, platinumCoins: 0, addExperience() {} };
+}
@@ -0,0 +1,38 @@
+// test/systems/BattleRoyaleSystem.test.js
+// Battle royale events go out on the shared event bus, so listeners have to be
+// able to tell which world an elimination happened in.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HeadlessRunner } from '../../js/headless/HeadlessRunner.js';
+import { gameEvents } from '../../js/core/EventSystem.js';
+
+test('eliminations and the finish name the world they happened in', () => {
+    const runner = new HeadlessRunner({ seed: 'battle-royale', battleRoyale: true });
+    const events = [];
+    const onEliminated = data => events.push({ type: 'eliminated', ...data });
+    const onFinished = data => events.push({ type: 'finished', ...data });
+    gameEvents.on('battleRoyale.eliminated', onEliminated);
+    gameEvents.on('battleRoyale.finished', onFinished);
+
+    try {
+        const winner = runner.addPlayer('Winner', { x: 1000, y: 1000, mass: 300 });
+        const loser = runner.addPlayer('Loser', { x: 3000, y: 3000, mass: 100 });
+        runner.step(1);
+        assert.equal(events.length, 0);
+
+        // Both are contestants now - drop the loser onto the winner
+        loser.x = 1005;
+        loser.y = 1000;
+        runner.moveTo(loser, 1005, 1000);
+        runner.step(3);
+
+        assert.deepEqual(events.map(event => event.type), ['eliminated', 'finished']);
+        assert.ok(events.every(event => event.game === runner.world));
+        assert.equal(events[0].player, loser);
+        assert.equal(events[1].winner, winner);
+    } finally {
+        gameEvents.off('battleRoyale.eliminated', onEliminated);
+        gameEvents.off('battleRoyale.finished', onFinished);
+        runner.dispose();
+    }
+});
@@ -0,0 +1,56 @@
+// test/systems/CustomGameSettings.test.js
+// Presets are kept through the storage layer: missing or full storage has to
+// reject cleanly instead of throwing out of the lobby.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CustomGameSettings } from '../../js/systems/CustomGameSettings.js';
+import { MemoryStorageAdapter } from '../../js/storage/MemoryStorageAdapter.js';
+import { StorageQuotaError, isQuotaExceededError } from '../../js/storage/StorageAdapter.js';
+
+test('presets are saved, replaced by name and deleted', async () => {
+    const storage = new MemoryStorageAdapter();
+    assert.deepEqual(await CustomGameSettings.loadPresets(storage), []);
+
+    await CustomGameSettings.savePreset(preset('Small', 5), storage);
+    await CustomGameSettings.savePreset(preset('Large', 50), storage);
+    await CustomGameSettings.savePreset(preset('Small', 8), storage);
+
+    const presets = await CustomGameSettings.loadPresets(storage);
+    assert.deepEqual(presets.map(preset => [preset.name, preset.bots.count]), [['Large', 50], ['Small', 8]]);
+
+    const remaining = await CustomGameSettings.deletePreset('Large', storage);
+    assert.deepEqual(remaining.map(preset => preset.name), ['Small']);
+    assert.deepEqual((await CustomGameSettings.loadPresets(storage)).map(preset => preset.name), ['Small']);
+});
+
+test('a full store rejects the save and keeps the old presets', async () => {
+    const storage = new MemoryStorageAdapter();
+    await CustomGameSettings.savePreset(preset('Kept'), storage);
+    storage.quota = storage.getUsedSize();
+
+    await assert.rejects(
+        CustomGameSettings.savePreset(preset('Too much'), storage),
+        error => error instanceof StorageQuotaError && isQuotaExceededError(error)
+    );
+    assert.deepEqual((await CustomGameSettings.loadPresets(storage)).map(preset => preset.name), ['Kept']);
+});
+
+test('unreadable storage loads as no presets', async () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const broken = { get: async () => { throw new Error('storage disabled'); } };
+        assert.deepEqual(await CustomGameSettings.loadPresets(broken), []);
+
+        const corrupt = new MemoryStorageAdapter();
+        await corrupt.set('customGamePresets', '{not json');
+        assert.deepEqual(await CustomGameSettings.loadPresets(corrupt), []);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+function preset(name, botCount = 10) {
+    const settings = CustomGameSettings.createDefault(name);
+    return { ...settings, bots: { ...settings.bots, count: botCount } };
+}
@@ -0,0 +1,138 @@
+// test/systems/MassDecaySystem.test.js
+// Mass decay against its configured curves in seeded headless worlds: small
+// cells keep their mass, both curves follow their formulas whatever the tick
+// length, a mass shield pauses decay, prestige upgrades slow it and two runs
+// of the same match shrink identically.
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../js/core/Config.js';
+import { MassDecaySystem } from '../../js/systems/MassDecaySystem.js';
+import { PrestigeSystem } from '../../js/systems/PrestigeSystem.js';
+import { HeadlessRunner } from '../../js/headless/HeadlessRunner.js';
+
+const SEED = 'decay';
+const SECONDS = 10;
+
+const settings = CONFIG.PHYSICS.MASS_DECAY;
+const threshold = settings.THRESHOLD;
+
+test('cells at the threshold keep their mass', () => {
+    assert.equal(playAlone(threshold), threshold);
+});
+
+describe('with the curve turned off', () => {
+    withDecay({ CURVE: 'none' });
+
+    test('nothing decays', () => {
+        assert.equal(playAlone(threshold * 4), threshold * 4);
+    });
+});
+
+describe('linear curve', () => {
+    withDecay({ CURVE: 'linear' });
+
+    test('loses a fixed amount per second', () => {
+        const start = threshold + settings.LINEAR_RATE * SECONDS * 2;
+        assertClose(playAlone(start), start - settings.LINEAR_RATE * SECONDS);
+    });
+
+    test('stops at the threshold', () => {
+        assertClose(playAlone(threshold + 1), threshold);
+    });
+});
+
+describe('exponential curve', () => {
+    withDecay({ CURVE: 'exponential' });
+
+    test('shrinks the excess by e^(-rate * t)', () => {
+        const start = threshold * 3;
+        const expected = threshold + (start - threshold) * Math.exp(-settings.EXPONENTIAL_RATE * SECONDS);
+        assertClose(playAlone(start), expected);
+    });
+
+    test('does not depend on the tick length', () => {
+        let oneTick = threshold * 3;
+        oneTick -= MassDecaySystem.calculateLoss(oneTick, SECONDS * 1000);
+
+        let manyTicks = threshold * 3;
+        for (let tick = 0; tick < SECONDS * 144; tick++) {
+            manyTicks -= MassDecaySystem.calculateLoss(manyTicks, 1000 / 144);
+        }
+        assertClose(manyTicks, oneTick);
+    });
+
+    test('a mass shield pauses decay', () => {
+        const start = threshold * 2;
+        const mass = playAlone(start, (runner, player) => runner.world.powerupSystem.executeMassShield(player));
+        assert.equal(mass, start);
+    });
+
+    test('mass retention upgrades slow decay', () => {
+        const start = threshold * 3;
+        const mass = playAlone(start, (runner, player) => {
+            runner.world.prestigeSystem = new PrestigeSystem();
+            player.prestigeUpgrades = { massRetention: 5 };
+        });
+        const expected = threshold + (start - threshold) * Math.exp(-settings.EXPONENTIAL_RATE * SECONDS * 0.5);
+        assertClose(mass, expected);
+    });
+
+    test('the HUD rate matches the mass lost over the next second', () => {
+        const runner = new HeadlessRunner({ seed: SEED });
+        try {
+            const player = runner.addPlayer('Decay', { mass: threshold * 2 });
+            const rate = runner.world.massDecaySystem.getDecayRate(player);
+            const before = player.getTotalMass();
+            runner.runFor(1000);
+            assertClose(before - player.getTotalMass(), rate);
+        } finally {
+            runner.dispose();
+        }
+    });
+
+    test('the same seed decays the same match identically', () => {
+        assert.equal(playMatch(), playMatch());
+    });
+});
+
+// Swap out some of CONFIG.PHYSICS.MASS_DECAY for the surrounding describe()
+function withDecay(overrides) {
+    const previous = { ...settings };
+    before(() => Object.assign(settings, overrides));
+    after(() => Object.assign(settings, previous));
+}
+
+function assertClose(actual, expected) {
+    const tolerance = 1e-6 * Math.max(1, Math.abs(expected));
+    assert.ok(Math.abs(actual - expected) <= tolerance, `got ${actual}, expected ${expected}`);
+}
+
+// Mass of a single motionless cell after SECONDS with nothing to eat
+function playAlone(mass, setup = () => {}) {
+    const runner = new HeadlessRunner({ seed: SEED });
+    try {
+        const player = runner.addPlayer('Decay', { x: 1000, y: 1000, mass });
+        setup(runner, player);
+
+        // Whole ticks, so the elapsed time is exact at any tick rate
+        runner.step(Math.round(SECONDS * 1000 / runner.tickTime));
+        return player.getTotalMass();
+    } finally {
+        runner.dispose();
+    }
+}
+
+// Bots and a big player wandering through food - every mass change has to repeat
+function playMatch() {
+    const runner = new HeadlessRunner({ seed: SEED, bots: true, foodCount: CONFIG.FOOD.COUNT });
+    try {
+        const player = runner.addPlayer('Giant', { x: 2000, y: 2000, mass: threshold * 4 });
+        for (let second = 0; second < SECONDS; second++) {
+            runner.moveTo(player, 2000 + Math.cos(second) * 800, 2000 + Math.sin(second) * 800);
+            runner.runFor(1000);
+        }
+        return runner.getHash();
+    } finally {
+        runner.dispose();
+    }
+}
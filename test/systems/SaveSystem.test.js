@@ -0,0 +1,137 @@
+// test/systems/SaveSystem.test.js
+// Every migration step on its own, and stored or imported saves of each older
+// version coming back verified and migrated to the current one.
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SaveSystem } from '../../js/systems/SaveSystem.js';
+import { MemoryStorageAdapter } from '../../js/storage/MemoryStorageAdapter.js';
+import { CONFIG } from '../../js/core/Config.js';
+
+let storage = null;
+let saveSystem = null;
+let consoleError = null;
+
+beforeEach(() => {
+    storage = new MemoryStorageAdapter();
+    saveSystem = new SaveSystem(storage);
+
+    // Rejected saves are logged, keep the test output readable
+    consoleError = console.error;
+    console.error = () => {};
+});
+
+afterEach(() => {
+    saveSystem.cleanup();
+    console.error = consoleError;
+});
+
+test('0.0.0 to 1.0.0 fills in prestige, items and currency statistics', () => {
+    const migrated = saveSystem.migrateToV1(legacySave(null));
+
+    assert.equal(migrated.player.name, 'Legacy');
+    assert.equal(migrated.player.prestigeLevel, 0);
+    assert.equal(migrated.player.totalPrestigePoints, 0);
+    assert.deepEqual(migrated.player.unlockedItems, []);
+    assert.deepEqual(migrated.player.equippedItems, {});
+    assert.deepEqual(migrated.statistics.currency, {
+        totalCoinsEarned: 0,
+        totalPlatinumCoinsEarned: 0,
+        totalCoinsSpent: 0,
+        totalPlatinumCoinsSpent: 0
+    });
+
+    // Fields the save already has are kept
+    const kept = saveSystem.migrateToV1({ ...legacySave(null), player: { name: 'Legacy', prestigeLevel: 3 } });
+    assert.equal(kept.player.prestigeLevel, 3);
+});
+
+test('1.0.0 to 1.1.0 drops the checksum', () => {
+    const migrated = saveSystem.migrateToV1_1(legacySave('1.0.0'));
+
+    assert.equal('checksum' in migrated, false);
+    assert.equal(migrated.player.name, 'Legacy');
+});
+
+test('a stored 1.0.0 save is verified by its checksum and migrated', async () => {
+    await storage.set('agario_save_default', JSON.stringify(legacySave('1.0.0')));
+
+    const loaded = await saveSystem.load();
+    assert.ok(loaded, 'the 1.0.0 save was rejected');
+    assert.equal(loaded.version, CONFIG.SAVE.SAVE_VERSION);
+    assert.equal('checksum' in loaded, false);
+    assert.equal(loaded.player.name, 'Legacy');
+    assert.equal(saveSystem.verifySaveIntegrity(loaded), true);
+});
+
+test('a save without a version runs every migration', async () => {
+    await storage.set('agario_save_default', JSON.stringify(legacySave(null)));
+
+    const loaded = await saveSystem.load();
+    assert.ok(loaded, 'the unversioned save was rejected');
+    assert.equal(loaded.version, CONFIG.SAVE.SAVE_VERSION);
+    assert.equal(loaded.player.prestigeLevel, 0);
+    assert.equal('checksum' in loaded, false);
+    assert.equal(saveSystem.verifySaveIntegrity(loaded), true);
+});
+
+test('edited saves are rejected whatever their version', async () => {
+    const legacy = legacySave('1.0.0');
+    legacy.player.coins = 999999;
+    await storage.set('agario_save_default', JSON.stringify(legacy));
+    assert.equal(await saveSystem.load(), null);
+
+    const unchecked = legacySave('1.0.0');
+    delete unchecked.checksum;
+    await storage.set('agario_save_default', JSON.stringify(unchecked));
+    assert.equal(await saveSystem.load(), null);
+
+    await saveSystem.save(fakePlayer());
+    const current = saveSystem.deserializeData(await storage.get('agario_save_default'));
+    current.player.coins = 999999;
+    await storage.set('agario_save_default', saveSystem.serializeData(current));
+    assert.equal(await saveSystem.load(), null);
+});
+
+test('current saves round trip and newer ones are refused', async () => {
+    assert.equal(await saveSystem.save(fakePlayer()), true);
+
+    const loaded = await saveSystem.load();
+    assert.equal(loaded.version, CONFIG.SAVE.SAVE_VERSION);
+    assert.equal(loaded.player.coins, 120);
+
+    const future = { ...loaded, version: '9.0.0' };
+    future.signature = saveSystem.calculateSignature(future);
+    await storage.set('agario_save_default', saveSystem.serializeData(future));
+    assert.equal(await saveSystem.load(), null);
+});
+
+test('an exported 1.0.0 save imports as the current version', async () => {
+    const imported = await saveSystem.importSave({ data: legacySave('1.0.0'), exportedAt: 0, version: '1.0.0' }, 'imported');
+    assert.equal(imported, true);
+
+    const loaded = await saveSystem.load('imported');
+    assert.equal(loaded.version, CONFIG.SAVE.SAVE_VERSION);
+    assert.equal(loaded.player.name, 'Legacy');
+});
+
+// A save the way versions before 1.1.0 wrote it: plain JSON with a checksum
+function legacySave(version) {
+    const saveData = {
+        timestamp: 1700000000000,
+        player: { id: 'player_1', name: 'Legacy', level: 4, coins: 50 },
+        gameState: {},
+        statistics: { gamesPlayed: 2 },
+        settings: {},
+        checksum: null
+    };
+    if (version) {
+        saveData.version = version;
+    }
+
+    saveData.checksum = saveSystem.calculateLegacyChecksum(saveData);
+    return saveData;
+}
+
+function fakePlayer() {
+    return { id: 'player_1', name: 'Current', level: 2, experience: 10, coins: 120, platinumCoins: 0 };
+}
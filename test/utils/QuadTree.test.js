@@ -0,0 +1,95 @@
+// test/utils/QuadTree.test.js
+// Retrieval has to stay correct once entities move: update and remove look the
+// entity up where the tree last saw it, not where it is now.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import QuadTree from '../../js/utils/QuadTree.js';
+
+const BOUNDS = { x: 0, y: 0, width: 4000, height: 4000 };
+
+test('retrieve finds every entity near the query', () => {
+    const tree = new QuadTree(BOUNDS, 4, 5);
+    const entities = grid(10, 10);
+    entities.forEach(entity => tree.insert(entity));
+
+    assert.equal(tree.getAllObjects().length, entities.length);
+
+    for (const entity of entities) {
+        assert.ok(tree.retrieve(entity).includes(entity));
+    }
+
+    const area = { x: 1000, y: 1000, width: 800, height: 800 };
+    const found = tree.retrieveInBounds(area);
+    for (const entity of entities.filter(e => inside(e, area))) {
+        assert.ok(found.includes(entity), `missing entity at ${entity.x},${entity.y}`);
+    }
+});
+
+test('update moves an entity to its new node without duplicating it', () => {
+    const tree = new QuadTree(BOUNDS, 4, 5);
+    const entities = grid(10, 10);
+    entities.forEach(entity => tree.insert(entity));
+
+    const moving = entities[0];
+    const oldX = moving.x;
+    const oldY = moving.y;
+    moving.x = 3900;
+    moving.y = 3900;
+    tree.update(moving, oldX, oldY);
+
+    const stored = tree.getAllObjects();
+    assert.equal(stored.length, entities.length);
+    assert.equal(stored.filter(entity => entity === moving).length, 1);
+
+    assert.ok(tree.retrieve(moving).includes(moving));
+    assert.ok(tree.retrieveInBounds({ x: 3800, y: 3800, width: 200, height: 200 }).includes(moving));
+    assert.ok(!tree.retrieveInBounds({ x: 0, y: 0, width: 300, height: 300 }).includes(moving));
+});
+
+test('remove finds an entity that moved since it was inserted', () => {
+    const tree = new QuadTree(BOUNDS, 4, 5);
+    const entities = grid(10, 10);
+    entities.forEach(entity => tree.insert(entity));
+
+    const moved = entities[11];
+    const location = { x: moved.x, y: moved.y, radius: moved.radius };
+    moved.x = 3500;
+    moved.y = 200;
+
+    assert.equal(tree.remove(moved, location), true);
+    assert.equal(tree.getAllObjects().length, entities.length - 1);
+    assert.ok(!tree.getAllObjects().includes(moved));
+
+    // Removing it again, or removing something never inserted, is a no-op
+    assert.equal(tree.remove(moved, location), false);
+    assert.equal(tree.remove({ x: 10, y: 10, radius: 5 }), false);
+    assert.equal(tree.getAllObjects().length, entities.length - 1);
+});
+
+test('entities moved without a location are still removed', () => {
+    const tree = new QuadTree(BOUNDS, 4, 5);
+    const entities = grid(10, 10);
+    entities.forEach(entity => tree.insert(entity));
+
+    const moved = entities[99];
+    moved.x = 50;
+    moved.y = 50;
+
+    assert.equal(tree.remove(moved), true);
+    assert.ok(!tree.getAllObjects().includes(moved));
+});
+
+function grid(columns, rows) {
+    const entities = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            entities.push({ id: row * columns + column, x: 200 + column * 400, y: 200 + row * 400, radius: 10 });
+        }
+    }
+    return entities;
+}
+
+function inside(entity, area) {
+    return entity.x >= area.x && entity.x <= area.x + area.width &&
+        entity.y >= area.y && entity.y <= area.y + area.height;
+}
@@ -0,0 +1,87 @@
+// test/worker/index.test.js
+// The simulation worker builds its world in the mode the page starts a game in:
+// viruses, battle royale and custom settings all reach its GameServer. A world
+// that can't be built is reported to the page instead of leaving it waiting.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../js/core/Config.js';
+import { MESSAGE_TYPES, Protocol } from '../../js/network/Protocol.js';
+import { SnapshotDecoder } from '../../js/network/SnapshotCodec.js';
+import { CustomGameSettings } from '../../js/systems/CustomGameSettings.js';
+
+const messages = [];
+const frames = [];
+
+before(async () => {
+    // What a dedicated worker sees of its page, with frames run by hand
+    globalThis.self = {
+        postMessage: (data) => messages.push(data),
+        close() {}
+    };
+    globalThis.requestAnimationFrame = (callback) => frames.push(callback);
+    await import('../../js/worker/index.js');
+});
+
+after(() => {
+    CustomGameSettings.reset();
+    delete globalThis.requestAnimationFrame;
+});
+
+test('a world that fails to build is reported to the page', async () => {
+    const logged = console.error;
+    console.error = () => {};
+    try {
+        self.onmessage({ data: { command: 'start', options: { settings: 'not settings' } } });
+        await waitFor(() => messages.some(message => message && message.command === 'error'));
+    } finally {
+        console.error = logged;
+    }
+
+    const failure = messages.find(message => message && message.command === 'error');
+    assert.equal(failure.message, 'Custom game settings must be an object');
+    assert.ok(!messages.some(message => message && message.command === 'ready'));
+    messages.length = 0;
+});
+
+test('the worker world is built from the mode and settings it is started with', async () => {
+    self.onmessage({
+        data: {
+            command: 'start',
+            options: {
+                seed: 'worker-mode',
+                viruses: true,
+                battleRoyale: true,
+                settings: { world: { width: 3000, height: 2000 }, bots: { count: 5 } }
+            }
+        }
+    });
+    await waitFor(() => messages.some(message => message && message.command === 'ready'));
+
+    self.onmessage({ data: Protocol.encode(MESSAGE_TYPES.JOIN, { name: 'Page' }) });
+    const welcome = messages.map(message => typeof message === 'string' ? Protocol.decode(message) : null)
+        .find(message => message && message.type === MESSAGE_TYPES.WELCOME);
+
+    assert.ok(welcome, 'the page was not welcomed');
+    assert.deepEqual(welcome.world, { left: 0, top: 0, right: 3000, bottom: 2000 });
+    assert.equal(CONFIG.BOTS.COUNT, 5);
+
+    // Run frames until the first snapshot comes out
+    const decoder = new SnapshotDecoder(welcome.world);
+    let state = null;
+    while (!state) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        frames.shift()();
+        const snapshot = messages.find(message => message instanceof ArrayBuffer);
+        if (snapshot) state = decoder.decode(snapshot);
+    }
+
+    assert.ok(state.leaderboard.some(entry => entry.name === 'Page'));
+    assert.ok(state.viruses.length > 0, 'no viruses');
+    assert.ok(state.zone, 'no battle royale zone');
+});
+
+async function waitFor(condition) {
+    while (!condition()) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}